@@ -5,8 +5,59 @@
 // that to these exports.
 
 export {calculate} from './calc';
-export {Pokemon} from './pokemon';
-export {Move} from './move';
-export {Field, Side} from './field';
-export {Result} from './result';
-export {Stats} from './stats';
+export {getTurnOrder, SpeedTie, TurnOrder} from './mechanics/util';
+export {
+  simulate,
+  estimate,
+  highestDamage,
+  Choice,
+  ChoicePolicy,
+  SimulationOptions,
+  Simulation,
+  EstimateOptions,
+  Estimate,
+  BattleTurn,
+  BattleOutcome,
+} from './simulate';
+export {calculateCombo, getComboSurvivalHP, ComboHit, ComboResult} from './combo';
+export {SurvivalHP} from './desc';
+export {planSetup, SetupOptions, SetupTarget, SetupPlan} from './setup';
+export {infer, Observation, InferOptions, InferredSet, Inference} from './infer';
+export {sweep, Unknowns, SweepCase, Sweep} from './sweep';
+export {
+  predictMove,
+  predictSwitchIn,
+  AIScore,
+  AIMoveScore,
+  AIMovePrediction,
+  SwitchInScore,
+  SwitchInPrediction,
+} from './ai';
+export {planFight, FightOptions, FightRisk, FightStep, FightPlan} from './fight';
+export {
+  registerPlugin,
+  unregisterPlugin,
+  getPlugins,
+  ModifierKind,
+  ModifierContext,
+  Modifier,
+  Plugin,
+} from './plugins';
+export {ValidationError, ValidationField, normalizeStats, suggest} from './validate';
+export {
+  TrainerDB,
+  Trainer,
+  TrainerPokemon,
+  TrainerSet,
+  SetDex,
+  BattleType,
+  TrainerMetadata,
+  TrainerData,
+  TrainerFilter,
+} from './trainers';
+export {Pokemon, PokemonJSON} from './pokemon';
+export {Move, MoveJSON} from './move';
+export {Field, Side, FieldJSON, SideJSON} from './field';
+export {Result, ResultJSON} from './result';
+export {JSON_VERSION} from './util';
+export {Stats, StatReading} from './stats';
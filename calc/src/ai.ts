@@ -0,0 +1,315 @@
+import {Generation} from './data/interface';
+import {Field} from './field';
+import {Move} from './move';
+import {Pokemon} from './pokemon';
+import {Result} from './result';
+import {calculate} from './calc';
+import {getFinalSpeed, getMoveEffectiveness, getPriority} from './mechanics/util';
+import {error} from './util';
+
+/** A score a move can get from the trainer AI, with the chance of it getting that score. */
+export interface AIScore {
+  score: number;
+  chance: number;
+}
+
+export interface AIMoveScore {
+  move: Move;
+  result: Result;
+  /** Every score the move can get, highest first. */
+  scores: AIScore[];
+  /** Why the move scores the way it does, eg. 'highest damage' or 'fast kill'. */
+  reasons: string[];
+  /** The chance of the AI choosing the move. */
+  chance: number;
+}
+
+export interface AIMovePrediction {
+  /** The trainer Pokémon's moves, in the order of its moveset. */
+  moves: AIMoveScore[];
+  /** The move the AI is the most likely to choose. */
+  choice: AIMoveScore;
+  /** Whether one of the target's moves can KO the trainer Pokémon before it moves. */
+  threatened: boolean;
+  text: string;
+}
+
+export interface SwitchInScore {
+  pokemon: Pokemon;
+  /** Where the Pokémon is in the party, counting from 0. */
+  slot: number;
+  score: number;
+  /** Why it scores the way it does, eg. 'outspeeds and OHKOs', then anything else of note. */
+  reasons: string[];
+  outspeeds: boolean;
+  /** The most damage its moves and the target's moves can do to each other, as a percentage. */
+  dealt: number;
+  taken: number;
+}
+
+export interface SwitchInPrediction {
+  /** The party from the Pokémon the AI sends in first to the one it sends in last. */
+  ranking: SwitchInScore[];
+  choice: SwitchInScore;
+  text: string;
+}
+
+// A score outcome along with the rules which gave it
+interface Outcome {
+  score: number;
+  chance: number;
+  reasons: string[];
+}
+
+/**
+ * Predicts the move the trainer AI of Run & Bun chooses for `trainer` against `target`, which
+ * scores each move by the damage calculated for it. Using whichever move does the most damage
+ * scores 6 (or 8, a fifth of the time), a move which KOs scores another 6 if it lands before the
+ * target can move and 3 if it doesn't, and a priority move scores another 11 when the target is
+ * faster and can KO. Status moves score 6 unless the trainer Pokémon is threatened like that, and
+ * moves which do no damage aren't used. The AI picks the highest score at random among ties, with
+ * the damage of every move taken at the same one of its rolls. `field` is seen from the trainer's
+ * side, as with calculate.
+ */
+export function predictMove(
+  gen: Generation,
+  trainer: Pokemon,
+  target: Pokemon,
+  field: Field = new Field()
+): AIMovePrediction {
+  if (!trainer.moves.length) error(true, `${trainer.name} has no moves to choose from`);
+  const moves = trainer.moves.map(name => new Move(gen, name, {
+    ability: trainer.ability, item: trainer.item, species: trainer.name,
+  }));
+  const results = moves.map(move => calculate(gen, trainer, target, move, field));
+  const speed = [
+    getFinalSpeed(gen, trainer, field, field.attackerSide),
+    getFinalSpeed(gen, target, field, field.defenderSide),
+  ];
+  // The chance of the trainer Pokémon outspeeding the target, with speed ties settled at random
+  const outspeeds = speed[0] === speed[1] ? 1 / 2 : getOutspeeds(speed, field) ? 1 : 0;
+  const threatened = outspeeds < 1 &&
+    getMostDamage(gen, target, trainer, field.clone().swap()).damage >= trainer.curHP();
+
+  const rolls = Math.max(...results.map(r => getRolls(r.damage)));
+  const chances = moves.map(() => 0);
+  const outcomes = moves.map(() => [] as AIScore[]);
+  const reasons = moves.map(() => [] as string[]);
+  for (let roll = 0; roll < rolls; roll++) {
+    const damage = results.map((r, i) => getRollDamage(r.damage, roll, rolls) * moves[i].hits);
+    const most = Math.max(...damage);
+    const scores = moves.map((move, i) => getOutcomes(
+      move, damage[i], most, target.curHP(), getPriority(gen, trainer, move, field) > 0,
+      outspeeds, threatened
+    ));
+    scores.forEach((s, i) => {
+      for (const o of s) {
+        addScore(outcomes[i], o.score, o.chance / rolls);
+        for (const reason of o.reasons) {
+          if (!reasons[i].includes(reason)) reasons[i].push(reason);
+        }
+      }
+    });
+    choose(scores, 0, [], 1 / rolls, chances);
+  }
+
+  const predicted = moves.map((move, i) => ({
+    move,
+    result: results[i],
+    scores: outcomes[i].sort((a, b) => b.score - a.score),
+    reasons: reasons[i],
+    chance: chances[i],
+  }));
+  const choice = predicted.reduce((a, b) => (b.chance > a.chance ? b : a));
+  const text = predicted.slice()
+    .filter(p => p.chance > 0)
+    .sort((a, b) => b.chance - a.chance)
+    .map(p => `${p.move.name} ${Math.round(p.chance * 1000) / 10}%`)
+    .join(', ');
+  return {moves: predicted, choice, threatened, text};
+}
+
+// The scores a move can get given the damage it does with a roll and the most any move does
+function getOutcomes(
+  move: Move,
+  damage: number,
+  most: number,
+  hp: number,
+  priority: boolean,
+  outspeeds: number,
+  threatened: boolean
+): Outcome[] {
+  // An empty move slot, which is never chosen
+  if (move.name === '(No Move)') return [];
+  if (move.category === 'Status') {
+    return threatened
+      ? [{score: 0, chance: 1, reasons: ['status move while threatened']}]
+      : [{score: 6, chance: 1, reasons: ['status move']}];
+  }
+  if (!damage) return [{score: -20, chance: 1, reasons: ['no damage']}];
+
+  let outcomes: Outcome[] = [{score: 0, chance: 1, reasons: []}];
+  if (damage === most) {
+    outcomes = add(outcomes, [
+      {score: 6, chance: 4 / 5, reasons: ['highest damage']},
+      {score: 8, chance: 1 / 5, reasons: ['highest damage']},
+    ]);
+  }
+  if (damage >= hp) {
+    const first = priority ? 1 : outspeeds;
+    outcomes = add(outcomes, [
+      {score: 6, chance: first, reasons: ['fast kill']},
+      {score: 3, chance: 1 - first, reasons: ['slow kill']},
+    ].filter(o => o.chance));
+  }
+  if (threatened && priority) {
+    outcomes = add(outcomes, [{score: 11, chance: 1, reasons: ['priority while threatened']}]);
+  }
+  return outcomes;
+}
+
+// Every combination of the outcomes of a and b, as independent of each other
+function add(a: Outcome[], b: Outcome[]) {
+  const outcomes: Outcome[] = [];
+  for (const x of a) {
+    for (const y of b) {
+      outcomes.push({
+        score: x.score + y.score,
+        chance: x.chance * y.chance,
+        reasons: x.reasons.concat(y.reasons),
+      });
+    }
+  }
+  return outcomes;
+}
+
+function addScore(scores: AIScore[], score: number, chance: number) {
+  const existing = scores.find(s => s.score === score);
+  if (existing) {
+    existing.chance += chance;
+  } else {
+    scores.push({score, chance});
+  }
+}
+
+// Goes through every combination of the moves' outcomes, adding the chance of each to whichever
+// moves have the highest score in it (split between them when they tie)
+function choose(
+  scores: Outcome[][],
+  i: number,
+  picked: number[],
+  chance: number,
+  chances: number[]
+) {
+  if (i === scores.length) {
+    const best = Math.max(...picked);
+    const ties = picked.filter(s => s === best).length;
+    picked.forEach((s, j) => {
+      if (s === best) chances[j] += chance / ties;
+    });
+    return;
+  }
+  if (!scores[i].length) choose(scores, i + 1, picked.concat(-Infinity), chance, chances);
+  for (const o of scores[i]) {
+    choose(scores, i + 1, picked.concat(o.score), chance * o.chance, chances);
+  }
+}
+
+/**
+ * Predicts which of the trainer's remaining `party` the trainer AI of Run & Bun sends in after
+ * `target` KOs one of its Pokémon, from how each matches up against the target: 5 if it outspeeds
+ * and OHKOs, 4 if it OHKOs and isn't OHKOed, 3 if it outspeeds and deals more damage than it
+ * takes, 2 if it deals more damage than it takes, 1 if it outspeeds, -1 if it's OHKOed and 0
+ * otherwise. Damage is taken as the highest roll of the strongest move as a percentage of the
+ * other Pokémon's max HP, and the AI sends in whichever Pokémon comes first in the party out of
+ * those which score the highest. `field` is seen from the trainer's side, as with predictMove.
+ */
+export function predictSwitchIn(
+  gen: Generation,
+  party: Pokemon[],
+  target: Pokemon,
+  field: Field = new Field()
+): SwitchInPrediction {
+  if (!party.length) error(true, 'The party has no Pokémon left to send in');
+  const ranking = party
+    .map((pokemon, slot) => getSwitchInScore(gen, pokemon, slot, target, field))
+    .sort((a, b) => b.score - a.score || a.slot - b.slot);
+  const text = ranking
+    .map(s => `${s.pokemon.name} (${s.score > 0 ? '+' : ''}${s.score}, ${s.reasons.join(', ')})`)
+    .join(', then ');
+  return {ranking, choice: ranking[0], text};
+}
+
+function getSwitchInScore(
+  gen: Generation,
+  pokemon: Pokemon,
+  slot: number,
+  target: Pokemon,
+  field: Field
+): SwitchInScore {
+  const outspeeds = getOutspeeds([
+    getFinalSpeed(gen, pokemon, field, field.attackerSide),
+    getFinalSpeed(gen, target, field, field.defenderSide),
+  ], field);
+  const best = getMostDamage(gen, pokemon, target, field);
+  const worst = getMostDamage(gen, target, pokemon, field.clone().swap());
+  const ohkos = best.damage >= target.curHP();
+  const ohkoed = worst.damage >= pokemon.curHP();
+  const dealt = Math.floor((best.damage * 1000) / target.maxHP()) / 10;
+  const taken = Math.floor((worst.damage * 1000) / pokemon.maxHP()) / 10;
+
+  const [score, reason]: [number, string] =
+    outspeeds && ohkos ? [5, 'outspeeds and OHKOs']
+    : ohkos && !ohkoed ? [4, 'OHKOs and isn\'t OHKOed']
+    : outspeeds && dealt > taken ? [3, 'outspeeds and deals more damage than it takes']
+    : dealt > taken ? [2, 'deals more damage than it takes']
+    : outspeeds ? [1, 'outspeeds']
+    : ohkoed ? [-1, 'is outsped and OHKOed']
+    : [0, 'is outsped'];
+  const reasons = [reason];
+  if (best.move && best.damage) {
+    const effectiveness = target.types.reduce((e, type) => e * getMoveEffectiveness(
+      gen, best.move!, type, false, field.isGravity, false, field.isInverse, pokemon, target
+    ), 1);
+    if (effectiveness > 1) reasons.push(`super effective ${best.move.name}`);
+  }
+  return {pokemon, slot, score, reasons, outspeeds, dealt, taken};
+}
+
+// Whether the first of the speeds moves before the second, which Trick Room turns around
+function getOutspeeds(speed: number[], field: Field) {
+  return speed[0] !== speed[1] && (speed[0] > speed[1]) !== field.isTrickRoom;
+}
+
+// The highest roll of whichever of the attacker's moves does the most damage
+function getMostDamage(gen: Generation, attacker: Pokemon, defender: Pokemon, field: Field) {
+  let most: {move?: Move; damage: number} = {damage: 0};
+  for (const name of attacker.moves) {
+    const move = new Move(gen, name, {
+      ability: attacker.ability, item: attacker.item, species: attacker.name,
+    });
+    const damage = calculate(gen, attacker, defender, move, field).range()[1] * move.hits;
+    if (damage > most.damage) most = {move, damage};
+  }
+  return most;
+}
+
+function getRolls(damage: Result['damage']) {
+  if (typeof damage === 'number') return 1;
+  // Fixed Parental Bond Damage
+  if (damage.length === 2 && typeof damage[0] === 'number') return 1;
+  return typeof damage[0] === 'number' ? damage.length : damage[0].length;
+}
+
+// The damage with the given roll out of `rolls`, for the moves with fewer rolls (fixed damage)
+// taking whichever of theirs is at the same point
+function getRollDamage(damage: Result['damage'], roll: number, rolls: number) {
+  if (typeof damage === 'number') return damage;
+  if (damage.length === 2 && typeof damage[0] === 'number') {
+    return damage[0] + (damage[1] as number);
+  }
+  const i = (length: number) => Math.floor((roll * length) / rolls);
+  if (typeof damage[0] === 'number') return (damage as number[])[i(damage.length)];
+  const d = damage as [number[], number[]];
+  return d[0][i(d[0].length)] + d[1][i(d[1].length)];
+}
@@ -0,0 +1,386 @@
+import {Generation, ItemName, StatsTable} from './data/interface';
+import {Field} from './field';
+import {Move} from './move';
+import {Pokemon} from './pokemon';
+import {Result} from './result';
+import {calculate} from './calc';
+import {SurvivalHP, getBerry, getEndOfTurn, getHazards, serializeText} from './desc';
+import {HP_MOVES} from './mechanics/util';
+import {toID} from './util';
+
+export interface ComboHit {
+  attacker: Pokemon;
+  move: Move;
+  /**
+   * Whether the move is used on the same turn as the one before it, as a partner's move is in
+   * doubles. End of turn effects only happen between turns.
+   */
+  sameTurn?: boolean;
+}
+
+export interface ComboResult {
+  /** The chance of the moves KOing the defender between them. */
+  chance: number;
+  /** The number of turns the moves are used over. */
+  turns: number;
+  text: string;
+}
+
+// The state of the defender, and of each of the attackers, which changes between hits
+interface DefenderState {
+  hp: number;
+  item?: ItemName;
+  toxicCounter: number;
+  // Whether the defender's Disguise or Ice Face has yet to take a hit
+  disguised: boolean;
+}
+
+interface AttackerState {
+  item?: ItemName;
+  boosts: StatsTable;
+}
+
+interface ComboState {
+  chance: number;
+  defender: DefenderState;
+  attackers: AttackerState[];
+}
+
+interface Combo {
+  gen: Generation;
+  attackers: Pokemon[];
+  defender: Pokemon;
+  field: Field;
+  // Every one-time effect which made a difference
+  texts: string[];
+  cache: {[key: string]: Pokemon | Result | Array<{damage: number; chance: number}>};
+}
+
+/**
+ * Works out the exact chance of an ordered list of moves KOing `defender` between them, where the
+ * moves may be used by different attackers. Hazards are taken on switching in and end of turn
+ * effects between turns. Every hit updates the state the later hits are calculated from: items
+ * consumed or knocked off, Disguise being busted and the attackers' own stat drops and boosts.
+ */
+export function calculateCombo(
+  gen: Generation,
+  hits: ComboHit[],
+  defender: Pokemon,
+  field: Field = new Field()
+): ComboResult {
+  const {chance, texts} = run(gen, hits, defender, field, false);
+  const after = texts.length ? ` after ${serializeText(texts)}` : '';
+  const text = chance >= 1 ? `guaranteed KO${after}`
+    : chance > 0 ? `${Math.round(chance * 1000) / 10}% chance to KO${after}`
+    : 'not a KO';
+  const turns = hits.filter((hit, i) => i === 0 || !hit.sameTurn).length;
+  return {chance, turns, text};
+}
+
+/**
+ * Works out the least current HP `defender` can be at and still survive the moves with at least
+ * the given chance, which means still standing after the end of the last turn they're used on.
+ * The HP is searched for on the assumption that having more of it never hurts.
+ */
+export function getComboSurvivalHP(
+  gen: Generation,
+  hits: ComboHit[],
+  defender: Pokemon,
+  field: Field = new Field(),
+  chance = 1
+): SurvivalHP {
+  const maxHP = defender.maxHP();
+  const survives = (hp: number) => {
+    const pokemon = defender.clone();
+    pokemon.originalCurHP = hp;
+    const combo = run(gen, hits, pokemon, field, true);
+    return {chance: 1 - combo.chance, texts: combo.texts};
+  };
+
+  let best = survives(maxHP);
+  if (best.chance < chance - 1e-9) {
+    const after = best.texts.length ? ` after ${serializeText(best.texts)}` : '';
+    const percent = Math.round(best.chance * 1000) / 10;
+    return {chance: best.chance, text: `${percent}% chance to survive at full HP${after}`};
+  }
+  let [low, high] = [1, maxHP];
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const survival = survives(mid);
+    if (survival.chance >= chance - 1e-9) {
+      high = mid;
+      best = survival;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  const after = best.texts.length ? ` after ${serializeText(best.texts)}` : '';
+  const percent = Math.round((high * 1000) / maxHP) / 10;
+  const odds = best.chance < 1 ? ` (${Math.round(best.chance * 1000) / 10}% chance)` : '';
+  return {
+    hp: high,
+    percent,
+    chance: best.chance,
+    text: `survives from ${high} HP (${percent}%)${odds}${after}`,
+  };
+}
+
+// The chance of the moves KOing the defender, counting the end of the last turn if `lastTurn`
+function run(
+  gen: Generation,
+  hits: ComboHit[],
+  defender: Pokemon,
+  field: Field,
+  lastTurn: boolean
+) {
+  const combo: Combo = {gen, attackers: [], defender, field, texts: [], cache: {}};
+  for (const {attacker} of hits) {
+    if (!combo.attackers.includes(attacker)) combo.attackers.push(attacker);
+  }
+
+  const hazards = getHazards(gen, defender, field.defenderSide, field.isInverse);
+  combo.texts.push(...hazards.texts);
+  let states: ComboState[] = [{
+    chance: 1,
+    defender: {
+      hp: defender.curHP() - hazards.damage,
+      item: defender.item,
+      toxicCounter: defender.toxicCounter,
+      disguised: (gen.num >= 7 && defender.hasAbility('Disguise') &&
+        !defender.name.includes('Busted')) ||
+        (gen.num >= 8 && defender.hasAbility('Ice Face') && defender.named('Eiscue')),
+    },
+    attackers: combo.attackers.map(a => ({item: a.item, boosts: {...a.boosts}})),
+  }];
+
+  let chance = 0;
+  const tally = () => {
+    for (const state of states) {
+      if (state.defender.hp <= 0) chance += state.chance;
+    }
+    states = states.filter(s => s.defender.hp > 0);
+  };
+  for (let i = 0; i < hits.length && states.length; i++) {
+    if (i > 0 && !hits[i].sameTurn) {
+      const previous = hits[i - 1];
+      states = mergeComboStates(states.map(s => endComboTurn(combo, s, previous)));
+      tally();
+    }
+    const next = [];
+    for (const state of states) {
+      next.push(...useComboMove(combo, state, hits[i]));
+    }
+    states = mergeComboStates(next);
+    tally();
+  }
+  if (lastTurn && hits.length) {
+    const last = hits[hits.length - 1];
+    states = states.map(s => endComboTurn(combo, s, last));
+    tally();
+  }
+  if (!hits.length && defender.curHP() <= hazards.damage) chance = 1;
+  return {chance: Math.min(1, chance), texts: combo.texts};
+}
+
+function useComboMove(combo: Combo, state: ComboState, hit: ComboHit): ComboState[] {
+  const {gen, field} = combo;
+  const a = combo.attackers.indexOf(hit.attacker);
+  const move = hit.move;
+  const exact = move.named(...HP_MOVES);
+  const attacker = getAttacker(combo, state, a);
+  const defender = getDefender(combo, state, exact);
+
+  const key = `result/${a}/${move.name}/${getAttackerKey(state, a)}/` +
+    getDefenderKey(combo, state, exact);
+  let result = combo.cache[key] as Result | undefined;
+  if (!result) {
+    result = calculate(gen, attacker, defender, move, field);
+    combo.cache[key] = result;
+  }
+
+  const disguise = state.defender.disguised && move.category !== 'Status' &&
+    (defender.hasAbility('Disguise') || move.category === 'Physical');
+  const outcomes = disguise
+    ? getDisguiseDamage(combo, attacker, defender, move, key)
+    : getComboDamage(combo, result, key);
+
+  const states = [];
+  for (const {damage, chance} of outcomes) {
+    const s = forkCombo(state, chance);
+    const target = s.defender;
+    let dealt = Math.min(damage, target.hp);
+    if (dealt && dealt === target.hp && target.hp === defender.maxHP() && move.hits === 1) {
+      if (gen.num >= 5 && defender.hasAbility('Sturdy')) {
+        dealt--;
+        addText(combo, 'Sturdy');
+      } else if (gen.num >= 4 && target.item === 'Focus Sash') {
+        dealt--;
+        target.item = undefined;
+        addText(combo, 'Focus Sash');
+      }
+    }
+    if (disguise) {
+      target.disguised = false;
+      addText(combo, defender.ability!);
+    }
+    target.hp -= dealt;
+
+    if (dealt || disguise) {
+      const user = s.attackers[a];
+      if (result.rawDesc.attackerItem && user.item?.endsWith(' Gem')) user.item = undefined;
+      const self = gen.moves.get(toID(move.name))?.self;
+      if (self?.boosts) boostComboAttacker(user, self.boosts, attacker);
+    }
+    if (dealt) {
+      if (result.rawDesc.defenderItem && target.item?.endsWith(' Berry')) target.item = undefined;
+      if (target.item === 'Air Balloon') target.item = undefined;
+      if (target.hp > 0) eatComboBerry(combo, s, attacker, move);
+      if (move.named('Knock Off') && !defender.hasAbility('Sticky Hold')) target.item = undefined;
+    }
+    states.push(s);
+  }
+  return states;
+}
+
+// The damage dealt by the move along with how likely it is to deal it
+function getComboDamage(combo: Combo, result: Result, key: string) {
+  let damage = combo.cache[`damage/${key}`] as Array<{damage: number; chance: number}>;
+  if (!damage) {
+    const distribution = result.distribution();
+    damage = distribution.damage.map((d, i) => ({damage: d, chance: distribution.chances[i]}));
+    combo.cache[`damage/${key}`] = damage;
+  }
+  return damage;
+}
+
+// Disguise and Ice Face take the first hit of the move in place of the defender, though Disguise
+// costs the defender an eighth of its HP from Gen 8 on and any later hits go through
+function getDisguiseDamage(
+  combo: Combo,
+  attacker: Pokemon,
+  defender: Pokemon,
+  move: Move,
+  key: string
+) {
+  const busted = combo.gen.num >= 8 && defender.hasAbility('Disguise')
+    ? Math.floor(defender.maxHP() / 8)
+    : 0;
+  if (move.hits <= 1) return [{damage: busted, chance: 1}];
+  const rest = move.clone();
+  rest.hits = move.hits - 1;
+  const result = calculate(combo.gen, attacker, defender, rest, combo.field);
+  return getComboDamage(combo, result, `disguise/${key}`)
+    .map(({damage, chance}) => ({damage: damage + busted, chance}));
+}
+
+function endComboTurn(combo: Combo, state: ComboState, hit: ComboHit) {
+  const s = forkCombo(state, 1);
+  const target = s.defender;
+  if (target.hp <= 0) return s;
+  const attacker = getAttacker(combo, s, combo.attackers.indexOf(hit.attacker));
+  const defender = getDefender(combo, s, true);
+  const eot = getEndOfTurn(combo.gen, attacker, defender, hit.move, combo.field);
+  let damage = eot.damage;
+  if (defender.hasStatus('tox') && !defender.hasAbility('Magic Guard', 'Poison Heal')) {
+    target.toxicCounter++;
+    damage -= Math.floor(defender.maxHP() * target.toxicCounter / 16);
+  }
+  if (!damage) return s;
+  for (const text of eot.texts) addText(combo, text);
+  target.hp = Math.min(defender.maxHP(), target.hp + damage);
+  if (target.hp > 0) eatComboBerry(combo, s, attacker, hit.move);
+  return s;
+}
+
+function eatComboBerry(combo: Combo, state: ComboState, attacker: Pokemon, move: Move) {
+  const target = state.defender;
+  const defender = getDefender(combo, state, true);
+  const berry = getBerry(combo.gen, attacker, defender, move);
+  if (berry && target.hp <= berry.threshold) {
+    target.hp = Math.min(defender.maxHP(), target.hp + berry.recovery);
+    target.item = undefined;
+    addText(combo, berry.text);
+  }
+}
+
+function boostComboAttacker(user: AttackerState, boosts: Partial<StatsTable>, pokemon: Pokemon) {
+  const multiplier = pokemon.hasAbility('Contrary') ? -1 : pokemon.hasAbility('Simple') ? 2 : 1;
+  for (const stat of ['atk', 'def', 'spa', 'spd', 'spe'] as const) {
+    const boosted = user.boosts[stat] + (boosts[stat] || 0) * multiplier;
+    user.boosts[stat] = Math.max(-6, Math.min(6, boosted));
+  }
+}
+
+function addText(combo: Combo, text: string) {
+  if (!combo.texts.includes(text)) combo.texts.push(text);
+}
+
+function forkCombo(state: ComboState, chance: number): ComboState {
+  return {
+    chance: state.chance * chance,
+    defender: {...state.defender},
+    attackers: state.attackers.map(a => ({item: a.item, boosts: {...a.boosts}})),
+  };
+}
+
+function getAttackerKey(state: ComboState, a: number) {
+  const {item, boosts: b} = state.attackers[a];
+  return `${item}|${b.atk},${b.def},${b.spa},${b.spd},${b.spe}`;
+}
+
+// Unless it needs to be `exact` the defender's HP only matters as far as the thresholds which
+// calculations care about go: being at full HP, or at or below half, a third or a quarter of it
+function getDefenderKey(combo: Combo, state: ComboState, exact: boolean) {
+  const {hp, item, toxicCounter, disguised} = state.defender;
+  const max = combo.defender.maxHP();
+  const band = exact ? hp
+    : hp === max ? 'full'
+    : hp * 4 <= max ? 'quarter'
+    : hp * 3 <= max ? 'third'
+    : hp * 2 <= max ? 'half'
+    : 'hurt';
+  return `${band}|${item}|${toxicCounter}|${disguised}`;
+}
+
+function getAttacker(combo: Combo, state: ComboState, a: number) {
+  const key = `attacker/${a}/${getAttackerKey(state, a)}`;
+  let pokemon = combo.cache[key] as Pokemon | undefined;
+  if (!pokemon) {
+    pokemon = combo.attackers[a].clone();
+    pokemon.item = state.attackers[a].item;
+    pokemon.boosts = {...state.attackers[a].boosts};
+    combo.cache[key] = pokemon;
+  }
+  return pokemon;
+}
+
+// The defender as of the state, which mustn't be modified. Unless it is `exact` its HP is only
+// right to within the thresholds which calculations care about (see getDefenderKey).
+function getDefender(combo: Combo, state: ComboState, exact: boolean) {
+  const key = `defender/${getDefenderKey(combo, state, exact)}`;
+  let pokemon = combo.cache[key] as Pokemon | undefined;
+  if (!pokemon) {
+    pokemon = combo.defender.clone();
+    pokemon.originalCurHP = Math.max(0, state.defender.hp);
+    pokemon.item = state.defender.item;
+    pokemon.toxicCounter = state.defender.toxicCounter;
+    combo.cache[key] = pokemon;
+  }
+  return pokemon;
+}
+
+function mergeComboStates(states: ComboState[]) {
+  const merged: {[key: string]: ComboState} = {};
+  for (const s of states) {
+    const {hp, item, toxicCounter, disguised} = s.defender;
+    const attackers = s.attackers.map((_, a) => getAttackerKey(s, a)).join('/');
+    const key = `${hp}|${item}|${toxicCounter}|${disguised}/${attackers}`;
+    if (merged[key]) {
+      merged[key].chance += s.chance;
+    } else {
+      merged[key] = s;
+    }
+  }
+  return Object.keys(merged).map(key => merged[key]);
+}
@@ -6,13 +6,29 @@ import {Moves} from './moves';
 import {Species} from './species';
 import {Types} from './types';
 import {Natures} from './natures';
+import {DataOverlay, overlayGeneration} from './overlay';
+
+// The generations with an overlay set, built once when it's set
+const OVERLAID: {[num: number]: I.Generation} = {};
 
 export const Generations: I.Generations = new (class {
   get(gen: I.GenerationNum) {
-    return new Generation(gen);
+    return OVERLAID[gen] || new Generation(gen);
   }
 })();
 
+/**
+ * Makes `Generations.get(gen)` return `gen` with `overlay` applied on top of its data from now on,
+ * or the unchanged generation again if `overlay` isn't given.
+ */
+export function setOverlay(gen: I.GenerationNum, overlay?: DataOverlay) {
+  if (overlay) {
+    OVERLAID[gen] = overlayGeneration(new Generation(gen), overlay);
+  } else {
+    delete OVERLAID[gen];
+  }
+}
+
 class Generation implements I.Generation {
   num: I.GenerationNum;
 
@@ -105,6 +105,7 @@ export interface Move extends Data<MoveName> {
   readonly basePower: number;
   readonly type: TypeName;
   readonly category?: MoveCategory;
+  readonly accuracy?: number | true;
   readonly flags: MoveFlags;
   readonly secondaries?: any;
   readonly target?: MoveTarget;
@@ -113,6 +114,7 @@ export interface Move extends Data<MoveName> {
   readonly mindBlownRecoil?: boolean;
   readonly struggleRecoil?: boolean;
   readonly willCrit?: boolean;
+  readonly critRatio?: number;
   readonly drain?: [number, number];
   readonly priority?: number;
   readonly self?: SelfOrSecondaryEffect | null;
@@ -6,6 +6,7 @@ export interface MoveData {
 
   readonly type: I.TypeName;
   readonly category?: I.MoveCategory;
+  readonly accuracy?: number | true;
   // readonly flags?: I.MoveFlags;
   readonly secondaries?: boolean;
   readonly target?: I.MoveTarget;
@@ -14,6 +15,7 @@ export interface MoveData {
   readonly mindBlownRecoil?: boolean;
   readonly struggleRecoil?: boolean;
   readonly willCrit?: boolean;
+  readonly critRatio?: number;
   readonly drain?: [number, number];
   readonly priority?: number;
   readonly self?: I.SelfOrSecondaryEffect | null;
@@ -46,154 +48,154 @@ const RBY: {[name: string]: MoveData} = {
   '(No Move)': {bp: 0, category: 'Status', type: 'Normal'},
   Absorb: {bp: 40, type: 'Grass', drain: [1, 2]},
   Acid: {bp: 40, type: 'Poison'},
-  Amnesia: {bp: 0, category: 'Status', type: 'Psychic'},
+  Amnesia: {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
   'Aurora Beam': {bp: 65, type: 'Ice'},
-  Barrage: {bp: 15, type: 'Normal', multihit: [2, 5]},
-  Bide: {bp: 0, type: '???'},
-  Bind: {bp: 15, type: 'Normal'},
+  Barrage: {bp: 15, type: 'Normal', multihit: [2, 5], accuracy: 85},
+  Bide: {bp: 0, type: '???', accuracy: true},
+  Bind: {bp: 15, type: 'Normal', accuracy: 75},
   Bite: {bp: 60, type: 'Normal'},
-  Blizzard: {bp: 120, type: 'Ice'},
-  Bonemerang: {bp: 50, type: 'Ground', multihit: 2},
+  Blizzard: {bp: 120, type: 'Ice', accuracy: 90},
+  Bonemerang: {bp: 50, type: 'Ground', multihit: 2, accuracy: 90},
   Bubble: {bp: 20, type: 'Water'},
   'Bubble Beam': {bp: 65, type: 'Water'},
-  Clamp: {bp: 35, type: 'Water'},
-  'Comet Punch': {bp: 18, type: 'Normal', multihit: [2, 5]},
+  Clamp: {bp: 35, type: 'Water', accuracy: 75},
+  'Comet Punch': {bp: 18, type: 'Normal', multihit: [2, 5], accuracy: 85},
   Constrict: {bp: 10, type: 'Normal'},
-  Conversion: {bp: 0, category: 'Status', type: 'Normal'},
+  Conversion: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   Counter: {bp: 1, type: 'Fighting'},
-  Crabhammer: {bp: 90, type: 'Water'},
-  'Defense Curl': {bp: 0, category: 'Status', type: 'Normal'},
+  Crabhammer: {bp: 90, type: 'Water', critRatio: 2, accuracy: 85},
+  'Defense Curl': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   Dig: {bp: 100, type: 'Ground'},
-  Disable: {bp: 0, category: 'Status', type: 'Normal'},
+  Disable: {bp: 0, category: 'Status', type: 'Normal', accuracy: 55},
   'Dizzy Punch': {bp: 70, type: 'Normal'},
   'Double-Edge': {bp: 100, type: 'Normal', recoil: [25, 100]},
   'Double Kick': {bp: 30, type: 'Fighting', multihit: 2},
-  'Double Slap': {bp: 15, type: 'Normal', multihit: [2, 5]},
+  'Double Slap': {bp: 15, type: 'Normal', multihit: [2, 5], accuracy: 85},
   'Dragon Rage': {bp: 1, type: 'Dragon'},
   'Dream Eater': {bp: 100, type: 'Psychic', drain: [1, 2]},
   Earthquake: {bp: 100, type: 'Ground'},
   Explosion: {bp: 170, type: 'Normal'},
-  'Fire Blast': {bp: 120, type: 'Fire'},
-  'Fire Spin': {bp: 15, type: 'Fire'},
-  Fissure: {bp: 0, type: 'Ground'},
-  Fly: {bp: 70, type: 'Flying'},
-  'Focus Energy': {bp: 0, category: 'Status', type: 'Normal'},
-  'Fury Attack': {bp: 15, type: 'Normal', multihit: [2, 5]},
-  'Fury Swipes': {bp: 18, type: 'Normal', multihit: [2, 5]},
-  Glare: {bp: 0, category: 'Status', type: 'Normal'},
-  Growth: {bp: 0, category: 'Status', type: 'Normal'},
-  Guillotine: {bp: 0, type: 'Normal'},
+  'Fire Blast': {bp: 120, type: 'Fire', accuracy: 85},
+  'Fire Spin': {bp: 15, type: 'Fire', accuracy: 70},
+  Fissure: {bp: 0, type: 'Ground', accuracy: 30},
+  Fly: {bp: 70, type: 'Flying', accuracy: 95},
+  'Focus Energy': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  'Fury Attack': {bp: 15, type: 'Normal', multihit: [2, 5], accuracy: 85},
+  'Fury Swipes': {bp: 18, type: 'Normal', multihit: [2, 5], accuracy: 80},
+  Glare: {bp: 0, category: 'Status', type: 'Normal', accuracy: 75},
+  Growth: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Guillotine: {bp: 0, type: 'Normal', accuracy: 30},
   Gust: {bp: 40, type: 'Normal'},
-  Haze: {bp: 0, category: 'Status', type: 'Ice'},
-  'High Jump Kick': {bp: 85, type: 'Fighting', hasCrashDamage: true},
-  'Horn Drill': {bp: 0, type: 'Normal'},
-  'Hyper Beam': {bp: 150, type: 'Normal'},
-  'Jump Kick': {bp: 70, type: 'Fighting', hasCrashDamage: true},
-  'Karate Chop': {bp: 50, type: 'Normal'},
-  'Leech Seed': {bp: 0, category: 'Status', type: 'Grass'},
-  'Light Screen': {bp: 0, category: 'Status', type: 'Psychic'},
-  Metronome: {bp: 0, category: 'Status', type: 'Normal'},
+  Haze: {bp: 0, category: 'Status', type: 'Ice', accuracy: true},
+  'High Jump Kick': {bp: 85, type: 'Fighting', hasCrashDamage: true, accuracy: 90},
+  'Horn Drill': {bp: 0, type: 'Normal', accuracy: 30},
+  'Hyper Beam': {bp: 150, type: 'Normal', accuracy: 90},
+  'Jump Kick': {bp: 70, type: 'Fighting', hasCrashDamage: true, accuracy: 95},
+  'Karate Chop': {bp: 50, type: 'Normal', critRatio: 2},
+  'Leech Seed': {bp: 0, category: 'Status', type: 'Grass', accuracy: 90},
+  'Light Screen': {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
+  Metronome: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   Mimic: {bp: 0, category: 'Status', type: 'Normal'},
-  Minimize: {bp: 0, category: 'Status', type: 'Normal'},
-  'Mirror Move': {bp: 0, category: 'Status', type: 'Flying'},
-  Mist: {bp: 0, category: 'Status', type: 'Ice'},
+  Minimize: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  'Mirror Move': {bp: 0, category: 'Status', type: 'Flying', accuracy: true},
+  Mist: {bp: 0, category: 'Status', type: 'Ice', accuracy: true},
   'Night Shade': {bp: 1, type: 'Ghost'},
   'Petal Dance': {bp: 70, type: 'Grass'},
-  'Pin Missile': {bp: 14, type: 'Bug', multihit: [2, 5]},
+  'Pin Missile': {bp: 14, type: 'Bug', multihit: [2, 5], accuracy: 85},
   'Poison Sting': {bp: 15, type: 'Poison'},
   Psychic: {bp: 90, type: 'Psychic'},
-  Psywave: {bp: 1, type: 'Psychic'},
+  Psywave: {bp: 1, type: 'Psychic', accuracy: 80},
   Rage: {bp: 20, type: 'Normal'},
-  'Razor Leaf': {bp: 55, type: 'Grass'},
-  'Razor Wind': {bp: 80, type: 'Normal'},
-  Recover: {bp: 0, category: 'Status', type: 'Normal'},
-  Reflect: {bp: 0, category: 'Status', type: 'Psychic'},
-  Rest: {bp: 0, category: 'Status', type: 'Psychic'},
+  'Razor Leaf': {bp: 55, type: 'Grass', critRatio: 2, accuracy: 95},
+  'Razor Wind': {bp: 80, type: 'Normal', accuracy: 75},
+  Recover: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Reflect: {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
+  Rest: {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
   Roar: {bp: 0, category: 'Status', type: 'Normal'},
-  'Rock Slide': {bp: 75, type: 'Rock'},
-  'Rock Throw': {bp: 50, type: 'Rock'},
+  'Rock Slide': {bp: 75, type: 'Rock', accuracy: 90},
+  'Rock Throw': {bp: 50, type: 'Rock', accuracy: 65},
   'Sand Attack': {bp: 0, category: 'Status', type: 'Normal'},
   'Seismic Toss': {bp: 1, type: 'Fighting'},
   'Self-Destruct': {bp: 130, type: 'Normal'},
   'Skull Bash': {bp: 100, type: 'Normal'},
-  Slash: {bp: 70, type: 'Normal'},
+  Slash: {bp: 70, type: 'Normal', critRatio: 2},
   Sludge: {bp: 65, type: 'Poison'},
-  'Soft-Boiled': {bp: 0, category: 'Status', type: 'Normal'},
+  'Soft-Boiled': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   'Solar Beam': {bp: 120, type: 'Grass'},
-  'Sonic Boom': {bp: 1, type: 'Normal'},
+  'Sonic Boom': {bp: 1, type: 'Normal', accuracy: 90},
   'Spike Cannon': {bp: 20, type: 'Normal', multihit: [2, 5]},
   Stomp: {bp: 65, type: 'Normal'},
   Struggle: {bp: 50, type: 'Normal', recoil: [1, 2]},
-  'Stun Spore': {bp: 0, category: 'Status', type: 'Grass'},
-  Submission: {bp: 80, type: 'Fighting', recoil: [1, 4]},
-  Substitute: {bp: 0, category: 'Status', type: 'Normal'},
-  'Super Fang': {bp: 1, type: 'Dark'},
-  Swift: {bp: 60, type: 'Normal'},
-  'Take Down': {bp: 90, type: 'Normal', recoil: [1, 4]},
+  'Stun Spore': {bp: 0, category: 'Status', type: 'Grass', accuracy: 75},
+  Submission: {bp: 80, type: 'Fighting', recoil: [1, 4], accuracy: 80},
+  Substitute: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  'Super Fang': {bp: 1, type: 'Dark', accuracy: 90},
+  Swift: {bp: 60, type: 'Normal', accuracy: true},
+  'Take Down': {bp: 90, type: 'Normal', recoil: [1, 4], accuracy: 85},
   Thrash: {bp: 90, type: 'Normal'},
-  Thunder: {bp: 120, type: 'Electric'},
+  Thunder: {bp: 120, type: 'Electric', accuracy: 70},
   'Thunder Wave': {bp: 0, category: 'Status', type: 'Electric'},
-  Transform: {bp: 0, category: 'Status', type: 'Normal'},
+  Transform: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   'Tri Attack': {bp: 80, type: 'Normal'},
   Twineedle: {bp: 25, type: 'Bug', multihit: 2},
-  Whirlwind: {bp: 0, category: 'Status', type: 'Normal'},
+  Whirlwind: {bp: 0, category: 'Status', type: 'Normal', accuracy: 85},
   'Wing Attack': {bp: 35, type: 'Flying'},
-  Wrap: {bp: 15, type: 'Normal'},
+  Wrap: {bp: 15, type: 'Normal', accuracy: 85},
   Growl: {bp: 0, category: 'Status', type: 'Normal'},
   Leer: {bp: 0, category: 'Status', type: 'Normal'},
-  'Low Kick': {bp: 50, type: 'Fighting'},
-  'Poison Gas': {bp: 0, category: 'Status', type: 'Poison'},
-  'Poison Powder': {bp: 0, category: 'Status', type: 'Poison'},
-  'Sky Attack': {bp: 140, type: 'Flying'},
-  'String Shot': {bp: 0, category: 'Status', type: 'Bug'},
+  'Low Kick': {bp: 50, type: 'Fighting', accuracy: 90},
+  'Poison Gas': {bp: 0, category: 'Status', type: 'Poison', accuracy: 55},
+  'Poison Powder': {bp: 0, category: 'Status', type: 'Poison', accuracy: 75},
+  'Sky Attack': {bp: 140, type: 'Flying', accuracy: 90},
+  'String Shot': {bp: 0, category: 'Status', type: 'Bug', accuracy: 95},
   Surf: {bp: 95, type: 'Water'},
   'Tail Whip': {bp: 0, category: 'Status', type: 'Normal'},
-  Toxic: {bp: 0, category: 'Status', type: 'Poison'},
-  Flash: {bp: 0, category: 'Status', type: 'Normal'},
-  Hypnosis: {bp: 0, category: 'Status', type: 'Psychic'},
+  Toxic: {bp: 0, category: 'Status', type: 'Poison', accuracy: 85},
+  Flash: {bp: 0, category: 'Status', type: 'Normal', accuracy: 70},
+  Hypnosis: {bp: 0, category: 'Status', type: 'Psychic', accuracy: 60},
   'Leech Life': {bp: 20, type: 'Bug', drain: [1, 2]},
   'Mega Drain': {bp: 60, type: 'Grass', drain: [1, 2]},
   'Vine Whip': {bp: 35, type: 'Grass'},
   Waterfall: {bp: 80, type: 'Water'},
-  Tackle: {bp: 35, type: 'Normal'},
-  'Acid Armor': {bp: 0, category: 'Status', type: 'Poison'},
-  Barrier: {bp: 0, category: 'Status', type: 'Psychic'},
+  Tackle: {bp: 35, type: 'Normal', accuracy: 95},
+  'Acid Armor': {bp: 0, category: 'Status', type: 'Poison', accuracy: true},
+  Barrier: {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
   'Body Slam': {bp: 85, type: 'Normal'},
   Flamethrower: {bp: 95, type: 'Fire'},
-  'Hydro Pump': {bp: 120, type: 'Water'},
+  'Hydro Pump': {bp: 120, type: 'Water', accuracy: 80},
   'Ice Beam': {bp: 95, type: 'Ice'},
   Lick: {bp: 20, type: 'Ghost'},
-  Screech: {bp: 0, category: 'Status', type: 'Normal'},
-  Sing: {bp: 0, category: 'Status', type: 'Normal'},
-  'Sleep Powder': {bp: 0, category: 'Status', type: 'Grass'},
-  Smog: {bp: 20, type: 'Poison'},
+  Screech: {bp: 0, category: 'Status', type: 'Normal', accuracy: 85},
+  Sing: {bp: 0, category: 'Status', type: 'Normal', accuracy: 55},
+  'Sleep Powder': {bp: 0, category: 'Status', type: 'Grass', accuracy: 75},
+  Smog: {bp: 20, type: 'Poison', accuracy: 70},
   Spore: {bp: 0, category: 'Status', type: 'Grass'},
-  Supersonic: {bp: 0, category: 'Status', type: 'Normal'},
-  'Swords Dance': {bp: 0, category: 'Status', type: 'Normal'},
+  Supersonic: {bp: 0, category: 'Status', type: 'Normal', accuracy: 55},
+  'Swords Dance': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   Thunderbolt: {bp: 95, type: 'Electric'},
-  'Bone Club': {bp: 65, type: 'Ground'},
-  'Egg Bomb': {bp: 100, type: 'Normal'},
-  'Hyper Fang': {bp: 80, type: 'Normal'},
-  Kinesis: {bp: 0, category: 'Status', type: 'Psychic'},
-  'Lovely Kiss': {bp: 0, category: 'Status', type: 'Normal'},
-  Meditate: {bp: 0, category: 'Status', type: 'Psychic'},
-  'Rolling Kick': {bp: 60, type: 'Fighting'},
-  Sharpen: {bp: 0, category: 'Status', type: 'Normal'},
-  Teleport: {bp: 0, category: 'Status', type: 'Psychic'},
-  Agility: {bp: 0, category: 'Status', type: 'Psychic'},
+  'Bone Club': {bp: 65, type: 'Ground', accuracy: 85},
+  'Egg Bomb': {bp: 100, type: 'Normal', accuracy: 75},
+  'Hyper Fang': {bp: 80, type: 'Normal', accuracy: 90},
+  Kinesis: {bp: 0, category: 'Status', type: 'Psychic', accuracy: 80},
+  'Lovely Kiss': {bp: 0, category: 'Status', type: 'Normal', accuracy: 75},
+  Meditate: {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
+  'Rolling Kick': {bp: 60, type: 'Fighting', accuracy: 85},
+  Sharpen: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Teleport: {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
+  Agility: {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
   'Confuse Ray': {bp: 0, category: 'Status', type: 'Ghost'},
   Confusion: {bp: 50, type: 'Psychic'},
-  Cut: {bp: 50, type: 'Normal'},
-  'Double Team': {bp: 0, category: 'Status', type: 'Normal'},
+  Cut: {bp: 50, type: 'Normal', accuracy: 95},
+  'Double Team': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   'Drill Peck': {bp: 80, type: 'Flying'},
   Ember: {bp: 40, type: 'Fire'},
   'Fire Punch': {bp: 75, type: 'Fire'},
-  Harden: {bp: 0, category: 'Status', type: 'Normal'},
+  Harden: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   Headbutt: {bp: 70, type: 'Normal'},
   'Horn Attack': {bp: 65, type: 'Normal'},
   'Ice Punch': {bp: 75, type: 'Ice'},
-  'Mega Kick': {bp: 120, type: 'Normal'},
-  'Mega Punch': {bp: 80, type: 'Normal'},
+  'Mega Kick': {bp: 120, type: 'Normal', accuracy: 75},
+  'Mega Punch': {bp: 80, type: 'Normal', accuracy: 85},
   'Paleo Wave': {bp: 85, type: 'Rock'},
   'Pay Day': {bp: 40, type: 'Normal'},
   Peck: {bp: 35, type: 'Flying'},
@@ -201,29 +203,33 @@ const RBY: {[name: string]: MoveData} = {
   Psybeam: {bp: 65, type: 'Psychic'},
   'Quick Attack': {bp: 40, type: 'Normal', priority: 1},
   Scratch: {bp: 40, type: 'Normal'},
-  'Shadow Strike': {bp: 80, type: 'Ghost'},
-  Slam: {bp: 80, type: 'Normal'},
+  'Shadow Strike': {bp: 80, type: 'Ghost', accuracy: 95},
+  Slam: {bp: 80, type: 'Normal', accuracy: 75},
   Smokescreen: {bp: 0, category: 'Status', type: 'Normal'},
-  Splash: {bp: 0, category: 'Status', type: 'Normal'},
+  Splash: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   Strength: {bp: 80, type: 'Normal'},
   'Thunder Punch': {bp: 75, type: 'Electric'},
   'Thunder Shock': {bp: 40, type: 'Electric'},
   'Vise Grip': {bp: 55, type: 'Normal'},
   'Water Gun': {bp: 40, type: 'Water'},
-  Withdraw: {bp: 0, category: 'Status', type: 'Water'},
+  Withdraw: {bp: 0, category: 'Status', type: 'Water', accuracy: true},
 };
 
 const GSC_PATCH: {[name: string]: DeepPartial<MoveData>} = {
-  Bide: {type: 'Normal'},
+  Bide: {type: 'Normal', accuracy: 100},
   Counter: {bp: 0},
   Dig: {bp: 60},
   'Double-Edge': {bp: 120},
   Explosion: {bp: 250},
   Gust: {type: 'Flying'},
-  'Karate Chop': {type: 'Fighting'},
+  'Karate Chop': {type: 'Fighting', critRatio: 3},
   Psywave: {bp: 0},
   'Self-Destruct': {bp: 200},
   Struggle: {recoil: [1, 4]},
+  Crabhammer: {critRatio: 3},
+  'Razor Leaf': {critRatio: 3},
+  'Razor Wind': {critRatio: 3},
+  Slash: {critRatio: 3},
   'Dragon Rage': {bp: 0},
   Bite: {type: 'Dark'},
   'Night Shade': {bp: 0},
@@ -232,67 +238,67 @@ const GSC_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Sonic Boom': {bp: 0},
   'Super Fang': {bp: 0},
   'Wing Attack': {bp: 60},
-  Aeroblast: {bp: 100, type: 'Flying'},
+  Aeroblast: {bp: 100, type: 'Flying', critRatio: 3, accuracy: 95},
   Attract: {bp: 0, category: 'Status', type: 'Normal'},
   'Beat Up': {bp: 10, type: 'Dark'},
-  'Belly Drum': {bp: 0, category: 'Status', type: 'Normal'},
-  'Conversion 2': {bp: 0, category: 'Status', type: 'Normal'},
-  'Cross Chop': {bp: 100, type: 'Fighting'},
-  Curse: {bp: 0, category: 'Status', type: '???'},
-  'Destiny Bond': {bp: 0, category: 'Status', type: 'Ghost'},
-  Detect: {bp: 0, category: 'Status', type: 'Fighting', priority: 2},
+  'Belly Drum': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  'Conversion 2': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  'Cross Chop': {bp: 100, type: 'Fighting', critRatio: 3, accuracy: 80},
+  Curse: {bp: 0, category: 'Status', type: '???', accuracy: true},
+  'Destiny Bond': {bp: 0, category: 'Status', type: 'Ghost', accuracy: true},
+  Detect: {bp: 0, category: 'Status', type: 'Fighting', priority: 2, accuracy: true},
   Encore: {bp: 0, category: 'Status', type: 'Normal'},
-  Endure: {bp: 0, category: 'Status', type: 'Normal', priority: 2},
+  Endure: {bp: 0, category: 'Status', type: 'Normal', priority: 2, accuracy: true},
   Flail: {bp: 0, type: 'Normal'},
   Foresight: {bp: 0, category: 'Status', type: 'Normal'},
-  'Future Sight': {bp: 80, type: 'Psychic'},
-  'Heal Bell': {bp: 0, category: 'Status', type: 'Normal'},
-  'Icy Wind': {bp: 55, type: 'Ice'},
+  'Future Sight': {bp: 80, type: 'Psychic', accuracy: 90},
+  'Heal Bell': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  'Icy Wind': {bp: 55, type: 'Ice', accuracy: 95},
   'Lock-On': {bp: 0, category: 'Status', type: 'Normal'},
   'Mind Reader': {bp: 0, category: 'Status', type: 'Normal'},
   'Mirror Coat': {bp: 0, type: 'Psychic'},
-  Moonlight: {bp: 0, category: 'Status', type: 'Normal'},
-  'Morning Sun': {bp: 0, category: 'Status', type: 'Normal'},
-  Nightmare: {bp: 0, category: 'Status', type: 'Ghost'},
+  Moonlight: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  'Morning Sun': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Nightmare: {bp: 0, category: 'Status', type: 'Ghost', accuracy: true},
   Outrage: {bp: 90, type: 'Dragon'},
   'Powder Snow': {bp: 40, type: 'Ice'},
-  Present: {bp: 0, type: 'Normal'},
-  Protect: {bp: 0, category: 'Status', type: 'Normal', priority: 2},
-  'Psych Up': {bp: 0, category: 'Status', type: 'Normal'},
+  Present: {bp: 0, type: 'Normal', accuracy: 90},
+  Protect: {bp: 0, category: 'Status', type: 'Normal', priority: 2, accuracy: true},
+  'Psych Up': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   Pursuit: {bp: 40, type: 'Dark'},
-  'Rain Dance': {bp: 0, category: 'Status', type: 'Water'},
+  'Rain Dance': {bp: 0, category: 'Status', type: 'Water', accuracy: true},
   Reversal: {bp: 0, type: 'Fighting'},
-  Safeguard: {bp: 0, category: 'Status', type: 'Normal'},
-  Sandstorm: {bp: 0, category: 'Status', type: 'Rock'},
-  Sketch: {bp: 0, category: 'Status', type: 'Normal'},
-  'Sleep Talk': {bp: 0, category: 'Status', type: 'Normal'},
-  Spikes: {bp: 0, category: 'Status', type: 'Ground'},
+  Safeguard: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Sandstorm: {bp: 0, category: 'Status', type: 'Rock', accuracy: true},
+  Sketch: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  'Sleep Talk': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Spikes: {bp: 0, category: 'Status', type: 'Ground', accuracy: true},
   Spite: {bp: 0, category: 'Status', type: 'Ghost'},
-  'Sunny Day': {bp: 0, category: 'Status', type: 'Fire'},
-  Swagger: {bp: 0, category: 'Status', type: 'Normal'},
+  'Sunny Day': {bp: 0, category: 'Status', type: 'Fire', accuracy: true},
+  Swagger: {bp: 0, category: 'Status', type: 'Normal', accuracy: 90},
   'Sweet Scent': {bp: 0, category: 'Status', type: 'Normal'},
-  Synthesis: {bp: 0, category: 'Status', type: 'Grass'},
+  Synthesis: {bp: 0, category: 'Status', type: 'Grass', accuracy: true},
   Thief: {bp: 40, type: 'Dark'},
-  'Triple Kick': {bp: 10, type: 'Fighting', multihit: [1, 3]},
+  'Triple Kick': {bp: 10, type: 'Fighting', multihit: [1, 3], accuracy: 90},
   Twister: {bp: 40, type: 'Dragon'},
   'Ancient Power': {bp: 60, type: 'Rock'},
-  'Bone Rush': {bp: 25, type: 'Ground', multihit: [2, 5]},
+  'Bone Rush': {bp: 25, type: 'Ground', multihit: [2, 5], accuracy: 80},
   Crunch: {bp: 80, type: 'Dark'},
-  'Feint Attack': {bp: 60, type: 'Dark'},
+  'Feint Attack': {bp: 60, type: 'Dark', accuracy: true},
   'Giga Drain': {bp: 60, type: 'Grass', drain: [1, 2]},
   'Hidden Power': {bp: 0, type: 'Normal'},
-  'Mean Look': {bp: 0, category: 'Status', type: 'Normal'},
+  'Mean Look': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   'Rapid Spin': {bp: 20, type: 'Normal'},
   'Rock Smash': {bp: 20, type: 'Fighting'},
-  'Spider Web': {bp: 0, category: 'Status', type: 'Bug'},
-  Whirlpool: {bp: 15, type: 'Water'},
-  'Zap Cannon': {bp: 100, type: 'Electric'},
-  'Cotton Spore': {bp: 0, category: 'Status', type: 'Grass'},
+  'Spider Web': {bp: 0, category: 'Status', type: 'Bug', accuracy: true},
+  Whirlpool: {bp: 15, type: 'Water', accuracy: 70},
+  'Zap Cannon': {bp: 100, type: 'Electric', accuracy: 50},
+  'Cotton Spore': {bp: 0, category: 'Status', type: 'Grass', accuracy: 85},
   'Extreme Speed': {bp: 80, type: 'Normal', priority: 1},
-  'Fury Cutter': {bp: 10, type: 'Bug'},
+  'Fury Cutter': {bp: 10, type: 'Bug', accuracy: 95},
   Magnitude: {bp: 0, type: 'Ground'},
-  'Milk Drink': {bp: 0, category: 'Status', type: 'Normal'},
-  'Scary Face': {bp: 0, category: 'Status', type: 'Normal'},
+  'Milk Drink': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  'Scary Face': {bp: 0, category: 'Status', type: 'Normal', accuracy: 90},
   Charm: {bp: 0, category: 'Status', type: 'Normal'},
   'Hidden Power Bug': {bp: 70, type: 'Bug'},
   'Hidden Power Dark': {bp: 70, type: 'Dark'},
@@ -310,36 +316,40 @@ const GSC_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Hidden Power Rock': {bp: 70, type: 'Rock'},
   'Hidden Power Steel': {bp: 70, type: 'Steel'},
   'Hidden Power Water': {bp: 70, type: 'Water'},
-  'Perish Song': {bp: 0, category: 'Status', type: 'Normal'},
+  'Perish Song': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   Snore: {bp: 40, type: 'Normal'},
-  'Sweet Kiss': {bp: 0, category: 'Status', type: 'Normal'},
-  Rollout: {bp: 30, type: 'Rock'},
+  'Sweet Kiss': {bp: 0, category: 'Status', type: 'Normal', accuracy: 75},
+  Rollout: {bp: 30, type: 'Rock', accuracy: 90},
   Frustration: {bp: 0, type: 'Normal'},
   Return: {bp: 0, type: 'Normal'},
-  'Sacred Fire': {bp: 100, type: 'Fire'},
-  'Baton Pass': {bp: 0, category: 'Status', type: 'Normal'},
+  'Sacred Fire': {bp: 100, type: 'Fire', accuracy: 95},
+  'Baton Pass': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   'Dragon Breath': {bp: 60, type: 'Dragon'},
-  'Dynamic Punch': {bp: 100, type: 'Fighting'},
+  'Dynamic Punch': {bp: 100, type: 'Fighting', accuracy: 50},
   'False Swipe': {bp: 40, type: 'Normal'},
   'Flame Wheel': {bp: 60, type: 'Fire'},
-  'Iron Tail': {bp: 100, type: 'Steel'},
+  'Iron Tail': {bp: 100, type: 'Steel', accuracy: 75},
   'Mach Punch': {bp: 40, type: 'Fighting', priority: 1},
-  Megahorn: {bp: 120, type: 'Bug'},
-  'Metal Claw': {bp: 50, type: 'Steel'},
+  Megahorn: {bp: 120, type: 'Bug', accuracy: 85},
+  'Metal Claw': {bp: 50, type: 'Steel', accuracy: 95},
   'Mud-Slap': {bp: 20, type: 'Ground'},
-  Octazooka: {bp: 80, type: 'Water'},
+  Octazooka: {bp: 80, type: 'Water', accuracy: 85},
   'Pain Split': {bp: 0, category: 'Status', type: 'Normal'},
   'Shadow Ball': {bp: 80, type: 'Ghost'},
   'Sludge Bomb': {bp: 90, type: 'Poison'},
   Spark: {bp: 65, type: 'Electric'},
-  'Steel Wing': {bp: 70, type: 'Steel'},
-  'Vital Throw': {bp: 70, type: 'Fighting'},
+  'Steel Wing': {bp: 70, type: 'Steel', accuracy: 90},
+  'Vital Throw': {bp: 70, type: 'Fighting', accuracy: true},
+  Blizzard: {accuracy: 70},
+  'Rock Throw': {accuracy: 90},
+  Whirlwind: {accuracy: 100},
 };
 
 const GSC: {[name: string]: MoveData} = extend(true, {}, RBY, GSC_PATCH);
 
 const ADV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   Acid: {target: 'allAdjacentFoes'},
+  Aeroblast: {critRatio: 2},
   'Ancient Power': {makesContact: true},
   Bide: {makesContact: true},
   Bind: {makesContact: true},
@@ -367,11 +377,12 @@ const ADV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   Pursuit: {makesContact: true},
   Rage: {makesContact: true},
   'Rapid Spin': {makesContact: true},
-  'Razor Wind': {target: 'allAdjacentFoes'},
+  'Razor Wind': {target: 'allAdjacentFoes', critRatio: 2, accuracy: 100},
   Reversal: {makesContact: true},
   'Rock Smash': {makesContact: true},
   'Self-Destruct': {target: 'allAdjacent'},
   'Skull Bash': {makesContact: true},
+  'Sky Attack': {critRatio: 2},
   Stomp: {makesContact: true},
   Struggle: {makesContact: true},
   Surf: {target: 'allAdjacentFoes'},
@@ -381,7 +392,7 @@ const ADV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Vine Whip': {makesContact: true},
   Waterfall: {makesContact: true},
   Wrap: {makesContact: true},
-  Crabhammer: {makesContact: true},
+  Crabhammer: {makesContact: true, critRatio: 2},
   'Double-Edge': {recoil: [1, 3], makesContact: true},
   Earthquake: {target: 'allAdjacent'},
   'Extreme Speed': {makesContact: true},
@@ -409,12 +420,12 @@ const ADV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Dizzy Punch': {makesContact: true},
   Frustration: {makesContact: true},
   'Hyper Fang': {makesContact: true},
-  'Karate Chop': {makesContact: true},
-  'Low Kick': {bp: 0, makesContact: true},
+  'Karate Chop': {makesContact: true, critRatio: 2},
+  'Low Kick': {bp: 0, makesContact: true, accuracy: 100},
   Return: {makesContact: true},
   'Rolling Kick': {makesContact: true},
   Bite: {makesContact: true},
-  'Cross Chop': {makesContact: true},
+  'Cross Chop': {makesContact: true, critRatio: 2},
   Cut: {makesContact: true},
   'Drill Peck': {makesContact: true},
   'Dynamic Punch': {makesContact: true},
@@ -438,13 +449,13 @@ const ADV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   Pound: {makesContact: true},
   'Powder Snow': {target: 'allAdjacentFoes'},
   'Quick Attack': {makesContact: true},
-  'Razor Leaf': {target: 'allAdjacentFoes'},
+  'Razor Leaf': {target: 'allAdjacentFoes', critRatio: 2},
   'Rock Slide': {target: 'allAdjacentFoes'},
   Scratch: {makesContact: true},
   'Seismic Toss': {makesContact: true},
   'Shadow Strike': {makesContact: true},
   Slam: {makesContact: true},
-  Slash: {makesContact: true},
+  Slash: {makesContact: true, critRatio: 2},
   Spark: {makesContact: true},
   'Steel Wing': {makesContact: true},
   Strength: {makesContact: true},
@@ -461,39 +472,39 @@ const ADV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     multihit: [2, 5],
     makesContact: true,
   },
-  Assist: {bp: 0, category: 'Status', type: 'Normal'},
+  Assist: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   Astonish: {bp: 40, type: 'Ghost', makesContact: true},
-  Block: {bp: 0, category: 'Status', type: 'Normal'},
-  Bounce: {bp: 85, type: 'Flying', makesContact: true},
+  Block: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Bounce: {bp: 85, type: 'Flying', makesContact: true, accuracy: 85},
   'Bullet Seed': {bp: 10, type: 'Grass', multihit: [2, 5]},
-  Camouflage: {bp: 0, category: 'Status', type: 'Normal'},
-  Charge: {bp: 0, category: 'Status', type: 'Electric'},
+  Camouflage: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Charge: {bp: 0, category: 'Status', type: 'Electric', accuracy: true},
   Covet: {bp: 40, type: 'Fairy'},
   Dive: {bp: 60, type: 'Water', makesContact: true},
-  'Doom Desire': {bp: 120, type: 'Steel'},
+  'Doom Desire': {bp: 120, type: 'Steel', accuracy: 85},
   Extrasensory: {bp: 80, type: 'Psychic'},
   'Fake Out': {bp: 40, type: 'Normal', priority: 1},
-  'Follow Me': {bp: 0, category: 'Status', type: 'Normal', priority: 3},
-  Hail: {bp: 0, category: 'Status', type: 'Ice'},
+  'Follow Me': {bp: 0, category: 'Status', type: 'Normal', priority: 3, accuracy: true},
+  Hail: {bp: 0, category: 'Status', type: 'Ice', accuracy: true},
   'Icicle Spear': {bp: 10, type: 'Ice', multihit: [2, 5]},
-  Ingrain: {bp: 0, category: 'Status', type: 'Grass'},
+  Ingrain: {bp: 0, category: 'Status', type: 'Grass', accuracy: true},
   'Knock Off': {bp: 20, type: 'Dark', makesContact: true},
-  'Leaf Blade': {bp: 70, type: 'Grass', makesContact: true},
-  'Magic Coat': {bp: 0, category: 'Status', type: 'Psychic', priority: 4},
-  Memento: {bp: 0, category: 'Status', type: 'Dark'},
-  'Nature Power': {bp: 0, category: 'Status', type: 'Normal'},
+  'Leaf Blade': {bp: 70, type: 'Grass', makesContact: true, critRatio: 2},
+  'Magic Coat': {bp: 0, category: 'Status', type: 'Psychic', priority: 4, accuracy: true},
+  Memento: {bp: 0, category: 'Status', type: 'Dark', accuracy: true},
+  'Nature Power': {bp: 0, category: 'Status', type: 'Normal', accuracy: 95},
   'Needle Arm': {bp: 60, type: 'Grass', makesContact: true},
   'Odor Sleuth': {bp: 0, category: 'Status', type: 'Normal'},
-  Overheat: {bp: 140, type: 'Fire', self: {boosts: {spa: -2}}, makesContact: true},
+  Overheat: {bp: 140, type: 'Fire', self: {boosts: {spa: -2}}, makesContact: true, accuracy: 90},
   Revenge: {bp: 60, type: 'Fighting', makesContact: true},
-  'Rock Blast': {bp: 25, type: 'Rock', multihit: [2, 5]},
-  'Role Play': {bp: 0, category: 'Status', type: 'Psychic'},
-  'Sand Tomb': {bp: 15, type: 'Ground'},
-  'Skill Swap': {bp: 0, category: 'Status', type: 'Psychic'},
+  'Rock Blast': {bp: 25, type: 'Rock', multihit: [2, 5], accuracy: 80},
+  'Role Play': {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
+  'Sand Tomb': {bp: 15, type: 'Ground', accuracy: 70},
+  'Skill Swap': {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
   'Smelling Salts': {bp: 60, type: 'Normal', makesContact: true},
   'Spit Up': {bp: 0, type: 'Normal'},
-  Stockpile: {bp: 0, category: 'Status', type: 'Normal'},
-  Swallow: {bp: 0, category: 'Status', type: 'Normal'},
+  Stockpile: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Swallow: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   Taunt: {bp: 0, category: 'Status', type: 'Dark'},
   'Teeter Dance': {bp: 0, category: 'Status', type: 'Normal', target: 'allAdjacent'},
   Tickle: {bp: 0, category: 'Status', type: 'Normal'},
@@ -501,68 +512,70 @@ const ADV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   Uproar: {bp: 50, type: 'Normal', isSound: true},
   'Volt Tackle': {bp: 120, type: 'Electric', recoil: [1, 3], makesContact: true},
   'Weather Ball': {bp: 50, type: 'Normal'},
-  Aromatherapy: {bp: 0, category: 'Status', type: 'Grass'},
+  Aromatherapy: {bp: 0, category: 'Status', type: 'Grass', accuracy: true},
   'Brick Break': {bp: 75, type: 'Fighting', makesContact: true},
   Endeavor: {bp: 0, type: 'Normal', makesContact: true},
   'Focus Punch': {bp: 150, type: 'Fighting', makesContact: true},
-  Imprison: {bp: 0, category: 'Status', type: 'Psychic'},
-  'Mud Sport': {bp: 0, category: 'Status', type: 'Ground'},
-  Recycle: {bp: 0, category: 'Status', type: 'Normal'},
+  Imprison: {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
+  'Mud Sport': {bp: 0, category: 'Status', type: 'Ground', accuracy: true},
+  Recycle: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   'Secret Power': {bp: 70, type: 'Normal'},
-  'Sky Uppercut': {bp: 85, type: 'Fighting', makesContact: true},
-  'Slack Off': {bp: 0, category: 'Status', type: 'Normal'},
-  Snatch: {bp: 0, category: 'Status', type: 'Dark', priority: 4},
-  'Tail Glow': {bp: 0, category: 'Status', type: 'Bug'},
+  'Sky Uppercut': {bp: 85, type: 'Fighting', makesContact: true, accuracy: 90},
+  'Slack Off': {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Snatch: {bp: 0, category: 'Status', type: 'Dark', priority: 4, accuracy: true},
+  'Tail Glow': {bp: 0, category: 'Status', type: 'Bug', accuracy: true},
   Torment: {bp: 0, category: 'Status', type: 'Dark'},
-  'Water Sport': {bp: 0, category: 'Status', type: 'Water'},
-  Wish: {bp: 0, category: 'Status', type: 'Normal'},
-  'Air Cutter': {bp: 55, type: 'Flying', target: 'allAdjacentFoes'},
+  'Water Sport': {bp: 0, category: 'Status', type: 'Water', accuracy: true},
+  Wish: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  'Air Cutter': {bp: 55, type: 'Flying', target: 'allAdjacentFoes', critRatio: 2, accuracy: 95},
   Facade: {bp: 70, type: 'Normal', makesContact: true},
-  'Grass Whistle': {bp: 0, category: 'Status', type: 'Grass', isSound: true},
-  'Heat Wave': {bp: 100, type: 'Fire', target: 'allAdjacentFoes'},
+  'Grass Whistle': {bp: 0, category: 'Status', type: 'Grass', isSound: true, accuracy: 55},
+  'Heat Wave': {bp: 100, type: 'Fire', target: 'allAdjacentFoes', accuracy: 90},
   'Hyper Voice': {bp: 90, type: 'Normal', isSound: true, target: 'allAdjacentFoes'},
-  'Metal Sound': {bp: 0, category: 'Status', type: 'Steel', isSound: true},
-  'Meteor Mash': {bp: 100, type: 'Steel', makesContact: true},
-  'Muddy Water': {bp: 95, type: 'Water', target: 'allAdjacentFoes'},
+  'Metal Sound': {bp: 0, category: 'Status', type: 'Steel', isSound: true, accuracy: 85},
+  'Meteor Mash': {bp: 100, type: 'Steel', makesContact: true, accuracy: 85},
+  'Muddy Water': {bp: 95, type: 'Water', target: 'allAdjacentFoes', accuracy: 85},
   'Poison Fang': {bp: 50, type: 'Poison', makesContact: true},
-  'Rock Tomb': {bp: 50, type: 'Rock'},
-  'Will-O-Wisp': {bp: 0, category: 'Status', type: 'Fire'},
-  'Ice Ball': {bp: 30, type: 'Ice', makesContact: true},
-  'Sheer Cold': {bp: 0, type: 'Ice'},
-  Howl: {bp: 0, category: 'Status', type: 'Normal'},
+  'Rock Tomb': {bp: 50, type: 'Rock', accuracy: 80},
+  'Will-O-Wisp': {bp: 0, category: 'Status', type: 'Fire', accuracy: 75},
+  'Ice Ball': {bp: 30, type: 'Ice', makesContact: true, accuracy: 90},
+  'Sheer Cold': {bp: 0, type: 'Ice', accuracy: 30},
+  Howl: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   'Luster Purge': {bp: 70, type: 'Psychic'},
   'Mist Ball': {bp: 70, type: 'Psychic'},
-  'Psycho Boost': {bp: 140, type: 'Psychic', self: {boosts: {spa: -2}}},
-  Refresh: {bp: 0, category: 'Status', type: 'Normal'},
+  'Psycho Boost': {bp: 140, type: 'Psychic', self: {boosts: {spa: -2}}, accuracy: 90},
+  Refresh: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
   'Signal Beam': {bp: 75, type: 'Bug'},
   'Silver Wind': {bp: 60, type: 'Bug'},
-  'Aerial Ace': {bp: 60, type: 'Flying', makesContact: true},
-  'Blast Burn': {bp: 150, type: 'Fire'},
-  'Blaze Kick': {bp: 85, type: 'Fire', makesContact: true},
-  'Bulk Up': {bp: 0, category: 'Status', type: 'Fighting'},
-  'Calm Mind': {bp: 0, category: 'Status', type: 'Psychic'},
-  'Cosmic Power': {bp: 0, category: 'Status', type: 'Psychic'},
-  'Crush Claw': {bp: 75, type: 'Normal', makesContact: true},
+  'Aerial Ace': {bp: 60, type: 'Flying', makesContact: true, accuracy: true},
+  'Blast Burn': {bp: 150, type: 'Fire', accuracy: 90},
+  'Blaze Kick': {bp: 85, type: 'Fire', makesContact: true, critRatio: 2, accuracy: 90},
+  'Bulk Up': {bp: 0, category: 'Status', type: 'Fighting', accuracy: true},
+  'Calm Mind': {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
+  'Cosmic Power': {bp: 0, category: 'Status', type: 'Psychic', accuracy: true},
+  'Crush Claw': {bp: 75, type: 'Normal', makesContact: true, accuracy: 95},
   'Dragon Claw': {bp: 80, type: 'Dragon', makesContact: true},
-  'Dragon Dance': {bp: 0, category: 'Status', type: 'Dragon'},
+  'Dragon Dance': {bp: 0, category: 'Status', type: 'Dragon', accuracy: true},
   Eruption: {bp: 150, type: 'Fire', target: 'allAdjacentFoes'},
   'Fake Tears': {bp: 0, category: 'Status', type: 'Dark'},
   'Feather Dance': {bp: 0, category: 'Status', type: 'Flying'},
   Flatter: {bp: 0, category: 'Status', type: 'Dark'},
-  'Frenzy Plant': {bp: 150, type: 'Grass'},
-  Grudge: {bp: 0, category: 'Status', type: 'Ghost'},
-  'Helping Hand': {bp: 0, category: 'Status', type: 'Normal', priority: 5},
-  'Hydro Cannon': {bp: 150, type: 'Water'},
-  'Iron Defense': {bp: 0, category: 'Status', type: 'Steel'},
-  'Magical Leaf': {bp: 60, type: 'Grass'},
-  'Mud Shot': {bp: 55, type: 'Ground'},
-  'Poison Tail': {bp: 50, type: 'Poison', makesContact: true},
-  'Shadow Punch': {bp: 60, type: 'Ghost', makesContact: true},
-  'Shock Wave': {bp: 60, type: 'Electric'},
+  'Frenzy Plant': {bp: 150, type: 'Grass', accuracy: 90},
+  Grudge: {bp: 0, category: 'Status', type: 'Ghost', accuracy: true},
+  'Helping Hand': {bp: 0, category: 'Status', type: 'Normal', priority: 5, accuracy: true},
+  'Hydro Cannon': {bp: 150, type: 'Water', accuracy: 90},
+  'Iron Defense': {bp: 0, category: 'Status', type: 'Steel', accuracy: true},
+  'Magical Leaf': {bp: 60, type: 'Grass', accuracy: true},
+  'Mud Shot': {bp: 55, type: 'Ground', accuracy: 95},
+  'Poison Tail': {bp: 50, type: 'Poison', makesContact: true, critRatio: 2},
+  'Shadow Punch': {bp: 60, type: 'Ghost', makesContact: true, accuracy: true},
+  'Shock Wave': {bp: 60, type: 'Electric', accuracy: true},
   Superpower: {bp: 120, type: 'Fighting', self: {boosts: {atk: -1, def: -1}}, makesContact: true},
   'Water Pulse': {bp: 60, type: 'Water'},
   'Water Spout': {bp: 150, type: 'Water', target: 'allAdjacentFoes'},
-  Yawn: {bp: 0, category: 'Status', type: 'Normal'},
+  Yawn: {bp: 0, category: 'Status', type: 'Normal', accuracy: true},
+  Mimic: {accuracy: true},
+  'Pain Split': {accuracy: true},
 };
 
 const ADV: {[name: string]: MoveData} = extend(true, {}, GSC, ADV_PATCH);
@@ -572,7 +585,7 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Arm Thrust': {category: 'Physical'},
   Barrage: {category: 'Physical'},
   'Beat Up': {category: 'Physical'},
-  Bide: {priority: 1, category: 'Physical'},
+  Bide: {priority: 1, category: 'Physical', accuracy: true},
   Bind: {category: 'Physical'},
   'Bone Rush': {category: 'Physical'},
   Bonemerang: {category: 'Physical'},
@@ -633,7 +646,7 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Spike Cannon': {category: 'Physical'},
   'Spit Up': {category: 'Special'},
   Stomp: {category: 'Physical'},
-  Struggle: {category: 'Physical', struggleRecoil: true},
+  Struggle: {category: 'Physical', struggleRecoil: true, accuracy: true},
   Submission: {category: 'Physical'},
   Surf: {target: 'allAdjacent', category: 'Special'},
   Tackle: {category: 'Physical'},
@@ -802,8 +815,8 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Water Spout': {category: 'Special'},
   'Wing Attack': {category: 'Physical'},
   'Zap Cannon': {bp: 120, category: 'Special'},
-  Acupressure: {bp: 0, type: 'Normal'},
-  'Aqua Ring': {bp: 0, type: 'Water'},
+  Acupressure: {bp: 0, type: 'Normal', accuracy: true},
+  'Aqua Ring': {bp: 0, type: 'Water', accuracy: true},
   Assurance: {
     bp: 50,
     type: 'Dark',
@@ -830,20 +843,21 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
   },
   Chatter: {bp: 60, type: 'Flying', isSound: true, category: 'Special'},
-  Copycat: {bp: 0, type: 'Normal'},
+  Copycat: {bp: 0, type: 'Normal', accuracy: true},
   'Crush Grip': {
     bp: 0,
     type: 'Normal',
     makesContact: true,
     category: 'Physical',
   },
-  Defog: {bp: 0, type: 'Flying'},
+  Defog: {bp: 0, type: 'Flying', accuracy: true},
   'Double Hit': {
     bp: 35,
     type: 'Normal',
     multihit: 2,
     makesContact: true,
     category: 'Physical',
+    accuracy: 90,
   },
   'Drain Punch': {
     bp: 60,
@@ -867,6 +881,7 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     isBite: true,
     category: 'Physical',
+    accuracy: 95,
   },
   'Flare Blitz': {
     bp: 120,
@@ -876,30 +891,31 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
   },
   Fling: {bp: 0, type: 'Dark', category: 'Physical'},
-  Gravity: {bp: 0, type: 'Psychic'},
+  Gravity: {bp: 0, type: 'Psychic', accuracy: true},
   'Head Smash': {
     bp: 150,
     type: 'Rock',
     recoil: [1, 2],
     makesContact: true,
     category: 'Physical',
+    accuracy: 80,
   },
   'Heal Block': {bp: 0, type: 'Psychic', target: 'allAdjacentFoes'},
-  'Healing Wish': {bp: 0, type: 'Psychic'},
-  'Heal Order': {bp: 0, type: 'Bug'},
+  'Healing Wish': {bp: 0, type: 'Psychic', accuracy: true},
+  'Heal Order': {bp: 0, type: 'Bug', accuracy: true},
   'Last Resort': {
     bp: 130,
     type: 'Normal',
     makesContact: true,
     category: 'Physical',
   },
-  'Lucky Chant': {bp: 0, type: 'Normal'},
-  'Lunar Dance': {bp: 0, type: 'Psychic'},
-  'Magma Storm': {bp: 120, type: 'Fire', category: 'Special'},
-  'Magnet Rise': {bp: 0, type: 'Electric'},
-  'Me First': {bp: 0, type: 'Normal'},
+  'Lucky Chant': {bp: 0, type: 'Normal', accuracy: true},
+  'Lunar Dance': {bp: 0, type: 'Psychic', accuracy: true},
+  'Magma Storm': {bp: 120, type: 'Fire', category: 'Special', accuracy: 70},
+  'Magnet Rise': {bp: 0, type: 'Electric', accuracy: true},
+  'Me First': {bp: 0, type: 'Normal', accuracy: true},
   'Metal Burst': {bp: 0, type: 'Steel', category: 'Physical'},
-  'Miracle Eye': {bp: 0, type: 'Psychic'},
+  'Miracle Eye': {bp: 0, type: 'Psychic', accuracy: true},
   'Natural Gift': {bp: 0, type: 'Normal', category: 'Physical'},
   Payback: {
     bp: 50,
@@ -913,9 +929,9 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
   },
-  'Power Trick': {bp: 0, type: 'Psychic'},
-  Roost: {bp: 0, type: 'Flying'},
-  'Stealth Rock': {bp: 0, type: 'Rock'},
+  'Power Trick': {bp: 0, type: 'Psychic', accuracy: true},
+  Roost: {bp: 0, type: 'Flying', accuracy: true},
+  'Stealth Rock': {bp: 0, type: 'Rock', accuracy: true},
   'Sucker Punch': {
     bp: 80,
     type: 'Dark',
@@ -924,9 +940,9 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
   },
   Switcheroo: {bp: 0, type: 'Dark'},
-  Tailwind: {bp: 0, type: 'Flying'},
-  'Toxic Spikes': {bp: 0, type: 'Poison'},
-  'Trick Room': {bp: 0, type: 'Psychic'},
+  Tailwind: {bp: 0, type: 'Flying', accuracy: true},
+  'Toxic Spikes': {bp: 0, type: 'Poison', accuracy: true},
+  'Trick Room': {bp: 0, type: 'Psychic', accuracy: true},
   'U-turn': {
     bp: 70,
     type: 'Bug',
@@ -953,28 +969,41 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Special',
   },
-  'Air Slash': {bp: 75, type: 'Flying', category: 'Special'},
-  'Aura Sphere': {bp: 90, type: 'Fighting', category: 'Special'},
+  'Air Slash': {bp: 75, type: 'Flying', category: 'Special', accuracy: 95},
+  'Aura Sphere': {bp: 90, type: 'Fighting', category: 'Special', accuracy: true},
   'Bug Buzz': {bp: 90, type: 'Bug', isSound: true, category: 'Special'},
-  'Draco Meteor': {bp: 140, type: 'Dragon', self: {boosts: {spa: -2}}, category: 'Special'},
+  'Draco Meteor': {
+    bp: 140,
+    type: 'Dragon',
+    self: {boosts: {spa: -2}},
+    category: 'Special',
+    accuracy: 90,
+  },
   'Dragon Pulse': {bp: 90, type: 'Dragon', category: 'Special'},
   'Dragon Rush': {
     bp: 100,
     type: 'Dragon',
     makesContact: true,
     category: 'Physical',
+    accuracy: 75,
   },
   'Energy Ball': {bp: 80, type: 'Grass', category: 'Special'},
-  'Gunk Shot': {bp: 120, type: 'Poison', category: 'Physical'},
+  'Gunk Shot': {bp: 120, type: 'Poison', category: 'Physical', accuracy: 70},
   'Gyro Ball': {
     bp: 0,
     type: 'Steel',
     makesContact: true,
     category: 'Physical',
   },
-  'Leaf Storm': {bp: 140, type: 'Grass', self: {boosts: {spa: -2}}, category: 'Special'},
+  'Leaf Storm': {
+    bp: 140,
+    type: 'Grass',
+    self: {boosts: {spa: -2}},
+    category: 'Special',
+    accuracy: 90,
+  },
   'Power Gem': {bp: 70, type: 'Rock', category: 'Special'},
-  'Psycho Shift': {bp: 0, type: 'Psychic'},
+  'Psycho Shift': {bp: 0, type: 'Psychic', accuracy: 90},
   'Shadow Force': {
     bp: 120,
     type: 'Ghost',
@@ -982,7 +1011,7 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
   },
-  'Dark Void': {bp: 0, type: 'Dark', target: 'allAdjacentFoes'},
+  'Dark Void': {bp: 0, type: 'Dark', target: 'allAdjacentFoes', accuracy: 80},
   'Gastro Acid': {bp: 0, type: 'Poison'},
   Captivate: {bp: 0, type: 'Normal', target: 'allAdjacentFoes'},
   'Grass Knot': {
@@ -991,11 +1020,11 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Special',
   },
-  'Heart Swap': {bp: 0, type: 'Psychic'},
+  'Heart Swap': {bp: 0, type: 'Psychic', accuracy: true},
   Judgment: {bp: 100, type: 'Normal', category: 'Special'},
-  'Magnet Bomb': {bp: 60, type: 'Steel', category: 'Physical'},
-  'Mirror Shot': {bp: 65, type: 'Steel', category: 'Special'},
-  'Mud Bomb': {bp: 65, type: 'Ground', category: 'Special'},
+  'Magnet Bomb': {bp: 60, type: 'Steel', category: 'Physical', accuracy: true},
+  'Mirror Shot': {bp: 65, type: 'Steel', category: 'Special', accuracy: 85},
+  'Mud Bomb': {bp: 65, type: 'Ground', category: 'Special', accuracy: 85},
   'Ominous Wind': {bp: 60, type: 'Ghost', category: 'Special'},
   Punishment: {
     bp: 0,
@@ -1003,20 +1032,22 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
   },
-  'Roar of Time': {bp: 150, type: 'Dragon', category: 'Special'},
+  'Roar of Time': {bp: 150, type: 'Dragon', category: 'Special', accuracy: 90},
   'Rock Climb': {
     bp: 90,
     type: 'Normal',
     makesContact: true,
     category: 'Physical',
+    accuracy: 85,
   },
-  'Seed Flare': {bp: 120, type: 'Grass', category: 'Special'},
-  'Spacial Rend': {bp: 100, type: 'Dragon', category: 'Special'},
+  'Seed Flare': {bp: 120, type: 'Grass', category: 'Special', accuracy: 85},
+  'Spacial Rend': {bp: 100, type: 'Dragon', category: 'Special', critRatio: 2, accuracy: 95},
   'Trump Card': {
     bp: 0,
     type: 'Normal',
     makesContact: true,
     category: 'Special',
+    accuracy: true,
   },
   'Aqua Jet': {
     bp: 40,
@@ -1030,8 +1061,9 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     type: 'Water',
     makesContact: true,
     category: 'Physical',
+    accuracy: 90,
   },
-  'Attack Order': {bp: 90, type: 'Bug', category: 'Physical'},
+  'Attack Order': {bp: 90, type: 'Bug', category: 'Physical', critRatio: 2},
   Brine: {bp: 65, type: 'Water', category: 'Special'},
   'Bullet Punch': {
     bp: 40,
@@ -1041,7 +1073,7 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     isPunch: true,
     category: 'Physical',
   },
-  'Charge Beam': {bp: 40, type: 'Electric', category: 'Special'},
+  'Charge Beam': {bp: 40, type: 'Electric', category: 'Special', accuracy: 90},
   'Close Combat': {
     bp: 120,
     type: 'Fighting',
@@ -1053,9 +1085,10 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     type: 'Poison',
     makesContact: true,
     category: 'Physical',
+    critRatio: 2,
   },
   'Dark Pulse': {bp: 80, type: 'Dark', category: 'Special'},
-  'Defend Order': {bp: 0, type: 'Bug'},
+  'Defend Order': {bp: 0, type: 'Bug', accuracy: true},
   Discharge: {
     bp: 80,
     type: 'Electric',
@@ -1064,7 +1097,7 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   },
   'Earth Power': {bp: 90, type: 'Ground', category: 'Special'},
   'Flash Cannon': {bp: 80, type: 'Steel', category: 'Special'},
-  'Focus Blast': {bp: 120, type: 'Fighting', category: 'Special'},
+  'Focus Blast': {bp: 120, type: 'Fighting', category: 'Special', accuracy: 70},
   'Force Palm': {
     bp: 60,
     type: 'Fighting',
@@ -1076,14 +1109,16 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     type: 'Normal',
     makesContact: true,
     category: 'Physical',
+    accuracy: 90,
   },
-  'Guard Swap': {bp: 0, type: 'Psychic'},
+  'Guard Swap': {bp: 0, type: 'Psychic', accuracy: true},
   'Hammer Arm': {
     bp: 100,
     type: 'Fighting',
     makesContact: true,
     isPunch: true,
     category: 'Physical',
+    accuracy: 90,
   },
   'Ice Fang': {
     bp: 65,
@@ -1091,6 +1126,7 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     isBite: true,
     category: 'Physical',
+    accuracy: 95,
   },
   'Ice Shard': {bp: 40, type: 'Ice', priority: 1, category: 'Physical'},
   'Iron Head': {
@@ -1105,12 +1141,13 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     target: 'allAdjacent',
     category: 'Special',
   },
-  'Nasty Plot': {bp: 0, type: 'Dark'},
+  'Nasty Plot': {bp: 0, type: 'Dark', accuracy: true},
   'Night Slash': {
     bp: 70,
     type: 'Dark',
     makesContact: true,
     category: 'Physical',
+    critRatio: 2,
   },
   'Poison Jab': {
     bp: 80,
@@ -1118,22 +1155,24 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
   },
-  'Power Swap': {bp: 0, type: 'Psychic'},
+  'Power Swap': {bp: 0, type: 'Psychic', accuracy: true},
   'Power Whip': {
     bp: 120,
     type: 'Grass',
     makesContact: true,
     category: 'Physical',
+    accuracy: 85,
   },
-  'Psycho Cut': {bp: 70, type: 'Psychic', category: 'Physical'},
-  'Rock Polish': {bp: 0, type: 'Rock'},
-  'Rock Wrecker': {bp: 150, type: 'Rock', category: 'Physical'},
+  'Psycho Cut': {bp: 70, type: 'Psychic', category: 'Physical', critRatio: 2},
+  'Rock Polish': {bp: 0, type: 'Rock', accuracy: true},
+  'Rock Wrecker': {bp: 150, type: 'Rock', category: 'Physical', accuracy: 90},
   'Seed Bomb': {bp: 80, type: 'Grass', category: 'Physical'},
   'Shadow Claw': {
     bp: 70,
     type: 'Ghost',
     makesContact: true,
     category: 'Physical',
+    critRatio: 2,
   },
   'Shadow Sneak': {
     bp: 40,
@@ -1142,13 +1181,14 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
   },
-  'Stone Edge': {bp: 100, type: 'Rock', category: 'Physical'},
+  'Stone Edge': {bp: 100, type: 'Rock', category: 'Physical', critRatio: 2, accuracy: 80},
   'Thunder Fang': {
     bp: 65,
     type: 'Electric',
     makesContact: true,
     isBite: true,
     category: 'Physical',
+    accuracy: 95,
   },
   'Vacuum Wave': {
     bp: 40,
@@ -1167,7 +1207,17 @@ const DPP_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     type: 'Psychic',
     makesContact: true,
     category: 'Physical',
+    accuracy: 90,
   },
+  Disable: {accuracy: 80},
+  Flash: {accuracy: 100},
+  Foresight: {accuracy: true},
+  'Lock-On': {accuracy: true},
+  'Mind Reader': {accuracy: true},
+  Nightmare: {accuracy: 100},
+  Memento: {accuracy: 100},
+  'Nature Power': {accuracy: true},
+  'Odor Sleuth': {accuracy: true},
 };
 
 const DPP: {[name: string]: MoveData} = extend(true, {}, ADV, DPP_PATCH);
@@ -1191,10 +1241,10 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Double-Edge': {recoil: [33, 100]},
   Protect: {priority: 4},
   'Fire Blast': {secondaries: true},
-  'Fire Spin': {bp: 35},
+  'Fire Spin': {bp: 35, accuracy: 85},
   Flamethrower: {secondaries: true},
   'Fury Cutter': {bp: 20},
-  'Future Sight': {bp: 100, type: 'Psychic'},
+  'Future Sight': {bp: 100, type: 'Psychic', accuracy: 100},
   'Giga Drain': {bp: 75},
   'Gunk Shot': {secondaries: true},
   'Heat Wave': {secondaries: true},
@@ -1204,9 +1254,9 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Muddy Water': {secondaries: true},
   Overheat: {},
   'Poison Fang': {secondaries: true},
-  'Poison Gas': {target: 'allAdjacentFoes'},
+  'Poison Gas': {target: 'allAdjacentFoes', accuracy: 80},
   'Rock Tomb': {secondaries: true},
-  'Sand Tomb': {bp: 35},
+  'Sand Tomb': {bp: 35, accuracy: 85},
   'Secret Power': {secondaries: true},
   Smog: {secondaries: true},
   Snore: {secondaries: true},
@@ -1214,9 +1264,9 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   Thunder: {secondaries: true},
   Thunderbolt: {secondaries: true},
   Uproar: {bp: 90},
-  Whirlpool: {bp: 35},
+  Whirlpool: {bp: 35, accuracy: 85},
   'Petal Dance': {bp: 120},
-  Tackle: {bp: 50},
+  Tackle: {bp: 50, accuracy: 100},
   Thrash: {bp: 120},
   'Bone Club': {secondaries: true},
   Constrict: {secondaries: true},
@@ -1253,7 +1303,7 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   Curse: {type: 'Ghost'},
   'Dark Pulse': {secondaries: true},
   Discharge: {secondaries: true},
-  'Doom Desire': {bp: 140},
+  'Doom Desire': {bp: 140, accuracy: 100},
   'Dragon Breath': {secondaries: true},
   'Dynamic Punch': {secondaries: true},
   'Earth Power': {secondaries: true},
@@ -1308,8 +1358,8 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Water Pulse': {secondaries: true},
   'Zap Cannon': {secondaries: true},
   'Zen Headbutt': {secondaries: true},
-  Autotomize: {bp: 0, type: 'Steel'},
-  Bestow: {bp: 0, type: 'Normal'},
+  Autotomize: {bp: 0, type: 'Steel', accuracy: true},
+  Bestow: {bp: 0, type: 'Normal', accuracy: true},
   'Echoed Voice': {bp: 40, type: 'Normal', isSound: true, category: 'Special'},
   'Electro Ball': {bp: 0, type: 'Electric', category: 'Special'},
   Entrainment: {bp: 0, type: 'Normal'},
@@ -1320,9 +1370,9 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
   },
   'Fire Pledge': {bp: 50, type: 'Fire', category: 'Special'},
-  'Frost Breath': {bp: 40, type: 'Ice', willCrit: true, category: 'Special'},
+  'Frost Breath': {bp: 40, type: 'Ice', willCrit: true, category: 'Special', accuracy: 90},
   'Grass Pledge': {bp: 50, type: 'Grass', category: 'Special'},
-  'Heal Pulse': {bp: 0, type: 'Psychic'},
+  'Heal Pulse': {bp: 0, type: 'Psychic', accuracy: true},
   'Heat Crash': {
     bp: 0,
     type: 'Fire',
@@ -1342,6 +1392,7 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     type: 'Flying',
     category: 'Special',
     secondaries: true,
+    accuracy: 70,
   },
   Incinerate: {bp: 30, type: 'Fire', target: 'allAdjacentFoes', category: 'Special'},
   'Low Sweep': {
@@ -1351,9 +1402,9 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     secondaries: true,
   },
-  'Magic Room': {bp: 0, type: 'Psychic'},
-  'Quick Guard': {bp: 0, type: 'Fighting', priority: 3},
-  'Rage Powder': {bp: 0, type: 'Bug', priority: 3},
+  'Magic Room': {bp: 0, type: 'Psychic', accuracy: true},
+  'Quick Guard': {bp: 0, type: 'Fighting', priority: 3, accuracy: true},
+  'Rage Powder': {bp: 0, type: 'Bug', priority: 3, accuracy: true},
   'Relic Song': {
     bp: 75,
     type: 'Normal',
@@ -1390,6 +1441,7 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     target: 'allAdjacentFoes',
     category: 'Special',
     secondaries: true,
+    accuracy: 95,
   },
   Soak: {bp: 0, type: 'Water'},
   Steamroller: {
@@ -1420,11 +1472,11 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
   },
   'Techno Blast': {bp: 85, type: 'Normal', category: 'Special'},
-  Telekinesis: {bp: 0, type: 'Psychic'},
+  Telekinesis: {bp: 0, type: 'Psychic', accuracy: true},
   'Water Pledge': {bp: 50, type: 'Water', category: 'Special'},
-  'Wide Guard': {bp: 0, type: 'Rock', priority: 3},
-  'Wonder Room': {bp: 0, type: 'Psychic'},
-  'Ally Switch': {bp: 0, type: 'Psychic', priority: 1},
+  'Wide Guard': {bp: 0, type: 'Rock', priority: 3, accuracy: true},
+  'Wonder Room': {bp: 0, type: 'Psychic', accuracy: true},
+  'Ally Switch': {bp: 0, type: 'Psychic', priority: 1, accuracy: true},
   'Flame Burst': {bp: 70, type: 'Fire', category: 'Special'},
   'Heavy Slam': {
     bp: 0,
@@ -1432,7 +1484,7 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
   },
-  'Reflect Type': {bp: 0, type: 'Normal'},
+  'Reflect Type': {bp: 0, type: 'Normal', accuracy: true},
   'Volt Switch': {bp: 70, type: 'Electric', category: 'Special'},
   'Chip Away': {
     bp: 70,
@@ -1481,12 +1533,13 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
   },
-  'After You': {bp: 0, type: 'Normal'},
+  'After You': {bp: 0, type: 'Normal', accuracy: true},
   'Blue Flare': {
     bp: 130,
     type: 'Fire',
     category: 'Special',
     secondaries: true,
+    accuracy: 85,
   },
   'Bolt Strike': {
     bp: 130,
@@ -1494,6 +1547,7 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
     secondaries: true,
+    accuracy: 85,
   },
   Bulldoze: {
     bp: 60,
@@ -1507,21 +1561,25 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     type: 'Fighting',
     makesContact: true,
     category: 'Physical',
+    accuracy: 90,
   },
-  'Clear Smog': {bp: 50, type: 'Poison', category: 'Special'},
-  Coil: {bp: 0, type: 'Poison'},
-  'Cotton Guard': {bp: 0, type: 'Grass'},
+  'Clear Smog': {bp: 50, type: 'Poison', category: 'Special', accuracy: true},
+  Coil: {bp: 0, type: 'Poison', accuracy: true},
+  'Cotton Guard': {bp: 0, type: 'Grass', accuracy: true},
   'Dragon Tail': {
     bp: 60,
     type: 'Dragon',
     makesContact: true,
     category: 'Physical',
+    accuracy: 90,
   },
   'Drill Run': {
     bp: 80,
     type: 'Ground',
     makesContact: true,
     category: 'Physical',
+    critRatio: 2,
+    accuracy: 95,
   },
   'Dual Chop': {
     bp: 40,
@@ -1529,6 +1587,7 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     multihit: 2,
     makesContact: true,
     category: 'Physical',
+    accuracy: 90,
   },
   Electroweb: {
     bp: 55,
@@ -1536,6 +1595,7 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     target: 'allAdjacentFoes',
     category: 'Special',
     secondaries: true,
+    accuracy: 95,
   },
   'Flame Charge': {
     bp: 50,
@@ -1556,6 +1616,7 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     type: 'Ice',
     category: 'Physical',
     secondaries: true,
+    accuracy: 90,
   },
   'Fusion Bolt': {bp: 100, type: 'Electric', category: 'Physical'},
   'Fusion Flare': {bp: 100, type: 'Fire', category: 'Special'},
@@ -1565,6 +1626,7 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     multihit: 2,
     makesContact: true,
     category: 'Physical',
+    accuracy: 85,
   },
   Glaciate: {
     bp: 65,
@@ -1572,40 +1634,46 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     target: 'allAdjacentFoes',
     category: 'Special',
     secondaries: true,
+    accuracy: 95,
   },
-  'Guard Split': {bp: 0, type: 'Psychic'},
-  'Hone Claws': {bp: 0, type: 'Dark'},
+  'Guard Split': {bp: 0, type: 'Psychic', accuracy: true},
+  'Hone Claws': {bp: 0, type: 'Dark', accuracy: true},
   'Ice Burn': {
     bp: 140,
     type: 'Ice',
     category: 'Special',
     secondaries: true,
+    accuracy: 90,
   },
   'Icicle Crash': {
     bp: 85,
     type: 'Ice',
     category: 'Physical',
     secondaries: true,
+    accuracy: 90,
   },
   Inferno: {
     bp: 100,
     type: 'Fire',
     category: 'Special',
     secondaries: true,
+    accuracy: 50,
   },
   'Leaf Tornado': {
     bp: 65,
     type: 'Grass',
     category: 'Special',
     secondaries: true,
+    accuracy: 90,
   },
   'Night Daze': {
     bp: 85,
     type: 'Dark',
     category: 'Special',
     secondaries: true,
+    accuracy: 95,
   },
-  'Power Split': {bp: 0, type: 'Psychic'},
+  'Power Split': {bp: 0, type: 'Psychic', accuracy: true},
   Psyshock: {
     bp: 80,
     type: 'Psychic',
@@ -1618,13 +1686,14 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     overrideDefensiveStat: 'def',
   },
-  'Quiver Dance': {bp: 0, type: 'Bug'},
+  'Quiver Dance': {bp: 0, type: 'Bug', accuracy: true},
   'Razor Shell': {
     bp: 75,
     type: 'Water',
     makesContact: true,
     category: 'Physical',
     secondaries: true,
+    accuracy: 95,
   },
   Retaliate: {
     bp: 70,
@@ -1638,8 +1707,8 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     overrideDefensiveStat: 'def',
   },
-  'Shell Smash': {bp: 0, type: 'Normal'},
-  'Shift Gear': {bp: 0, type: 'Steel'},
+  'Shell Smash': {bp: 0, type: 'Normal', accuracy: true},
+  'Shift Gear': {bp: 0, type: 'Steel', accuracy: true},
   'Sludge Wave': {
     bp: 95,
     type: 'Poison',
@@ -1655,12 +1724,14 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     multihit: [2, 5],
     makesContact: true,
     category: 'Physical',
+    accuracy: 85,
   },
   'V-create': {
     bp: 180,
     type: 'Fire',
     makesContact: true,
     category: 'Physical',
+    accuracy: 95,
   },
   Venoshock: {bp: 65, type: 'Poison', category: 'Special'},
   'Wild Charge': {
@@ -1670,7 +1741,19 @@ const BW_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
   },
-  'Work Up': {bp: 0, type: 'Normal'},
+  'Work Up': {bp: 0, type: 'Normal', accuracy: true},
+  Bind: {accuracy: 85},
+  Clamp: {accuracy: 85},
+  Crabhammer: {accuracy: 90},
+  Disable: {accuracy: 100},
+  Glare: {accuracy: 90},
+  Wrap: {accuracy: 90},
+  Toxic: {accuracy: 90},
+  'Bone Rush': {accuracy: 90},
+  'Cotton Spore': {accuracy: 100},
+  'Scary Face': {accuracy: 100},
+  'Rock Blast': {accuracy: 90},
+  'Magma Storm': {accuracy: 75},
 };
 
 const BW: {[name: string]: MoveData} = extend(true, {}, DPP, BW_PATCH);
@@ -1749,14 +1832,14 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'Leaf Storm': {bp: 130},
   Lick: {bp: 40},
   'Low Sweep': {bp: 65},
-  'Meteor Mash': {bp: 90},
+  'Meteor Mash': {bp: 90, accuracy: 90},
   'Muddy Water': {bp: 90},
   Octazooka: {isBullet: true},
   Overheat: {bp: 130},
-  'Pin Missile': {bp: 25},
+  'Pin Missile': {bp: 25, accuracy: 95},
   'Power Gem': {bp: 80},
   'Rage Powder': {priority: 2},
-  'Rock Tomb': {bp: 60},
+  'Rock Tomb': {bp: 60, accuracy: 95},
   'Rock Wrecker': {isBullet: true},
   'Seed Bomb': {isBullet: true},
   'Shadow Ball': {isBullet: true},
@@ -1780,6 +1863,7 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     target: 'allAdjacentFoes',
     category: 'Physical',
     secondaries: true,
+    accuracy: 95,
   },
   'Fell Stinger': {
     bp: 30,
@@ -1792,21 +1876,24 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     type: 'Fighting',
     makesContact: true,
     category: 'Physical',
+    accuracy: 95,
   },
   'Hyperspace Fury': {
     bp: 100,
     type: 'Dark',
     breaksProtect: true,
     category: 'Physical',
+    accuracy: true,
   },
   'Hyperspace Hole': {
     bp: 80,
     type: 'Psychic',
     breaksProtect: true,
     category: 'Special',
+    accuracy: true,
   },
-  'King\'s Shield': {bp: 0, type: 'Steel', priority: 4},
-  'Misty Terrain': {bp: 0, type: 'Fairy'},
+  'King\'s Shield': {bp: 0, type: 'Steel', priority: 4, accuracy: true},
+  'Misty Terrain': {bp: 0, type: 'Fairy', accuracy: true},
   'Mystical Fire': {
     bp: 65,
     type: 'Fire',
@@ -1829,7 +1916,7 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
   },
   Powder: {bp: 0, type: 'Bug', priority: 1},
-  'Spiky Shield': {bp: 0, type: 'Grass', priority: 4},
+  'Spiky Shield': {bp: 0, type: 'Grass', priority: 4, accuracy: true},
   'Thousand Arrows': {bp: 90, type: 'Ground', target: 'allAdjacentFoes', category: 'Physical'},
   'Thousand Waves': {bp: 90, type: 'Ground', target: 'allAdjacentFoes', category: 'Physical'},
   'Water Shuriken': {
@@ -1845,12 +1932,12 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
   },
-  'Electric Terrain': {bp: 0, type: 'Electric'},
-  Geomancy: {bp: 0, type: 'Fairy'},
-  'Grassy Terrain': {bp: 0, type: 'Grass'},
-  'Ion Deluge': {bp: 0, type: 'Electric', priority: 1},
+  'Electric Terrain': {bp: 0, type: 'Electric', accuracy: true},
+  Geomancy: {bp: 0, type: 'Fairy', accuracy: true},
+  'Grassy Terrain': {bp: 0, type: 'Grass', accuracy: true},
+  'Ion Deluge': {bp: 0, type: 'Electric', priority: 1, accuracy: true},
   'Land\'s Wrath': {bp: 90, type: 'Ground', target: 'allAdjacentFoes', category: 'Physical'},
-  'Light of Ruin': {bp: 140, type: 'Fairy', recoil: [1, 2], category: 'Special'},
+  'Light of Ruin': {bp: 140, type: 'Fairy', recoil: [1, 2], category: 'Special', accuracy: 90},
   'Oblivion Wing': {
     bp: 80,
     type: 'Flying',
@@ -1863,23 +1950,26 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     target: 'allAdjacentFoes',
     category: 'Special',
     isPulse: true,
+    accuracy: 85,
   },
   'Precipice Blades': {
     bp: 120,
     type: 'Ground',
     target: 'allAdjacentFoes',
     category: 'Physical',
+    accuracy: 85,
   },
-  Rototiller: {bp: 0, type: 'Ground'},
+  Rototiller: {bp: 0, type: 'Ground', accuracy: true},
   'Steam Eruption': {
     bp: 110,
     type: 'Water',
     category: 'Special',
     secondaries: true,
+    accuracy: 95,
   },
-  'Aromatic Mist': {bp: 0, type: 'Fairy'},
+  'Aromatic Mist': {bp: 0, type: 'Fairy', accuracy: true},
   'Baby-Doll Eyes': {bp: 0, type: 'Fairy', priority: 1},
-  Belch: {bp: 120, type: 'Poison', category: 'Special'},
+  Belch: {bp: 120, type: 'Poison', category: 'Special', accuracy: 90},
   Boomburst: {
     bp: 140,
     type: 'Normal',
@@ -1887,9 +1977,9 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     target: 'allAdjacent',
     category: 'Special',
   },
-  Celebrate: {bp: 0, type: 'Normal'},
-  Confide: {bp: 0, type: 'Normal', isSound: true},
-  'Crafty Shield': {bp: 0, type: 'Fairy', priority: 3},
+  Celebrate: {bp: 0, type: 'Normal', accuracy: true},
+  Confide: {bp: 0, type: 'Normal', isSound: true, accuracy: true},
+  'Crafty Shield': {bp: 0, type: 'Fairy', priority: 3, accuracy: true},
   'Dazzling Gleam': {bp: 80, type: 'Fairy', target: 'allAdjacentFoes', category: 'Special'},
   'Disarming Voice': {
     bp: 40,
@@ -1897,6 +1987,7 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     isSound: true,
     target: 'allAdjacentFoes',
     category: 'Special',
+    accuracy: true,
   },
   'Draining Kiss': {
     bp: 50,
@@ -1906,10 +1997,10 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
   },
   'Eerie Impulse': {bp: 0, type: 'Electric'},
-  Electrify: {bp: 0, type: 'Electric'},
-  'Fairy Lock': {bp: 0, type: 'Fairy'},
+  Electrify: {bp: 0, type: 'Electric', accuracy: true},
+  'Fairy Lock': {bp: 0, type: 'Fairy', accuracy: true},
   'Fairy Wind': {bp: 40, type: 'Fairy', category: 'Special'},
-  'Flower Shield': {bp: 0, type: 'Fairy'},
+  'Flower Shield': {bp: 0, type: 'Fairy', accuracy: true},
   'Forest\'s Curse': {bp: 0, type: 'Grass'},
   'Freeze-Dry': {
     bp: 70,
@@ -1917,17 +2008,17 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     secondaries: true,
   },
-  'Happy Hour': {bp: 0, type: 'Normal'},
+  'Happy Hour': {bp: 0, type: 'Normal', accuracy: true},
   'Hold Back': {
     bp: 40,
     type: 'Normal',
     makesContact: true,
     category: 'Physical',
   },
-  'Hold Hands': {bp: 0, type: 'Normal'},
+  'Hold Hands': {bp: 0, type: 'Normal', accuracy: true},
   Infestation: {bp: 20, type: 'Bug', makesContact: true, category: 'Special'},
-  'Magnetic Flux': {bp: 0, type: 'Electric'},
-  'Mat Block': {bp: 0, type: 'Fighting'},
+  'Magnetic Flux': {bp: 0, type: 'Electric', accuracy: true},
+  'Mat Block': {bp: 0, type: 'Fighting', accuracy: true},
   Moonblast: {
     bp: 95,
     type: 'Fairy',
@@ -1948,13 +2039,14 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     target: 'allAdjacent',
     category: 'Physical',
   },
-  'Play Nice': {bp: 0, type: 'Normal'},
+  'Play Nice': {bp: 0, type: 'Normal', accuracy: true},
   'Play Rough': {
     bp: 90,
     type: 'Fairy',
     makesContact: true,
     category: 'Physical',
     secondaries: true,
+    accuracy: 90,
   },
   'Power-Up Punch': {
     bp: 40,
@@ -1964,10 +2056,18 @@ const XY_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     secondaries: true,
   },
-  'Sticky Web': {bp: 0, type: 'Bug'},
-  'Topsy-Turvy': {bp: 0, type: 'Dark'},
+  'Sticky Web': {bp: 0, type: 'Bug', accuracy: true},
+  'Topsy-Turvy': {bp: 0, type: 'Dark', accuracy: true},
   'Trick-or-Treat': {bp: 0, type: 'Ghost'},
   'Venom Drench': {bp: 0, type: 'Poison', target: 'allAdjacentFoes'},
+  Glare: {accuracy: 100},
+  Psywave: {accuracy: 100},
+  Roar: {accuracy: true},
+  Whirlwind: {accuracy: true},
+  'Poison Gas': {accuracy: 90},
+  'Will-O-Wisp': {accuracy: 85},
+  'Gunk Shot': {accuracy: 80},
+  'Psycho Shift': {accuracy: 100},
 };
 
 const XY: {[name: string]: MoveData} = extend(true, {}, BW, XY_PATCH);
@@ -2387,11 +2487,18 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
   'X-Scissor': {zp: 160},
   'Zap Cannon': {zp: 190},
   'Zen Headbutt': {zp: 160},
-  '10,000,000 Volt Thunderbolt': {bp: 195, type: 'Electric', category: 'Special', isZ: true},
-  'Acid Downpour': {bp: 1, type: 'Poison', category: 'Physical', isZ: true},
-  'All-Out Pummeling': {bp: 1, type: 'Fighting', category: 'Physical', isZ: true},
+  '10,000,000 Volt Thunderbolt': {
+    bp: 195,
+    type: 'Electric',
+    category: 'Special',
+    isZ: true,
+    critRatio: 3,
+    accuracy: true,
+  },
+  'Acid Downpour': {bp: 1, type: 'Poison', category: 'Physical', isZ: true, accuracy: true},
+  'All-Out Pummeling': {bp: 1, type: 'Fighting', category: 'Physical', isZ: true, accuracy: true},
   'Baddy Bad': {bp: 90, type: 'Dark', category: 'Special', zp: 175},
-  'Baneful Bunker': {bp: 0, type: 'Poison', priority: 4},
+  'Baneful Bunker': {bp: 0, type: 'Poison', priority: 4, accuracy: true},
   'Beak Blast': {
     bp: 100,
     type: 'Flying',
@@ -2399,8 +2506,8 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     isBullet: true,
     zp: 180,
   },
-  'Black Hole Eclipse': {bp: 1, type: 'Dark', category: 'Physical', isZ: true},
-  'Bloom Doom': {bp: 1, type: 'Grass', category: 'Physical', isZ: true},
+  'Black Hole Eclipse': {bp: 1, type: 'Dark', category: 'Physical', isZ: true, accuracy: true},
+  'Bloom Doom': {bp: 1, type: 'Grass', category: 'Physical', isZ: true, accuracy: true},
   'Bouncy Bubble': {
     bp: 90,
     type: 'Water',
@@ -2408,7 +2515,7 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     zp: 175,
   },
-  'Breakneck Blitz': {bp: 1, type: 'Normal', category: 'Physical', isZ: true},
+  'Breakneck Blitz': {bp: 1, type: 'Normal', category: 'Physical', isZ: true, accuracy: true},
   'Buzzy Buzz': {
     bp: 90,
     type: 'Electric',
@@ -2422,6 +2529,7 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
     isZ: true,
+    accuracy: true,
   },
   'Clangorous Soulblaze': {
     bp: 185,
@@ -2431,8 +2539,9 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     secondaries: true,
     isZ: true,
+    accuracy: true,
   },
-  'Continental Crush': {bp: 1, type: 'Rock', category: 'Physical', isZ: true},
+  'Continental Crush': {bp: 1, type: 'Rock', category: 'Physical', isZ: true, accuracy: true},
   'Core Enforcer': {
     bp: 100,
     type: 'Dragon',
@@ -2440,8 +2549,8 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     zp: 140,
   },
-  'Corkscrew Crash': {bp: 1, type: 'Steel', category: 'Physical', isZ: true},
-  'Devastating Drake': {bp: 1, type: 'Dragon', category: 'Physical', isZ: true},
+  'Corkscrew Crash': {bp: 1, type: 'Steel', category: 'Physical', isZ: true, accuracy: true},
+  'Devastating Drake': {bp: 1, type: 'Dragon', category: 'Physical', isZ: true, accuracy: true},
   'Double Iron Bash': {
     bp: 60,
     type: 'Steel',
@@ -2459,15 +2568,16 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     zp: 175,
   },
-  'Extreme Evoboost': {bp: 0, type: 'Normal', isZ: true},
+  'Extreme Evoboost': {bp: 0, type: 'Normal', isZ: true, accuracy: true},
   'Fleur Cannon': {
     bp: 130,
     type: 'Fairy',
     self: {boosts: {spa: -2}},
     category: 'Special',
     zp: 195,
+    accuracy: 90,
   },
-  'Floral Healing': {bp: 0, type: 'Fairy'},
+  'Floral Healing': {bp: 0, type: 'Fairy', accuracy: true},
   'Freezy Frost': {bp: 90, type: 'Ice', category: 'Special', zp: 175},
   'Genesis Supernova': {
     bp: 185,
@@ -2475,11 +2585,12 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     secondaries: true,
     isZ: true,
+    accuracy: true,
   },
-  'Gigavolt Havoc': {bp: 1, type: 'Electric', category: 'Physical', isZ: true},
+  'Gigavolt Havoc': {bp: 1, type: 'Electric', category: 'Physical', isZ: true, accuracy: true},
   'Glitzy Glow': {bp: 90, type: 'Psychic', category: 'Special', zp: 175},
-  'Guardian of Alola': {bp: 0, type: 'Fairy', category: 'Special', isZ: true},
-  'Hydro Vortex': {bp: 1, type: 'Water', category: 'Physical', isZ: true},
+  'Guardian of Alola': {bp: 0, type: 'Fairy', category: 'Special', isZ: true, accuracy: true},
+  'Hydro Vortex': {bp: 1, type: 'Water', category: 'Physical', isZ: true, accuracy: true},
   'Ice Hammer': {
     bp: 100,
     type: 'Ice',
@@ -2487,21 +2598,24 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     isPunch: true,
     category: 'Physical',
     zp: 180,
+    accuracy: 90,
   },
-  'Inferno Overdrive': {bp: 1, type: 'Fire', category: 'Physical', isZ: true},
-  Instruct: {bp: 0, type: 'Psychic'},
+  'Inferno Overdrive': {bp: 1, type: 'Fire', category: 'Physical', isZ: true, accuracy: true},
+  Instruct: {bp: 0, type: 'Psychic', accuracy: true},
   'Let\'s Snuggle Forever': {
     bp: 190,
     type: 'Fairy',
     makesContact: true,
     category: 'Physical',
     isZ: true,
+    accuracy: true,
   },
   'Light That Burns the Sky': {
     bp: 200,
     type: 'Psychic',
     category: 'Special',
     isZ: true,
+    accuracy: true,
   },
   'Malicious Moonsault': {
     bp: 180,
@@ -2509,8 +2623,15 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
     isZ: true,
+    accuracy: true,
+  },
+  'Menacing Moonraze Maelstrom': {
+    bp: 200,
+    type: 'Ghost',
+    category: 'Special',
+    isZ: true,
+    accuracy: true,
   },
-  'Menacing Moonraze Maelstrom': {bp: 200, type: 'Ghost', category: 'Special', isZ: true},
   'Mind Blown': {
     bp: 150,
     type: 'Fire',
@@ -2526,26 +2647,28 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     zp: 185,
   },
-  'Nature\'s Madness': {bp: 0, type: 'Fairy', category: 'Special', zp: 100},
-  'Never-Ending Nightmare': {bp: 1, type: 'Ghost', category: 'Physical', isZ: true},
-  'Oceanic Operetta': {bp: 195, type: 'Water', category: 'Special', isZ: true},
-  'Psychic Terrain': {bp: 0, type: 'Psychic'},
+  'Nature\'s Madness': {bp: 0, type: 'Fairy', category: 'Special', zp: 100, accuracy: 90},
+  'Never-Ending Nightmare': {bp: 1, type: 'Ghost', category: 'Physical', isZ: true, accuracy: true},
+  'Oceanic Operetta': {bp: 195, type: 'Water', category: 'Special', isZ: true, accuracy: true},
+  'Psychic Terrain': {bp: 0, type: 'Psychic', accuracy: true},
   'Pulverizing Pancake': {
     bp: 210,
     type: 'Normal',
     makesContact: true,
     category: 'Physical',
     isZ: true,
+    accuracy: true,
   },
   'Revelation Dance': {bp: 90, type: 'Normal', category: 'Special', zp: 175},
   'Sappy Seed': {bp: 90, type: 'Grass', category: 'Physical', zp: 175},
-  'Savage Spin-Out': {bp: 1, type: 'Bug', category: 'Physical', isZ: true},
+  'Savage Spin-Out': {bp: 1, type: 'Bug', category: 'Physical', isZ: true, accuracy: true},
   'Searing Sunraze Smash': {
     bp: 200,
     type: 'Steel',
     makesContact: true,
     category: 'Physical',
     isZ: true,
+    accuracy: true,
   },
   'Shadow Bone': {
     bp: 85,
@@ -2554,9 +2677,9 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     secondaries: true,
     zp: 160,
   },
-  'Shattered Psyche': {bp: 1, type: 'Psychic', category: 'Physical', isZ: true},
-  'Shore Up': {bp: 0, type: 'Ground'},
-  'Sinister Arrow Raid': {bp: 180, type: 'Ghost', category: 'Physical', isZ: true},
+  'Shattered Psyche': {bp: 1, type: 'Psychic', category: 'Physical', isZ: true, accuracy: true},
+  'Shore Up': {bp: 0, type: 'Ground', accuracy: true},
+  'Sinister Arrow Raid': {bp: 180, type: 'Ghost', category: 'Physical', isZ: true, accuracy: true},
   'Sizzly Slide': {
     bp: 90,
     type: 'Fire',
@@ -2578,20 +2701,28 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
     isZ: true,
+    accuracy: true,
   },
   'Sparkly Swirl': {bp: 90, type: 'Fairy', category: 'Special', zp: 175},
-  'Splintered Stormshards': {bp: 190, type: 'Rock', category: 'Physical', isZ: true},
-  Spotlight: {bp: 0, type: 'Normal', priority: 3},
+  'Splintered Stormshards': {
+    bp: 190,
+    type: 'Rock',
+    category: 'Physical',
+    isZ: true,
+    accuracy: true,
+  },
+  Spotlight: {bp: 0, type: 'Normal', priority: 3, accuracy: true},
   'Stoked Sparksurfer': {
     bp: 175,
     type: 'Electric',
     category: 'Special',
     secondaries: true,
     isZ: true,
+    accuracy: true,
   },
-  'Subzero Slammer': {bp: 1, type: 'Ice', category: 'Physical', isZ: true},
-  'Supersonic Skystrike': {bp: 1, type: 'Flying', category: 'Physical', isZ: true},
-  'Tectonic Rage': {bp: 1, type: 'Ground', category: 'Physical', isZ: true},
+  'Subzero Slammer': {bp: 1, type: 'Ice', category: 'Physical', isZ: true, accuracy: true},
+  'Supersonic Skystrike': {bp: 1, type: 'Flying', category: 'Physical', isZ: true, accuracy: true},
+  'Tectonic Rage': {bp: 1, type: 'Ground', category: 'Physical', isZ: true, accuracy: true},
   'Throat Chop': {
     bp: 80,
     type: 'Dark',
@@ -2601,7 +2732,7 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     zp: 160,
   },
   'Toxic Thread': {bp: 0, type: 'Poison'},
-  'Twinkle Tackle': {bp: 1, type: 'Fairy', category: 'Physical', isZ: true},
+  'Twinkle Tackle': {bp: 1, type: 'Fairy', category: 'Physical', isZ: true, accuracy: true},
   'Zippy Zap': {
     bp: 50,
     type: 'Electric',
@@ -2627,7 +2758,7 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     secondaries: true,
     zp: 160,
   },
-  'Aurora Veil': {bp: 0, type: 'Ice'},
+  'Aurora Veil': {bp: 0, type: 'Ice', accuracy: true},
   'Brutal Swing': {
     bp: 60,
     type: 'Dark',
@@ -2676,16 +2807,18 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     secondaries: true,
     zp: 175,
+    accuracy: 95,
   },
-  'Gear Up': {bp: 0, type: 'Steel'},
+  'Gear Up': {bp: 0, type: 'Steel', accuracy: true},
   'High Horsepower': {
     bp: 95,
     type: 'Ground',
     makesContact: true,
     category: 'Physical',
     zp: 175,
+    accuracy: 95,
   },
-  'Laser Focus': {bp: 0, type: 'Normal'},
+  'Laser Focus': {bp: 0, type: 'Normal', accuracy: true},
   Leafage: {bp: 40, type: 'Grass', category: 'Physical', zp: 100},
   Liquidation: {
     bp: 85,
@@ -2710,7 +2843,7 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     zp: 180,
   },
-  'Pika Papow': {bp: 0, type: 'Electric', category: 'Special', zp: 100},
+  'Pika Papow': {bp: 0, type: 'Electric', category: 'Special', zp: 100, accuracy: true},
   'Plasma Fists': {
     bp: 100,
     type: 'Electric',
@@ -2742,7 +2875,7 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     zp: 160,
   },
-  Purify: {bp: 0, type: 'Poison'},
+  Purify: {bp: 0, type: 'Poison', accuracy: true},
   'Shell Trap': {
     bp: 150,
     type: 'Fire',
@@ -2756,6 +2889,7 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
     zp: 140,
+    accuracy: true,
   },
   'Sparkling Aria': {
     bp: 90,
@@ -2773,7 +2907,7 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     zp: 175,
   },
-  'Speed Swap': {bp: 0, type: 'Psychic'},
+  'Speed Swap': {bp: 0, type: 'Psychic', accuracy: true},
   'Spirit Shackle': {
     bp: 80,
     type: 'Ghost',
@@ -2804,7 +2938,7 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     zp: 180,
   },
-  'Tearful Look': {bp: 0, type: 'Normal'},
+  'Tearful Look': {bp: 0, type: 'Normal', accuracy: true},
   'Trop Kick': {
     bp: 70,
     type: 'Grass',
@@ -2819,6 +2953,7 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     category: 'Physical',
     zp: 100,
+    accuracy: true,
   },
   'Zing Zap': {
     bp: 80,
@@ -2828,6 +2963,9 @@ const SM_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     secondaries: true,
     zp: 160,
   },
+  'Thunder Wave': {accuracy: 90},
+  Swagger: {accuracy: 85},
+  'Dark Void': {accuracy: 50},
 };
 
 const SM: {[name: string]: MoveData} = extend(true, {}, XY, SM_PATCH);
@@ -2922,6 +3060,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     bp: 0,
     type: 'Fighting',
     category: 'Status',
+    accuracy: true,
   },
   'Corrosive Gas': {
     bp: 0,
@@ -2930,7 +3069,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     target: 'allAdjacent',
   },
   'Court Change': {bp: 0, type: 'Normal'},
-  Decorate: {bp: 0, type: 'Fairy'},
+  Decorate: {bp: 0, type: 'Fairy', accuracy: true},
   'Dragon Darts': {
     bp: 50,
     type: 'Dragon',
@@ -2963,6 +3102,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     multihit: 2,
     zp: 100,
     maxPower: 130,
+    accuracy: 90,
   },
   'Dynamax Cannon': {
     bp: 100,
@@ -2986,6 +3126,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     zp: 200,
     maxPower: 150,
+    accuracy: 90,
   },
   'Expanding Force': {
     bp: 80,
@@ -3001,6 +3142,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     zp: 160,
     maxPower: 130,
+    accuracy: true,
   },
   'Fiery Wrath': {
     bp: 90,
@@ -3050,6 +3192,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Centiferno': {
     bp: 10,
@@ -3057,6 +3200,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Cannonade': {
     bp: 10,
@@ -3064,6 +3208,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Chi Strike': {
     bp: 10,
@@ -3071,6 +3216,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Cuddle': {
     bp: 10,
@@ -3078,6 +3224,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Depletion': {
     bp: 10,
@@ -3085,6 +3232,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Drum Solo': {
     bp: 160,
@@ -3092,6 +3240,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Fireball': {
     bp: 160,
@@ -3099,6 +3248,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Finale': {
     bp: 10,
@@ -3106,6 +3256,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Foam Burst': {
     bp: 10,
@@ -3113,6 +3264,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Gold Rush': {
     bp: 10,
@@ -3120,6 +3272,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Gravitas': {
     bp: 10,
@@ -3127,6 +3280,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Hydrosnipe': {
     bp: 160,
@@ -3134,6 +3288,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Malodor': {
     bp: 10,
@@ -3141,6 +3296,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Meltdown': {
     bp: 10,
@@ -3148,6 +3304,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max One Blow': {
     bp: 10,
@@ -3155,6 +3312,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Rapid Flow': {
     bp: 10,
@@ -3162,6 +3320,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Replenish': {
     bp: 10,
@@ -3169,6 +3328,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Resonance': {
     bp: 10,
@@ -3176,6 +3336,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Sandblast': {
     bp: 10,
@@ -3183,6 +3344,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Smite': {
     bp: 10,
@@ -3190,6 +3352,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Snooze': {
     bp: 10,
@@ -3197,6 +3360,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Steelsurge': {
     bp: 10,
@@ -3204,6 +3368,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Stonesurge': {
     bp: 10,
@@ -3211,6 +3376,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Stun Shock': {
     bp: 10,
@@ -3218,6 +3384,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Sweetness': {
     bp: 10,
@@ -3225,6 +3392,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Tartness': {
     bp: 10,
@@ -3232,6 +3400,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Terror': {
     bp: 10,
@@ -3239,6 +3408,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Vine Lash': {
     bp: 10,
@@ -3246,6 +3416,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Volcalith': {
     bp: 10,
@@ -3253,6 +3424,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Volt Crash': {
     bp: 10,
@@ -3260,6 +3432,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Wildfire': {
     bp: 10,
@@ -3267,6 +3440,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'G-Max Wind Rage': {
     bp: 10,
@@ -3274,6 +3448,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Grassy Glide': {
     bp: 70,
@@ -3304,6 +3479,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     bp: 0,
     type: 'Grass',
     category: 'Status',
+    accuracy: true,
   },
   'Lash Out': {
     bp: 75,
@@ -3313,7 +3489,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     zp: 140,
     maxPower: 130,
   },
-  'Life Dew': {bp: 0, type: 'Water'},
+  'Life Dew': {bp: 0, type: 'Water', accuracy: true},
   'Magic Powder': {bp: 0, type: 'Psychic'},
   'Max Airstream': {
     bp: 10,
@@ -3321,6 +3497,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Darkness': {
     bp: 10,
@@ -3328,6 +3505,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Flare': {
     bp: 100,
@@ -3335,6 +3513,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Flutterby': {
     bp: 10,
@@ -3342,6 +3521,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Geyser': {
     bp: 10,
@@ -3349,14 +3529,16 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
-  'Max Guard': {bp: 0, type: 'Normal', priority: 4, isMax: true},
+  'Max Guard': {bp: 0, type: 'Normal', priority: 4, isMax: true, accuracy: true},
   'Max Hailstorm': {
     bp: 10,
     type: 'Ice',
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Knuckle': {
     bp: 10,
@@ -3364,6 +3546,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Lightning': {
     bp: 10,
@@ -3371,6 +3554,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Mindstorm': {
     bp: 10,
@@ -3378,6 +3562,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Ooze': {
     bp: 10,
@@ -3385,6 +3570,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Overgrowth': {
     bp: 10,
@@ -3392,6 +3578,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Phantasm': {
     bp: 10,
@@ -3399,6 +3586,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Quake': {
     bp: 10,
@@ -3406,6 +3594,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Rockfall': {
     bp: 10,
@@ -3413,6 +3602,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Starfall': {
     bp: 10,
@@ -3420,6 +3610,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Steelspike': {
     bp: 10,
@@ -3427,6 +3618,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Strike': {
     bp: 10,
@@ -3434,6 +3626,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Max Wyrmwind': {
     bp: 10,
@@ -3441,6 +3634,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     isMax: true,
     maxPower: 1,
+    accuracy: true,
   },
   'Meteor Assault': {
     bp: 150,
@@ -3455,6 +3649,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     zp: 190,
     maxPower: 140,
+    accuracy: 90,
   },
   'Misty Explosion': {
     bp: 100,
@@ -3464,7 +3659,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     zp: 180,
     maxPower: 130,
   },
-  'No Retreat': {bp: 0, type: 'Fighting'},
+  'No Retreat': {bp: 0, type: 'Fighting', accuracy: true},
   Obstruct: {bp: 0, type: 'Dark', priority: 4},
   Octolock: {bp: 0, type: 'Fighting'},
   Overdrive: {
@@ -3482,6 +3677,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Physical',
     zp: 185,
     maxPower: 140,
+    accuracy: 90,
   },
   'Pyro Ball': {
     bp: 120,
@@ -3491,6 +3687,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     isBullet: true,
     zp: 190,
     maxPower: 140,
+    accuracy: 90,
   },
   'Rising Voltage': {
     bp: 70,
@@ -3506,6 +3703,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     multihit: [2, 5],
     zp: 140,
     maxPower: 130,
+    accuracy: 90,
   },
   'Shell Side Arm': {
     bp: 90,
@@ -3529,6 +3727,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     zp: 160,
     maxPower: 130,
+    critRatio: 2,
   },
   'Scorching Sands': {
     bp: 70,
@@ -3546,6 +3745,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     secondaries: true,
     zp: 140,
     maxPower: 120,
+    accuracy: 90,
   },
   'Spirit Break': {
     bp: 75,
@@ -3563,6 +3763,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     zp: 200,
     maxPower: 140,
+    accuracy: 95,
   },
   'Steel Roller': {
     bp: 130,
@@ -3579,6 +3780,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     secondaries: true,
     zp: 175,
     maxPower: 130,
+    accuracy: 95,
   },
   'Surging Strikes': {
     bp: 25,
@@ -3607,6 +3809,7 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     multihit: 3,
     zp: 120,
     maxPower: 140,
+    accuracy: 90,
   },
   'Wicked Blow': {
     bp: 80,
@@ -3618,15 +3821,16 @@ const SS_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     zp: 160,
     maxPower: 130,
   },
-  'Stuff Cheeks': {bp: 0, type: 'Normal'},
+  'Stuff Cheeks': {bp: 0, type: 'Normal', accuracy: true},
   'Tar Shot': {bp: 0, type: 'Rock'},
-  Teatime: {bp: 0, type: 'Normal'},
+  Teatime: {bp: 0, type: 'Normal', accuracy: true},
   'Thunder Cage': {
     bp: 80,
     type: 'Electric',
     category: 'Special',
     zp: 160,
     maxPower: 130,
+    accuracy: 90,
   },
   'Thunderous Kick': {
     bp: 90,
@@ -4187,6 +4391,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     zp: 140,
     maxPower: 120,
     isSlicing: true,
+    critRatio: 2,
   },
   'Aqua Step': {
     bp: 80,
@@ -4213,6 +4418,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     secondaries: true,
     hasCrashDamage: true,
     makesContact: true,
+    accuracy: 90,
   },
   'Barb Barrage': {
     bp: 60,
@@ -4257,6 +4463,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     secondaries: true,
     isWind: true,
     target: 'allAdjacentFoes',
+    accuracy: 80,
   },
   'Ceaseless Edge': {
     bp: 65,
@@ -4267,6 +4474,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     isSlicing: true,
     secondaries: true,
+    accuracy: 90,
   },
   'Chilling Water': {
     bp: 50,
@@ -4280,6 +4488,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     bp: 0,
     type: 'Ice',
     category: 'Status',
+    accuracy: true,
   },
   'Chloroblast': {
     bp: 150,
@@ -4288,6 +4497,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     zp: 200,
     maxPower: 150,
+    accuracy: 95,
   },
   'Collision Course': {
     bp: 100,
@@ -4350,11 +4560,13 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     zp: 160,
     maxPower: 130,
     secondaries: true,
+    critRatio: 2,
   },
   'Fillet Away': {
     bp: 0,
     type: 'Normal',
     category: 'Status',
+    accuracy: true,
   },
   'Flower Trick': {
     bp: 70,
@@ -4363,6 +4575,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     willCrit: true,
     zp: 140,
     maxPower: 120,
+    accuracy: true,
   },
   'Gigaton Hammer': {
     bp: 160,
@@ -4432,6 +4645,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     maxPower: 130,
     makesContact: true,
     isSlicing: true,
+    accuracy: true,
   },
   'Last Respects': {
     bp: 50,
@@ -4452,6 +4666,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     bp: 0,
     type: 'Psychic',
     category: 'Status',
+    accuracy: true,
   },
   'Magical Torque': {
     bp: 100,
@@ -4487,6 +4702,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     zp: 180,
     maxPower: 130,
     secondaries: true,
+    accuracy: 85,
   },
   'Mystical Power': {
     bp: 70,
@@ -4495,6 +4711,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     zp: 140,
     maxPower: 120,
     secondaries: true,
+    accuracy: 90,
   },
   'Noxious Torque': {
     bp: 100,
@@ -4522,6 +4739,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     isSlicing: true,
     multihit: 10,
+    accuracy: 90,
   },
   Pounce: {
     bp: 50,
@@ -4536,6 +4754,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     bp: 0,
     type: 'Normal',
     category: 'Status',
+    accuracy: true,
   },
   'Psyshield Bash': {
     bp: 70,
@@ -4545,6 +4764,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     maxPower: 120,
     makesContact: true,
     secondaries: true,
+    accuracy: 90,
   },
   'Rage Fist': {
     bp: 50,
@@ -4574,6 +4794,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     bp: 0,
     type: 'Normal',
     category: 'Status',
+    accuracy: true,
   },
   Ruination: {
     bp: 0,
@@ -4581,6 +4802,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     category: 'Special',
     zp: 100,
     maxPower: 100,
+    accuracy: 90,
   },
   'Salt Cure': {
     bp: 40,
@@ -4599,32 +4821,38 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     secondaries: true,
     isWind: true,
     target: 'allAdjacentFoes',
+    accuracy: 80,
   },
   'Shed Tail': {
     bp: 0,
     type: 'Normal',
     category: 'Status',
+    accuracy: true,
   },
   Shelter: {
     bp: 0,
     type: 'Steel',
     category: 'Status',
+    accuracy: true,
   },
   'Silk Trap': {
     bp: 0,
     type: 'Bug',
     category: 'Status',
     priority: 4,
+    accuracy: true,
   },
   Snowscape: {
     bp: 0,
     type: 'Ice',
     category: 'Status',
+    accuracy: true,
   },
   'Spicy Extract': {
     bp: 0,
     type: 'Grass',
     category: 'Status',
+    accuracy: true,
   },
   'Spin Out': {
     bp: 100,
@@ -4643,6 +4871,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     secondaries: true,
     isWind: true,
     target: 'allAdjacentFoes',
+    accuracy: 80,
   },
   'Stone Axe': {
     bp: 65,
@@ -4653,11 +4882,13 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     makesContact: true,
     isSlicing: true,
     secondaries: true,
+    accuracy: 90,
   },
   'Take Heart': {
     bp: 0,
     type: 'Psychic',
     category: 'Status',
+    accuracy: true,
   },
   'Tera Blast': {
     bp: 80,
@@ -4670,6 +4901,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     bp: 0,
     type: 'Normal',
     category: 'Status',
+    accuracy: true,
   },
   'Torch Song': {
     bp: 80,
@@ -4696,6 +4928,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     zp: 175,
     maxPower: 90,
     secondaries: true,
+    critRatio: 2,
   },
   'Triple Dive': {
     bp: 30,
@@ -4705,6 +4938,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     maxPower: 90,
     makesContact: true,
     multihit: 3,
+    accuracy: 95,
   },
   'Twin Beam': {
     bp: 40,
@@ -4718,6 +4952,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     bp: 0,
     type: 'Fighting',
     category: 'Status',
+    accuracy: true,
   },
   'Wave Crash': {
     bp: 120,
@@ -4745,6 +4980,7 @@ const SV_PATCH: {[name: string]: DeepPartial<MoveData>} = {
     secondaries: true,
     isWind: true,
     target: 'allAdjacentFoes',
+    accuracy: 80,
   },
 };
 
@@ -4777,6 +5013,7 @@ class Move implements I.Move {
   readonly basePower!: number;
   readonly type!: I.TypeName;
   readonly category?: I.MoveCategory;
+  readonly accuracy?: number | true;
   readonly flags: I.MoveFlags;
   readonly secondaries?: boolean;
   readonly target?: I.MoveTarget;
@@ -4785,6 +5022,7 @@ class Move implements I.Move {
   readonly mindBlownRecoil?: boolean;
   readonly struggleRecoil?: boolean;
   readonly willCrit?: boolean;
+  readonly critRatio?: number;
   readonly drain?: [number, number];
   readonly priority?: number;
   readonly self?: I.SelfOrSecondaryEffect | null;
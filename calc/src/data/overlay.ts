@@ -0,0 +1,224 @@
+import * as I from './interface';
+import {toID, extend, DeepPartial} from '../util';
+import {ABILITIES} from './abilities';
+import {ITEMS} from './items';
+import {MOVES, MoveData} from './moves';
+import {SPECIES, SpeciesData} from './species';
+import {TYPE_CHART, TypeChart} from './types';
+
+/**
+ * Changes to a generation's data, in the same form as the data files and their patches. Species
+ * and moves are merged into the existing entry of the same name (or added if there isn't one),
+ * save for `types` and `abilities` which are replaced. Items and abilities can only be added or
+ * removed, as what they do is down to the mechanics (see `registerPlugin`). Type chart rows are
+ * merged, a new type needs its own row as well as an entry in every other type's row. An entry of
+ * `null` removes the species, move, item or ability.
+ */
+export interface DataOverlay {
+  species?: {[name: string]: DeepPartial<SpeciesData> | null};
+  moves?: {[name: string]: DeepPartial<MoveData> | null};
+  items?: {[name: string]: true | null};
+  abilities?: {[name: string]: true | null};
+  types?: TypeChart;
+}
+
+/** The overlaid data in the form of the data files, as used by the UI. */
+export interface OverlayData {
+  species: {[name: string]: SpeciesData};
+  moves: {[name: string]: MoveData};
+  items: string[];
+  abilities: string[];
+  types: TypeChart;
+}
+
+/** Builds a Generation with the changes of `overlay` applied on top of the data of `base`. */
+export function overlayGeneration(base: I.Generation, overlay: DataOverlay): I.Generation {
+  const species: {[id: string]: I.Specie | null} = {};
+  for (const name in overlay.species) {
+    const data = overlay.species[name];
+    const id = toID(name);
+    species[id] = data && toSpecie(base.num, name, data, base.species.get(id));
+  }
+  const moves: {[id: string]: I.Move | null} = {};
+  for (const name in overlay.moves) {
+    const data = overlay.moves[name];
+    const id = toID(name);
+    moves[id] = data && toMove(base.num, name, data, base.moves.get(id));
+  }
+  const items: {[id: string]: I.Item | null} = {};
+  for (const name in overlay.items) {
+    items[toID(name)] = overlay.items[name] &&
+      {kind: 'Item', id: toID(name), name: name as I.ItemName};
+  }
+  const abilities: {[id: string]: I.Ability | null} = {};
+  for (const name in overlay.abilities) {
+    abilities[toID(name)] = overlay.abilities[name] &&
+      {kind: 'Ability', id: toID(name), name: name as I.AbilityName};
+  }
+  const types: {[id: string]: I.Type} = {};
+  for (const name in overlay.types) {
+    const id = toID(name);
+    const type = base.types.get(id);
+    types[id] = {
+      kind: 'Type',
+      id,
+      name: name as I.TypeName,
+      effectiveness: {...type?.effectiveness, ...overlay.types[name as I.TypeName]} as
+        {[type in I.TypeName]?: I.TypeEffectiveness},
+    };
+  }
+
+  return {
+    num: base.num,
+    abilities: new Overlaid(base.abilities, abilities),
+    items: new Overlaid(base.items, items),
+    moves: new Overlaid(base.moves, moves),
+    species: new Overlaid(base.species, species),
+    types: new Overlaid(base.types, types),
+    natures: base.natures,
+  };
+}
+
+/**
+ * Applies `overlay` to the data files of `gen`. Without an overlay the data is returned as is.
+ */
+export function overlayData(gen: I.GenerationNum, overlay?: DataOverlay): OverlayData {
+  if (!overlay) {
+    return {
+      species: SPECIES[gen],
+      moves: MOVES[gen],
+      items: ITEMS[gen],
+      abilities: ABILITIES[gen],
+      types: TYPE_CHART[gen],
+    };
+  }
+  const types: TypeChart = extend(true, {}, TYPE_CHART[gen], overlay.types);
+  return {
+    species: overlayTable<SpeciesData>(SPECIES[gen], overlay.species),
+    moves: overlayTable<MoveData>(MOVES[gen], overlay.moves),
+    items: overlayList(ITEMS[gen], overlay.items),
+    abilities: overlayList(ABILITIES[gen], overlay.abilities),
+    types,
+  };
+}
+
+class Overlaid<T extends I.Data<string>> {
+  private readonly base: {get(id: I.ID): T | undefined; [Symbol.iterator](): Iterator<T>};
+  private readonly changes: {[id: string]: T | null};
+
+  constructor(
+    base: {get(id: I.ID): T | undefined; [Symbol.iterator](): Iterator<T>},
+    changes: {[id: string]: T | null}
+  ) {
+    this.base = base;
+    this.changes = changes;
+  }
+
+  get(id: I.ID) {
+    if (!Object.prototype.hasOwnProperty.call(this.changes, id)) return this.base.get(id);
+    return this.changes[id] || undefined;
+  }
+
+  *[Symbol.iterator]() {
+    for (const data of this.base as Iterable<T>) {
+      if (!Object.prototype.hasOwnProperty.call(this.changes, data.id)) yield data;
+    }
+    for (const id in this.changes) {
+      if (this.changes[id]) yield this.changes[id]!;
+    }
+  }
+}
+
+function toSpecie(
+  gen: I.GenerationNum,
+  name: string,
+  data: DeepPartial<SpeciesData>,
+  base?: I.Specie
+): I.Specie {
+  const specie: any = {...base, kind: 'Species', id: toID(name), name};
+  for (const key in data) {
+    if (key !== 'bs') specie[key] = (data as any)[key];
+  }
+  const bs = data.bs;
+  if (bs) {
+    const baseStats: Partial<I.StatsTable> = {...base?.baseStats};
+    if (bs.hp !== undefined) baseStats.hp = bs.hp;
+    if (bs.at !== undefined) baseStats.atk = bs.at;
+    if (bs.df !== undefined) baseStats.def = bs.df;
+    if (bs.sa !== undefined) baseStats.spa = bs.sa;
+    if (bs.sd !== undefined) baseStats.spd = bs.sd;
+    if (bs.sp !== undefined) baseStats.spe = bs.sp;
+    // Special is a single stat before Gen 2
+    if (bs.sl !== undefined && (gen < 2 || (bs.sa === undefined && bs.sd === undefined))) {
+      baseStats.spa = baseStats.spd = bs.sl;
+    }
+    specie.baseStats = baseStats;
+  }
+  return specie as I.Specie;
+}
+
+// The inverse of the flags of the data files, see the constructor of Move in data/moves.ts
+const FLAGS: {[key: string]: keyof I.MoveFlags} = {
+  makesContact: 'contact',
+  isPunch: 'punch',
+  isBite: 'bite',
+  isBullet: 'bullet',
+  isSound: 'sound',
+  isPulse: 'pulse',
+  isSlicing: 'slicing',
+  isWind: 'wind',
+};
+
+function toMove(
+  gen: I.GenerationNum,
+  name: string,
+  data: DeepPartial<MoveData>,
+  base?: I.Move
+): I.Move {
+  const move: any = {...base, kind: 'Move', id: toID(name), name, flags: {...base?.flags}};
+  for (const key in data) {
+    const value = (data as any)[key];
+    if (FLAGS[key]) {
+      if (value) move.flags[FLAGS[key]] = 1;
+      else delete move.flags[FLAGS[key]];
+    } else if (key === 'bp') {
+      move.basePower = value;
+    } else if (key === 'zp') {
+      move.zMove = {basePower: value};
+    } else if (key === 'maxPower') {
+      move.maxMove = {basePower: value};
+    } else {
+      move[key] = value;
+    }
+  }
+  if (!move.category && gen >= 4) move.category = 'Status';
+  return move as I.Move;
+}
+
+function overlayTable<T>(
+  table: {[name: string]: T},
+  changes?: {[name: string]: DeepPartial<T> | null}
+) {
+  const overlaid: {[name: string]: T} = {...table};
+  for (const name in changes) {
+    const data = changes[name] as any;
+    if (!data) {
+      delete overlaid[name];
+      continue;
+    }
+    const entry = extend(true, {}, table[name], data);
+    // Lists are replaced rather than merged element by element
+    if (data.types) entry.types = data.types;
+    if (data.abilities) entry.abilities = data.abilities;
+    overlaid[name] = entry;
+  }
+  return overlaid;
+}
+
+function overlayList(list: string[], changes?: {[name: string]: true | null}) {
+  const overlaid = list.filter(name => !changes || changes[name] !== null);
+  for (const name in changes) {
+    if (changes[name] && !overlaid.includes(name)) overlaid.push(name);
+  }
+  return overlaid;
+}
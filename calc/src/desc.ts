@@ -1,11 +1,17 @@
-import {Generation, Weather, Terrain, TypeName, ID} from './data/interface';
+import {Generation, Weather, Terrain, TypeName} from './data/interface';
 import {Field, Side} from './field';
 import {Move} from './move';
 import {Pokemon} from './pokemon';
 import {Damage, damageRange} from './result';
-import {error} from './util';
+import {error, toID} from './util';
 // NOTE: This needs to come last to simplify bundling
-import {isGrounded} from './mechanics/util';
+import {
+  getCritChance,
+  getHitChance,
+  getTypeCharts,
+  getTypeEffectiveness,
+  isGrounded,
+} from './mechanics/util';
 
 export interface RawDesc {
   HPEVs?: string;
@@ -40,6 +46,7 @@ export interface RawDesc {
   isBattery?: boolean;
   isPowerSpot?: boolean;
   isWonderRoom?: boolean;
+  isInverse?: boolean;
   isSwitching?: 'out' | 'in';
   moveBP?: number;
   moveName: string;
@@ -47,8 +54,28 @@ export interface RawDesc {
   moveType?: TypeName;
   rivalry?: 'buffed' | 'nerfed';
   terrain?: Terrain;
+  typeChart?: string[];
   weather?: Weather;
   isDefenderDynamaxed?: boolean;
+  trace?: TraceStep[];
+}
+
+/** Where a step of a traced calculation came from. */
+export type TraceKind =
+  'move' | 'stat' | 'ability' | 'item' | 'weather' | 'terrain' | 'field' | 'status' | 'mechanic';
+
+/**
+ * A single step of a traced calculation. `stage` is the value being worked out (eg. 'Base Power'
+ * or 'Attack') and `value` is that value after the step and any rounding it involves. Steps which
+ * add a modifier to be chained also record `modifier` as a multiple of 4096, and their `value` is
+ * every modifier of the stage chained together so far.
+ */
+export interface TraceStep {
+  stage: string;
+  kind: TraceKind;
+  source: string;
+  modifier?: number;
+  value: number;
 }
 
 export function display(
@@ -73,6 +100,8 @@ export function display(
   const damageText = `${min}-${max} (${minDisplay} - ${maxDisplay}${notation})`;
 
   if (move.category === 'Status' && !move.named('Nature Power')) return `${desc}: ${damageText}`;
+  // Without any damage there's no KO chance to describe
+  if (!max) return `${desc}: ${damageText}`;
   const koChanceText = getKOChance(gen, attacker, defender, move, field, damage, err).text;
   return koChanceText ? `${desc}: ${damageText} -- ${koChanceText}` : `${desc}: ${damageText}`;
 }
@@ -146,7 +175,8 @@ export function getRecovery(
   return {recovery, text};
 }
 
-// TODO: return recoil damage as exact HP
+// TODO: return recoil damage as exact HP (for now only `hp` is, and it leaves out crash damage as
+// that is only taken on a miss)
 export function getRecoil(
   gen: Generation,
   attacker: Pokemon,
@@ -160,6 +190,7 @@ export function getRecoil(
   const max = (typeof maxDamage === 'number' ? maxDamage : maxDamage[0] + maxDamage[1]) * move.hits;
 
   let recoil: [number, number] | number = [0, 0];
+  const hp: [number, number] = [0, 0];
   let text = '';
 
   const damageOverflow = minDamage > defender.curHP() || maxDamage > defender.curHP();
@@ -181,6 +212,10 @@ export function getRecoil(
     }
     if (!attacker.hasAbility('Rock Head')) {
       recoil = [minRecoilDamage, maxRecoilDamage];
+      const dealt = [Math.min(min, defender.curHP()), Math.min(max, defender.curHP())];
+      for (let i = 0; i < 2; i++) {
+        if (dealt[i]) hp[i] = Math.max(1, Math.round(dealt[i] * move.recoil[0] / move.recoil[1]));
+      }
       text = `${minRecoilDamage} - ${maxRecoilDamage}${notation} recoil damage`;
     }
   } else if (move.hasCrashDamage) {
@@ -227,16 +262,18 @@ export function getRecoil(
     }
   } else if (move.struggleRecoil) {
     recoil = notation === '%' ? 12 : 25;
+    hp[0] = hp[1] = (gen.num === 4 ? Math.floor : Math.round)(attacker.maxHP() / 4);
     text = '25% struggle damage';
     // Struggle recoil is actually rounded down in Gen 4 per DaWoblefet's research, but until we
     // return recoil damage as exact HP the best we can do is add some more text to this effect
     if (gen.num === 4) text += ' (rounded down)';
   } else if (move.mindBlownRecoil) {
     recoil = notation === '%' ? 24 : 50;
+    hp[0] = hp[1] = Math.round(attacker.maxHP() / 2);
     text = '50% recoil damage';
   }
 
-  return {recoil, text};
+  return {recoil, hp, text};
 }
 
 export function getKOChance(
@@ -246,8 +283,10 @@ export function getKOChance(
   move: Move,
   field: Field,
   damage: Damage,
-  err = true
+  err = true,
+  critDamage?: Damage
 ) {
+  const rawDamage = damage;
   damage = combine(damage);
   if (isNaN(damage[0])) {
     error(err, 'damage[0] must be a number.');
@@ -262,88 +301,107 @@ export function getKOChance(
   if (move.timesUsed === undefined) move.timesUsed = 1;
   if (move.timesUsedWithMetronome === undefined) move.timesUsedWithMetronome = 1;
 
-  if (damage[0] >= defender.maxHP() && move.timesUsed === 1 && move.timesUsedWithMetronome === 1) {
-    return {chance: 1, n: 1, text: 'guaranteed OHKO'};
+  const hazards = getHazards(gen, defender, field.defenderSide, field.isInverse);
+  const chartText = getTypeChartText(gen, move, defender, field);
+  const effects = getKOEffects(
+    gen, attacker, defender, move, field, rawDamage, hazards.damage, critDamage
+  );
+  if (
+    damage[0] >= defender.maxHP() && move.timesUsed === 1 && move.timesUsedWithMetronome === 1 &&
+    !effects.endure && !effects.disguise
+  ) {
+    return {chance: 1, n: 1, text: `guaranteed OHKO${chartText}`};
   }
 
-  const hazards = getHazards(gen, defender, field.defenderSide);
   const eot = getEndOfTurn(gen, attacker, defender, move, field);
   const toxicCounter =
      defender.hasStatus('tox') && !defender.hasAbility('Magic Guard') ? defender.toxicCounter : 0;
-  // var berryHP = todo!s
-  // multi-hit moves have too many possibilities for brute-forcing to work, so reduce it
-  // to an approximate distribution
-  let qualifier = '';
-  if (move.hits > 1) {
-    qualifier = 'approx. ';
-    damage = squashMultihit(gen, damage, move.hits, err);
-  }
-
-  const hazardsText = hazards.texts.length > 0
-    ? ' after ' + serializeText(hazards.texts)
-    : '';
+  const hits = getHitDistributions(gen, attacker, defender, move, field, rawDamage, critDamage);
+  const critText = hits.includesCrits ? ' including crits' : '';
+  const maxDamage = hits.damage.damage[hits.damage.damage.length - 1];
+
+  // Only mention the one-time effects which actually made a difference
+  const effectTexts = [];
+  if (effects.disguise) effectTexts.push(effects.disguise.text);
+  if (effects.endure && maxDamage >= defender.curHP()) effectTexts.push(effects.endure.text);
+  const hazardsTexts = hazards.texts.concat(effectTexts);
+  const afterTexts =
+    hazardsTexts.concat(eot.texts, effects.berry ? [effects.berry.text] : []);
+  const hazardsText =
+    (hazardsTexts.length > 0 ? ' after ' + serializeText(hazardsTexts) : '') + chartText;
   const afterText =
-    hazards.texts.length > 0 || eot.texts.length > 0
-      ? ' after ' + serializeText(hazards.texts.concat(eot.texts))
-      : '';
+    (afterTexts.length > 0 ? ' after ' + serializeText(afterTexts) : '') + chartText;
 
   if ((move.timesUsed === 1 && move.timesUsedWithMetronome === 1) || move.isZ) {
-    const chance = computeKOChance(
-      damage, defender.curHP() - hazards.damage, 0, 1, 1, defender.maxHP(), toxicCounter
-    );
-    if (chance === 1) {
-      return {chance, n: 1, text: `guaranteed OHKO${hazardsText}`}; // eot wasn't considered
-    } else if (chance > 0) {
-      // note: still not accounting for EOT due to poor eot damage handling
-      return {
-        chance,
-        n: 1,
-        text: qualifier + Math.round(chance * 1000) / 10 + `% chance to OHKO${hazardsText}`,
-      };
-    }
-
-    // Parental Bond's combined first + second hit only is accurate for chance to OHKO, for
-    // multihit KOs its only approximated. We should be doing squashMultihit here instead of
-    // pretending we ar emore accurate than we are, but just throwing on an qualifer should be
-    // sufficient.
-    if (damage.length === 256) {
-      qualifier = 'approx. ';
-      // damage = squashMultihit(gen, damage, move.hits, err);
-    }
-
-    for (let i = 2; i <= 4; i++) {
-      const chance = computeKOChance(
-        damage, defender.curHP() - hazards.damage, eot.damage, i, 1, defender.maxHP(), toxicCounter
+    // With crits included the KO is still described by the fewest hits it can take without any,
+    // followed by the chance of crits making it take fewer where that isn't negligible
+    const normal = hits.includesCrits ? {
+      damage: getHitDistributions(gen, attacker, defender, move, field, rawDamage).damage,
+      effects: getKOEffects(gen, attacker, defender, move, field, rawDamage, hazards.damage),
+    } : undefined;
+    let critKOText = '';
+    for (let i = 1; i <= 4; i++) {
+      // note: EOT isn't accounted for in OHKOs due to poor eot damage handling
+      const koChance = (damage: Distribution, koEffects: KOEffects) => computeKOChance(
+        damage,
+        defender.curHP() - hazards.damage,
+        i === 1 ? 0 : eot.damage,
+        i,
+        1,
+        defender.maxHP(),
+        toxicCounter,
+        koEffects
       );
+      const chance = koChance(hits.damage, effects);
+      if (!chance) continue;
+      const ko = i === 1 ? 'OHKO' : `${i}HKO`;
+      if (normal && !koChance(normal.damage, normal.effects)) {
+        if (!critKOText && chance >= 0.0005) {
+          critKOText = ` (${Math.round(chance * 1000) / 10}% chance to ${ko} with crits)`;
+        }
+        continue;
+      }
+      const text = i === 1 ? hazardsText : afterText;
       if (chance === 1) {
-        return {chance, n: i, text: `${qualifier || 'guaranteed '}${i}HKO${afterText}`};
-      } else if (chance > 0) {
-        return {
-          chance,
-          n: i,
-          text: qualifier + Math.round(chance * 1000) / 10 + `% chance to ${i}HKO${afterText}`,
-        };
+        return {chance, n: i, text: `guaranteed ${ko}${text}${critKOText}`};
       }
+      return {
+        chance,
+        n: i,
+        text: Math.round(chance * 1000) / 10 + `% chance to ${ko}${critText}${text}${critKOText}`,
+      };
     }
 
+    // Hits this small always pass through the berry's threshold before KOing, and only the
+    // first hit can be taken by Disguise or reduced by Multiscale
+    const hp = defender.curHP() - hazards.damage + (effects.berry ? effects.berry.recovery : 0);
+    const {damage: d, effects: e} = normal || {damage: hits.damage, effects};
+    const first = (e.disguise ? e.disguise.damage : d).damage;
+    const later = (e.unscaled || d).damage;
+    const maxFirst = first[first.length - 1];
+    const maxLater = later[later.length - 1];
     for (let i = 5; i <= 9; i++) {
       if (
-        predictTotal(damage[0], eot.damage, i, 1, toxicCounter, defender.maxHP()) >=
-        defender.curHP() - hazards.damage
+        predictTotal(later[0], eot.damage, i, 1, toxicCounter, defender.maxHP()) -
+          later[0] + first[0] >= hp
       ) {
-        return {chance: 1, n: i, text: `${qualifier || 'guaranteed '}${i}HKO${afterText}`};
+        return {chance: 1, n: i, text: `guaranteed ${i}HKO${afterText}${critKOText}`};
       } else if (
-        predictTotal(damage[damage.length - 1], eot.damage, i, 1, toxicCounter, defender.maxHP()) >=
-        defender.curHP() - hazards.damage
+        predictTotal(maxLater, eot.damage, i, 1, toxicCounter, defender.maxHP()) -
+          maxLater + maxFirst >= hp
       ) {
-        return {n: i, text: qualifier + `possible ${i}HKO${afterText}`};
+        return {n: i, text: `possible ${i}HKO${afterText}${critKOText}`};
       }
     }
   } else {
+    // The damage of every use is totalled into one hit, so one-time effects can't be placed
+    const turnsTexts = hazards.texts.concat(eot.texts);
+    const turnsText =
+      (turnsTexts.length > 0 ? ' after ' + serializeText(turnsTexts) : '') + chartText;
     const chance = computeKOChance(
-      damage, defender.maxHP() - hazards.damage,
+      hits.damage, defender.maxHP() - hazards.damage,
       eot.damage,
-      move.hits || 1,
+      1,
       move.timesUsed || 1,
       defender.maxHP(),
       toxicCounter
@@ -352,23 +410,22 @@ export function getKOChance(
       return {
         chance,
         n: move.timesUsed,
-        text: `${qualifier || 'guaranteed '}KO in ${move.timesUsed} turns${afterText}`,
+        text: `guaranteed KO in ${move.timesUsed} turns${turnsText}`,
       };
     } else if (chance > 0) {
       return {
         chance,
         n: move.timesUsed,
         text:
-          qualifier +
           Math.round(chance * 1000) / 10 +
-          `% chance to ${move.timesUsed}HKO${afterText}`,
+          `% chance to ${move.timesUsed}HKO${critText}${turnsText}`,
       };
     }
 
     if (predictTotal(
-      damage[0],
+      hits.damage.damage[0],
       eot.damage,
-      move.hits,
+      1,
       move.timesUsed,
       toxicCounter,
       defender.maxHP()
@@ -378,13 +435,13 @@ export function getKOChance(
       return {
         chance: 1,
         n: move.timesUsed,
-        text: `${qualifier || 'guaranteed '}KO in ${move.timesUsed} turns${afterText}`,
+        text: `guaranteed KO in ${move.timesUsed} turns${turnsText}`,
       };
     } else if (
       predictTotal(
-        damage[damage.length - 1],
+        maxDamage,
         eot.damage,
-        move.hits,
+        1,
         move.timesUsed,
         toxicCounter,
         defender.maxHP()
@@ -393,15 +450,436 @@ export function getKOChance(
     ) {
       return {
         n: move.timesUsed,
-        text: qualifier + `possible KO in ${move.timesUsed} turns${afterText}`,
+        text: `possible KO in ${move.timesUsed} turns${critText}${turnsText}`,
       };
     }
-    return {n: move.timesUsed, text: qualifier + 'not a KO'};
+    return {n: move.timesUsed, text: 'not a KO'};
   }
 
   return {chance: 0, n: 0, text: ''};
 }
 
+export function getHitKOChance(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  move: Move,
+  field: Field,
+  damage: Damage,
+  turns?: number,
+  err = true,
+  critDamage?: Damage
+) {
+  const hitChance = getHitChance(gen, attacker, defender, move, field);
+  const ko = getKOChance(gen, attacker, defender, move, field, damage, err, critDamage);
+  const n = turns || ko.n;
+  if (!n) return {chance: 0, n, hitChance, text: ''};
+  if (hitChance === 1 && n === ko.n && ko.chance !== undefined) {
+    return {chance: ko.chance, n, hitChance, text: ko.text};
+  }
+
+  const within = n === 1 ? 'OHKO' : `KO within ${n} turns`;
+  const percent = (chance: number) => Math.round(chance * 1000) / 10;
+  // Moves used multiple times already have their damage totalled, so every use has to hit
+  if ((move.timesUsed || 1) > 1) {
+    const chance = (ko.chance || 0) * Math.pow(hitChance, move.timesUsed!);
+    return {chance, n, hitChance, text: `${percent(chance)}% chance to hit and ${within}`};
+  }
+
+  const hazards = getHazards(gen, defender, field.defenderSide, field.isInverse);
+  const eot = getEndOfTurn(gen, attacker, defender, move, field);
+  const toxicCounter =
+     defender.hasStatus('tox') && !defender.hasAbility('Magic Guard') ? defender.toxicCounter : 0;
+  const hits = getHitDistributions(gen, attacker, defender, move, field, damage, critDamage);
+  const effects = getKOEffects(
+    gen, attacker, defender, move, field, damage, hazards.damage, critDamage
+  );
+
+  // The chance to KO within n turns is the chance to KO with k hits weighed by the chance that
+  // exactly k of the n uses hit. End of turn effects during missed turns aren't considered.
+  let chance = 0;
+  for (let k = 1; k <= n; k++) {
+    const koChance = computeKOChance(
+      hits.damage,
+      defender.curHP() - hazards.damage,
+      k === 1 ? 0 : eot.damage,
+      k,
+      1,
+      defender.maxHP(),
+      toxicCounter,
+      effects
+    );
+    chance += binomial(n, k) * Math.pow(hitChance, k) * Math.pow(1 - hitChance, n - k) * koChance;
+  }
+  const text = `${percent(chance)}% chance to hit and ${within}`;
+  return {chance, n, hitChance, text};
+}
+
+/** The least current HP at which a Pokémon survives an attack, see getSurvivalHP. */
+export interface SurvivalHP {
+  /** Undefined if not even full HP is enough. */
+  hp?: number;
+  percent?: number;
+  /** The chance of surviving at that HP, or at full HP if that isn't enough. */
+  chance: number;
+  text: string;
+}
+
+/**
+ * Works out the least current HP `defender` can be at and still survive `move` with at least the
+ * given chance, which means still standing at the end of the turn. Hazards are taken first as in
+ * getKOChance, and Focus Sash, Sturdy, Disguise, berries and end of turn effects all count.
+ */
+export function getSurvivalHP(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  move: Move,
+  field: Field,
+  damage: Damage,
+  chance = 1,
+  critDamage?: Damage
+): SurvivalHP {
+  const maxHP = defender.maxHP();
+  const hazards = getHazards(gen, defender, field.defenderSide, field.isInverse);
+  const eot = getEndOfTurn(gen, attacker, defender, move, field);
+  const toxicDamage = defender.hasStatus('tox') && !defender.hasAbility('Magic Guard') &&
+    defender.toxicCounter > 0 ? Math.floor((defender.toxicCounter * maxHP) / 16) : 0;
+  const hits = getHitDistributions(gen, attacker, defender, move, field, damage, critDamage).damage;
+  // The one-time effects as they would be at full HP, where Focus Sash and Sturdy come into play.
+  // Multiscale only halved the damage if it was calculated at full HP.
+  const full = defender.clone();
+  full.originalCurHP = maxHP;
+  const effects = getKOEffects(gen, attacker, full, move, field, damage, 0, critDamage);
+  const unscaled = defender.curHP() === maxHP ? effects.unscaled : undefined;
+
+  const survives = (hp: number) => {
+    const start = hp - hazards.damage;
+    if (start <= 0) return 0;
+    const d = effects.disguise ? effects.disguise.damage
+      : unscaled && start < maxHP ? unscaled
+      : hits;
+    let survived = 0;
+    for (let i = 0; i < d.damage.length; i++) {
+      let left = start - d.damage[i];
+      if (left <= 0 && effects.endure && start === maxHP) left = 1;
+      if (left <= 0) continue;
+      if (effects.berry && left <= effects.berry.threshold) {
+        left = Math.min(maxHP, left + effects.berry.recovery);
+      }
+      if (left + eot.damage - toxicDamage > 0) survived += d.weights[i];
+    }
+    return survived / d.total;
+  };
+
+  // Having more HP doesn't always help (eg. Multiscale), so look for the least HP from which
+  // every higher HP survives as well
+  let hp: number | undefined;
+  let survival = survives(maxHP);
+  for (let h = maxHP; h >= 1; h--) {
+    const c = survives(h);
+    if (c < chance - 1e-9) break;
+    hp = h;
+    survival = c;
+  }
+
+  const texts = hazards.texts.concat(eot.texts);
+  const after = texts.length > 0 ? ' after ' + serializeText(texts) : '';
+  if (hp === undefined) {
+    const percent = Math.round(survival * 1000) / 10;
+    return {chance: survival, text: `${percent}% chance to survive at full HP${after}`};
+  }
+  const percent = Math.round((hp * 1000) / maxHP) / 10;
+  const odds = survival < 1 ? ` (${Math.round(survival * 1000) / 10}% chance)` : '';
+  const text = `survives from ${hp} HP (${percent}%)${odds}${after}`;
+  return {hp, percent, chance: survival, text};
+}
+
+/**
+ * The distinct amounts of damage something can deal in ascending order, along with how many of
+ * the equally likely outcomes deal each of them out of the total.
+ */
+export interface Distribution {
+  damage: number[];
+  weights: number[];
+  total: number;
+}
+
+/**
+ * The chance of a multi-hit move hitting each number of times. Moves only ever hit a fixed number
+ * of times unless they were asked to weigh every possible number of hits (`variableHits`).
+ */
+export function getHitCounts(gen: Generation, attacker: Pokemon, move: Move) {
+  const multihit = gen.moves.get(toID(move.name))?.multihit;
+  if (!move.variableHits || typeof multihit !== 'object') {
+    return [{hits: move.hits, chance: 1}];
+  }
+  const [min, max] = multihit;
+  if (attacker.hasAbility('Skill Link')) return [{hits: max, chance: 1}];
+  if (min === 2 && max === 5) {
+    if (gen.num >= 9 && attacker.hasItem('Loaded Dice')) {
+      return [{hits: 4, chance: 1 / 2}, {hits: 5, chance: 1 / 2}];
+    }
+    const chances = gen.num >= 5 ? [0.35, 0.35, 0.15, 0.15] : [3 / 8, 3 / 8, 1 / 8, 1 / 8];
+    return chances.map((chance, i) => ({hits: min + i, chance}));
+  }
+  const counts = [];
+  for (let hits = min; hits <= max; hits++) counts.push({hits, chance: 1 / (max - min + 1)});
+  return counts;
+}
+
+/**
+ * The exact distribution of the total damage dealt over some uses of a move. Multi-hit moves
+ * convolve the damage of every hit, mixing together each possible number of hits by how likely it
+ * is. If the damage of a critical hit is provided every hit independently has a chance to be one.
+ */
+export function getDamageDistribution(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  move: Move,
+  field: Field,
+  damage: Damage,
+  critDamage?: Damage,
+  uses = 1
+) {
+  const use = getHitDistributions(gen, attacker, defender, move, field, damage, critDamage).damage;
+  let total = use;
+  for (let i = 1; i < uses; i++) total = convolve(total, use);
+  return total;
+}
+
+function getHitDistributions(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  move: Move,
+  field: Field,
+  damage: Damage,
+  critDamage?: Damage,
+  absorbed = 0
+) {
+  // If the damage of a critical hit was provided, every hit has a chance to be a crit instead
+  const critChance =
+    critDamage === undefined ? 0 : getCritChance(gen, attacker, defender, move, field);
+  const includesCrits = critChance > 0 && critChance < 1;
+  const hit = (i: number) => {
+    const d = toDistribution(getHit(damage, i));
+    if (!includesCrits) return d;
+    return mix([d, toDistribution(getHit(critDamage!, i))], [1 - critChance, critChance]);
+  };
+
+  if (typeof damage !== 'number' && damage.length === 2) {
+    // Parental Bond
+    const first = hit(0);
+    const second = hit(1);
+    return {damage: absorbed ? second : convolve(first, second), includesCrits};
+  }
+  const d = hit(0);
+  const counts = getHitCounts(gen, attacker, move);
+  const uses = counts.map(({hits}) => {
+    // In Gen 1 every hit of a multi-hit move deals the same damage
+    if (gen.num === 1) return scale(d, hits - absorbed);
+    let total = toDistribution([0]);
+    for (let i = absorbed; i < hits; i++) total = convolve(total, d);
+    return total;
+  });
+  return {damage: mix(uses, counts.map(({chance}) => chance)), includesCrits};
+}
+
+function getHit(damage: Damage, i: number): number[] {
+  if (typeof damage === 'number') return [damage];
+  if (damage.length === 2) {
+    const hit = (damage as [number[], number[]] | [number, number])[i];
+    return typeof hit === 'number' ? [hit] : hit;
+  }
+  return damage as number[];
+}
+
+function toDistribution(rolls: number[]) {
+  const counts: {[damage: number]: number} = {};
+  for (let i = 0; i < rolls.length; i++) { // eslint-disable-line
+    counts[rolls[i]] = (counts[rolls[i]] || 0) + 1;
+  }
+  return fromCounts(counts, rolls.length);
+}
+
+function fromCounts(counts: {[damage: number]: number}, total: number): Distribution {
+  const damage = Object.keys(counts).map(Number).sort((a, b) => a - b);
+  return {damage, weights: damage.map(d => counts[d]), total};
+}
+
+function convolve(a: Distribution, b: Distribution) {
+  const counts: {[damage: number]: number} = {};
+  for (let i = 0; i < a.damage.length; i++) {
+    for (let j = 0; j < b.damage.length; j++) {
+      const d = a.damage[i] + b.damage[j];
+      counts[d] = (counts[d] || 0) + a.weights[i] * b.weights[j];
+    }
+  }
+  return fromCounts(counts, a.total * b.total);
+}
+
+function scale(a: Distribution, factor: number) {
+  return {damage: a.damage.map(d => d * factor), weights: a.weights, total: a.total};
+}
+
+function shift(a: Distribution, amount: number) {
+  return {damage: a.damage.map(d => d + amount), weights: a.weights, total: a.total};
+}
+
+function mix(distributions: Distribution[], chances: number[]) {
+  if (distributions.length === 1) return distributions[0];
+  // Bring every distribution to a common total so that the weights can stay whole numbers
+  let total = 1;
+  for (let i = 0; i < distributions.length; i++) { // eslint-disable-line
+    total = (total * distributions[i].total) / gcd(total, distributions[i].total);
+  }
+  const counts: {[damage: number]: number} = {};
+  let sum = 0;
+  for (let i = 0; i < distributions.length; i++) {
+    const {damage, weights} = distributions[i];
+    const factor = (chances[i] * total) / distributions[i].total;
+    for (let j = 0; j < damage.length; j++) {
+      counts[damage[j]] = (counts[damage[j]] || 0) + weights[j] * factor;
+    }
+    sum += chances[i];
+  }
+  return fromCounts(counts, total * sum);
+}
+
+function gcd(a: number, b: number): number {
+  return b ? gcd(b, a % b) : a;
+}
+
+/**
+ * One-time effects which change how much HP the defender has left between hits and so can't be
+ * folded into the damage rolls themselves.
+ */
+interface KOEffects {
+  /** A berry restoring HP once the holder falls to or below the threshold */
+  berry?: {threshold: number; recovery: number; text: string};
+  /** Focus Sash or Sturdy leaving the defender at 1 HP after a hit taken at full HP */
+  endure?: {consumed: boolean; text: string};
+  /** The damage of the use which breaks Disguise or Ice Face */
+  disguise?: {damage: Distribution; text: string};
+  /** The damage taken below full HP when Multiscale or Shadow Shield halved the rolls */
+  unscaled?: Distribution;
+}
+
+const BERRY_EATEN = 1;
+const ENDURED = 2;
+const DISGUISE_BROKEN = 4;
+
+function getKOEffects(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  move: Move,
+  field: Field,
+  damage: Damage,
+  hazards: number,
+  critDamage?: Damage
+) {
+  const effects: KOEffects = {};
+  const maxHP = defender.maxHP();
+  const atFullHP = defender.curHP() - hazards === maxHP;
+  const isParentalBond = typeof damage !== 'number' && damage.length === 2;
+
+  const berry = getBerry(gen, attacker, defender, move);
+  if (berry) effects.berry = berry;
+
+  // Every hit of a multi-hit move after the first one leaves it below full HP
+  if (atFullHP && move.hits === 1 && !isParentalBond) {
+    if (gen.num >= 5 && defender.hasAbility('Sturdy')) {
+      effects.endure = {consumed: false, text: 'Sturdy'};
+    } else if (gen.num >= 4 && defender.hasItem('Focus Sash')) {
+      effects.endure = {consumed: true, text: 'Focus Sash'};
+    }
+  }
+
+  if (
+    (gen.num >= 7 && defender.hasAbility('Disguise') && !defender.name.includes('Busted')) ||
+    (gen.num >= 8 && defender.hasAbility('Ice Face') && defender.named('Eiscue') &&
+      move.category === 'Physical')
+  ) {
+    const busted = gen.num >= 8 && defender.hasAbility('Disguise') ? Math.floor(maxHP / 8) : 0;
+    // Only the hits after the one absorbed go through
+    const rest = getHitDistributions(gen, attacker, defender, move, field, damage, critDamage, 1);
+    effects.disguise = {damage: shift(rest.damage, busted), text: defender.ability!};
+  }
+
+  // The mechanics only halve the damage taken at full HP, so later hits deal twice as much
+  // (give or take a point of rounding)
+  if (
+    gen.num >= 5 && defender.hasAbility('Multiscale', 'Shadow Shield') &&
+    defender.curHP() === maxHP && typeof damage !== 'number' &&
+    !field.defenderSide.isSR && (!field.defenderSide.spikes || defender.hasType('Flying'))
+  ) {
+    const unscaled = getHitDistributions(
+      gen, attacker, defender, move, field,
+      doubleFirstHit(damage),
+      critDamage === undefined ? undefined : doubleFirstHit(critDamage)
+    );
+    effects.unscaled = unscaled.damage;
+  }
+
+  return effects;
+}
+
+export function getBerry(gen: Generation, attacker: Pokemon, defender: Pokemon, move: Move) {
+  if (
+    !defender.item ||
+    (gen.num >= 5 && attacker.hasAbility('Unnerve', 'As One (Glastrier)', 'As One (Spectrier)')) ||
+    move.named('Bug Bite', 'Pluck', 'Incinerate') ||
+    (move.named('Knock Off') && !defender.hasAbility('Sticky Hold'))
+  ) {
+    return undefined;
+  }
+  const maxHP = defender.maxHP();
+  const half = Math.floor(maxHP / 2);
+  let threshold = half;
+  let recovery = 0;
+  if (defender.hasItem('Sitrus Berry')) {
+    recovery = gen.num >= 4 ? Math.floor(maxHP / 4) : 30;
+  } else if (defender.hasItem('Gold Berry')) {
+    recovery = 30;
+  } else if (defender.hasItem('Oran Berry', 'Berry')) {
+    recovery = 10;
+  } else if (
+    defender.hasItem('Figy Berry', 'Wiki Berry', 'Mago Berry', 'Aguav Berry', 'Iapapa Berry')
+  ) {
+    if (gen.num <= 6) {
+      recovery = Math.floor(maxHP / 8);
+    } else {
+      recovery = Math.floor(maxHP / (gen.num === 7 ? 2 : 3));
+      if (!defender.hasAbility('Gluttony')) threshold = Math.floor(maxHP / 4);
+    }
+  } else {
+    return undefined;
+  }
+  if (defender.hasAbility('Ripen')) recovery *= 2;
+  return {threshold, recovery, text: `${defender.item} recovery`};
+}
+
+function doubleFirstHit(damage: Damage): Damage {
+  if (typeof damage === 'number') return damage * 2;
+  // Parental Bond's second hit was never halved
+  if (damage.length === 2) {
+    const [first, second] = damage as [number[], number[]] | [number, number];
+    return (typeof first === 'number'
+      ? [first * 2, second]
+      : [first.map(d => d * 2), second]) as Damage;
+  }
+  return (damage as number[]).map(d => d * 2);
+}
+
+function binomial(n: number, k: number) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+}
+
 function combine(damage: Damage) {
   // Fixed Damage
   if (typeof damage === 'number') return [damage];
@@ -430,7 +908,12 @@ const TRAPPING = [
   'Thunder Cage', 'Whirlpool', 'Wrap', 'G-Max Sandblast', 'G-Max Centiferno',
 ];
 
-function getHazards(gen: Generation, defender: Pokemon, defenderSide: Side) {
+export function getHazards(
+  gen: Generation,
+  defender: Pokemon,
+  defenderSide: Side,
+  isInverse = false
+) {
   let damage = 0;
   const texts: string[] = [];
 
@@ -438,18 +921,16 @@ function getHazards(gen: Generation, defender: Pokemon, defenderSide: Side) {
     return {damage, texts};
   }
   if (defenderSide.isSR && !defender.hasAbility('Magic Guard', 'Mountaineer')) {
-    const rockType = gen.types.get('rock' as ID)!;
     const effectiveness =
-      rockType.effectiveness[defender.types[0]]! *
-      (defender.types[1] ? rockType.effectiveness[defender.types[1]]! : 1);
+      getTypeEffectiveness(gen, 'Rock', defender.types[0], isInverse) *
+      (defender.types[1] ? getTypeEffectiveness(gen, 'Rock', defender.types[1], isInverse) : 1);
     damage += Math.floor((effectiveness * defender.maxHP()) / 8);
     texts.push('Stealth Rock');
   }
   if (defenderSide.steelsurge && !defender.hasAbility('Magic Guard', 'Mountaineer')) {
-    const steelType = gen.types.get('steel' as ID)!;
     const effectiveness =
-      steelType.effectiveness[defender.types[0]]! *
-      (defender.types[1] ? steelType.effectiveness[defender.types[1]]! : 1);
+      getTypeEffectiveness(gen, 'Steel', defender.types[0], isInverse) *
+      (defender.types[1] ? getTypeEffectiveness(gen, 'Steel', defender.types[1], isInverse) : 1);
     damage += Math.floor((effectiveness * defender.maxHP()) / 8);
     texts.push('Steelsurge');
   }
@@ -481,7 +962,7 @@ function getHazards(gen: Generation, defender: Pokemon, defenderSide: Side) {
   return {damage, texts};
 }
 
-function getEndOfTurn(
+export function getEndOfTurn(
   gen: Generation,
   attacker: Pokemon,
   defender: Pokemon,
@@ -651,54 +1132,83 @@ function getEndOfTurn(
 }
 
 function computeKOChance(
-  damage: number[],
+  damage: Distribution,
   hp: number,
   eot: number,
   hits: number,
   timesUsed: number,
   maxHP: number,
-  toxicCounter: number
-) {
-  const n = damage.length;
-  if (hits === 1) {
-    for (let i = 0; i < n; i++) {
-      if (damage[n - 1] < hp) return 0;
-      if (damage[i] >= hp) {
-        return (n - i) / n;
-      }
-    }
-  }
+  toxicCounter: number,
+  effects: KOEffects = {},
+  used = 0,
+  memo: {[key: string]: number} = {}
+): number {
+  const key = `${hits}:${hp}:${used}`;
+  if (key in memo) return memo[key];
+
   let toxicDamage = 0;
-  if (toxicCounter > 0) {
+  if (hits > 1 && toxicCounter > 0) {
     toxicDamage = Math.floor((toxicCounter * maxHP) / 16);
     toxicCounter++;
   }
-  let sum = 0;
-  let lastc = 0;
-  for (let i = 0; i < n; i++) {
-    let c;
-    if (i === 0 || damage[i] !== damage[i - 1]) {
-      c = computeKOChance(
-        damage,
-        hp - damage[i] + eot - toxicDamage,
-        eot,
-        hits - 1,
-        timesUsed,
-        maxHP,
-        toxicCounter
-      );
-    } else {
-      c = lastc;
+  // Berries are eaten as soon as the holder falls to or below their threshold
+  const eat = (left: number, state: number): [number, number] => {
+    const berry = effects.berry;
+    if (berry && !(state & BERRY_EATEN) && left > 0 && left <= berry.threshold) {
+      return [Math.min(maxHP, left + berry.recovery), state | BERRY_EATEN];
     }
-    if (c === 1) {
-      sum += n - i;
-      break;
-    } else {
-      sum += c;
+    return [left, state];
+  };
+  // Chance to KO when the next hit is drawn from d
+  const chanceWith = (d: Distribution, state: number) => {
+    let sum = 0;
+    let seen = 0;
+    for (let i = 0; i < d.damage.length; i++) {
+      let left = hp - d.damage[i];
+      let next = state;
+      if (left <= 0 && effects.endure && hp === maxHP && !(next & ENDURED)) {
+        left = 1;
+        if (effects.endure.consumed) next |= ENDURED;
+      }
+      // The damage is sorted, so everything from here on KOs as well
+      if (left <= 0) {
+        sum += d.total - seen;
+        break;
+      }
+      if (hits > 1) {
+        [left, next] = eat(left, next);
+        [left, next] = eat(Math.min(maxHP, left + eot - toxicDamage), next);
+        const c = computeKOChance(
+          damage,
+          left,
+          eot,
+          hits - 1,
+          timesUsed,
+          maxHP,
+          toxicCounter,
+          effects,
+          next,
+          memo
+        );
+        // More damage can't KO any less often, unless it's what makes the berry get eaten
+        if (c === 1 && !effects.berry) {
+          sum += d.total - seen;
+          break;
+        }
+        sum += c * d.weights[i];
+      }
+      seen += d.weights[i];
     }
-    lastc = c;
+    return sum / d.total;
+  };
+
+  let chance: number;
+  if (effects.disguise && !(used & DISGUISE_BROKEN)) {
+    chance = chanceWith(effects.disguise.damage, used | DISGUISE_BROKEN);
+  } else {
+    chance = chanceWith(effects.unscaled && hp < maxHP ? effects.unscaled : damage, used);
   }
-  return sum / n;
+  return (memo[key] = chance);
 }
 
 function predictTotal(
@@ -724,114 +1234,6 @@ function predictTotal(
   return total;
 }
 
-function squashMultihit(gen: Generation, d: number[], hits: number, err = true) {
-  if (d.length === 1) {
-    return [d[0] * hits];
-  } else if (gen.num === 1) {
-    const r = [];
-    for (let i = 0; i < d.length; i++) {
-      r[i] = d[i] * hits;
-    }
-    return r;
-  } else if (d.length === 16) {
-    switch (hits) {
-    case 2:
-      return [
-        2 * d[0], d[2] + d[3], d[4] + d[4], d[4] + d[5], d[5] + d[6], d[6] + d[6],
-        d[6] + d[7], d[7] + d[7], d[8] + d[8], d[8] + d[9], d[9] + d[9], d[9] + d[10],
-        d[10] + d[11], d[11] + d[11], d[12] + d[13], 2 * d[15],
-      ];
-    case 3:
-      return [
-        3 * d[0], d[3] + d[3] + d[4], d[4] + d[4] + d[5], d[5] + d[5] + d[6],
-        d[5] + d[6] + d[6], d[6] + d[6] + d[7], d[6] + d[7] + d[7], d[7] + d[7] + d[8],
-        d[7] + d[8] + d[8], d[8] + d[8] + d[9], d[8] + d[9] + d[9], d[9] + d[9] + d[10],
-        d[9] + d[10] + d[10], d[10] + d[11] + d[11], d[11] + d[12] + d[12], 3 * d[15],
-      ];
-    case 4:
-      return [
-        4 * d[0], 4 * d[4], d[4] + d[5] + d[5] + d[5], d[5] + d[5] + d[6] + d[6],
-        4 * d[6], d[6] + d[6] + d[7] + d[7], 4 * d[7], d[7] + d[7] + d[7] + d[8],
-        d[7] + d[8] + d[8] + d[8], 4 * d[8], d[8] + d[8] + d[9] + d[9], 4 * d[9],
-        d[9] + d[9] + d[10] + d[10], d[10] + d[10] + d[10] + d[11], 4 * d[11], 4 * d[15],
-      ];
-    case 5:
-      return [
-        5 * d[0], d[4] + d[4] + d[4] + d[5] + d[5], d[5] + d[5] + d[5] + d[5] + d[6],
-        d[5] + d[6] + d[6] + d[6] + d[6], d[6] + d[6] + d[6] + d[6] + d[7],
-        d[6] + d[6] + d[7] + d[7] + d[7], 5 * d[7], d[7] + d[7] + d[7] + d[8] + d[8],
-        d[7] + d[7] + d[8] + d[8] + d[8], 5 * d[8], d[8] + d[8] + d[8] + d[9] + d[9],
-        d[8] + d[9] + d[9] + d[9] + d[9], d[9] + d[9] + d[9] + d[9] + d[10],
-        d[9] + d[10] + d[10] + d[10] + d[10], d[10] + d[10] + d[11] + d[11] + d[11], 5 * d[15],
-      ];
-    case 10:
-      return [
-        10 * d[0], 10 * d[4], 3 * d[4] + 7 * d[5], 5 * d[5] + 5 * d[6], 10 * d[6],
-        5 * d[6] + 5 * d[7], 10 * d[7], 7 * d[7] + 3 * d[8], 3 * d[7] + 7 * d[8], 10 * d[8],
-        5 * d[8] + 5 * d[9], 4 * d[9], 5 * d[9] + 5 * d[10], 7 * d[10] + 3 * d[11], 10 * d[11],
-        10 * d[15],
-      ];
-    default:
-      error(err, `Unexpected # of hits: ${hits}`);
-      return d;
-    }
-  } else if (d.length === 39) {
-    switch (hits) {
-    case 2:
-      return [
-        2 * d[0], 2 * d[7], 2 * d[10], 2 * d[12], 2 * d[14], d[15] + d[16],
-        2 * d[17], d[18] + d[19], d[19] + d[20], 2 * d[21], d[22] + d[23],
-        2 * d[24], 2 * d[26], 2 * d[28], 2 * d[31], 2 * d[38],
-      ];
-    case 3:
-      return [
-        3 * d[0], 3 * d[9], 3 * d[12], 3 * d[13], 3 * d[15], 3 * d[16],
-        3 * d[17], 3 * d[18], 3 * d[20], 3 * d[21], 3 * d[22], 3 * d[23],
-        3 * d[25], 3 * d[26], 3 * d[29], 3 * d[38],
-      ];
-    case 4:
-      return [
-        4 * d[0], 2 * d[10] + 2 * d[11], 4 * d[13], 4 * d[14], 2 * d[15] + 2 * d[16],
-        2 * d[16] + 2 * d[17], 2 * d[17] + 2 * d[18], 2 * d[18] + 2 * d[19],
-        2 * d[19] + 2 * d[20], 2 * d[20] + 2 * d[21], 2 * d[21] + 2 * d[22],
-        2 * d[22] + 2 * d[23], 4 * d[24], 4 * d[25], 2 * d[27] + 2 * d[28], 4 * d[38],
-      ];
-    case 5:
-      return [
-        5 * d[0], 5 * d[11], 5 * d[13], 5 * d[15], 5 * d[16], 5 * d[17],
-        5 * d[18], 5 * d[19], 5 * d[19], 5 * d[20], 5 * d[21], 5 * d[22],
-        5 * d[23], 5 * d[25], 5 * d[27], 5 * d[38],
-      ];
-    case 10:
-      return [
-        10 * d[0], 10 * d[11], 10 * d[13], 10 * d[15], 10 * d[16], 10 * d[17],
-        10 * d[18], 10 * d[19], 10 * d[19], 10 * d[20], 10 * d[21], 10 * d[22],
-        10 * d[23], 10 * d[25], 10 * d[27], 10 * d[38],
-      ];
-    default:
-      error(err, `Unexpected # of hits: ${hits}`);
-      return d;
-    }
-  } else if (d.length === 256) {
-    if (hits > 1) {
-      error(err, `Unexpected # of hits for Parental Bond: ${hits}`);
-    }
-    // FIXME: Come up with a better Parental Bond approximation
-    const r: number[] = [];
-    for (let i = 0; i < 16; i++) {
-      let val = 0;
-      for (let j = 0; j < 16; j++) {
-        val += d[i + j];
-      }
-      r[i] = Math.round(val / 16);
-    }
-    return r;
-  } else {
-    error(err, `Unexpected # of possible damage values: ${d.length}`);
-    return d;
-  }
-}
-
 function buildDescription(description: RawDesc, attacker: Pokemon, defender: Pokemon) {
   const [attackerLevel, defenderLevel] = getDescriptionLevels(attacker, defender);
   let output = '';
@@ -947,9 +1349,25 @@ function buildDescription(description: RawDesc, attacker: Pokemon, defender: Pok
   if (description.isWonderRoom) {
     output += ' in Wonder Room';
   }
+  if (description.isInverse) {
+    output += ' in an Inverse Battle';
+  }
+  if (description.typeChart) {
+    output += ` with the ${serializeText(description.typeChart)} type chart`;
+  }
   return output;
 }
 
+// How the type chart differs from the generation's own, so that a KO chance read on its own
+// still says that it's not the usual matchup
+function getTypeChartText(gen: Generation, move: Move, defender: Pokemon, field: Field) {
+  let text = '';
+  if (field.isInverse) text += ' in an Inverse Battle';
+  const charts = getTypeCharts(gen, move, defender);
+  if (charts.length) text += ` with the ${serializeText(charts)} type chart`;
+  return text;
+}
+
 function getDescriptionLevels(attacker: Pokemon, defender: Pokemon) {
   if (attacker.level !== defender.level) {
     return [
@@ -964,7 +1382,7 @@ function getDescriptionLevels(attacker: Pokemon, defender: Pokemon) {
   return [level, level];
 }
 
-function serializeText(arr: string[]) {
+export function serializeText(arr: string[]) {
   if (arr.length === 0) {
     return '';
   } else if (arr.length === 1) {
@@ -1,5 +1,18 @@
 import {State} from './state';
 import {GameType, Weather, Terrain} from './data/interface';
+import {JSON_VERSION, checkJSONVersion} from './util';
+
+/** A field as JSON, see Field#toJSON. */
+export interface FieldJSON extends State.Field {
+  version: number;
+  attackerSide: SideJSON;
+  defenderSide: SideJSON;
+}
+
+/** A side as JSON, see Side#toJSON. */
+export interface SideJSON extends State.Side {
+  version: number;
+}
 
 export class Field implements State.Field {
   gameType: GameType;
@@ -8,6 +21,8 @@ export class Field implements State.Field {
   isMagicRoom: boolean;
   isWonderRoom: boolean;
   isGravity: boolean;
+  isTrickRoom: boolean;
+  isInverse?: boolean;
   isAuraBreak?: boolean;
   isFairyAura?: boolean;
   isDarkAura?: boolean;
@@ -25,6 +40,8 @@ export class Field implements State.Field {
     this.isMagicRoom = !!field.isMagicRoom;
     this.isWonderRoom = !!field.isWonderRoom;
     this.isGravity = !!field.isGravity;
+    this.isTrickRoom = !!field.isTrickRoom;
+    this.isInverse = field.isInverse || false;
     this.isAuraBreak = field.isAuraBreak || false;
     this.isFairyAura = field.isFairyAura || false;
     this.isDarkAura = field.isDarkAura || false;
@@ -58,6 +75,8 @@ export class Field implements State.Field {
       isMagicRoom: this.isMagicRoom,
       isWonderRoom: this.isWonderRoom,
       isGravity: this.isGravity,
+      isTrickRoom: this.isTrickRoom,
+      isInverse: this.isInverse,
       attackerSide: this.attackerSide,
       defenderSide: this.defenderSide,
       isAuraBreak: this.isAuraBreak,
@@ -69,6 +88,39 @@ export class Field implements State.Field {
       isVesselOfRuin: this.isVesselOfRuin,
     });
   }
+
+  /** The field as versioned JSON, which `fromJSON` turns back into the same field. */
+  toJSON(): FieldJSON {
+    return {
+      version: JSON_VERSION,
+      gameType: this.gameType,
+      weather: this.weather,
+      terrain: this.terrain,
+      isMagicRoom: this.isMagicRoom,
+      isWonderRoom: this.isWonderRoom,
+      isGravity: this.isGravity,
+      isTrickRoom: this.isTrickRoom,
+      isInverse: this.isInverse,
+      isAuraBreak: this.isAuraBreak,
+      isFairyAura: this.isFairyAura,
+      isDarkAura: this.isDarkAura,
+      isBeadsOfRuin: this.isBeadsOfRuin,
+      isSwordOfRuin: this.isSwordOfRuin,
+      isTabletsOfRuin: this.isTabletsOfRuin,
+      isVesselOfRuin: this.isVesselOfRuin,
+      attackerSide: this.attackerSide.toJSON(),
+      defenderSide: this.defenderSide.toJSON(),
+    };
+  }
+
+  static fromJSON(json: FieldJSON) {
+    checkJSONVersion('Field', json);
+    return new Field({
+      ...json,
+      attackerSide: Side.fromJSON(json.attackerSide),
+      defenderSide: Side.fromJSON(json.defenderSide),
+    });
+  }
 }
 
 export class Side implements State.Side {
@@ -86,6 +138,7 @@ export class Side implements State.Side {
   isForesight: boolean;
   isTailwind: boolean;
   isHelpingHand: boolean;
+  isFocusEnergy: boolean;
   isFlowerGift: boolean;
   isFriendGuard: boolean;
   isAuroraVeil: boolean;
@@ -108,6 +161,7 @@ export class Side implements State.Side {
     this.isForesight = !!side.isForesight;
     this.isTailwind = !!side.isTailwind;
     this.isHelpingHand = !!side.isHelpingHand;
+    this.isFocusEnergy = !!side.isFocusEnergy;
     this.isFlowerGift = !!side.isFlowerGift;
     this.isFriendGuard = !!side.isFriendGuard;
     this.isAuroraVeil = !!side.isAuroraVeil;
@@ -119,4 +173,37 @@ export class Side implements State.Side {
   clone() {
     return new Side(this);
   }
+
+  /** The side as versioned JSON, which `fromJSON` turns back into the same side. */
+  toJSON(): SideJSON {
+    return {
+      version: JSON_VERSION,
+      spikes: this.spikes,
+      steelsurge: this.steelsurge,
+      vinelash: this.vinelash,
+      wildfire: this.wildfire,
+      cannonade: this.cannonade,
+      volcalith: this.volcalith,
+      isSR: this.isSR,
+      isReflect: this.isReflect,
+      isLightScreen: this.isLightScreen,
+      isProtected: this.isProtected,
+      isSeeded: this.isSeeded,
+      isForesight: this.isForesight,
+      isTailwind: this.isTailwind,
+      isHelpingHand: this.isHelpingHand,
+      isFocusEnergy: this.isFocusEnergy,
+      isFlowerGift: this.isFlowerGift,
+      isFriendGuard: this.isFriendGuard,
+      isAuroraVeil: this.isAuroraVeil,
+      isBattery: this.isBattery,
+      isPowerSpot: this.isPowerSpot,
+      isSwitching: this.isSwitching,
+    };
+  }
+
+  static fromJSON(json: SideJSON) {
+    checkJSONVersion('Side', json);
+    return new Side(json);
+  }
 }
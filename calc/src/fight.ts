@@ -0,0 +1,345 @@
+import {Generation} from './data/interface';
+import {Field} from './field';
+import {Move} from './move';
+import {Pokemon} from './pokemon';
+import {DamageDistribution} from './result';
+import {calculate} from './calc';
+import {predictMove, predictSwitchIn} from './ai';
+import {getCritChance, getHitChance, getTurnOrder} from './mechanics/util';
+import {error} from './util';
+
+export interface FightOptions {
+  /** The number of lines kept after each turn of the search, 10 by default. */
+  width?: number;
+  /** The number of turns after which a line is given up on, 30 by default. */
+  maxTurns?: number;
+}
+
+/** The chances of a step of the plan not going the way it's planned. */
+export interface FightRisk {
+  /** Our move missing. */
+  miss: number;
+  /** Our move not KOing when it's planned to, with a low roll. */
+  lowRoll: number;
+  /** The trainer's move KOing our Pokémon with a critical hit when it's planned to survive. */
+  crit: number;
+  /** The trainer's move KOing our Pokémon without a critical hit when it's planned to survive. */
+  highRoll: number;
+  /** Any of the above. */
+  total: number;
+}
+
+export interface FightStep {
+  turn: number;
+  /**
+   * What we do: lead with a Pokémon, switch to one, attack with a move or send one in after
+   * another faints.
+   */
+  action: 'lead' | 'switch' | 'move' | 'send';
+  /** Our Pokémon which is in, or is coming in. */
+  pokemon: Pokemon;
+  move?: Move;
+  /** The trainer's Pokémon it faces, and the move the trainer AI is predicted to use. */
+  opponent: Pokemon;
+  opponentMove?: Move;
+  /** The HP our Pokémon and the trainer's are left with, by the median damage rolls. */
+  hp: [number, number];
+  risk: FightRisk;
+  text: string;
+}
+
+export interface FightPlan {
+  /** Whether the line beats the trainer's whole team. */
+  win: boolean;
+  steps: FightStep[];
+  /** Our Pokémon which faint along the line. */
+  fainted: Pokemon[];
+  /** The chance of every step going the way it's planned. */
+  chance: number;
+  text: string;
+}
+
+interface Fight {
+  gen: Generation;
+  party: Pokemon[];
+  team: Pokemon[];
+  field: Field;
+  cache: {[key: string]: any};
+}
+
+// A line of the search, with what's left of each side
+interface Line {
+  hp: number[];
+  theirHP: number[];
+  active: number;
+  opponent: number;
+  steps: FightStep[];
+  chance: number;
+  turn: number;
+  win?: boolean;
+  lost?: boolean;
+}
+
+const NO_RISK: FightRisk = {miss: 0, lowRoll: 0, crit: 0, highRoll: 0, total: 0};
+
+/**
+ * Plans a line for `party` to beat a trainer's whole `team`, searching over which Pokémon to lead
+ * with, when to switch and which moves to use. The trainer leads with the first of its team and
+ * its choices are modelled with predictMove and predictSwitchIn, using the move it's most likely
+ * to use. Each turn is played out with the median damage rolls and the risk of it going another
+ * way (our move missing or low rolling, the trainer's move critting or high rolling) is kept
+ * track of, but boosts, status, items and the effects of status moves aren't. The best lines are
+ * kept at each turn, preferring the fewest of our Pokémon fainting, then the most progress made
+ * against the team and then the least risk. `field` is seen from our side.
+ */
+export function planFight(
+  gen: Generation,
+  party: Pokemon[],
+  team: Pokemon[],
+  field: Field = new Field(),
+  options: FightOptions = {}
+): FightPlan {
+  if (!party.length) error(true, 'The party has no Pokémon to fight with');
+  if (!team.length) error(true, 'The trainer has no Pokémon to fight');
+  const width = options.width || 10;
+  const maxTurns = options.maxTurns || 30;
+  const fight: Fight = {gen, party, team, field, cache: {}};
+
+  let lines: Line[] = party.map((pokemon, i) => {
+    const line: Line = {
+      hp: party.map(p => p.curHP()),
+      theirHP: team.map(p => p.curHP()),
+      active: i,
+      opponent: 0,
+      steps: [],
+      chance: 1,
+      turn: 0,
+    };
+    addFightStep(fight, line, 'lead', NO_RISK);
+    return line;
+  });
+  const finished: Line[] = [];
+  for (let turn = 1; turn <= maxTurns && lines.length; turn++) {
+    const next: Line[] = [];
+    for (const line of lines) {
+      for (const l of playFightTurn(fight, line, turn)) (l.win || l.lost ? finished : next).push(l);
+    }
+    lines = next.sort((a, b) => compareFights(fight, a, b)).slice(0, width);
+  }
+
+  const best = finished.concat(lines).sort((a, b) => compareFights(fight, a, b))[0];
+  const fainted = party.filter((p, i) => !best.hp[i]);
+  const text = best.steps.map(s => s.text).join('\n');
+  return {win: !!best.win, steps: best.steps, fainted, chance: best.chance, text};
+}
+
+// Every way the turn can go for the line, by what we choose to do
+function playFightTurn(fight: Fight, line: Line, turn: number) {
+  const lines: Line[] = [];
+  const ours = fight.party[line.active];
+  for (const name of ours.moves) {
+    const move = getFightMove(fight.gen, ours, name);
+    if (move.category === 'Status' || move.name === '(No Move)') continue;
+    lines.push(useFightMove(fight, line, turn, move));
+  }
+  fight.party.forEach((p, i) => {
+    if (i !== line.active && line.hp[i]) lines.push(switchTo(fight, line, turn, i));
+  });
+  // Without a damaging move or anything to switch to there's no way to win
+  if (!lines.length) return [{...line, lost: true}];
+  return ([] as Line[]).concat(...lines.map(l => (l.hp[l.active] ? [l] : sendIn(fight, l))));
+}
+
+function useFightMove(fight: Fight, line: Line, turn: number, move: Move) {
+  const {gen, field} = fight;
+  const next = copy(line, turn);
+  const ours = withHP(fight.party[line.active], line.hp[line.active]);
+  const theirs = withHP(fight.team[line.opponent], line.theirHP[line.opponent]);
+  const theirMove = getOpponentMove(fight, line);
+  const first = getTurnOrder(gen, ours, theirs, move, theirMove, field).chance >= 1 / 2;
+
+  const dealt = getDistribution(fight, 'party', line.active, line.opponent, move);
+  const planned = Math.min(dealt.percentile(50), theirs.curHP());
+  const ko = planned >= theirs.curHP();
+  const hit = getHitChance(gen, ours, theirs, move, field);
+  const risk = {...NO_RISK, miss: 1 - hit, lowRoll: ko ? 1 - dealt.chance(theirs.curHP()) : 0};
+
+  const attack = () => {
+    next.theirHP[line.opponent] -= planned;
+  };
+  // The trainer's Pokémon only gets to move if it isn't KOed first
+  let moved = false;
+  const defend = () => {
+    if (!next.theirHP[line.opponent]) return;
+    takeHit(fight, next, line.active, theirMove, risk);
+    moved = true;
+  };
+  if (first) {
+    attack();
+    defend();
+  } else {
+    defend();
+    if (next.hp[line.active]) attack();
+  }
+  addFightStep(fight, next, 'move', risk, move, moved ? theirMove : undefined);
+  if (!next.theirHP[line.opponent]) replaceOpponent(fight, next);
+  return next;
+}
+
+function switchTo(fight: Fight, line: Line, turn: number, i: number) {
+  const next = copy(line, turn);
+  // The AI chooses its move against the Pokémon we switch out
+  const theirMove = getOpponentMove(fight, line);
+  next.active = i;
+  const risk = {...NO_RISK};
+  takeHit(fight, next, i, theirMove, risk);
+  addFightStep(fight, next, 'switch', risk, undefined, theirMove);
+  return next;
+}
+
+// Every Pokémon we could send in after the active one faints
+function sendIn(fight: Fight, line: Line) {
+  const lines: Line[] = [];
+  fight.party.forEach((p, i) => {
+    if (!line.hp[i]) return;
+    const next = copy(line, line.turn);
+    next.active = i;
+    addFightStep(fight, next, 'send', NO_RISK);
+    lines.push(next);
+  });
+  if (!lines.length) lines.push({...line, lost: true});
+  return lines;
+}
+
+// The trainer AI sends in its next Pokémon, if it has any left
+function replaceOpponent(fight: Fight, line: Line) {
+  const remaining = fight.team
+    .map((p, i) => i)
+    .filter(i => line.theirHP[i]);
+  if (!remaining.length) {
+    line.win = true;
+    return;
+  }
+  const {choice} = predictSwitchIn(
+    fight.gen,
+    remaining.map(i => withHP(fight.team[i], line.theirHP[i])),
+    withHP(fight.party[line.active], line.hp[line.active]),
+    fight.field.clone().swap()
+  );
+  line.opponent = remaining[choice.slot];
+}
+
+// The trainer's move hits our Pokémon in slot `i`, adding the chance of it KOing when it's planned
+// not to to the risk
+function takeHit(fight: Fight, line: Line, i: number, move: Move, risk: FightRisk) {
+  const {gen} = fight;
+  if (move.category === 'Status' || move.name === '(No Move)') return;
+  const hp = line.hp[i];
+  const taken = getDistribution(fight, 'team', line.opponent, i, move);
+  const planned = Math.min(taken.percentile(50), hp);
+  if (planned < hp) {
+    const ours = withHP(fight.party[i], hp);
+    const theirs = withHP(fight.team[line.opponent], line.theirHP[line.opponent]);
+    const crit = getCritChance(gen, theirs, ours, move, fight.field.clone().swap());
+    const crits = getDistribution(fight, 'team', line.opponent, i, move, true);
+    risk.crit = crit * crits.chance(hp);
+    risk.highRoll = (1 - crit) * taken.chance(hp);
+  }
+  line.hp[i] -= planned;
+}
+
+function addFightStep(
+  fight: Fight,
+  line: Line,
+  action: FightStep['action'],
+  risk: FightRisk,
+  move?: Move,
+  opponentMove?: Move
+) {
+  risk.total = 1 - (1 - risk.miss) * (1 - risk.lowRoll) * (1 - risk.crit - risk.highRoll);
+  line.chance *= 1 - risk.total;
+  const pokemon = fight.party[line.active];
+  const opponent = fight.team[line.opponent];
+  const hp: [number, number] = [line.hp[line.active], line.theirHP[line.opponent]];
+  let text = `Turn ${line.turn}: `;
+  text += action === 'lead' ? `Lead with ${pokemon.name} against ${opponent.name}`
+    : action === 'send' ? `Send in ${pokemon.name} against ${opponent.name}`
+    : action === 'switch' ? `Switch to ${pokemon.name}`
+    : `${pokemon.name} uses ${move!.name}`;
+  if (opponentMove) text += ` (${opponent.name} uses ${opponentMove.name})`;
+  if (action === 'move' || action === 'switch') {
+    text += ` -- ${pokemon.name} ${hp[0]}/${pokemon.maxHP()} HP, ` +
+      `${opponent.name} ${hp[1]}/${opponent.maxHP()} HP`;
+  }
+  if (risk.total > 0) text += ` -- ${Math.round(risk.total * 1000) / 10}% risk`;
+  line.steps.push({
+    turn: line.turn, action, pokemon, move, opponent, opponentMove, hp, risk, text,
+  });
+}
+
+function getOpponentMove(fight: Fight, line: Line) {
+  const key = `move|${line.opponent}|${line.theirHP[line.opponent]}|` +
+    `${line.active}|${line.hp[line.active]}`;
+  if (!fight.cache[key]) {
+    fight.cache[key] = predictMove(
+      fight.gen,
+      withHP(fight.team[line.opponent], line.theirHP[line.opponent]),
+      withHP(fight.party[line.active], line.hp[line.active]),
+      fight.field.clone().swap()
+    ).choice.move;
+  }
+  return fight.cache[key] as Move;
+}
+
+// The damage one of our Pokémon does to one of the trainer's or vice versa, at full HP
+function getDistribution(
+  fight: Fight,
+  side: 'party' | 'team',
+  attacker: number,
+  defender: number,
+  move: Move,
+  isCrit = false
+) {
+  const key = `${side}|${attacker}|${defender}|${move.name}|${isCrit}`;
+  if (!fight.cache[key]) {
+    const [a, d] = side === 'party'
+      ? [fight.party[attacker], fight.team[defender]]
+      : [fight.team[attacker], fight.party[defender]];
+    const field = side === 'party' ? fight.field : fight.field.clone().swap();
+    const m = isCrit ? getFightMove(fight.gen, a, move.originalName, true) : move;
+    fight.cache[key] = calculate(fight.gen, a, d, m, field).distribution();
+  }
+  return fight.cache[key] as DamageDistribution;
+}
+
+function getFightMove(gen: Generation, pokemon: Pokemon, name: string, isCrit = false) {
+  return new Move(gen, name, {
+    ability: pokemon.ability, item: pokemon.item, species: pokemon.name, isCrit,
+  });
+}
+
+function withHP(pokemon: Pokemon, hp: number) {
+  const clone = pokemon.clone();
+  clone.originalCurHP = hp;
+  return clone;
+}
+
+function copy(line: Line, turn: number): Line {
+  return {
+    ...line, hp: line.hp.slice(), theirHP: line.theirHP.slice(), steps: line.steps.slice(), turn,
+  };
+}
+
+// Orders the lines from the best to the worst: wins first, then the fewest of our Pokémon
+// fainted, the most progress made against the trainer's team, the least risk and finally the
+// fewest turns
+function compareFights(fight: Fight, a: Line, b: Line) {
+  if (!!a.win !== !!b.win) return a.win ? -1 : 1;
+  const fainted = (l: Line) => l.hp.filter(hp => !hp).length;
+  if (fainted(a) !== fainted(b)) return fainted(a) - fainted(b);
+  const progress = (l: Line) => l.theirHP.filter(hp => !hp).length +
+    1 - l.theirHP[l.opponent] / fight.team[l.opponent].maxHP();
+  if (progress(a) !== progress(b)) return progress(b) - progress(a);
+  if (a.chance !== b.chance) return b.chance - a.chance;
+  return a.turn - b.turn;
+}
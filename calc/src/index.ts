@@ -12,12 +12,16 @@
 //   - data/abilities.js
 //   - data/moves.js
 //   - data/items.js
+//   - data/overlay.js
 //   - data/index.js
 //
+//   - validate.js
+//   - trainers.js
 //   - pokemon.js
 //   - field.js
 //   - move.js
 //   - items.js
+//   - plugins.js
 //
 //   - mechanics/util.js
 //   - mechanics/gen78.js
@@ -29,6 +33,13 @@
 //   - calc.js
 //   - desc.js
 //   - result.ts
+//   - simulate.js
+//   - combo.js
+//   - setup.js
+//   - infer.js
+//   - sweep.js
+//   - ai.js
+//   - fight.js
 //
 //   - adaptable.js
 //   - index.js
@@ -52,27 +63,235 @@ import * as A from './adaptable';
 // names as we're doing here with our shim overrides. Because exporting calculate below tramples
 // A.calculate, this ends up infinitely calling itself. As a workaround we save the original value
 // of A.calculate (which would be exports.calculate if files are loaded as outlined above) so that
-// we can call that instead.
+// we can call that instead. The same goes for getTurnOrder, simulate, estimate,
+// calculateCombo, getComboSurvivalHP, planSetup, infer, sweep, predictMove, predictSwitchIn and
+// planFight. The static fromJSON methods of Move and Pokemon call their base class through super
+// instead, since A.Move and A.Pokemon are the classes below by then.
 //
 // This is obviously kludge, use a bundler kids.
 const Acalculate = exports.calculate;
+const AgetTurnOrder = exports.getTurnOrder;
+const Asimulate = exports.simulate;
+const Aestimate = exports.estimate;
+const AcalculateCombo = exports.calculateCombo;
+const AgetComboSurvivalHP = exports.getComboSurvivalHP;
+const AplanSetup = exports.planSetup;
+const Ainfer = exports.infer;
+const Asweep = exports.sweep;
+const ApredictMove = exports.predictMove;
+const ApredictSwitchIn = exports.predictSwitchIn;
+const AplanFight = exports.planFight;
 
 export function calculate(
   gen: I.GenerationNum | I.Generation,
   attacker: A.Pokemon,
   defender: A.Pokemon,
   move: A.Move,
-  field?: A.Field
+  field?: A.Field,
+  trace = false
 ): A.Result {
   return (Acalculate || A.calculate)(
     typeof gen === 'number' ? Generations.get(gen) : gen,
     attacker,
     defender,
     move,
+    field,
+    trace
+  );
+}
+
+export function getTurnOrder(
+  gen: I.GenerationNum | I.Generation,
+  attacker: A.Pokemon,
+  defender: A.Pokemon,
+  attackerMove: A.Move,
+  defenderMove: A.Move,
+  field: A.Field = new A.Field(),
+  speedTie?: A.SpeedTie
+): A.TurnOrder {
+  return (AgetTurnOrder || A.getTurnOrder)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    attacker,
+    defender,
+    attackerMove,
+    defenderMove,
+    field,
+    speedTie
+  );
+}
+
+export function simulate(
+  gen: I.GenerationNum | I.Generation,
+  attacker: A.Pokemon,
+  defender: A.Pokemon,
+  choices: [A.Choice, A.Choice],
+  field?: A.Field,
+  options?: A.SimulationOptions
+): A.Simulation {
+  return (Asimulate || A.simulate)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    attacker,
+    defender,
+    choices,
+    field,
+    options
+  );
+}
+
+export function estimate(
+  gen: I.GenerationNum | I.Generation,
+  attacker: A.Pokemon,
+  defender: A.Pokemon,
+  choices: [A.Choice, A.Choice],
+  field?: A.Field,
+  options?: A.EstimateOptions
+): A.Estimate {
+  return (Aestimate || A.estimate)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    attacker,
+    defender,
+    choices,
+    field,
+    options
+  );
+}
+
+export function calculateCombo(
+  gen: I.GenerationNum | I.Generation,
+  hits: A.ComboHit[],
+  defender: A.Pokemon,
+  field?: A.Field
+): A.ComboResult {
+  return (AcalculateCombo || A.calculateCombo)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    hits,
+    defender,
     field
   );
 }
 
+export function getComboSurvivalHP(
+  gen: I.GenerationNum | I.Generation,
+  hits: A.ComboHit[],
+  defender: A.Pokemon,
+  field?: A.Field,
+  chance?: number
+): A.SurvivalHP {
+  return (AgetComboSurvivalHP || A.getComboSurvivalHP)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    hits,
+    defender,
+    field,
+    chance
+  );
+}
+
+export function planSetup(
+  gen: I.GenerationNum | I.Generation,
+  attacker: A.Pokemon,
+  move: A.Move,
+  defenders: A.Pokemon[],
+  setup: A.Move,
+  field?: A.Field,
+  options?: A.SetupOptions
+): A.SetupPlan {
+  return (AplanSetup || A.planSetup)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    attacker,
+    move,
+    defenders,
+    setup,
+    field,
+    options
+  );
+}
+
+export function infer(
+  gen: I.GenerationNum | I.Generation,
+  side: 'attacker' | 'defender',
+  observations: A.Observation[],
+  options?: Omit<A.InferOptions, 'natures' | 'items' | 'abilities'> & {
+    natures?: string[];
+    items?: Array<string | undefined>;
+    abilities?: Array<string | undefined>;
+  }
+): A.Inference {
+  return (Ainfer || A.infer)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    side,
+    observations,
+    options as A.InferOptions
+  );
+}
+
+export function sweep(
+  gen: I.GenerationNum | I.Generation,
+  attacker: A.Pokemon,
+  defender: A.Pokemon,
+  move: A.Move,
+  field?: A.Field,
+  side?: 'attacker' | 'defender',
+  unknowns?: Omit<A.Unknowns, 'natures' | 'items' | 'abilities'> & {
+    natures?: string[];
+    items?: Array<string | undefined>;
+    abilities?: Array<string | undefined>;
+  }
+): A.Sweep {
+  return (Asweep || A.sweep)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    attacker,
+    defender,
+    move,
+    field,
+    side,
+    unknowns as A.Unknowns
+  );
+}
+
+export function predictMove(
+  gen: I.GenerationNum | I.Generation,
+  trainer: A.Pokemon,
+  target: A.Pokemon,
+  field?: A.Field
+): A.AIMovePrediction {
+  return (ApredictMove || A.predictMove)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    trainer,
+    target,
+    field
+  );
+}
+
+export function predictSwitchIn(
+  gen: I.GenerationNum | I.Generation,
+  party: A.Pokemon[],
+  target: A.Pokemon,
+  field?: A.Field
+): A.SwitchInPrediction {
+  return (ApredictSwitchIn || A.predictSwitchIn)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    party,
+    target,
+    field
+  );
+}
+
+export function planFight(
+  gen: I.GenerationNum | I.Generation,
+  party: A.Pokemon[],
+  team: A.Pokemon[],
+  field?: A.Field,
+  options?: A.FightOptions
+): A.FightPlan {
+  return (AplanFight || A.planFight)(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    party,
+    team,
+    field,
+    options
+  );
+}
+
 export class Move extends A.Move {
   constructor(
     gen: I.GenerationNum | I.Generation,
@@ -81,10 +300,15 @@ export class Move extends A.Move {
       ability?: string;
       item?: string;
       species?: string;
+      strict?: boolean;
     } = {}
   ) {
     super(typeof gen === 'number' ? Generations.get(gen) : gen, name, options as any);
   }
+
+  static fromJSON(gen: I.GenerationNum | I.Generation, json: A.MoveJSON) {
+    return super.fromJSON(typeof gen === 'number' ? Generations.get(gen) : gen, json);
+  }
 }
 
 export class Pokemon extends A.Pokemon {
@@ -100,6 +324,7 @@ export class Pokemon extends A.Pokemon {
       ivs?: Partial<I.StatsTable> & {spc?: number};
       evs?: Partial<I.StatsTable> & {spc?: number};
       boosts?: Partial<I.StatsTable> & {spc?: number};
+      strict?: boolean;
     } = {}
   ) {
     super(typeof gen === 'number' ? Generations.get(gen) : gen, name, options as any);
@@ -118,6 +343,10 @@ export class Pokemon extends A.Pokemon {
       moveName as I.MoveName
     );
   }
+
+  static fromJSON(gen: I.GenerationNum | I.Generation, json: A.PokemonJSON) {
+    return super.fromJSON(typeof gen === 'number' ? Generations.get(gen) : gen, json);
+  }
 }
 
 export function calcStat(
@@ -140,11 +369,68 @@ export function calcStat(
   );
 }
 
-export {Field, Side} from './field';
-export {Result} from './result';
+export function calcIVs(
+  gen: I.GenerationNum | I.Generation,
+  species: string,
+  readings: A.StatReading[],
+  nature?: string
+) {
+  return A.Stats.calcIVs(
+    typeof gen === 'number' ? Generations.get(gen) : gen,
+    species,
+    readings,
+    nature
+  );
+}
+
+export {Field, Side, FieldJSON, SideJSON} from './field';
+export {PokemonJSON} from './pokemon';
+export {MoveJSON} from './move';
+export {Result, DamageDistribution, ResultJSON} from './result';
+export {TraceKind, TraceStep, SurvivalHP} from './desc';
+export {SpeedTie, TurnOrder} from './mechanics/util';
+export {
+  highestDamage,
+  Choice,
+  ChoicePolicy,
+  SimulationOptions,
+  Simulation,
+  EstimateOptions,
+  Estimate,
+  BattleTurn,
+  BattleOutcome,
+} from './simulate';
+export {ComboHit, ComboResult} from './combo';
+export {SetupOptions, SetupTarget, SetupPlan} from './setup';
+export {Observation, InferOptions, InferredSet, Inference} from './infer';
+export {Unknowns, SweepCase, Sweep} from './sweep';
+export {AIScore, AIMoveScore, AIMovePrediction, SwitchInScore, SwitchInPrediction} from './ai';
+export {FightOptions, FightRisk, FightStep, FightPlan} from './fight';
+export {
+  registerPlugin,
+  unregisterPlugin,
+  getPlugins,
+  ModifierKind,
+  ModifierContext,
+  Modifier,
+  Plugin,
+} from './plugins';
 export {GenerationNum, StatsTable, StatID} from './data/interface';
-export {Generations} from './data/index';
-export {toID} from './util';
+export {Generations, setOverlay} from './data/index';
+export {overlayGeneration, overlayData, DataOverlay, OverlayData} from './data/overlay';
+export {ValidationError, ValidationField, normalizeStats, suggest} from './validate';
+export {
+  TrainerDB,
+  Trainer,
+  TrainerPokemon,
+  TrainerSet,
+  SetDex,
+  BattleType,
+  TrainerMetadata,
+  TrainerData,
+  TrainerFilter,
+} from './trainers';
+export {toID, JSON_VERSION} from './util';
 export {State} from './state';
 
 export {ABILITIES} from './data/abilities';
@@ -153,4 +439,4 @@ export {MOVES} from './data/moves';
 export {SPECIES} from './data/species';
 export {NATURES} from './data/natures';
 export {TYPE_CHART} from './data/types';
-export {STATS, Stats} from './stats';
+export {STATS, Stats, StatReading} from './stats';
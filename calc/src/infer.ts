@@ -0,0 +1,282 @@
+import {
+  AbilityName,
+  Generation,
+  ItemName,
+  NatureName,
+  StatID,
+  StatsTable,
+} from './data/interface';
+import {Field} from './field';
+import {Move} from './move';
+import {Pokemon} from './pokemon';
+import {Stats} from './stats';
+import {calculate} from './calc';
+import {error} from './util';
+
+export interface Observation {
+  attacker: Pokemon;
+  defender: Pokemon;
+  move: Move;
+  field?: Field;
+  /** The exact amount of HP the defender lost to the move. */
+  damage: number;
+}
+
+export interface InferOptions {
+  /** The least and most level the unknown Pokémon could be, by default only its own level. */
+  levels?: [number, number];
+  /** The natures it could have, by default any of them. */
+  natures?: NatureName[];
+  /** The items it could be holding, by default only its own. */
+  items?: Array<ItemName | undefined>;
+  /** The abilities it could have, by default only its own. */
+  abilities?: Array<AbilityName | undefined>;
+  /** Any IVs which are already known, every other IV could be anything from 0 to 31. */
+  ivs?: Partial<StatsTable>;
+}
+
+export interface InferredSet {
+  level: number;
+  nature: NatureName;
+  item?: ItemName;
+  ability?: AbilityName;
+  /** The IVs which fit the observations for each of the stats the damage depended on. */
+  ivs: Partial<StatsTable<number[]>>;
+}
+
+export interface Inference {
+  /** Every combination of level, nature, item and ability which fits the observations. */
+  sets: InferredSet[];
+  /** The least and most level of the sets, if there are any. */
+  levels?: [number, number];
+  natures: NatureName[];
+  items: Array<ItemName | undefined>;
+  abilities: Array<AbilityName | undefined>;
+  /** The least and most IV of the sets for each of the stats the damage depended on. */
+  ivs: Partial<StatsTable<[number, number]>>;
+}
+
+/**
+ * Works out which levels, natures, IVs, items and abilities of the attacker or defender (`side`)
+ * are consistent with the damage observed in each of `observations`. Everything about the
+ * Pokémon on that side which isn't being inferred (its species, EVs, boosts...) is taken from the
+ * observations as is. IVs are narrowed down stat by stat, so with moves like Foul Play depending
+ * on two of the same Pokémon's stats some pairs of the IVs returned may not fit on their own.
+ */
+export function infer(
+  gen: Generation,
+  side: 'attacker' | 'defender',
+  observations: Observation[],
+  options: InferOptions = {}
+): Inference {
+  if (!observations.length) error(true, 'At least one observation is needed to infer from');
+  const pokemon = observations[0][side];
+  const levels = options.levels || [pokemon.level, pokemon.level];
+  // Natures don't exist before Gen 3
+  const natures = gen.num < 3 ? [pokemon.nature]
+    : options.natures || getNatures(gen);
+  const items = options.items || [pokemon.item];
+  const abilities = options.abilities || [pokemon.ability];
+  const stats = observations.map(o => getStats(gen, o.move, side));
+
+  const cache: {[key: string]: boolean} = {};
+  const sets: InferredSet[] = [];
+  for (let level = levels[0]; level <= levels[1]; level++) {
+    for (const item of items) {
+      for (const ability of abilities) {
+        for (const nature of natures) {
+          const ivs: Partial<StatsTable<number[]>> = {};
+          let consistent = true;
+          for (let i = 0; i < observations.length && consistent; i++) {
+            const fits = getIVs(gen, side, observations[i], stats[i], options.ivs || {}, {
+              level, nature, item, ability, cache, key: `${i}|${level}|${item}|${ability}`,
+            });
+            for (const stat of stats[i]) {
+              const possible = ivs[stat];
+              ivs[stat] = possible ? possible.filter(iv => fits[stat]!.includes(iv)) : fits[stat];
+              if (!ivs[stat]!.length) consistent = false;
+            }
+          }
+          if (consistent) sets.push({level, nature, item, ability, ivs});
+        }
+      }
+    }
+  }
+  return summarize(sets);
+}
+
+interface Candidate {
+  level: number;
+  nature: NatureName;
+  item?: ItemName;
+  ability?: AbilityName;
+  // Whether a set of stats fits an observation, by the observation and everything but the nature
+  cache: {[key: string]: boolean};
+  key: string;
+}
+
+// The IVs for each of the stats that fit the observation given the rest of the candidate set
+function getIVs(
+  gen: Generation,
+  side: 'attacker' | 'defender',
+  observation: Observation,
+  stats: StatID[],
+  known: Partial<StatsTable>,
+  candidate: Candidate
+) {
+  const pokemon = observation[side];
+  // The IVs giving each value of each stat, as a lot of IVs end up with the same value
+  const values = stats.map(stat => {
+    const byValue: {[value: number]: number[]} = {};
+    for (let iv = 0; iv <= 31; iv++) {
+      if (known[stat] !== undefined && known[stat] !== iv) continue;
+      const value = Stats.calcStat(
+        gen, stat, pokemon.species.baseStats[stat], iv, pokemon.evs[stat],
+        candidate.level, candidate.nature
+      );
+      (byValue[value] = byValue[value] || []).push(iv);
+    }
+    return byValue;
+  });
+
+  const fits: Partial<StatsTable<number[]>> = {};
+  for (const stat of stats) fits[stat] = [];
+  const combinations = getCombinations(values.map(v => Object.keys(v).map(Number)));
+  for (const combination of combinations) {
+    const key = `${candidate.key}|${combination.join(',')}`;
+    if (candidate.cache[key] === undefined) {
+      const ivs: Partial<StatsTable> = {};
+      stats.forEach((stat, i) => {
+        ivs[stat] = values[i][combination[i]][0];
+      });
+      candidate.cache[key] = fitsObservation(gen, side, observation, candidate, ivs);
+    }
+    if (!candidate.cache[key]) continue;
+    stats.forEach((stat, i) => {
+      fits[stat] = fits[stat]!.concat(values[i][combination[i]]);
+    });
+  }
+  for (const stat of stats) fits[stat]!.sort((a, b) => a - b);
+  return fits;
+}
+
+function fitsObservation(
+  gen: Generation,
+  side: 'attacker' | 'defender',
+  observation: Observation,
+  candidate: Candidate,
+  ivs: Partial<StatsTable>
+) {
+  const set = withSet(gen, observation[side], {...candidate, ivs});
+  const attacker = side === 'attacker' ? set : observation.attacker;
+  const defender = side === 'defender' ? set : observation.defender;
+  const result = calculate(gen, attacker, defender, observation.move, observation.field);
+  const damage = result.distribution().damage;
+  // The damage dealt can't be more than the HP the defender had left
+  const left = defender.curHP();
+  return damage.includes(observation.damage) ||
+    (observation.damage === left && damage[damage.length - 1] >= left);
+}
+
+/**
+ * A copy of `template` with the given level, nature, IVs, item and ability in place of its own,
+ * at the same fraction of its HP.
+ */
+export function withSet(
+  gen: Generation,
+  template: Pokemon,
+  set: {
+    level?: number;
+    nature?: NatureName;
+    ivs?: Partial<StatsTable>;
+    item?: ItemName;
+    ability?: AbilityName;
+    abilityOn?: boolean;
+  }
+) {
+  const ivs = set.ivs || {};
+  const pokemon = new Pokemon(gen, template.name, {
+    level: set.level || template.level,
+    ability: 'ability' in set ? set.ability : template.ability,
+    abilityOn: set.abilityOn === undefined ? template.abilityOn : set.abilityOn,
+    isDynamaxed: template.isDynamaxed,
+    isSaltCure: template.isSaltCure,
+    alliesFainted: template.alliesFainted,
+    item: 'item' in set ? set.item : template.item,
+    gender: template.gender,
+    nature: set.nature || template.nature,
+    // Before Gen 3 Special is one stat, so its IV has to be the same for both halves
+    ivs: gen.num < 3 && (ivs.spa !== undefined || ivs.spd !== undefined)
+      ? {...template.ivs, ...ivs, spa: ivs.spa ?? ivs.spd, spd: ivs.spa ?? ivs.spd}
+      : {...template.ivs, ...ivs},
+    evs: template.evs,
+    boosts: template.boosts,
+    accuracyBoost: template.accuracyBoost,
+    evasionBoost: template.evasionBoost,
+    status: template.status,
+    teraType: template.teraType,
+    toxicCounter: template.toxicCounter,
+    moves: template.moves,
+    overrides: template.species,
+  });
+  pokemon.originalCurHP =
+    Math.max(1, Math.round((pokemon.maxHP(true) * template.curHP(true)) / template.maxHP(true)));
+  return pokemon;
+}
+
+// The stats of the Pokémon on `side` which the damage of the move depends on
+export function getStats(gen: Generation, move: Move, side: 'attacker' | 'defender') {
+  if (move.category === 'Status') return [];
+  const physical = move.category === 'Physical';
+  const offensive = move.overrideOffensiveStat || (physical ? 'atk' : 'spa');
+  const defensive = move.overrideDefensiveStat || (physical ? 'def' : 'spd');
+  // Foul Play uses the target's own attacking stat
+  const target = move.overrideOffensivePokemon === 'target';
+  const stats: StatID[] = side === 'attacker'
+    ? (target ? [] : [offensive])
+    : (target ? [offensive, defensive] : [defensive]);
+  // Special is a single stat in Gen 1
+  return stats.map(stat => gen.num === 1 && stat === 'spd' ? 'spa' : stat)
+    .filter((stat, i, all) => all.indexOf(stat) === i);
+}
+
+function getNatures(gen: Generation) {
+  const natures: NatureName[] = [];
+  for (const nature of gen.natures) natures.push(nature.name);
+  return natures;
+}
+
+export function getCombinations(lists: number[][]): number[][] {
+  let combinations: number[][] = [[]];
+  for (const list of lists) {
+    const next: number[][] = [];
+    for (const combination of combinations) {
+      for (const value of list) next.push(combination.concat([value]));
+    }
+    combinations = next;
+  }
+  return combinations;
+}
+
+function summarize(sets: InferredSet[]): Inference {
+  const unique = <T>(values: T[]) => values.filter((v, i) => values.indexOf(v) === i);
+  const ivs: Partial<StatsTable<[number, number]>> = {};
+  for (const set of sets) {
+    for (const stat in set.ivs) {
+      const values = set.ivs[stat as StatID]!;
+      const range = ivs[stat as StatID];
+      ivs[stat as StatID] = range
+        ? [Math.min(range[0], values[0]), Math.max(range[1], values[values.length - 1])]
+        : [values[0], values[values.length - 1]];
+    }
+  }
+  const levels = sets.map(s => s.level);
+  return {
+    sets,
+    levels: sets.length ? [Math.min(...levels), Math.max(...levels)] : undefined,
+    natures: unique(sets.map(s => s.nature)),
+    items: unique(sets.map(s => s.item)),
+    abilities: unique(sets.map(s => s.ability)),
+    ivs,
+  };
+}
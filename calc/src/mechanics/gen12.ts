@@ -5,14 +5,21 @@ import {Field} from '../field';
 import {Move} from '../move';
 import {Pokemon} from '../pokemon';
 import {Result} from '../result';
-import {computeFinalStats, getMoveEffectiveness, handleFixedDamageMoves} from './util';
+import {
+  addStep,
+  checkTypeChart,
+  computeFinalStats,
+  getMoveEffectiveness,
+  handleFixedDamageMoves,
+} from './util';
 
 export function calculateRBYGSC(
   gen: Generation,
   attacker: Pokemon,
   defender: Pokemon,
   move: Move,
-  field: Field
+  field: Field,
+  trace = false
 ) {
   computeFinalStats(gen, attacker, defender, field, 'atk', 'def', 'spa', 'spd', 'spe');
 
@@ -21,6 +28,7 @@ export function calculateRBYGSC(
     moveName: move.name,
     defenderName: defender.name,
   };
+  if (trace) desc.trace = [];
 
   const result = new Result(gen, attacker, defender, move, field, 0, desc);
 
@@ -42,12 +50,17 @@ export function calculateRBYGSC(
     }
   }
 
-  const type1Effectiveness =
-    getMoveEffectiveness(gen, move, defender.types[0], field.defenderSide.isForesight);
+  const isForesight = field.defenderSide.isForesight;
+  const type1Effectiveness = getMoveEffectiveness(
+    gen, move, defender.types[0], isForesight, false, false, field.isInverse
+  );
   const type2Effectiveness = defender.types[1]
-    ? getMoveEffectiveness(gen, move, defender.types[1], field.defenderSide.isForesight)
+    ? getMoveEffectiveness(
+      gen, move, defender.types[1], isForesight, false, false, field.isInverse
+    )
     : 1;
   const typeEffectiveness = type1Effectiveness * type2Effectiveness;
+  checkTypeChart(gen, move, defender, field, desc);
 
   if (typeEffectiveness === 0) {
     return result;
@@ -80,12 +93,15 @@ export function calculateRBYGSC(
   if (move.bp === 0) {
     return result;
   }
+  addStep(desc, 'Base Power', 'move', move.name, move.bp);
 
   const isPhysical = move.category === 'Physical';
   const attackStat = isPhysical ? 'atk' : 'spa';
   const defenseStat = isPhysical ? 'def' : 'spd';
   let at = attacker.stats[attackStat]!;
   let df = defender.stats[defenseStat]!;
+  addStep(desc, 'Attack', 'stat', `${attacker.name} ${attackStat}`, at);
+  addStep(desc, 'Defense', 'stat', `${defender.name} ${defenseStat}`, df);
 
   // Whether we ignore Reflect, Light Screen, stat stages, and burns if attack is a crit differs
   // by gen - in gen 2 we also need to check that the attacker does not have stat stage advantage
@@ -97,8 +113,11 @@ export function calculateRBYGSC(
   if (ignoreMods) {
     at = attacker.rawStats[attackStat]!;
     df = defender.rawStats[defenseStat]!;
+    addStep(desc, 'Attack', 'mechanic', 'Critical hit', at);
+    addStep(desc, 'Defense', 'mechanic', 'Critical hit', df);
     if (gen.num === 1) {
       lv *= 2;
+      addStep(desc, 'Level', 'mechanic', 'Critical hit', lv, 8192);
       desc.isCritical = true;
     }
   } else {
@@ -106,20 +125,24 @@ export function calculateRBYGSC(
     if (defender.boosts[defenseStat] !== 0) desc.defenseBoost = defender.boosts[defenseStat];
     if (isPhysical && attacker.hasStatus('brn')) {
       at = Math.floor(at / 2);
+      addStep(desc, 'Attack', 'status', 'Burn', at, 2048);
       desc.isBurned = true;
     }
   }
 
   if (move.named('Explosion', 'Self-Destruct')) {
     df = Math.floor(df / 2);
+    addStep(desc, 'Defense', 'move', move.name, df, 2048);
   }
 
   if (!ignoreMods) {
     if (isPhysical && field.defenderSide.isReflect) {
       df *= 2;
+      addStep(desc, 'Defense', 'field', 'Reflect', df, 8192);
       desc.isReflect = true;
     } else if (!isPhysical && field.defenderSide.isLightScreen) {
       df *= 2;
+      addStep(desc, 'Defense', 'field', 'Light Screen', df, 8192);
       desc.isLightScreen = true;
     }
   }
@@ -127,12 +150,15 @@ export function calculateRBYGSC(
   if ((attacker.named('Pikachu') && attacker.hasItem('Light Ball') && !isPhysical) ||
       (attacker.named('Cubone', 'Marowak') && attacker.hasItem('Thick Club') && isPhysical)) {
     at *= 2;
+    addStep(desc, 'Attack', 'item', attacker.item!, at, 8192);
     desc.attackerItem = attacker.item;
   }
 
   if (at > 255 || df > 255) {
     at = Math.floor(at / 4) % 256;
     df = Math.floor(df / 4) % 256;
+    addStep(desc, 'Attack', 'mechanic', 'Stat overflow', at);
+    addStep(desc, 'Defense', 'mechanic', 'Stat overflow', df);
   }
 
   // Gen 2 Present has a glitched damage calculation using the secondary types of the Pokemon
@@ -147,25 +173,31 @@ export function calculateRBYGSC(
     at = 10;
     df = Math.max(lookup[attacker.types[1] ? attacker.types[1] : attacker.types[0]], 1);
     lv = Math.max(lookup[defender.types[1] ? defender.types[1] : defender.types[0]], 1);
+    addStep(desc, 'Attack', 'move', move.name, at);
+    addStep(desc, 'Defense', 'move', move.name, df);
   }
 
   if (defender.named('Ditto') && defender.hasItem('Metal Powder')) {
     df = Math.floor(df * 1.5);
+    addStep(desc, 'Defense', 'item', defender.item!, df, 6144);
     desc.defenderItem = defender.item;
   }
 
   let baseDamage = Math.floor(
     Math.floor((Math.floor((2 * lv) / 5 + 2) * Math.max(1, at) * move.bp) / Math.max(1, df)) / 50
   );
+  addStep(desc, 'Base Damage', 'mechanic', 'Damage formula', baseDamage);
 
   // Gen 1 handles move.isCrit above by doubling level
   if (gen.num === 2 && move.isCrit) {
     baseDamage *= 2;
+    addStep(desc, 'Base Damage', 'mechanic', 'Critical hit', baseDamage, 8192);
     desc.isCritical = true;
   }
 
   if (move.named('Pursuit') && field.defenderSide.isSwitching === 'out') {
     baseDamage = Math.floor(baseDamage * 2);
+    addStep(desc, 'Base Damage', 'move', move.name, baseDamage, 8192);
     desc.isSwitching = 'out';
   }
 
@@ -177,32 +209,46 @@ export function calculateRBYGSC(
 
   if (move.hasType(itemBoostType)) {
     baseDamage = Math.floor(baseDamage * 1.1);
+    addStep(desc, 'Base Damage', 'item', attacker.item!, baseDamage, 4505.6);
     desc.attackerItem = attacker.item;
   }
 
   baseDamage = Math.min(997, baseDamage) + 2;
+  addStep(desc, 'Base Damage', 'mechanic', 'Add 2', baseDamage);
 
   if ((field.hasWeather('Sun') && move.hasType('Fire')) ||
       (field.hasWeather('Rain') && move.hasType('Water'))) {
     baseDamage = Math.floor(baseDamage * 1.5);
+    addStep(desc, 'Base Damage', 'weather', field.weather!, baseDamage, 6144);
     desc.weather = field.weather;
   } else if (
     (field.hasWeather('Sun') && move.hasType('Water')) ||
     (field.hasWeather('Rain') && (move.hasType('Fire') || move.named('Solar Beam')))
   ) {
     baseDamage = Math.floor(baseDamage / 2);
+    addStep(desc, 'Base Damage', 'weather', field.weather!, baseDamage, 2048);
     desc.weather = field.weather;
   }
 
   if (move.hasType(...attacker.types)) {
     baseDamage = Math.floor(baseDamage * 1.5);
+    addStep(desc, 'Base Damage', 'mechanic', 'STAB', baseDamage, 6144);
   }
 
   if (gen.num === 1) {
     baseDamage = Math.floor(baseDamage * type1Effectiveness);
+    addStep(
+      desc, 'Base Damage', 'mechanic', 'Type effectiveness', baseDamage, type1Effectiveness * 4096
+    );
     baseDamage = Math.floor(baseDamage * type2Effectiveness);
+    addStep(
+      desc, 'Base Damage', 'mechanic', 'Type effectiveness', baseDamage, type2Effectiveness * 4096
+    );
   } else {
     baseDamage = Math.floor(baseDamage * typeEffectiveness);
+    addStep(
+      desc, 'Base Damage', 'mechanic', 'Type effectiveness', baseDamage, typeEffectiveness * 4096
+    );
   }
 
   // Flail and Reversal don't use random factor
@@ -223,6 +269,8 @@ export function calculateRBYGSC(
       }
     }
   }
+  addStep(desc, 'Damage roll 217/255', 'mechanic', 'Random factor', result.damage[0]);
+  addStep(desc, 'Damage roll 255/255', 'mechanic', 'Random factor', result.damage[38]);
 
   return result;
 }
@@ -6,6 +6,7 @@ import {Move} from '../move';
 import {Field} from '../field';
 import {Result} from '../result';
 import {
+  addStep,
   getModifiedStat,
   getEVDescriptionText,
   getFinalSpeed,
@@ -13,6 +14,7 @@ import {
   checkAirLock,
   checkForecast,
   checkIntimidate,
+  checkTypeChart,
   handleFixedDamageMoves,
 } from './util';
 
@@ -21,7 +23,8 @@ export function calculateADV(
   attacker: Pokemon,
   defender: Pokemon,
   move: Move,
-  field: Field
+  field: Field,
+  trace = false
 ) {
   checkAirLock(attacker, field);
   checkAirLock(defender, field);
@@ -37,6 +40,7 @@ export function calculateADV(
     moveName: move.name,
     defenderName: defender.name,
   };
+  if (trace) desc.trace = [];
 
   const result = new Result(gen, attacker, defender, move, field, 0, desc);
 
@@ -62,16 +66,17 @@ export function calculateADV(
     desc.moveBP = move.bp;
   }
 
+  const isForesight = field.defenderSide.isForesight;
   const type1Effectiveness = getMoveEffectiveness(
-    gen,
-    move,
-    defender.types[0],
-    field.defenderSide.isForesight
+    gen, move, defender.types[0], isForesight, false, false, field.isInverse
   );
   const type2Effectiveness = defender.types[1]
-    ? getMoveEffectiveness(gen, move, defender.types[1], field.defenderSide.isForesight)
+    ? getMoveEffectiveness(
+      gen, move, defender.types[1], isForesight, false, false, field.isInverse
+    )
     : 1;
   const typeEffectiveness = type1Effectiveness * type2Effectiveness;
+  checkTypeChart(gen, move, defender, field, desc);
 
   if (typeEffectiveness === 0) {
     return result;
@@ -136,6 +141,7 @@ export function calculateADV(
   if (bp === 0) {
     return result;
   }
+  addStep(desc, 'Base Power', 'move', move.name, bp);
 
   const isPhysical = move.category === 'Physical';
   const attackStat = isPhysical ? 'atk' : 'spa';
@@ -145,23 +151,29 @@ export function calculateADV(
 
   let at = attacker.rawStats[attackStat];
   let df = defender.rawStats[defenseStat];
+  addStep(desc, 'Attack', 'stat', `${attacker.name} ${attackStat}`, at);
+  addStep(desc, 'Defense', 'stat', `${defender.name} ${defenseStat}`, df);
 
   if (isPhysical && attacker.hasAbility('Huge Power', 'Pure Power')) {
     at *= 2;
+    addStep(desc, 'Attack', 'ability', attacker.ability!, at, 8192);
     desc.attackerAbility = attacker.ability;
   }
 
   if (!attacker.hasItem('Sea Incense') && move.hasType(getItemBoostType(attacker.item))) {
     at = Math.floor(at * 1.1);
+    addStep(desc, 'Attack', 'item', attacker.item!, at, 4505.6);
     desc.attackerItem = attacker.item;
   } else if (attacker.hasItem('Sea Incense') && move.hasType('Water')) {
     at = Math.floor(at * 1.05);
+    addStep(desc, 'Attack', 'item', attacker.item!, at, 4300.8);
     desc.attackerItem = attacker.item;
   } else if (
     (isPhysical && attacker.hasItem('Choice Band')) ||
     (!isPhysical && attacker.hasItem('Soul Dew') && attacker.named('Latios', 'Latias'))
   ) {
     at = Math.floor(at * 1.5);
+    addStep(desc, 'Attack', 'item', attacker.item!, at, 6144);
     desc.attackerItem = attacker.item;
   } else if (
     (!isPhysical && attacker.hasItem('Deep Sea Tooth') && attacker.named('Clamperl')) ||
@@ -169,25 +181,30 @@ export function calculateADV(
     (isPhysical && attacker.hasItem('Thick Club') && attacker.named('Cubone', 'Marowak'))
   ) {
     at *= 2;
+    addStep(desc, 'Attack', 'item', attacker.item!, at, 8192);
     desc.attackerItem = attacker.item;
   }
 
   if (!isPhysical && defender.hasItem('Soul Dew') && defender.named('Latios', 'Latias')) {
     df = Math.floor(df * 1.5);
+    addStep(desc, 'Defense', 'item', defender.item!, df, 6144);
     desc.defenderItem = defender.item;
   } else if (
     (!isPhysical && defender.hasItem('Deep Sea Scale') && defender.named('Clamperl')) ||
     (isPhysical && defender.hasItem('Metal Powder') && defender.named('Ditto'))
   ) {
     df *= 2;
+    addStep(desc, 'Defense', 'item', defender.item!, df, 8192);
     desc.defenderItem = defender.item;
   }
 
   if (defender.hasAbility('Thick Fat') && (move.hasType('Fire', 'Ice'))) {
     at = Math.floor(at / 2);
+    addStep(desc, 'Attack', 'ability', defender.ability!, at, 2048);
     desc.defenderAbility = defender.ability;
   } else if (isPhysical && defender.hasAbility('Marvel Scale') && defender.status) {
     df = Math.floor(df * 1.5);
+    addStep(desc, 'Defense', 'ability', defender.ability!, df, 6144);
     desc.defenderAbility = defender.ability;
   }
 
@@ -196,6 +213,7 @@ export function calculateADV(
       (!isPhysical && attacker.abilityOn && attacker.hasAbility('Plus', 'Minus'))
   ) {
     at = Math.floor(at * 1.5);
+    addStep(desc, 'Attack', 'ability', attacker.ability!, at, 6144);
     desc.attackerAbility = attacker.ability;
   } else if (attacker.curHP() <= attacker.maxHP() / 3 &&
     ((attacker.hasAbility('Overgrow') && move.hasType('Grass')) ||
@@ -204,11 +222,13 @@ export function calculateADV(
      (attacker.hasAbility('Swarm') && move.hasType('Bug')))
   ) {
     bp = Math.floor(bp * 1.5);
+    addStep(desc, 'Base Power', 'ability', attacker.ability!, bp, 6144);
     desc.attackerAbility = attacker.ability;
   }
 
   if (move.named('Explosion', 'Self-Destruct')) {
     df = Math.floor(df / 2);
+    addStep(desc, 'Defense', 'move', move.name, df, 2048);
   }
 
   const isCritical = move.isCrit && !defender.hasAbility('Battle Armor', 'Shell Armor');
@@ -217,18 +237,22 @@ export function calculateADV(
   const defenseBoost = defender.boosts[defenseStat];
   if (attackBoost > 0 || (!isCritical && attackBoost < 0)) {
     at = getModifiedStat(at, attackBoost);
+    addStep(desc, 'Attack', 'stat', 'Stat boost', at);
     desc.attackBoost = attackBoost;
   }
   if (defenseBoost < 0 || (!isCritical && defenseBoost > 0)) {
     df = getModifiedStat(df, defenseBoost);
+    addStep(desc, 'Defense', 'stat', 'Stat boost', df);
     desc.defenseBoost = defenseBoost;
   }
 
   const lv = attacker.level;
   let baseDamage = Math.floor(Math.floor((Math.floor((2 * lv) / 5 + 2) * at * bp) / df) / 50);
+  addStep(desc, 'Base Damage', 'mechanic', 'Damage formula', baseDamage);
 
   if (attacker.hasStatus('brn') && isPhysical && !attacker.hasAbility('Guts')) {
     baseDamage = Math.floor(baseDamage / 2);
+    addStep(desc, 'Base Damage', 'status', 'Burn', baseDamage, 2048);
     desc.isBurned = true;
   }
 
@@ -236,25 +260,30 @@ export function calculateADV(
     const screenMultiplier = field.gameType !== 'Singles' ? 2 / 3 : 1 / 2;
     if (isPhysical && field.defenderSide.isReflect) {
       baseDamage = Math.floor(baseDamage * screenMultiplier);
+      addStep(desc, 'Base Damage', 'field', 'Reflect', baseDamage, screenMultiplier * 4096);
       desc.isReflect = true;
     } else if (!isPhysical && field.defenderSide.isLightScreen) {
       baseDamage = Math.floor(baseDamage * screenMultiplier);
+      addStep(desc, 'Base Damage', 'field', 'Light Screen', baseDamage, screenMultiplier * 4096);
       desc.isLightScreen = true;
     }
   }
 
   if (move.named('Pursuit') && field.defenderSide.isSwitching === 'out') {
     baseDamage = Math.floor(baseDamage * 2);
+    addStep(desc, 'Base Damage', 'move', move.name, baseDamage, 8192);
     desc.isSwitching = 'out';
   }
 
   if (field.gameType !== 'Singles' && move.target === 'allAdjacentFoes') {
     baseDamage = Math.floor(baseDamage / 2);
+    addStep(desc, 'Base Damage', 'field', 'Spread move', baseDamage, 2048);
   }
 
   if ((field.hasWeather('Sun') && move.hasType('Fire')) ||
       (field.hasWeather('Rain') && move.hasType('Water'))) {
     baseDamage = Math.floor(baseDamage * 1.5);
+    addStep(desc, 'Base Damage', 'weather', field.weather!, baseDamage, 6144);
     desc.weather = field.weather;
   } else if (
     (field.hasWeather('Sun') && move.hasType('Water')) ||
@@ -262,40 +291,52 @@ export function calculateADV(
     (move.named('Solar Beam') && field.hasWeather('Rain', 'Sand', 'Hail'))
   ) {
     baseDamage = Math.floor(baseDamage / 2);
+    addStep(desc, 'Base Damage', 'weather', field.weather!, baseDamage, 2048);
     desc.weather = field.weather;
   }
 
   if (attacker.hasAbility('Flash Fire') && attacker.abilityOn && move.hasType('Fire')) {
     baseDamage = Math.floor(baseDamage * 1.5);
+    addStep(desc, 'Base Damage', 'ability', 'Flash Fire', baseDamage, 6144);
     desc.attackerAbility = 'Flash Fire';
   }
 
   baseDamage = (move.category === 'Physical' ? Math.max(1, baseDamage) : baseDamage) + 2;
+  addStep(desc, 'Base Damage', 'mechanic', 'Add 2', baseDamage);
 
   if (isCritical) {
     baseDamage *= 2;
+    addStep(desc, 'Base Damage', 'mechanic', 'Critical hit', baseDamage, 8192);
     desc.isCritical = true;
   }
 
   if (move.named('Weather Ball') && field.weather) {
     baseDamage *= 2;
+    addStep(desc, 'Base Damage', 'move', move.name, baseDamage, 8192);
     desc.moveBP = bp * 2;
   }
 
   if (field.attackerSide.isHelpingHand) {
     baseDamage = Math.floor(baseDamage * 1.5);
+    addStep(desc, 'Base Damage', 'field', 'Helping Hand', baseDamage, 6144);
     desc.isHelpingHand = true;
   }
 
   if (move.hasType(...attacker.types)) {
     baseDamage = Math.floor(baseDamage * 1.5);
+    addStep(desc, 'Base Damage', 'mechanic', 'STAB', baseDamage, 6144);
   }
 
   baseDamage = Math.floor(baseDamage * typeEffectiveness);
+  addStep(
+    desc, 'Base Damage', 'mechanic', 'Type effectiveness', baseDamage, typeEffectiveness * 4096
+  );
   result.damage = [];
   for (let i = 85; i <= 100; i++) {
     result.damage[i - 85] = Math.max(1, Math.floor((baseDamage * i) / 100));
   }
+  addStep(desc, 'Damage roll 85%', 'mechanic', 'Random factor', result.damage[0]);
+  addStep(desc, 'Damage roll 100%', 'mechanic', 'Random factor', result.damage[15]);
 
   return result;
 }
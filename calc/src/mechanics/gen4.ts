@@ -1,11 +1,12 @@
 import {Generation, AbilityName} from '../data/interface';
 import {getItemBoostType, getNaturalGift, getFlingPower, getBerryResistType} from '../items';
-import {RawDesc} from '../desc';
+import {RawDesc, TraceKind} from '../desc';
 import {Field} from '../field';
 import {Move} from '../move';
 import {Pokemon} from '../pokemon';
 import {Result} from '../result';
 import {
+  addStep,
   getModifiedStat,
   getEVDescriptionText,
   getFinalSpeed,
@@ -15,6 +16,7 @@ import {
   checkItem,
   checkIntimidate,
   checkDownload,
+  checkTypeChart,
   countBoosts,
   handleFixedDamageMoves,
 } from './util';
@@ -24,7 +26,8 @@ export function calculateDPP(
   attacker: Pokemon,
   defender: Pokemon,
   move: Move,
-  field: Field
+  field: Field,
+  trace = false
 ) {
   // #region Initial
 
@@ -46,6 +49,7 @@ export function calculateDPP(
     moveName: move.name,
     defenderName: defender.name,
   };
+  if (trace) desc.trace = [];
 
   const result = new Result(gen, attacker, defender, move, field, 0, desc);
 
@@ -103,13 +107,17 @@ export function calculateDPP(
   }
 
   const isGhostRevealed = attacker.hasAbility('Scrappy') || field.defenderSide.isForesight;
-  let type1Effectiveness =
-    getMoveEffectiveness(gen, move, defender.types[0], isGhostRevealed, field.isGravity);
+  let type1Effectiveness = getMoveEffectiveness(
+    gen, move, defender.types[0], isGhostRevealed, field.isGravity, false, field.isInverse
+  );
   let type2Effectiveness = defender.types[1]
-    ? getMoveEffectiveness(gen, move, defender.types[1], isGhostRevealed, field.isGravity)
+    ? getMoveEffectiveness(
+      gen, move, defender.types[1], isGhostRevealed, field.isGravity, false, field.isInverse
+    )
     : 1;
 
   let typeEffectiveness = type1Effectiveness * type2Effectiveness;
+  checkTypeChart(gen, move, defender, field, desc);
 
   // Iron Ball ignores Klutz in generation 4
   if (typeEffectiveness === 0 && move.hasType('Ground') && defender.hasItem('Iron Ball')) {
@@ -227,9 +235,11 @@ export function calculateDPP(
   if (basePower === 0) {
     return result;
   }
+  addStep(desc, 'Base Power', 'move', move.name, basePower);
 
   if (field.attackerSide.isHelpingHand) {
     basePower = Math.floor(basePower * 1.5);
+    addStep(desc, 'Base Power', 'field', 'Helping Hand', basePower, 6144);
     desc.isHelpingHand = true;
   }
 
@@ -237,6 +247,7 @@ export function calculateDPP(
   if ((attacker.hasItem('Muscle Band') && isPhysical) ||
       (attacker.hasItem('Wise Glasses') && !isPhysical)) {
     basePower = Math.floor(basePower * 1.1);
+    addStep(desc, 'Base Power', 'item', attacker.item!, basePower, 4505.6);
     desc.attackerItem = attacker.item;
   } else if (move.hasType(getItemBoostType(attacker.item)) ||
     (attacker.hasItem('Adamant Orb') &&
@@ -250,12 +261,14 @@ export function calculateDPP(
      move.hasType('Ghost', 'Dragon'))
   ) {
     basePower = Math.floor(basePower * 1.2);
+    addStep(desc, 'Base Power', 'item', attacker.item!, basePower, 4915.2);
     desc.attackerItem = attacker.item;
   }
 
   if ((attacker.hasAbility('Reckless') && (move.recoil || move.hasCrashDamage)) ||
       (attacker.hasAbility('Iron Fist') && move.flags.punch)) {
     basePower = Math.floor(basePower * 1.2);
+    addStep(desc, 'Base Power', 'ability', attacker.ability!, basePower, 4915.2);
     desc.attackerAbility = attacker.ability;
   } else if ((attacker.curHP() <= attacker.maxHP() / 3 &&
     ((attacker.hasAbility('Overgrow') && move.hasType('Grass')) ||
@@ -265,15 +278,18 @@ export function calculateDPP(
       (attacker.hasAbility('Technician') && basePower <= 60)
   ) {
     basePower = Math.floor(basePower * 1.5);
+    addStep(desc, 'Base Power', 'ability', attacker.ability!, basePower, 6144);
     desc.attackerAbility = attacker.ability;
   }
 
   if ((defender.hasAbility('Heatproof') && move.hasType('Fire')) ||
       (defender.hasAbility('Thick Fat') && (move.hasType('Fire', 'Ice')))) {
     basePower = Math.floor(basePower * 0.5);
+    addStep(desc, 'Base Power', 'ability', defender.ability!, basePower, 2048);
     desc.defenderAbility = defender.ability;
   } else if (defender.hasAbility('Dry Skin') && move.hasType('Fire')) {
     basePower = Math.floor(basePower * 1.25);
+    addStep(desc, 'Base Power', 'ability', defender.ability!, basePower, 5120);
     desc.defenderAbility = defender.ability;
   }
 
@@ -298,18 +314,22 @@ export function calculateDPP(
     attack = getModifiedStat(rawAttack, attackBoost);
     desc.attackBoost = attackBoost;
   }
+  addStep(desc, 'Attack', 'stat', `${attacker.name} ${attackStat}`, attack);
 
   if (isPhysical && attacker.hasAbility('Pure Power', 'Huge Power')) {
     attack *= 2;
+    addStep(desc, 'Attack', 'ability', attacker.ability!, attack, 8192);
     desc.attackerAbility = attacker.ability;
   } else if (field.hasWeather('Sun') &&
     (attacker.hasAbility(isPhysical ? 'Flower Gift' : 'Solar Power'))
   ) {
     attack = Math.floor(attack * 1.5);
+    addStep(desc, 'Attack', 'ability', attacker.ability!, attack, 6144);
     desc.attackerAbility = attacker.ability;
     desc.weather = field.weather;
   } else if (field.attackerSide.isFlowerGift && field.hasWeather('Sun') && isPhysical) {
     attack = Math.floor(attack * 1.5);
+    addStep(desc, 'Attack', 'field', 'Flower Gift', attack, 6144);
     desc.weather = field.weather;
     desc.isFlowerGiftAttacker = true;
   } else if (
@@ -318,15 +338,18 @@ export function calculateDPP(
     (!isPhysical && attacker.abilityOn && attacker.hasAbility('Plus', 'Minus')))
   ) {
     attack = Math.floor(attack * 1.5);
+    addStep(desc, 'Attack', 'ability', attacker.ability!, attack, 6144);
     desc.attackerAbility = attacker.ability;
   } else if (isPhysical && attacker.hasAbility('Slow Start') && attacker.abilityOn) {
     attack = Math.floor(attack / 2);
+    addStep(desc, 'Attack', 'ability', attacker.ability!, attack, 2048);
     desc.attackerAbility = attacker.ability;
   }
 
   if ((isPhysical ? attacker.hasItem('Choice Band') : attacker.hasItem('Choice Specs')) ||
       (!isPhysical && attacker.hasItem('Soul Dew') && attacker.named('Latios', 'Latias'))) {
     attack = Math.floor(attack * 1.5);
+    addStep(desc, 'Attack', 'item', attacker.item!, attack, 6144);
     desc.attackerItem = attacker.item;
   } else if (
     (attacker.hasItem('Light Ball') && attacker.named('Pikachu')) ||
@@ -334,6 +357,7 @@ export function calculateDPP(
     (attacker.hasItem('Deep Sea Tooth') && attacker.named('Clamperl') && !isPhysical)
   ) {
     attack *= 2;
+    addStep(desc, 'Attack', 'item', attacker.item!, attack, 8192);
     desc.attackerItem = attacker.item;
   }
 
@@ -358,38 +382,46 @@ export function calculateDPP(
     defense = getModifiedStat(rawDefense, defenseBoost);
     desc.defenseBoost = defenseBoost;
   }
+  addStep(desc, 'Defense', 'stat', `${defender.name} ${defenseStat}`, defense);
 
   if (defender.hasAbility('Marvel Scale') && defender.status && isPhysical) {
     defense = Math.floor(defense * 1.5);
+    addStep(desc, 'Defense', 'ability', defender.ability!, defense, 6144);
     desc.defenderAbility = defender.ability;
   } else if (defender.hasAbility('Flower Gift') && field.hasWeather('Sun') && !isPhysical) {
     defense = Math.floor(defense * 1.5);
+    addStep(desc, 'Defense', 'ability', defender.ability!, defense, 6144);
     desc.defenderAbility = defender.ability;
     desc.weather = field.weather;
   } else if (field.defenderSide.isFlowerGift && field.hasWeather('Sun') && !isPhysical) {
     defense = Math.floor(defense * 1.5);
+    addStep(desc, 'Defense', 'field', 'Flower Gift', defense, 6144);
     desc.weather = field.weather;
     desc.isFlowerGiftDefender = true;
   }
 
   if (defender.hasItem('Soul Dew') && defender.named('Latios', 'Latias') && !isPhysical) {
     defense = Math.floor(defense * 1.5);
+    addStep(desc, 'Defense', 'item', defender.item!, defense, 6144);
     desc.defenderItem = defender.item;
   } else if (
     (defender.hasItem('Deep Sea Scale') && defender.named('Clamperl') && !isPhysical) ||
     (defender.hasItem('Metal Powder') && defender.named('Ditto') && isPhysical)
   ) {
     defense *= 2;
+    addStep(desc, 'Defense', 'item', defender.item!, defense, 8192);
     desc.defenderItem = defender.item;
   }
 
   if (field.hasWeather('Sand') && defender.hasType('Rock') && !isPhysical) {
     defense = Math.floor(defense * 1.5);
+    addStep(desc, 'Defense', 'weather', field.weather!, defense, 6144);
     desc.weather = field.weather;
   }
 
   if (move.named('Explosion') || move.named('Self-Destruct')) {
     defense = Math.floor(defense * 0.5);
+    addStep(desc, 'Defense', 'move', move.name, defense, 2048);
   }
 
   if (defense < 1) {
@@ -402,9 +434,11 @@ export function calculateDPP(
   let baseDamage = Math.floor(
     Math.floor((Math.floor((2 * attacker.level) / 5 + 2) * basePower * attack) / 50) / defense
   );
+  addStep(desc, 'Base Damage', 'mechanic', 'Damage formula', baseDamage);
 
   if (attacker.hasStatus('brn') && isPhysical && !attacker.hasAbility('Guts')) {
     baseDamage = Math.floor(baseDamage * 0.5);
+    addStep(desc, 'Base Damage', 'status', 'Burn', baseDamage, 2048);
     desc.isBurned = true;
   }
 
@@ -412,9 +446,11 @@ export function calculateDPP(
     const screenMultiplier = field.gameType !== 'Singles' ? 2 / 3 : 1 / 2;
     if (isPhysical && field.defenderSide.isReflect) {
       baseDamage = Math.floor(baseDamage * screenMultiplier);
+      addStep(desc, 'Base Damage', 'field', 'Reflect', baseDamage, screenMultiplier * 4096);
       desc.isReflect = true;
     } else if (!isPhysical && field.defenderSide.isLightScreen) {
       baseDamage = Math.floor(baseDamage * screenMultiplier);
+      addStep(desc, 'Base Damage', 'field', 'Light Screen', baseDamage, screenMultiplier * 4096);
       desc.isLightScreen = true;
     }
   }
@@ -422,11 +458,13 @@ export function calculateDPP(
   if (field.gameType !== 'Singles' &&
       ['allAdjacent', 'allAdjacentFoes'].includes(move.target)) {
     baseDamage = Math.floor((baseDamage * 3) / 4);
+    addStep(desc, 'Base Damage', 'field', 'Spread move', baseDamage, 3072);
   }
 
   if ((field.hasWeather('Sun') && move.hasType('Fire')) ||
       (field.hasWeather('Rain') && move.hasType('Water'))) {
     baseDamage = Math.floor(baseDamage * 1.5);
+    addStep(desc, 'Base Damage', 'weather', field.weather!, baseDamage, 6144);
     desc.weather = field.weather;
   } else if (
     (field.hasWeather('Sun') && move.hasType('Water')) ||
@@ -434,28 +472,34 @@ export function calculateDPP(
     (move.named('Solar Beam') && field.hasWeather('Rain', 'Sand', 'Hail'))
   ) {
     baseDamage = Math.floor(baseDamage * 0.5);
+    addStep(desc, 'Base Damage', 'weather', field.weather!, baseDamage, 2048);
     desc.weather = field.weather;
   }
 
   if (attacker.hasAbility('Flash Fire') && attacker.abilityOn && move.hasType('Fire')) {
     baseDamage = Math.floor(baseDamage * 1.5);
+    addStep(desc, 'Base Damage', 'ability', 'Flash Fire', baseDamage, 6144);
     desc.attackerAbility = 'Flash Fire';
   }
 
   baseDamage += 2;
+  addStep(desc, 'Base Damage', 'mechanic', 'Add 2', baseDamage);
 
   if (isCritical) {
     if (attacker.hasAbility('Sniper')) {
       baseDamage *= 3;
+      addStep(desc, 'Base Damage', 'ability', attacker.ability!, baseDamage, 12288);
       desc.attackerAbility = attacker.ability;
     } else {
       baseDamage *= 2;
+      addStep(desc, 'Base Damage', 'mechanic', 'Critical hit', baseDamage, 8192);
     }
     desc.isCritical = isCritical;
   }
 
   if (attacker.hasItem('Life Orb')) {
     baseDamage = Math.floor(baseDamage * 1.3);
+    addStep(desc, 'Base Damage', 'item', attacker.item!, baseDamage, 5324.8);
     desc.attackerItem = attacker.item;
   }
 
@@ -465,6 +509,7 @@ export function calculateDPP(
       baseDamage = Math.floor(baseDamage * 1);
     } else {
       baseDamage = Math.floor(baseDamage * 2);
+      addStep(desc, 'Base Damage', 'move', move.name, baseDamage, 8192);
       desc.isSwitching = 'out';
     }
   }
@@ -505,14 +550,28 @@ export function calculateDPP(
 
   const damage: number[] = [];
   for (let i = 0; i < 16; i++) {
+    // only the lowest and highest rolls are traced
+    const step = (kind: TraceKind, source: string, modifier?: number) => {
+      if ((i === 0 || i === 15) && modifier !== 4096) {
+        addStep(desc, `Damage roll ${85 + i}%`, kind, source, damage[i], modifier);
+      }
+    };
     damage[i] = Math.floor((baseDamage * (85 + i)) / 100);
+    step('mechanic', 'Random factor');
     damage[i] = Math.floor(damage[i] * stabMod);
+    step('mechanic', 'STAB', stabMod * 4096);
     damage[i] = Math.floor(damage[i] * type1Effectiveness);
+    step('mechanic', `${defender.types[0]} effectiveness`, type1Effectiveness * 4096);
     damage[i] = Math.floor(damage[i] * type2Effectiveness);
+    step('mechanic', `${defender.types[1]} effectiveness`, type2Effectiveness * 4096);
     damage[i] = Math.floor(damage[i] * filterMod);
+    step('ability', defender.ability!, filterMod * 4096);
     damage[i] = Math.floor(damage[i] * ebeltMod);
+    step('item', attacker.item!, ebeltMod * 4096);
     damage[i] = Math.floor(damage[i] * tintedMod);
+    step('ability', attacker.ability!, tintedMod * 4096);
     damage[i] = Math.floor(damage[i] * berryMod);
+    step('item', defender.item!, berryMod * 4096);
     damage[i] = Math.max(1, damage[i]);
   }
   result.damage = damage;
@@ -13,6 +13,10 @@ import {Move} from '../move';
 import {Pokemon} from '../pokemon';
 import {Result} from '../result';
 import {
+  addChain,
+  addChildSteps,
+  addMod,
+  addStep,
   chainMods,
   checkAirLock,
   checkDownload,
@@ -22,6 +26,7 @@ import {
   checkItem,
   checkMultihitBoost,
   checkSeedBoost,
+  checkTypeChart,
   checkWonderRoom,
   computeFinalStats,
   countBoosts,
@@ -30,6 +35,7 @@ import {
   getFinalDamage,
   getModifiedStat,
   getMoveEffectiveness,
+  getTypeEffectiveness,
   getWeightFactor,
   handleFixedDamageMoves,
   isGrounded,
@@ -42,7 +48,8 @@ export function calculateBWXY(
   attacker: Pokemon,
   defender: Pokemon,
   move: Move,
-  field: Field
+  field: Field,
+  trace = false
 ) {
   // #region Initial
 
@@ -75,6 +82,7 @@ export function calculateBWXY(
     defenderName: defender.name,
     isWonderRoom: field.isWonderRoom,
   };
+  if (trace) desc.trace = [];
 
   const result = new Result(gen, attacker, defender, move, field, 0, desc);
 
@@ -156,12 +164,16 @@ export function calculateBWXY(
   }
 
   const isGhostRevealed = attacker.hasAbility('Scrappy') || field.defenderSide.isForesight;
-  const type1Effectiveness =
-    getMoveEffectiveness(gen, move, defender.types[0], isGhostRevealed, field.isGravity);
+  const type1Effectiveness = getMoveEffectiveness(
+    gen, move, defender.types[0], isGhostRevealed, field.isGravity, false, field.isInverse
+  );
   const type2Effectiveness = defender.types[1]
-    ? getMoveEffectiveness(gen, move, defender.types[1], isGhostRevealed, field.isGravity)
+    ? getMoveEffectiveness(
+      gen, move, defender.types[1], isGhostRevealed, field.isGravity, false, field.isInverse
+    )
     : 1;
   let typeEffectiveness = type1Effectiveness * type2Effectiveness;
+  checkTypeChart(gen, move, defender, field, desc);
 
   let resistedKnockOffDamage =
     !defender.item ||
@@ -184,10 +196,10 @@ export function calculateBWXY(
     defender.hasItem('Iron Ball') && !defender.hasAbility('Klutz')) {
     typeEffectiveness = 1;
   } else if (typeEffectiveness === 0 && defender.hasItem('Ring Target')) {
-    const effectiveness = gen.types.get(toID(move.type))!.effectiveness;
-    if (effectiveness[defender.types[0]]! === 0) {
+    if (getTypeEffectiveness(gen, move.type, defender.types[0], field.isInverse) === 0) {
       typeEffectiveness = type2Effectiveness;
-    } else if (defender.types[1] && effectiveness[defender.types[1]]! === 0) {
+    } else if (defender.types[1] &&
+      getTypeEffectiveness(gen, move.type, defender.types[1], field.isInverse) === 0) {
       typeEffectiveness = type1Effectiveness;
     }
   }
@@ -214,7 +226,7 @@ export function calculateBWXY(
   }
 
   if (field.hasWeather('Strong Winds') && defender.hasType('Flying') &&
-      gen.types.get(toID(move.type))!.effectiveness['Flying']! > 1) {
+      getTypeEffectiveness(gen, move.type, 'Flying', field.isInverse) > 1) {
     typeEffectiveness /= 2;
     desc.weather = field.weather;
   }
@@ -407,7 +419,8 @@ export function calculateBWXY(
     return result;
   }
 
-  const bpMods = [];
+  addStep(desc, 'Base Power', 'move', move.name, basePower);
+  const bpMods: number[] = [];
 
   // Use BasePower after moves with custom BP to determine if Technician should boost
   if ((attacker.hasAbility('Technician') && basePower <= 60) ||
@@ -416,59 +429,59 @@ export function calculateBWXY(
       (attacker.hasAbility('Toxic Boost') &&
        attacker.hasStatus('psn', 'tox') && move.category === 'Physical')
   ) {
-    bpMods.push(6144);
+    addMod(desc, bpMods, 6144, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (attacker.hasAbility('Analytic') && turnOrder !== 'first') {
-    bpMods.push(5325);
+    addMod(desc, bpMods, 5325, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (
     attacker.hasAbility('Sand Force') &&
     field.hasWeather('Sand') &&
     move.hasType('Rock', 'Ground', 'Steel')
   ) {
-    bpMods.push(5325);
+    addMod(desc, bpMods, 5325, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
     desc.weather = field.weather;
   } else if (
     (attacker.hasAbility('Reckless') && (move.recoil || move.hasCrashDamage)) ||
     (attacker.hasAbility('Iron Fist') && move.flags.punch)
   ) {
-    bpMods.push(4915);
+    addMod(desc, bpMods, 4915, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
   if (defender.hasAbility('Heatproof') && move.hasType('Fire')) {
-    bpMods.push(2048);
+    addMod(desc, bpMods, 2048, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   } else if (defender.hasAbility('Dry Skin') && move.hasType('Fire')) {
-    bpMods.push(5120);
+    addMod(desc, bpMods, 5120, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
   if (attacker.hasAbility('Sheer Force') && move.secondaries) {
-    bpMods.push(5325);
+    addMod(desc, bpMods, 5325, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
   if (attacker.hasAbility('Rivalry') && ![attacker.gender, defender.gender].includes('N')) {
     if (attacker.gender === defender.gender) {
-      bpMods.push(5120);
+      addMod(desc, bpMods, 5120, 'ability', attacker.ability!);
       desc.rivalry = 'buffed';
     } else {
-      bpMods.push(3072);
+      addMod(desc, bpMods, 3072, 'ability', attacker.ability!);
       desc.rivalry = 'nerfed';
     }
     desc.attackerAbility = attacker.ability;
   }
 
   if (attacker.item && getItemBoostType(attacker.item) === move.type) {
-    bpMods.push(4915);
+    addMod(desc, bpMods, 4915, 'item', attacker.item);
     desc.attackerItem = attacker.item;
   } else if (
     (attacker.hasItem('Muscle Band') && move.category === 'Physical') ||
     (attacker.hasItem('Wise Glasses') && move.category === 'Special')
   ) {
-    bpMods.push(4505);
+    addMod(desc, bpMods, 4505, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   } else if (
     (attacker.hasItem('Adamant Orb') &&
@@ -481,43 +494,43 @@ export function calculateBWXY(
      attacker.named('Giratina-Origin') &&
      move.hasType('Ghost', 'Dragon'))
   ) {
-    bpMods.push(4915);
+    addMod(desc, bpMods, 4915, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   } else if (attacker.hasItem(`${move.type} Gem`)) {
-    bpMods.push(gen.num > 5 ? 5325 : 6144);
+    addMod(desc, bpMods, gen.num > 5 ? 5325 : 6144, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   }
 
   if ((move.named('Facade') && attacker.hasStatus('brn', 'par', 'psn', 'tox')) ||
       (move.named('Brine') && defender.curHP() <= defender.maxHP() / 2) ||
       (move.named('Venoshock') && defender.hasStatus('psn', 'tox'))) {
-    bpMods.push(8192);
+    addMod(desc, bpMods, 8192, 'move', move.name);
     desc.moveBP = basePower * 2;
   } else if (gen.num > 5 && move.named('Knock Off') && !resistedKnockOffDamage) {
-    bpMods.push(6144);
+    addMod(desc, bpMods, 6144, 'move', move.name);
     desc.moveBP = basePower * 1.5;
   } else if (move.named('Solar Beam') && field.hasWeather('Rain', 'Heavy Rain', 'Sand', 'Hail')) {
-    bpMods.push(2048);
+    addMod(desc, bpMods, 2048, 'move', move.name);
     desc.moveBP = basePower / 2;
     desc.weather = field.weather;
   }
 
   if (field.attackerSide.isHelpingHand) {
-    bpMods.push(6144);
+    addMod(desc, bpMods, 6144, 'field', 'Helping Hand');
     desc.isHelpingHand = true;
   }
 
   if (isAerilate || isPixilate || isRefrigerate || isNormalize) {
-    bpMods.push(5325);
+    addMod(desc, bpMods, 5325, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (
     (attacker.hasAbility('Mega Launcher') && move.flags.pulse) ||
     (attacker.hasAbility('Strong Jaw') && move.flags.bite)
   ) {
-    bpMods.push(6144);
+    addMod(desc, bpMods, 6144, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (attacker.hasAbility('Tough Claws') && move.flags.contact) {
-    bpMods.push(5325);
+    addMod(desc, bpMods, 5325, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
@@ -532,11 +545,11 @@ export function calculateBWXY(
   const auraBreak = isFieldAuraBreak || isUserAuraBreak;
   if (auraActive) {
     if (auraBreak) {
-      bpMods.push(3072);
+      addMod(desc, bpMods, 3072, 'ability', 'Aura Break');
       desc.attackerAbility = attacker.ability;
       desc.defenderAbility = defender.ability;
     } else {
-      bpMods.push(5448);
+      addMod(desc, bpMods, 5448, 'ability', aura);
       if (isAttackerAura) desc.attackerAbility = attacker.ability;
       if (isDefenderAura) desc.defenderAbility = defender.ability;
     }
@@ -548,7 +561,7 @@ export function calculateBWXY(
     if ((field.hasTerrain('Electric') && move.hasType('Electric')) ||
         (field.hasTerrain('Grassy') && move.hasType('Grass'))
     ) {
-      bpMods.push(6144);
+      addMod(desc, bpMods, 6144, 'terrain', `${field.terrain} Terrain`);
       desc.terrain = field.terrain;
     }
   }
@@ -556,12 +569,14 @@ export function calculateBWXY(
     if ((field.hasTerrain('Misty') && move.hasType('Dragon')) ||
         (field.hasTerrain('Grassy') && move.named('Bulldoze', 'Earthquake'))
     ) {
-      bpMods.push(2048);
+      addMod(desc, bpMods, 2048, 'terrain', `${field.terrain} Terrain`);
       desc.terrain = field.terrain;
     }
   }
 
-  basePower = OF16(Math.max(1, pokeRound((basePower * chainMods(bpMods, 41, 2097152)) / 4096)));
+  const bpMod = chainMods(bpMods, 41, 2097152);
+  basePower = OF16(Math.max(1, pokeRound((basePower * bpMod) / 4096)));
+  addChain(desc, 'Base Power', bpMod, basePower);
 
   // #endregion
   // #region (Special) Attack
@@ -584,16 +599,18 @@ export function calculateBWXY(
     attack = attackSource.stats[attackStat];
     desc.attackBoost = attackSource.boosts[attackStat];
   }
+  addStep(desc, 'Attack', 'stat', `${attackSource.name} ${attackStat}`, attack);
 
   // unlike all other attack modifiers, Hustle gets applied directly
   if (attacker.hasAbility('Hustle') && move.category === 'Physical') {
     attack = pokeRound((attack * 3) / 2);
     desc.attackerAbility = attacker.ability;
+    addStep(desc, 'Attack', 'ability', attacker.ability!, attack, 6144);
   }
 
-  const atMods = [];
+  const atMods: number[] = [];
   if (defender.hasAbility('Thick Fat') && move.hasType('Fire', 'Ice')) {
-    atMods.push(2048);
+    addMod(desc, atMods, 2048, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
@@ -605,10 +622,10 @@ export function calculateBWXY(
          (attacker.hasAbility('Swarm') && move.hasType('Bug')))) ||
       (move.category === 'Special' && attacker.abilityOn && attacker.hasAbility('Plus', 'Minus'))
   ) {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (attacker.hasAbility('Flash Fire') && attacker.abilityOn && move.hasType('Fire')) {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'ability', 'Flash Fire');
     desc.attackerAbility = 'Flash Fire';
   } else if (
     (attacker.hasAbility('Solar Power') &&
@@ -619,24 +636,24 @@ export function calculateBWXY(
      field.hasWeather('Sun', 'Harsh Sunshine') &&
      move.category === 'Physical')
   ) {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
     desc.weather = field.weather;
   } else if (
     field.attackerSide.isFlowerGift &&
     field.hasWeather('Sun', 'Harsh Sunshine') &&
     move.category === 'Physical') {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'field', 'Flower Gift');
     desc.weather = field.weather;
     desc.isFlowerGiftAttacker = true;
   } else if (
     (attacker.hasAbility('Defeatist') && attacker.curHP() <= attacker.maxHP() / 2) ||
     (attacker.hasAbility('Slow Start') && attacker.abilityOn && move.category === 'Physical')
   ) {
-    atMods.push(2048);
+    addMod(desc, atMods, 2048, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (attacker.hasAbility('Huge Power', 'Pure Power') && move.category === 'Physical') {
-    atMods.push(8192);
+    addMod(desc, atMods, 8192, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
@@ -648,7 +665,7 @@ export function calculateBWXY(
        move.category === 'Special') ||
       (attacker.hasItem('Light Ball') && attacker.name.startsWith('Pikachu') && !move.isZ)
   ) {
-    atMods.push(8192);
+    addMod(desc, atMods, 8192, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   } else if (
     (attacker.hasItem('Soul Dew') &&
@@ -657,11 +674,13 @@ export function calculateBWXY(
     (attacker.hasItem('Choice Band') && move.category === 'Physical') ||
     (attacker.hasItem('Choice Specs') && move.category === 'Special')
   ) {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   }
 
-  attack = OF16(Math.max(1, pokeRound((attack * chainMods(atMods, 410, 131072)) / 4096)));
+  const atMod = chainMods(atMods, 410, 131072);
+  attack = OF16(Math.max(1, pokeRound((attack * atMod) / 4096)));
+  addChain(desc, 'Attack', atMod, attack);
 
   // #endregion
   // #region (Special) Defense
@@ -681,16 +700,18 @@ export function calculateBWXY(
     defense = defender.stats[defenseStat];
     desc.defenseBoost = defender.boosts[defenseStat];
   }
+  addStep(desc, 'Defense', 'stat', `${defender.name} ${defenseStat}`, defense);
 
   // unlike all other defense modifiers, Sandstorm SpD boost gets applied directly
   if (field.hasWeather('Sand') && defender.hasType('Rock') && !hitsPhysical) {
     defense = pokeRound((defense * 3) / 2);
     desc.weather = field.weather;
+    addStep(desc, 'Defense', 'weather', field.weather!, defense, 6144);
   }
 
-  const dfMods = [];
+  const dfMods: number[] = [];
   if (defender.hasAbility('Marvel Scale') && defender.status && hitsPhysical) {
-    dfMods.push(6144);
+    addMod(desc, dfMods, 6144, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   } else if (
     defender.named('Cherrim') &&
@@ -698,20 +719,20 @@ export function calculateBWXY(
     field.hasWeather('Sun', 'Harsh Sunshine') &&
     !hitsPhysical
   ) {
-    dfMods.push(6144);
+    addMod(desc, dfMods, 6144, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
     desc.weather = field.weather;
   } else if (
     field.defenderSide.isFlowerGift &&
     field.hasWeather('Sun', 'Harsh Sunshine') &&
     !hitsPhysical) {
-    dfMods.push(6144);
+    addMod(desc, dfMods, 6144, 'field', 'Flower Gift');
     desc.weather = field.weather;
     desc.isFlowerGiftDefender = true;
   }
 
   if (field.hasTerrain('Grassy') && defender.hasAbility('Grass Pelt') && hitsPhysical) {
-    dfMods.push(6144);
+    addMod(desc, dfMods, 6144, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
@@ -719,53 +740,62 @@ export function calculateBWXY(
        defender.named('Latios', 'Latias', 'Latios-Mega', 'Latias-Mega')) ||
       (defender.hasItem('Eviolite') && gen.species.get(toID(defender.name))?.nfe) ||
       (!hitsPhysical && defender.hasItem('Assault Vest'))) {
-    dfMods.push(6144);
+    addMod(desc, dfMods, 6144, 'item', defender.item!);
     desc.defenderItem = defender.item;
   }
 
   if ((defender.hasItem('Metal Powder') && defender.named('Ditto') && hitsPhysical) ||
       (defender.hasItem('Deep Sea Scale') && defender.named('Clamperl') && !hitsPhysical)) {
-    dfMods.push(8192);
+    addMod(desc, dfMods, 8192, 'item', defender.item!);
     desc.defenderItem = defender.item;
   }
 
   if (defender.hasAbility('Fur Coat') && hitsPhysical) {
-    dfMods.push(8192);
+    addMod(desc, dfMods, 8192, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
-  defense = OF16(Math.max(1, pokeRound((defense * chainMods(dfMods, 410, 131072)) / 4096)));
+  const dfMod = chainMods(dfMods, 410, 131072);
+  defense = OF16(Math.max(1, pokeRound((defense * dfMod) / 4096)));
+  addChain(desc, 'Defense', dfMod, defense);
 
   // #endregion
   // #region Damage
 
   let baseDamage = getBaseDamage(attacker.level, basePower, attack, defense);
+  addStep(desc, 'Base Damage', 'mechanic', 'Damage formula', baseDamage);
 
   const isSpread = field.gameType !== 'Singles' &&
     ['allAdjacent', 'allAdjacentFoes'].includes(move.target);
   if (isSpread) {
     baseDamage = pokeRound(OF32(baseDamage * 3072) / 4096);
+    addStep(desc, 'Base Damage', 'field', 'Spread move', baseDamage, 3072);
   }
 
   if (attacker.hasAbility('Parental Bond (Child)')) {
     baseDamage = pokeRound(OF32(baseDamage * 2048) / 4096);
+    addStep(desc, 'Base Damage', 'ability', 'Parental Bond', baseDamage, 2048);
   }
 
   if ((field.hasWeather('Sun', 'Harsh Sunshine') && move.hasType('Fire')) ||
       (field.hasWeather('Rain', 'Heavy Rain') && move.hasType('Water'))) {
     baseDamage = pokeRound(OF32(baseDamage * 6144) / 4096);
     desc.weather = field.weather;
+    addStep(desc, 'Base Damage', 'weather', field.weather!, baseDamage, 6144);
   } else if (
     (field.hasWeather('Sun') && move.hasType('Water')) ||
     (field.hasWeather('Rain') && move.hasType('Fire'))
   ) {
     baseDamage = pokeRound(OF32(baseDamage * 2048) / 4096);
     desc.weather = field.weather;
+    addStep(desc, 'Base Damage', 'weather', field.weather!, baseDamage, 2048);
   }
 
   if (isCritical) {
-    baseDamage = Math.floor(OF32(baseDamage * (gen.num > 5 ? 1.5 : 2)));
+    const critMod = gen.num > 5 ? 1.5 : 2;
+    baseDamage = Math.floor(OF32(baseDamage * critMod));
     desc.isCritical = isCritical;
+    addStep(desc, 'Base Damage', 'mechanic', 'Critical hit', baseDamage, critMod * 4096);
   }
 
   // the random factor is applied between the crit mod and the stab mod, so don't apply anything
@@ -790,90 +820,97 @@ export function calculateBWXY(
     !(move.named('Facade') && gen.num === 6);
   desc.isBurned = applyBurn;
 
-  const finalMods = [];
+  const finalMods: number[] = [];
 
+  const screenMod = field.gameType !== 'Singles' ? (gen.num > 5 ? 2732 : 2703) : 2048;
   if (field.defenderSide.isReflect && move.category === 'Physical' && !isCritical) {
-    finalMods.push(field.gameType !== 'Singles' ? (gen.num > 5 ? 2732 : 2703) : 2048);
+    addMod(desc, finalMods, screenMod, 'field', 'Reflect');
     desc.isReflect = true;
   } else if (field.defenderSide.isLightScreen && move.category === 'Special' && !isCritical) {
-    finalMods.push(field.gameType !== 'Singles' ? (gen.num > 5 ? 2732 : 2703) : 2048);
+    addMod(desc, finalMods, screenMod, 'field', 'Light Screen');
     desc.isLightScreen = true;
   }
 
   if (defender.hasAbility('Multiscale') && defender.curHP() === defender.maxHP() &&
       !field.defenderSide.isSR && (!field.defenderSide.spikes || defender.hasType('Flying')) &&
       !attacker.hasAbility('Parental Bond (Child)')) {
-    finalMods.push(2048);
+    addMod(desc, finalMods, 2048, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
   if (attacker.hasAbility('Tinted Lens') && typeEffectiveness < 1) {
-    finalMods.push(8192);
+    addMod(desc, finalMods, 8192, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
   if (field.defenderSide.isFriendGuard) {
-    finalMods.push(3072);
+    addMod(desc, finalMods, 3072, 'field', 'Friend Guard');
     desc.isFriendGuard = true;
   }
 
   if (attacker.hasAbility('Sniper') && isCritical) {
-    finalMods.push(6144);
+    addMod(desc, finalMods, 6144, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
   if (defender.hasAbility('Solid Rock', 'Filter') && typeEffectiveness > 1) {
-    finalMods.push(3072);
+    addMod(desc, finalMods, 3072, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
   if (attacker.hasItem('Metronome') && move.timesUsedWithMetronome! >= 1) {
     const timesUsedWithMetronome = Math.floor(move.timesUsedWithMetronome!);
     if (timesUsedWithMetronome <= 4) {
-      finalMods.push(4096 + timesUsedWithMetronome * 819);
+      addMod(desc, finalMods, 4096 + timesUsedWithMetronome * 819, 'item', attacker.item!);
     } else {
-      finalMods.push(8192);
+      addMod(desc, finalMods, 8192, 'item', attacker.item!);
     }
     desc.attackerItem = attacker.item;
   }
 
   if (attacker.hasItem('Expert Belt') && typeEffectiveness > 1 && !move.isZ) {
-    finalMods.push(4915);
+    addMod(desc, finalMods, 4915, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   } else if (attacker.hasItem('Life Orb')) {
-    finalMods.push(5324);
+    addMod(desc, finalMods, 5324, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   }
 
   if (move.hasType(getBerryResistType(defender.item)) &&
       (typeEffectiveness > 1 || move.hasType('Normal')) &&
       !attacker.hasAbility('Unnerve')) {
-    finalMods.push(2048);
+    addMod(desc, finalMods, 2048, 'item', defender.item!);
     desc.defenderItem = defender.item;
   }
 
   if (field.defenderSide.isProtected && move.isZ && attacker.item && attacker.item.includes(' Z')) {
-    finalMods.push(1024);
+    addMod(desc, finalMods, 1024, 'field', 'Protect');
     desc.isProtected = true;
   }
 
   const finalMod = chainMods(finalMods, 41, 131072);
+  addChain(desc, 'Final Modifier', finalMod, finalMod);
+
+  let damage: number[] = [];
+  for (let i = 0; i < 16; i++) {
+    // only the lowest and highest rolls are traced
+    const traced = i === 0 || i === 15 ? desc : undefined;
+    damage[i] = getFinalDamage(
+      baseDamage, i, typeEffectiveness, applyBurn, stabMod, finalMod, false, traced
+    );
+  }
 
   let childDamage: number[] | undefined;
   if (attacker.hasAbility('Parental Bond') && move.hits === 1 && !isSpread) {
     const child = attacker.clone();
     child.ability = 'Parental Bond (Child)' as AbilityName;
     checkMultihitBoost(gen, child, defender, move, field, desc);
-    childDamage = calculateBWXY(gen, child, defender, move, field).damage as number[];
+    const childResult = calculateBWXY(gen, child, defender, move, field, !!desc.trace);
+    childDamage = childResult.damage as number[];
+    addChildSteps(desc, childResult.rawDesc);
     desc.attackerAbility = attacker.ability;
   }
 
-  let damage: number[] = [];
-  for (let i = 0; i < 16; i++) {
-    damage[i] =
-      getFinalDamage(baseDamage, i, typeEffectiveness, applyBurn, stabMod, finalMod);
-  }
-
   if (move.dropsStats && (move.timesUsed || 0) > 1) {
     const simpleMultiplier = attacker.hasAbility('Simple') ? 2 : 1;
 
@@ -14,7 +14,12 @@ import {Field} from '../field';
 import {Move} from '../move';
 import {Pokemon} from '../pokemon';
 import {Result} from '../result';
+import {ModifierKind, getModifiers} from '../plugins';
 import {
+  addChain,
+  addChildSteps,
+  addMod,
+  addStep,
   chainMods,
   checkAirLock,
   checkDauntlessShield,
@@ -26,6 +31,7 @@ import {
   checkItem,
   checkMultihitBoost,
   checkSeedBoost,
+  checkTypeChart,
   checkWonderRoom,
   computeFinalStats,
   countBoosts,
@@ -36,6 +42,7 @@ import {
   getMostProficientStat,
   getMoveEffectiveness,
   getShellSideArmCategory,
+  getTypeEffectiveness,
   getWeightFactor,
   handleFixedDamageMoves,
   isGrounded,
@@ -48,7 +55,8 @@ export function calculateSMSSSV(
   attacker: Pokemon,
   defender: Pokemon,
   move: Move,
-  field: Field
+  field: Field,
+  trace = false
 ) {
   // #region Initial
 
@@ -88,6 +96,7 @@ export function calculateSMSSSV(
     isDefenderDynamaxed: defender.isDynamaxed,
     isWonderRoom: field.isWonderRoom,
   };
+  if (trace) desc.trace = [];
 
   const result = new Result(gen, attacker, defender, move, field, 0, desc);
 
@@ -256,7 +265,10 @@ export function calculateSMSSSV(
     defender.types[0],
     isGhostRevealed,
     field.isGravity,
-    isRingTarget
+    isRingTarget,
+    field.isInverse,
+    attacker,
+    defender
   );
   const type2Effectiveness = defender.types[1]
     ? getMoveEffectiveness(
@@ -265,7 +277,10 @@ export function calculateSMSSSV(
       defender.types[1],
       isGhostRevealed,
       field.isGravity,
-      isRingTarget
+      isRingTarget,
+      field.isInverse,
+      attacker,
+      defender
     )
     : 1;
   let typeEffectiveness = type1Effectiveness * type2Effectiveness;
@@ -277,9 +292,13 @@ export function calculateSMSSSV(
       defender.teraType,
       isGhostRevealed,
       field.isGravity,
-      isRingTarget
+      isRingTarget,
+      field.isInverse,
+      attacker,
+      defender
     );
   }
+  checkTypeChart(gen, move, defender, field, desc);
 
   if (typeEffectiveness === 0 && move.hasType('Ground') &&
     defender.hasItem('Iron Ball') && !defender.hasAbility('Klutz')) {
@@ -315,7 +334,7 @@ export function calculateSMSSSV(
   }
 
   if (field.hasWeather('Strong Winds') && defender.hasType('Flying') &&
-      gen.types.get(toID(move.type))!.effectiveness['Flying']! > 1) {
+      getTypeEffectiveness(gen, move.type, 'Flying', field.isInverse) > 1) {
     typeEffectiveness /= 2;
     desc.weather = field.weather;
   }
@@ -452,15 +471,18 @@ export function calculateSMSSSV(
   // #region Damage
 
   let baseDamage = getBaseDamage(attacker.level, basePower, attack, defense);
+  addStep(desc, 'Base Damage', 'mechanic', 'Damage formula', baseDamage);
 
   const isSpread = field.gameType !== 'Singles' &&
      ['allAdjacent', 'allAdjacentFoes'].includes(move.target);
   if (isSpread) {
     baseDamage = pokeRound(OF32(baseDamage * 3072) / 4096);
+    addStep(desc, 'Base Damage', 'field', 'Spread move', baseDamage, 3072);
   }
 
   if (attacker.hasAbility('Parental Bond (Child)')) {
     baseDamage = pokeRound(OF32(baseDamage * 1024) / 4096);
+    addStep(desc, 'Base Damage', 'ability', 'Parental Bond', baseDamage, 1024);
   }
 
   const noWeatherBoost = defender.hasItem('Utility Umbrella');
@@ -470,12 +492,14 @@ export function calculateSMSSSV(
   ) {
     baseDamage = pokeRound(OF32(baseDamage * 6144) / 4096);
     desc.weather = field.weather;
+    addStep(desc, 'Base Damage', 'weather', field.weather!, baseDamage, 6144);
   } else if (!noWeatherBoost &&
     ((field.hasWeather('Sun') && move.hasType('Water')) ||
     (field.hasWeather('Rain') && move.hasType('Fire')))
   ) {
     baseDamage = pokeRound(OF32(baseDamage * 2048) / 4096);
     desc.weather = field.weather;
+    addStep(desc, 'Base Damage', 'weather', field.weather!, baseDamage, 2048);
   }
 
   if (hasTerrainSeed(defender) &&
@@ -489,6 +513,7 @@ export function calculateSMSSSV(
   if (isCritical) {
     baseDamage = Math.floor(OF32(baseDamage * 1.5));
     desc.isCritical = isCritical;
+    addStep(desc, 'Base Damage', 'mechanic', 'Critical hit', baseDamage, 6144);
   }
 
   // the random factor is applied between the crit mod and the stab mod, so don't apply anything
@@ -535,22 +560,28 @@ export function calculateSMSSSV(
   }
 
   const finalMod = chainMods(finalMods, 41, 131072);
+  addChain(desc, 'Final Modifier', finalMod, finalMod);
+
+  let damage = [];
+  for (let i = 0; i < 16; i++) {
+    // only the lowest and highest rolls are traced
+    const traced = i === 0 || i === 15 ? desc : undefined;
+    damage[i] = getFinalDamage(
+      baseDamage, i, typeEffectiveness, applyBurn, stabMod, finalMod, protect, traced
+    );
+  }
 
   let childDamage: number[] | undefined;
   if (attacker.hasAbility('Parental Bond') && move.hits === 1 && !isSpread) {
     const child = attacker.clone();
     child.ability = 'Parental Bond (Child)' as AbilityName;
     checkMultihitBoost(gen, child, defender, move, field, desc);
-    childDamage = calculateSMSSSV(gen, child, defender, move, field).damage as number[];
+    const childResult = calculateSMSSSV(gen, child, defender, move, field, !!desc.trace);
+    childDamage = childResult.damage as number[];
+    addChildSteps(desc, childResult.rawDesc);
     desc.attackerAbility = attacker.ability;
   }
 
-  let damage = [];
-  for (let i = 0; i < 16; i++) {
-    damage[i] =
-      getFinalDamage(baseDamage, i, typeEffectiveness, applyBurn, stabMod, finalMod, protect);
-  }
-
   if (move.dropsStats && move.timesUsed! > 1) {
     const simpleMultiplier = attacker.hasAbility('Simple') ? 2 : 1;
 
@@ -799,6 +830,7 @@ export function calculateBasePowerSMSSSV(
     // show z-move power in description
     desc.moveBP = move.bp;
   }
+  addStep(desc, 'Base Power', 'move', move.name, basePower);
   const bpMods = calculateBPModsSMSSSV(
     gen,
     attacker,
@@ -810,7 +842,9 @@ export function calculateBasePowerSMSSSV(
     hasAteAbilityTypeChange,
     turnOrder
   );
-  basePower = OF16(Math.max(1, pokeRound((basePower * chainMods(bpMods, 41, 2097152)) / 4096)));
+  const bpMod = chainMods(bpMods, 41, 2097152);
+  basePower = OF16(Math.max(1, pokeRound((basePower * bpMod) / 4096)));
+  addChain(desc, 'Base Power', bpMod, basePower);
   if (
     attacker.teraType && move.type === attacker.teraType &&
     attacker.hasType(attacker.teraType) && move.hits === 1 &&
@@ -819,6 +853,7 @@ export function calculateBasePowerSMSSSV(
   ) {
     basePower = 60;
     desc.moveBP = 60;
+    addStep(desc, 'Base Power', 'mechanic', 'Tera minimum', basePower);
   }
   return basePower;
 }
@@ -834,7 +869,7 @@ export function calculateBPModsSMSSSV(
   hasAteAbilityTypeChange: boolean,
   turnOrder: string
 ) {
-  const bpMods = [];
+  const bpMods: number[] = [];
 
   // Move effects
 
@@ -866,23 +901,23 @@ export function calculateBPModsSMSSSV(
     (move.named('Venoshock') && defender.hasStatus('psn', 'tox')) ||
     (move.named('Lash Out') && (countBoosts(gen, attacker.boosts) < 0))
   ) {
-    bpMods.push(8192);
+    addMod(desc, bpMods, 8192, 'move', move.name);
     desc.moveBP = basePower * 2;
   } else if (
     move.named('Expanding Force') && isGrounded(attacker, field) && field.hasTerrain('Psychic')
   ) {
     move.target = 'allAdjacentFoes';
-    bpMods.push(6144);
+    addMod(desc, bpMods, 6144, 'move', move.name);
     desc.moveBP = basePower * 1.5;
   } else if ((move.named('Knock Off') && !resistedKnockOffDamage) ||
     (move.named('Misty Explosion') && isGrounded(attacker, field) && field.hasTerrain('Misty')) ||
     (move.named('Grav Apple') && field.isGravity)
   ) {
-    bpMods.push(6144);
+    addMod(desc, bpMods, 6144, 'move', move.name);
     desc.moveBP = basePower * 1.5;
   } else if (move.named('Solar Beam', 'Solar Blade') &&
       field.hasWeather('Rain', 'Heavy Rain', 'Sand', 'Hail', 'Snow')) {
-    bpMods.push(2048);
+    addMod(desc, bpMods, 2048, 'move', move.name);
     desc.moveBP = basePower / 2;
     desc.weather = field.weather;
   } else if (move.named('Collision Course', 'Electro Drift')) {
@@ -896,7 +931,10 @@ export function calculateBPModsSMSSSV(
       defender.types[0],
       isGhostRevealed,
       field.isGravity,
-      isRingTarget
+      isRingTarget,
+      field.isInverse,
+      attacker,
+      defender
     );
     const type2Effectiveness = defender.types[1] ? getMoveEffectiveness(
       gen,
@@ -904,16 +942,19 @@ export function calculateBPModsSMSSSV(
       defender.types[0],
       isGhostRevealed,
       field.isGravity,
-      isRingTarget
+      isRingTarget,
+      field.isInverse,
+      attacker,
+      defender
     ) : 1;
     if (type1Effectiveness * type2Effectiveness >= 2) {
-      bpMods.push(5461);
+      addMod(desc, bpMods, 5461, 'move', move.name);
       desc.moveBP = basePower * (5461 / 4096);
     }
   }
 
   if (field.attackerSide.isHelpingHand) {
-    bpMods.push(6144);
+    addMod(desc, bpMods, 6144, 'field', 'Helping Hand');
     desc.isHelpingHand = true;
   }
 
@@ -925,7 +966,7 @@ export function calculateBPModsSMSSSV(
         (field.hasTerrain('Grassy') && move.hasType('Grass')) ||
         (field.hasTerrain('Psychic') && move.hasType('Psychic'))
     ) {
-      bpMods.push(terrainMultiplier);
+      addMod(desc, bpMods, terrainMultiplier, 'terrain', `${field.terrain} Terrain`);
       desc.terrain = field.terrain;
     }
   }
@@ -933,7 +974,7 @@ export function calculateBPModsSMSSSV(
     if ((field.hasTerrain('Misty') && move.hasType('Dragon')) ||
         (field.hasTerrain('Grassy') && move.named('Bulldoze', 'Earthquake'))
     ) {
-      bpMods.push(2048);
+      addMod(desc, bpMods, 2048, 'terrain', `${field.terrain} Terrain`);
       desc.terrain = field.terrain;
     }
   }
@@ -951,7 +992,7 @@ export function calculateBPModsSMSSSV(
     (attacker.hasAbility('Steely Spirit') && move.hasType('Steel')) ||
     (attacker.hasAbility('Sharpness') && move.flags.slicing)
   ) {
-    bpMods.push(6144);
+    addMod(desc, bpMods, 6144, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
@@ -966,11 +1007,11 @@ export function calculateBPModsSMSSSV(
   const auraBreak = isFieldAuraBreak || isUserAuraBreak;
   if (auraActive) {
     if (auraBreak) {
-      bpMods.push(3072);
+      addMod(desc, bpMods, 3072, 'ability', 'Aura Break');
       desc.attackerAbility = attacker.ability;
       desc.defenderAbility = defender.ability;
     } else {
-      bpMods.push(5448);
+      addMod(desc, bpMods, 5448, 'ability', aura);
       if (isAttackerAura) desc.attackerAbility = attacker.ability;
       if (isDefenderAura) desc.defenderAbility = defender.ability;
     }
@@ -987,26 +1028,26 @@ export function calculateBPModsSMSSSV(
     (attacker.hasAbility('Tough Claws') && move.flags.contact) ||
     (attacker.hasAbility('Punk Rock') && move.flags.sound)
   ) {
-    bpMods.push(5325);
+    addMod(desc, bpMods, 5325, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
   if (field.attackerSide.isBattery && move.category === 'Special') {
-    bpMods.push(5325);
+    addMod(desc, bpMods, 5325, 'field', 'Battery');
     desc.isBattery = true;
   }
 
   if (field.attackerSide.isPowerSpot) {
-    bpMods.push(5325);
+    addMod(desc, bpMods, 5325, 'field', 'Power Spot');
     desc.isPowerSpot = true;
   }
 
   if (attacker.hasAbility('Rivalry') && ![attacker.gender, defender.gender].includes('N')) {
     if (attacker.gender === defender.gender) {
-      bpMods.push(5120);
+      addMod(desc, bpMods, 5120, 'ability', attacker.ability!);
       desc.rivalry = 'buffed';
     } else {
-      bpMods.push(3072);
+      addMod(desc, bpMods, 3072, 'ability', attacker.ability!);
       desc.rivalry = 'nerfed';
     }
     desc.attackerAbility = attacker.ability;
@@ -1015,32 +1056,33 @@ export function calculateBPModsSMSSSV(
   // The -ate abilities already changed move typing earlier, so most checks are done and desc is set
   // However, Max Moves also don't boost -ate Abilities
   if (!move.isMax && hasAteAbilityTypeChange) {
-    bpMods.push(4915);
+    addMod(desc, bpMods, 4915, 'ability', attacker.ability!);
   }
 
   if ((attacker.hasAbility('Reckless') && (move.recoil || move.hasCrashDamage)) ||
       (attacker.hasAbility('Iron Fist') && move.flags.punch)
   ) {
-    bpMods.push(4915);
+    addMod(desc, bpMods, 4915, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
   if (attacker.hasItem('Punching Glove') && move.flags.punch) {
-    bpMods.push(4506);
+    addMod(desc, bpMods, 4506, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   }
 
   if (defender.hasAbility('Heatproof') && move.hasType('Fire')) {
-    bpMods.push(2048);
+    addMod(desc, bpMods, 2048, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   } else if (defender.hasAbility('Dry Skin') && move.hasType('Fire')) {
-    bpMods.push(5120);
+    addMod(desc, bpMods, 5120, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
   if (attacker.hasAbility('Supreme Overlord') && attacker.alliesFainted) {
     const powMod = [4096, 4506, 4915, 5325, 5734, 6144];
-    bpMods.push(powMod[Math.min(5, attacker.alliesFainted)]);
+    const mod = powMod[Math.min(5, attacker.alliesFainted)];
+    addMod(desc, bpMods, mod, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
     desc.alliesFainted = attacker.alliesFainted;
   }
@@ -1048,7 +1090,7 @@ export function calculateBPModsSMSSSV(
   // Items
 
   if (attacker.hasItem(`${move.type} Gem`)) {
-    bpMods.push(6144);
+    addMod(desc, bpMods, 6144, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   } else if (
     ((attacker.hasItem('Adamant Crystal') && attacker.named('Dialga-Origin')) ||
@@ -1066,15 +1108,17 @@ export function calculateBPModsSMSSSV(
      move.hasType('Poison', 'Flying')) ||
      attacker.item && move.hasType(getItemBoostType(attacker.item))
   ) {
-    bpMods.push(4915);
+    addMod(desc, bpMods, 4915, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   } else if (
     (attacker.hasItem('Muscle Band') && move.category === 'Physical') ||
     (attacker.hasItem('Wise Glasses') && move.category === 'Special')
   ) {
-    bpMods.push(4505);
+    addMod(desc, bpMods, 4505, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   }
+
+  addPluginMods(desc, bpMods, 'basePower', gen, attacker, defender, move, field);
   return bpMods;
 }
 
@@ -1117,14 +1161,18 @@ export function calculateAttackSMSSSV(
     attack = attackSource.stats[attackStat];
     desc.attackBoost = attackSource.boosts[attackStat];
   }
+  addStep(desc, 'Attack', 'stat', `${attackSource.name} ${attackStat}`, attack);
 
   // unlike all other attack modifiers, Hustle gets applied directly
   if (attacker.hasAbility('Hustle') && move.category === 'Physical') {
     attack = pokeRound((attack * 3) / 2);
     desc.attackerAbility = attacker.ability;
+    addStep(desc, 'Attack', 'ability', attacker.ability!, attack, 6144);
   }
   const atMods = calculateAtModsSMSSSV(gen, attacker, defender, move, field, desc);
-  attack = OF16(Math.max(1, pokeRound((attack * chainMods(atMods, 410, 131072)) / 4096)));
+  const atMod = chainMods(atMods, 410, 131072);
+  attack = OF16(Math.max(1, pokeRound((attack * atMod) / 4096)));
+  addChain(desc, 'Attack', atMod, attack);
   return attack;
 }
 
@@ -1136,14 +1184,14 @@ export function calculateAtModsSMSSSV(
   field: Field,
   desc: RawDesc
 ) {
-  const atMods = [];
+  const atMods: number[] = [];
 
   // Slow Start also halves damage with special Z-moves
   if ((attacker.hasAbility('Slow Start') && attacker.abilityOn &&
        (move.category === 'Physical' || (move.category === 'Special' && move.isZ))) ||
       (attacker.hasAbility('Defeatist') && attacker.curHP() <= attacker.maxHP() / 2)
   ) {
-    atMods.push(2048);
+    addMod(desc, atMods, 2048, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (
     (attacker.hasAbility('Solar Power') &&
@@ -1156,14 +1204,14 @@ export function calculateAtModsSMSSSV(
     // Gorilla Tactics has no effect during Dynamax (Anubis)
     (attacker.hasAbility('Gorilla Tactics') && move.category === 'Physical' &&
      !attacker.isDynamaxed)) {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
     desc.weather = field.weather;
   } else if (
     field.attackerSide.isFlowerGift &&
     field.hasWeather('Sun', 'Harsh Sunshine') &&
     move.category === 'Physical') {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'field', 'Flower Gift');
     desc.weather = field.weather;
     desc.isFlowerGiftAttacker = true;
   } else if (
@@ -1175,10 +1223,10 @@ export function calculateAtModsSMSSSV(
        (attacker.hasAbility('Swarm') && move.hasType('Bug')))) ||
     (move.category === 'Special' && attacker.abilityOn && attacker.hasAbility('Plus', 'Minus'))
   ) {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (attacker.hasAbility('Flash Fire') && attacker.abilityOn && move.hasType('Fire')) {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'ability', 'Flash Fire');
     desc.attackerAbility = 'Flash Fire';
   } else if (
     (attacker.hasAbility('Steelworker') && move.hasType('Steel')) ||
@@ -1186,23 +1234,23 @@ export function calculateAtModsSMSSSV(
     (attacker.hasAbility('Transistor') && move.hasType('Electric')) ||
     (attacker.hasAbility('Rocky Payload') && move.hasType('Rock'))
   ) {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (attacker.hasAbility('Stakeout') && attacker.abilityOn) {
-    atMods.push(8192);
+    addMod(desc, atMods, 8192, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (
     (attacker.hasAbility('Water Bubble') && move.hasType('Water')) ||
     (attacker.hasAbility('Huge Power', 'Pure Power') && move.category === 'Physical')
   ) {
-    atMods.push(8192);
+    addMod(desc, atMods, 8192, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
   if ((defender.hasAbility('Thick Fat') && move.hasType('Fire', 'Ice')) ||
       (defender.hasAbility('Water Bubble') && move.hasType('Fire')) ||
      (defender.hasAbility('Purifying Salt') && move.hasType('Ghost'))) {
-    atMods.push(2048);
+    addMod(desc, atMods, 2048, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
@@ -1217,7 +1265,8 @@ export function calculateAtModsSMSSSV(
     } else {
       desc[move.category === 'Special' ? 'isVesselOfRuin' : 'isTabletsOfRuin'] = true;
     }
-    atMods.push(3072);
+    const ruin = move.category === 'Special' ? 'Vessel of Ruin' : 'Tablets of Ruin';
+    addMod(desc, atMods, 3072, 'ability', ruin);
   }
 
   if (
@@ -1231,7 +1280,7 @@ export function calculateAtModsSMSSSV(
         getMostProficientStat(attacker) === 'atk') ||
       (move.category === 'Special' && getMostProficientStat(attacker) === 'spa')
     ) {
-      atMods.push(5325);
+      addMod(desc, atMods, 5325, 'ability', attacker.ability!);
       desc.attackerAbility = attacker.ability;
     }
   }
@@ -1242,7 +1291,7 @@ export function calculateAtModsSMSSSV(
     (attacker.hasAbility('Orichalcum Pulse') && move.category === 'Physical' &&
       field.hasWeather('Sun', 'Harsh Sunshine') && !attacker.hasItem('Utility Umbrella'))
   ) {
-    atMods.push(5461);
+    addMod(desc, atMods, 5461, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
@@ -1254,7 +1303,7 @@ export function calculateAtModsSMSSSV(
        move.category === 'Special') ||
       (attacker.hasItem('Light Ball') && attacker.name.includes('Pikachu') && !move.isZ)
   ) {
-    atMods.push(8192);
+    addMod(desc, atMods, 8192, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
     // Choice Band/Scarf/Specs move lock and stat boosts are ignored during Dynamax (Anubis)
   } else if (!move.isZ && !move.isMax &&
@@ -1262,9 +1311,11 @@ export function calculateAtModsSMSSSV(
       (attacker.hasItem('Choice Specs') && move.category === 'Special') ||
       attacker.hasItem("Soul Dew") && move.category === 'Special' && attacker.named('Latios', 'Latias', 'Latios-Mega', 'Latias-Mega'))
   ) {
-    atMods.push(6144);
+    addMod(desc, atMods, 6144, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   }
+
+  addPluginMods(desc, atMods, 'attack', gen, attacker, defender, move, field);
   return atMods;
 }
 
@@ -1293,15 +1344,18 @@ export function calculateDefenseSMSSSV(
     defense = defender.stats[defenseStat];
     desc.defenseBoost = defender.boosts[defenseStat];
   }
+  addStep(desc, 'Defense', 'stat', `${defender.name} ${defenseStat}`, defense);
 
   // unlike all other defense modifiers, Sandstorm SpD boost gets applied directly
   if (field.hasWeather('Sand') && defender.hasType('Rock') && !hitsPhysical) {
     defense = pokeRound((defense * 3) / 2);
     desc.weather = field.weather;
+    addStep(desc, 'Defense', 'weather', field.weather!, defense, 6144);
   }
   if (field.hasWeather('Snow') && defender.hasType('Ice') && hitsPhysical) {
     defense = pokeRound((defense * 3) / 2);
     desc.weather = field.weather;
+    addStep(desc, 'Defense', 'weather', field.weather!, defense, 6144);
   }
 
   const dfMods = calculateDfModsSMSSSV(
@@ -1315,7 +1369,10 @@ export function calculateDefenseSMSSSV(
     hitsPhysical
   );
 
-  return OF16(Math.max(1, pokeRound((defense * chainMods(dfMods, 410, 131072)) / 4096)));
+  const dfMod = chainMods(dfMods, 410, 131072);
+  defense = OF16(Math.max(1, pokeRound((defense * dfMod) / 4096)));
+  addChain(desc, 'Defense', dfMod, defense);
+  return defense;
 }
 
 export function calculateDfModsSMSSSV(
@@ -1328,9 +1385,9 @@ export function calculateDfModsSMSSSV(
   isCritical = false,
   hitsPhysical = false
 ) {
-  const dfMods = [];
+  const dfMods: number[] = [];
   if (defender.hasAbility('Marvel Scale') && defender.status && hitsPhysical) {
-    dfMods.push(6144);
+    addMod(desc, dfMods, 6144, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   } else if (
     defender.named('Cherrim') &&
@@ -1338,14 +1395,14 @@ export function calculateDfModsSMSSSV(
     field.hasWeather('Sun', 'Harsh Sunshine') &&
     !hitsPhysical
   ) {
-    dfMods.push(6144);
+    addMod(desc, dfMods, 6144, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
     desc.weather = field.weather;
   } else if (
     field.defenderSide.isFlowerGift &&
     field.hasWeather('Sun', 'Harsh Sunshine') &&
     !hitsPhysical) {
-    dfMods.push(6144);
+    addMod(desc, dfMods, 6144, 'field', 'Flower Gift');
     desc.weather = field.weather;
     desc.isFlowerGiftDefender = true;
   } else if (
@@ -1353,10 +1410,10 @@ export function calculateDfModsSMSSSV(
     field.hasTerrain('Grassy') &&
     hitsPhysical
   ) {
-    dfMods.push(6144);
+    addMod(desc, dfMods, 6144, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   } else if (defender.hasAbility('Fur Coat') && hitsPhysical) {
-    dfMods.push(8192);
+    addMod(desc, dfMods, 8192, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
@@ -1371,11 +1428,11 @@ export function calculateDfModsSMSSSV(
     } else {
       desc[hitsPhysical ? 'isSwordOfRuin' : 'isBeadsOfRuin'] = true;
     }
-    dfMods.push(3072);
+    addMod(desc, dfMods, 3072, 'ability', hitsPhysical ? 'Sword of Ruin' : 'Beads of Ruin');
   }
 
   if (move.named('Explosion', 'Self-Destruct', 'Misty Explosion')){
-    dfMods.push(2048);
+    addMod(desc, dfMods, 2048, 'move', move.name);
   }
 
   if (
@@ -1389,22 +1446,24 @@ export function calculateDfModsSMSSSV(
       (!hitsPhysical && getMostProficientStat(defender) === 'spd')
     ) {
       desc.defenderAbility = defender.ability;
-      dfMods.push(5324);
+      addMod(desc, dfMods, 5324, 'ability', defender.ability!);
     }
   }
 
   if ((defender.hasItem('Eviolite') && gen.species.get(toID(defender.name))?.nfe) ||
       (!hitsPhysical && defender.hasItem('Assault Vest') )||
       (defender.hasItem("Soul Dew") && move.category === 'Special' && defender.named('Latios', 'Latias', 'Latios-Mega', 'Latias-Mega'))) {
-    dfMods.push(6144);
+    addMod(desc, dfMods, 6144, 'item', defender.item!);
     desc.defenderItem = defender.item;
   } else if (
     (defender.hasItem('Metal Powder') && defender.named('Ditto') && hitsPhysical) ||
     (defender.hasItem('Deep Sea Scale') && defender.named('Clamperl') && !hitsPhysical)
   ) {
-    dfMods.push(8192);
+    addMod(desc, dfMods, 8192, 'item', defender.item!);
     desc.defenderItem = defender.item;
   }
+
+  addPluginMods(desc, dfMods, 'defense', gen, attacker, defender, move, field);
   return dfMods;
 }
 
@@ -1418,39 +1477,39 @@ export function calculateFinalModsSMSSSV(
   isCritical = false,
   typeEffectiveness: number
 ) {
-  const finalMods = [];
+  const finalMods: number[] = [];
 
   if (field.defenderSide.isReflect && move.category === 'Physical' &&
       !isCritical && !field.defenderSide.isAuroraVeil) {
     // doesn't stack with Aurora Veil
-    finalMods.push(field.gameType !== 'Singles' ? 2732 : 2048);
+    addMod(desc, finalMods, field.gameType !== 'Singles' ? 2732 : 2048, 'field', 'Reflect');
     desc.isReflect = true;
   } else if (
     field.defenderSide.isLightScreen && move.category === 'Special' &&
     !isCritical && !field.defenderSide.isAuroraVeil
   ) {
     // doesn't stack with Aurora Veil
-    finalMods.push(field.gameType !== 'Singles' ? 2732 : 2048);
+    addMod(desc, finalMods, field.gameType !== 'Singles' ? 2732 : 2048, 'field', 'Light Screen');
     desc.isLightScreen = true;
   }
   if (field.defenderSide.isAuroraVeil && !isCritical) {
-    finalMods.push(field.gameType !== 'Singles' ? 2732 : 2048);
+    addMod(desc, finalMods, field.gameType !== 'Singles' ? 2732 : 2048, 'field', 'Aurora Veil');
     desc.isAuroraVeil = true;
   }
 
   if (attacker.hasAbility('Neuroforce') && typeEffectiveness > 1) {
-    finalMods.push(5120);
+    addMod(desc, finalMods, 5120, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (attacker.hasAbility('Sniper') && isCritical) {
-    finalMods.push(6144);
+    addMod(desc, finalMods, 6144, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   } else if (attacker.hasAbility('Tinted Lens') && typeEffectiveness < 1) {
-    finalMods.push(8192);
+    addMod(desc, finalMods, 8192, 'ability', attacker.ability!);
     desc.attackerAbility = attacker.ability;
   }
 
   if (defender.isDynamaxed && move.named('Dynamax Cannon', 'Behemoth Blade', 'Behemoth Bash')) {
-    finalMods.push(8192);
+    addMod(desc, finalMods, 8192, 'move', move.name);
   }
 
   if (defender.hasAbility('Multiscale', 'Shadow Shield') &&
@@ -1458,48 +1517,48 @@ export function calculateFinalModsSMSSSV(
       !field.defenderSide.isSR && (!field.defenderSide.spikes || defender.hasType('Flying')) &&
       !attacker.hasAbility('Parental Bond (Child)')
   ) {
-    finalMods.push(2048);
+    addMod(desc, finalMods, 2048, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
   if (defender.hasAbility('Fluffy') && move.flags.contact && !attacker.hasAbility('Long Reach')) {
-    finalMods.push(2048);
+    addMod(desc, finalMods, 2048, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   } else if (
     (defender.hasAbility('Punk Rock') && move.flags.sound) ||
     (defender.hasAbility('Ice Scales') && move.category === 'Special')
   ) {
-    finalMods.push(2048);
+    addMod(desc, finalMods, 2048, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
   if (defender.hasAbility('Solid Rock', 'Filter', 'Prism Armor') && typeEffectiveness > 1) {
-    finalMods.push(3072);
+    addMod(desc, finalMods, 3072, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
   if (field.defenderSide.isFriendGuard) {
-    finalMods.push(3072);
+    addMod(desc, finalMods, 3072, 'field', 'Friend Guard');
     desc.isFriendGuard = true;
   }
 
   if (defender.hasAbility('Fluffy') && move.hasType('Fire')) {
-    finalMods.push(8192);
+    addMod(desc, finalMods, 8192, 'ability', defender.ability!);
     desc.defenderAbility = defender.ability;
   }
 
   if (attacker.hasItem('Expert Belt') && typeEffectiveness > 1 && !move.isZ) {
-    finalMods.push(4915);
+    addMod(desc, finalMods, 4915, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   } else if (attacker.hasItem('Life Orb')) {
-    finalMods.push(5324);
+    addMod(desc, finalMods, 5324, 'item', attacker.item!);
     desc.attackerItem = attacker.item;
   } else if (attacker.hasItem('Metronome') && move.timesUsedWithMetronome! >= 1) {
     const timesUsedWithMetronome = Math.floor(move.timesUsedWithMetronome!);
     if (timesUsedWithMetronome <= 4) {
-      finalMods.push(4096 + timesUsedWithMetronome * 819);
+      addMod(desc, finalMods, 4096 + timesUsedWithMetronome * 819, 'item', attacker.item!);
     } else {
-      finalMods.push(8192);
+      addMod(desc, finalMods, 8192, 'item', attacker.item!);
     }
     desc.attackerItem = attacker.item;
   }
@@ -1508,16 +1567,40 @@ export function calculateFinalModsSMSSSV(
       (typeEffectiveness > 1 || move.hasType('Normal')) &&
       !attacker.hasAbility('Unnerve', 'As One (Glastrier)', 'As One (Spectrier)')) {
     if (defender.hasAbility('Ripen')) {
-      finalMods.push(1024);
+      addMod(desc, finalMods, 1024, 'item', defender.item!);
     } else {
-      finalMods.push(2048);
+      addMod(desc, finalMods, 2048, 'item', defender.item!);
     }
     desc.defenderItem = defender.item;
   }
 
+  addPluginMods(desc, finalMods, 'finalDamage', gen, attacker, defender, move, field);
   return finalMods;
 }
 
 function hasTerrainSeed(pokemon: Pokemon) {
   return pokemon.hasItem('Electric Seed', 'Misty Seed', 'Grassy Seed', 'Psychic Seed');
 }
+
+// Adds the modifiers of `kind` from the plugins registered for the generation
+function addPluginMods(
+  desc: RawDesc,
+  mods: number[],
+  kind: ModifierKind,
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  move: Move,
+  field: Field
+) {
+  getModifiers(kind, {gen, attacker, defender, move, field}).forEach(mod => {
+    addMod(desc, mods, mod.value, mod.kind, mod.source);
+    if (mod.kind === 'ability') {
+      if (mod.holder === 'attacker') desc.attackerAbility = attacker.ability;
+      else desc.defenderAbility = defender.ability;
+    } else if (mod.kind === 'item') {
+      if (mod.holder === 'attacker') desc.attackerItem = attacker.item;
+      else desc.defenderItem = defender.item;
+    }
+  });
+}
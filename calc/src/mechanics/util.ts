@@ -1,6 +1,5 @@
 import {
   Generation,
-  ID,
   ItemName,
   MoveCategory,
   NatureName,
@@ -15,7 +14,8 @@ import {Field, Side} from '../field';
 import {Move} from '../move';
 import {Pokemon} from '../pokemon';
 import {Stats} from '../stats';
-import {RawDesc} from '../desc';
+import {RawDesc, TraceKind} from '../desc';
+import {getModifiers, getTypeChartOverride} from '../plugins';
 
 const EV_ITEMS = [
   'Macho Brace',
@@ -129,6 +129,10 @@ export function getFinalSpeed(gen: Generation, pokemon: Pokemon, field: Field, s
     speedMods.push(8192);
   }
 
+  getModifiers('speed', {gen, pokemon, field}).forEach(mod => {
+    speedMods.push(mod.value);
+  });
+
   speed = OF32(pokeRound((speed * chainMods(speedMods, 410, 131172)) / 4096));
   if (pokemon.hasStatus('par') && !pokemon.hasAbility('Quick Feet')) {
     speed = Math.floor(OF32(speed * (gen.num < 7 ? 25 : 25)) / 100);
@@ -138,6 +142,124 @@ export function getFinalSpeed(gen: Generation, pokemon: Pokemon, field: Field, s
   return Math.max(0, speed);
 }
 
+// Status moves which heal the user and so are boosted by Triage, on top of every draining move
+const HEALING_MOVES = [
+  'Floral Healing', 'Heal Order', 'Heal Pulse', 'Healing Wish', 'Jungle Healing', 'Life Dew',
+  'Lunar Blessing', 'Lunar Dance', 'Milk Drink', 'Moonlight', 'Morning Sun', 'Purify', 'Recover',
+  'Rest', 'Roost', 'Shore Up', 'Slack Off', 'Soft-Boiled', 'Strength Sap', 'Swallow',
+  'Synthesis', 'Wish',
+];
+
+// Moves whose damage depends on exactly how much HP the user or the target has left
+export const HP_MOVES = [
+  'Crush Grip', 'Dragon Energy', 'Endeavor', 'Eruption', 'Final Gambit', 'Flail',
+  'Guardian of Alola', 'Hard Press', 'Nature\'s Madness', 'Reversal', 'Ruination', 'Super Fang',
+  'Water Spout', 'Wring Out',
+];
+
+/**
+ * Returns the priority bracket `move` is used in by `pokemon`, taking into account Prankster,
+ * Gale Wings, Triage and Grassy Glide.
+ */
+export function getPriority(gen: Generation, pokemon: Pokemon, move: Move, field: Field) {
+  let priority = move.priority;
+  if (gen.num >= 5 && pokemon.hasAbility('Prankster') && move.category === 'Status') priority++;
+  if (gen.num >= 6 && pokemon.hasAbility('Gale Wings') && move.hasType('Flying') &&
+      (gen.num === 6 || pokemon.curHP() === pokemon.maxHP())) {
+    priority++;
+  }
+  if (gen.num >= 7 && pokemon.hasAbility('Triage') &&
+      (move.drain || move.named(...HEALING_MOVES))) {
+    priority += 3;
+  }
+  if (gen.num >= 8 && move.named('Grassy Glide') &&
+      field.hasTerrain('Grassy') && isGrounded(pokemon, field)) {
+    priority++;
+  }
+  return priority;
+}
+
+// Chance of `pokemon` moving first within its priority bracket thanks to its item or ability
+function getQuickChance(gen: Generation, pokemon: Pokemon, move: Move) {
+  const hp = pokemon.curHP() / pokemon.maxHP();
+  if (gen.num >= 4 && pokemon.hasItem('Custap Berry') &&
+      hp <= (pokemon.hasAbility('Gluttony') ? 1 / 2 : 1 / 4)) {
+    return 1;
+  }
+  let chance = 0;
+  if (gen.num >= 2 && pokemon.hasItem('Quick Claw')) chance = gen.num === 2 ? 60 / 256 : 1 / 5;
+  if (gen.num >= 8 && pokemon.hasAbility('Quick Draw') && move.category !== 'Status') {
+    chance = 1 - (1 - chance) * (1 - 3 / 10);
+  }
+  return chance;
+}
+
+// Whether `pokemon` always moves last within its priority bracket
+function movesLast(gen: Generation, pokemon: Pokemon, move: Move) {
+  return (gen.num >= 4 &&
+    (pokemon.hasAbility('Stall') || pokemon.hasItem('Lagging Tail', 'Full Incense'))) ||
+    (gen.num >= 9 && pokemon.hasAbility('Mycelium Might') && move.category === 'Status');
+}
+
+export type SpeedTie = 'random' | 'attacker' | 'defender';
+
+export interface TurnOrder {
+  /** The chance of the attacker moving before the defender. */
+  chance: number;
+  /** The priority brackets the attacker's and defender's moves are used in. */
+  priority: [number, number];
+  /** The final Speed stats of the attacker and defender. */
+  speed: [number, number];
+}
+
+/**
+ * Works out which of `attacker` and `defender` moves first when they use `attackerMove` and
+ * `defenderMove` respectively. Moves are first ordered by priority, then by Quick Claw and
+ * similar effects (which only have a chance of activating) or Stall and Lagging Tail, and
+ * finally by Speed, which Trick Room reverses. Speed ties are settled by `speedTie`, which by
+ * default gives each side an even chance like the games do.
+ */
+export function getTurnOrder(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  attackerMove: Move,
+  defenderMove: Move,
+  field: Field,
+  speedTie: SpeedTie = 'random'
+): TurnOrder {
+  const priority: [number, number] = [
+    getPriority(gen, attacker, attackerMove, field),
+    getPriority(gen, defender, defenderMove, field),
+  ];
+  const speed: [number, number] = [
+    getFinalSpeed(gen, attacker, field, field.attackerSide),
+    getFinalSpeed(gen, defender, field, field.defenderSide),
+  ];
+  if (priority[0] !== priority[1]) {
+    return {chance: priority[0] > priority[1] ? 1 : 0, priority, speed};
+  }
+
+  const bySpeed =
+    speed[0] === speed[1]
+      ? (speedTie === 'random' ? 1 / 2 : speedTie === 'attacker' ? 1 : 0)
+      : (speed[0] > speed[1]) !== field.isTrickRoom ? 1 : 0;
+  const quick = [
+    getQuickChance(gen, attacker, attackerMove),
+    getQuickChance(gen, defender, defenderMove),
+  ];
+  const last = [movesLast(gen, attacker, attackerMove), movesLast(gen, defender, defenderMove)];
+  let chance = 0;
+  for (const [a, pa] of [[true, quick[0]], [false, 1 - quick[0]]] as Array<[boolean, number]>) {
+    for (const [d, pd] of [[true, quick[1]], [false, 1 - quick[1]]] as Array<[boolean, number]>) {
+      if (!pa || !pd) continue;
+      const order = [a ? 1 : last[0] ? -1 : 0, d ? 1 : last[1] ? -1 : 0];
+      chance += pa * pd * (order[0] === order[1] ? bySpeed : order[0] > order[1] ? 1 : 0);
+    }
+  }
+  return {chance, priority, speed};
+}
+
 export function getMoveEffectiveness(
   gen: Generation,
   move: Move,
@@ -145,21 +267,175 @@ export function getMoveEffectiveness(
   isGhostRevealed?: boolean,
   isGravity?: boolean,
   isRingTarget?: boolean,
+  isInverse?: boolean,
+  attacker?: Pokemon,
+  defender?: Pokemon,
 ) {
+  let effectiveness;
   if ((isRingTarget || isGhostRevealed) && type === 'Ghost' && move.hasType('Normal', 'Fighting')) {
-    return 1;
+    effectiveness = 1;
   } else if ((isRingTarget || isGravity) && type === 'Flying' && move.hasType('Ground')) {
-    return 1;
+    effectiveness = 1;
   } else if (move.named('Freeze-Dry') && type === 'Water') {
-    return 2;
+    effectiveness = 2;
   } else if (move.named('Flying Press')) {
-    return (
-      gen.types.get('fighting' as ID)!.effectiveness[type]! *
-      gen.types.get('flying' as ID)!.effectiveness[type]!
-    );
+    effectiveness =
+      getTypeEffectiveness(gen, 'Fighting', type, isInverse) *
+      getTypeEffectiveness(gen, 'Flying', type, isInverse);
   } else {
-    return gen.types.get(toID(move.type))!.effectiveness[type]!;
+    effectiveness = getTypeEffectiveness(gen, move.type, type, isInverse);
+  }
+  // Plugins only see the attacker and defender (and so their abilities and items) if given
+  const mods = getModifiers('effectiveness', {gen, attacker, defender, move, type, effectiveness});
+  return mods.length ? mods[mods.length - 1].value : effectiveness;
+}
+
+/**
+ * The effectiveness of the `attacking` type against the `defending` type, from the type chart of
+ * the plugins for `gen` if they override it or else the generation's own. In an Inverse Battle
+ * the chart is turned around, so immunities and resistances become weaknesses and vice versa.
+ */
+export function getTypeEffectiveness(
+  gen: Generation,
+  attacking: TypeName,
+  defending: TypeName,
+  isInverse = false
+) {
+  const override = getTypeChartOverride(gen, attacking, defending);
+  const effectiveness = override
+    ? override.effectiveness
+    : gen.types.get(toID(attacking))!.effectiveness[defending]!;
+  if (!isInverse) return effectiveness;
+  return effectiveness === 0 ? 2 : 1 / effectiveness;
+}
+
+/**
+ * The names of the plugins whose type charts decide how effective `move` is against `defender`,
+ * for the description.
+ */
+export function getTypeCharts(gen: Generation, move: Move, defender: Pokemon) {
+  const attacking: TypeName[] = move.named('Flying Press') ? ['Fighting', 'Flying'] : [move.type];
+  const defending = defender.teraType ? [defender.teraType] : defender.types;
+  const names: string[] = [];
+  attacking.forEach(a => {
+    defending.forEach(d => {
+      const override = getTypeChartOverride(gen, a, d);
+      if (override && !names.includes(override.plugin)) names.push(override.plugin);
+    });
+  });
+  return names;
+}
+
+/** Notes the Inverse Battle and the plugins' type charts behind `move`'s effectiveness. */
+export function checkTypeChart(
+  gen: Generation,
+  move: Move,
+  defender: Pokemon,
+  field: Field,
+  desc: RawDesc
+) {
+  if (field.isInverse) desc.isInverse = true;
+  const charts = getTypeCharts(gen, move, defender);
+  if (charts.length) desc.typeChart = charts;
+}
+
+// Chance of a critical hit at each crit stage, starting from stage 0
+const CRIT_CHANCES = {
+  gsc: [17 / 256, 1 / 8, 1 / 4, 85 / 256, 1 / 2],
+  adv: [1 / 16, 1 / 8, 1 / 4, 1 / 3, 1 / 2],
+  xy: [1 / 16, 1 / 8, 1 / 2, 1, 1],
+  sm: [1 / 24, 1 / 8, 1 / 2, 1, 1],
+};
+
+/**
+ * Returns the chance for a single hit of `move` to be a critical hit, taking into account the
+ * move's crit ratio, Focus Energy, crit-boosting items and abilities and the generation's crit
+ * rates. Moves that are already marked as crits always crit.
+ */
+export function getCritChance(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  move: Move,
+  field: Field
+) {
+  if (move.category === 'Status' || defender.hasAbility('Battle Armor', 'Shell Armor')) return 0;
+  if (move.isCrit || (attacker.hasAbility('Merciless') && defender.hasStatus('psn', 'tox'))) {
+    return 1;
+  }
+
+  if (gen.num === 1) {
+    // Gen 1 crits are based on base Speed, and Focus Energy famously lowers the crit rate
+    let threshold = Math.floor(attacker.species.baseStats.spe / 2);
+    if (field.attackerSide.isFocusEnergy) threshold = Math.floor(threshold / 4);
+    if (move.critRatio > 1) threshold *= 8;
+    return Math.min(255, threshold) / 256;
+  }
+
+  let stage = move.critRatio - 1;
+  if (field.attackerSide.isFocusEnergy) stage += gen.num === 2 ? 1 : 2;
+  if (attacker.hasItem('Scope Lens', 'Razor Claw')) stage++;
+  if (attacker.hasAbility('Super Luck')) stage++;
+  if (attacker.hasItem('Leek', 'Stick') &&
+      attacker.named('Farfetch\u2019d', 'Farfetch\u2019d-Galar', 'Sirfetch\u2019d')) {
+    stage += 2;
+  }
+  if (attacker.hasItem('Lucky Punch') && attacker.named('Chansey')) stage += 2;
+
+  const chances =
+    gen.num === 2 ? CRIT_CHANCES.gsc
+    : gen.num <= 5 ? CRIT_CHANCES.adv
+    : gen.num === 6 ? CRIT_CHANCES.xy
+    : CRIT_CHANCES.sm;
+  return chances[Math.min(stage, chances.length - 1)];
+}
+
+// The accuracy multipliers of the stages from -6 to +6 in Gens 3 and 4, which aren't quite the
+// fractions later gens use
+const ADV_ACCURACY_STAGES = [33, 36, 43, 50, 60, 75, 100, 133, 166, 200, 250, 266, 300];
+
+/**
+ * Returns the chance for `move` to hit, taking into account the move's accuracy, accuracy and
+ * evasion boosts, accuracy-modifying abilities and items, weather and Gravity.
+ */
+export function getHitChance(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  move: Move,
+  field: Field
+) {
+  if (move.accuracy === true || [attacker, defender].some(p => p.hasAbility('No Guard'))) return 1;
+  const weather = field.weather || '';
+  if (move.named('Thunder', 'Hurricane') && weather.includes('Rain')) return 1;
+  if (move.named('Blizzard') && gen.num >= 4 && ['Hail', 'Snow'].includes(weather)) return 1;
+
+  let accuracy = move.accuracy;
+  if (move.named('Thunder', 'Hurricane') && weather.includes('Sun')) accuracy = 50;
+
+  const ignoresEvasion = field.defenderSide.isForesight || attacker.hasAbility('Unaware') ||
+    (gen.num >= 6 && attacker.hasAbility('Keen Eye'));
+  const evasion = ignoresEvasion ? Math.min(0, defender.evasionBoost) : defender.evasionBoost;
+  const stage = Math.max(-6, Math.min(6, attacker.accuracyBoost - evasion));
+  if (gen.num <= 2) {
+    accuracy = getModifiedStat(Math.floor(accuracy * 255 / 100), stage, gen);
+    // Even a move with 100% accuracy misses 1/256 of the time
+    return Math.min(255, accuracy) / 256;
   }
+  accuracy = gen.num <= 4 ? accuracy * ADV_ACCURACY_STAGES[stage + 6] / 100
+    : stage > 0 ? accuracy * (3 + stage) / 3
+    : accuracy * 3 / (3 - stage);
+
+  if (attacker.hasAbility('Compound Eyes')) accuracy *= 1.3;
+  if (attacker.hasAbility('Hustle') && move.category === 'Physical') accuracy *= 0.8;
+  if (attacker.hasAbility('Victory Star')) accuracy *= 1.1;
+  if (defender.hasAbility('Sand Veil') && weather === 'Sand') accuracy *= 0.8;
+  if (defender.hasAbility('Snow Cloak') && ['Hail', 'Snow'].includes(weather)) accuracy *= 0.8;
+  if (attacker.hasItem('Wide Lens')) accuracy *= 1.1;
+  if (defender.hasItem('Bright Powder', 'Lax Incense')) accuracy *= 0.9;
+  if (field.isGravity) accuracy *= 5 / 3;
+
+  return Math.min(100, accuracy) / 100;
 }
 
 export function checkAirLock(pokemon: Pokemon, field: Field) {
@@ -371,6 +647,56 @@ export function chainMods(mods: number[], lowerBound: number, upperBound: number
   return Math.max(Math.min(M, upperBound), lowerBound);
 }
 
+/**
+ * Records a step of the calculation if it is being traced. `value` is the result of the step
+ * after rounding and `modifier` is what the step multiplied by as a multiple of 4096, if anything.
+ */
+export function addStep(
+  desc: RawDesc,
+  stage: string,
+  kind: TraceKind,
+  source: string,
+  value: number,
+  modifier?: number
+) {
+  if (desc.trace) desc.trace.push({stage, kind, source, modifier, value});
+}
+
+/**
+ * Adds a 4096-based modifier to be chained with `chainMods`, tracing where it came from. The stage
+ * of the step is only known once the modifiers are applied, see `addChain`.
+ */
+export function addMod(
+  desc: RawDesc,
+  mods: number[],
+  mod: number,
+  kind: TraceKind,
+  source: string
+) {
+  mods.push(mod);
+  addStep(desc, '', kind, source, chainMods(mods, 0, Infinity), mod);
+}
+
+/** Adds the steps of the traced calculation of Parental Bond's second hit. */
+export function addChildSteps(desc: RawDesc, child: RawDesc) {
+  if (!desc.trace || !child.trace) return;
+  for (const step of child.trace) {
+    addStep(desc, `${step.stage} (second hit)`, step.kind, step.source, step.value, step.modifier);
+  }
+}
+
+/**
+ * Traces applying the chained modifiers `mod` to a stage, resulting in `value`. The modifiers
+ * added since the previous stage are assigned to this one.
+ */
+export function addChain(desc: RawDesc, stage: string, mod: number, value: number) {
+  if (!desc.trace) return;
+  for (let i = desc.trace.length - 1; i >= 0 && !desc.trace[i].stage; i--) {
+    desc.trace[i].stage = stage;
+  }
+  addStep(desc, stage, 'mechanic', 'Chained modifiers', value, mod);
+}
+
 export function getBaseDamage(level: number, basePower: number, attack: number, defense: number) {
   return Math.floor(
     OF32(
@@ -415,17 +741,34 @@ export function getFinalDamage(
   isBurned: boolean,
   stabMod: number,
   finalMod: number,
-  protect?: boolean
+  protect?: boolean,
+  desc?: RawDesc
 ) {
+  const stage = `Damage roll ${85 + i}%`;
   let damageAmount = Math.floor(OF32(baseAmount * (85 + i)) / 100);
+  if (desc) addStep(desc, stage, 'mechanic', 'Random factor', damageAmount);
   // If the stabMod would not accomplish anything we avoid applying it because it could cause
   // us to calculate damage overflow incorrectly (DaWoblefet)
-  if (stabMod !== 4096) damageAmount = OF32(damageAmount * stabMod) / 4096;
+  if (stabMod !== 4096) {
+    damageAmount = OF32(damageAmount * stabMod) / 4096;
+    if (desc) addStep(desc, stage, 'mechanic', 'STAB', damageAmount, stabMod);
+  }
   damageAmount = Math.floor(OF32(pokeRound(damageAmount) * effectiveness));
+  if (desc) {
+    addStep(desc, stage, 'mechanic', 'Type effectiveness', damageAmount, effectiveness * 4096);
+  }
 
-  if (isBurned) damageAmount = Math.floor(damageAmount / 2);
-  if (protect) damageAmount = pokeRound(OF32(damageAmount * 1024) / 4096);
-  return OF16(pokeRound(Math.max(1, OF32(damageAmount * finalMod) / 4096)));
+  if (isBurned) {
+    damageAmount = Math.floor(damageAmount / 2);
+    if (desc) addStep(desc, stage, 'status', 'Burn', damageAmount, 2048);
+  }
+  if (protect) {
+    damageAmount = pokeRound(OF32(damageAmount * 1024) / 4096);
+    if (desc) addStep(desc, stage, 'field', 'Protect', damageAmount, 1024);
+  }
+  damageAmount = OF16(pokeRound(Math.max(1, OF32(damageAmount * finalMod) / 4096)));
+  if (desc) addStep(desc, stage, 'mechanic', 'Final modifier', damageAmount, finalMod);
+  return damageAmount;
 }
 
 /**
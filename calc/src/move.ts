@@ -1,9 +1,19 @@
 import * as I from './data/interface';
 import {State} from './state';
-import {toID, extend} from './util';
+import {JSON_VERSION, toID, extend, checkJSONVersion} from './util';
+import {validateMove} from './validate';
 
 const SPECIAL = ['Fire', 'Water', 'Grass', 'Electric', 'Ice', 'Psychic', 'Dark', 'Dragon'];
 
+/** A move as JSON, see Move#toJSON. */
+export interface MoveJSON extends State.Move {
+  version: number;
+  gen: I.GenerationNum;
+  ability?: I.AbilityName;
+  item?: I.ItemName;
+  species?: I.SpeciesName;
+}
+
 export class Move implements State.Move {
   gen: I.Generation;
   name: I.MoveName;
@@ -17,11 +27,13 @@ export class Move implements State.Move {
   overrides?: Partial<I.Move>;
 
   hits: number;
+  variableHits: boolean;
   timesUsed?: number;
   timesUsedWithMetronome?: number;
   bp: number;
   type: I.TypeName;
   category: I.MoveCategory;
+  accuracy: number | true;
   flags: I.MoveFlags;
   secondaries: any;
   target: I.MoveTarget;
@@ -30,6 +42,7 @@ export class Move implements State.Move {
   mindBlownRecoil: boolean;
   struggleRecoil: boolean;
   isCrit: boolean;
+  critRatio: number;
   drain?: [number, number];
   priority: number;
   dropsStats?: number;
@@ -49,13 +62,17 @@ export class Move implements State.Move {
       ability?: I.AbilityName;
       item?: I.ItemName;
       species?: I.SpeciesName;
+      /** Throw a ValidationError for any name which isn't exactly right. */
+      strict?: boolean;
     } = {}
   ) {
+    if (options.strict) validateMove(gen, name, options);
     name = options.name || name;
     this.originalName = name;
     let data: I.Move = extend(true, {name}, gen.moves.get(toID(name)), options.overrides);
 
     this.hits = 1;
+    this.variableHits = false;
     // If isZMove but there isn't a corresponding z-move, use the original move
     if (options.useMax && data.maxMove) {
       const maxMoveName: string = getMaxMoveName(
@@ -101,6 +118,8 @@ export class Move implements State.Move {
             ? data.multihit[1]
             : data.multihit[0] + 1;
         }
+        // KO chances weigh every possible number of hits instead of only using hits
+        this.variableHits = !!options.variableHits && typeof data.multihit !== 'number';
       }
       this.timesUsedWithMetronome = options.timesUsedWithMetronome;
     }
@@ -122,6 +141,8 @@ export class Move implements State.Move {
     this.category = data.category ||
       (gen.num < 4 ? (SPECIAL.includes(data.type) ? 'Special' : 'Physical') : 'Status');
 
+    this.accuracy = data.accuracy === undefined ? 100 : data.accuracy;
+
     const stat = this.category === 'Special' ? 'spa' : 'atk';
     if (data.self?.boosts && data.self.boosts[stat] && data.self.boosts[stat]! < 0) {
       this.dropsStats = Math.abs(data.self.boosts[stat]!);
@@ -138,6 +159,7 @@ export class Move implements State.Move {
     this.isCrit = !!options.isCrit || !!data.willCrit ||
       // These don't *always* crit (255/256 chance), but for the purposes of the calc they do
       gen.num === 1 && ['crabhammer', 'razorleaf', 'slash', 'karate chop'].includes(data.id);
+    this.critRatio = data.critRatio || 1;
     this.drain = data.drain;
     this.flags = data.flags;
     // The calc doesn't currently care about negative priority moves so we simply default to 0
@@ -177,11 +199,40 @@ export class Move implements State.Move {
       useMax: this.useMax,
       isCrit: this.isCrit,
       hits: this.hits,
+      variableHits: this.variableHits,
       timesUsed: this.timesUsed,
       timesUsedWithMetronome: this.timesUsedWithMetronome,
       overrides: this.overrides,
     });
   }
+
+  /**
+   * The move and how it's used as versioned JSON, which `fromJSON` turns back into the same move.
+   * Z-Moves and Max Moves keep the name of the move they're made from.
+   */
+  toJSON(): MoveJSON {
+    return {
+      version: JSON_VERSION,
+      gen: this.gen.num,
+      name: this.originalName as I.MoveName,
+      ability: this.ability,
+      item: this.item,
+      species: this.species,
+      useZ: this.useZ,
+      useMax: this.useMax,
+      isCrit: this.isCrit,
+      hits: this.hits,
+      variableHits: this.variableHits,
+      timesUsed: this.timesUsed,
+      timesUsedWithMetronome: this.timesUsedWithMetronome,
+      overrides: this.overrides,
+    };
+  }
+
+  static fromJSON(gen: I.Generation, json: MoveJSON) {
+    checkJSONVersion('Move', json);
+    return new Move(gen, json.name, json);
+  }
 }
 
 export function getZMoveName(moveName: string, moveType: I.TypeName, item?: string) {
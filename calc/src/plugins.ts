@@ -0,0 +1,165 @@
+import {Generation, GenerationNum, TypeName} from './data/interface';
+import {Field} from './field';
+import {Move} from './move';
+import {Pokemon} from './pokemon';
+
+/**
+ * Which part of the calculation a modifier applies to. Every kind but 'effectiveness' is a
+ * 4096-based modifier chained with the others of its stage, as with Technician or Choice Band.
+ */
+export type ModifierKind =
+  'basePower' | 'attack' | 'defense' | 'finalDamage' | 'speed' | 'effectiveness';
+
+export interface ModifierContext {
+  gen: Generation;
+  /** The Pokémon holding the ability or item the modifier is keyed by or whose Speed it is. */
+  pokemon?: Pokemon;
+  attacker?: Pokemon;
+  defender?: Pokemon;
+  move?: Move;
+  field?: Field;
+  /** For 'effectiveness', the type being hit and the move's effectiveness against it so far. */
+  type?: TypeName;
+  effectiveness?: number;
+}
+
+export interface Modifier {
+  kind: ModifierKind;
+  /**
+   * The modifier only applies if the holder has this ability or item and the move is this move,
+   * or always if none of them are given.
+   */
+  ability?: string;
+  item?: string;
+  move?: string;
+  /**
+   * Whose ability or item counts: the defender's for 'defense' and the attacker's otherwise by
+   * default. For 'speed' it's always the Pokémon whose Speed is being worked out.
+   */
+  holder?: 'attacker' | 'defender';
+  /**
+   * The modifier out of 4096 (eg. 6144 for 1.5x) or for 'effectiveness' the move's new
+   * effectiveness against `context.type`. Returning nothing leaves the calculation as it is.
+   */
+  apply(context: ModifierContext): number | undefined;
+}
+
+export interface Plugin {
+  name: string;
+  modifiers?: Modifier[];
+  /**
+   * Matchups of the type chart to override, as the effectiveness of each attacking type against
+   * the defending types which change (eg. `{Fairy: {Steel: 1}}`). Where plugins disagree the one
+   * registered last wins.
+   */
+  typeChart?: {[attacking in TypeName]?: {[defending in TypeName]?: number}};
+}
+
+/** A modifier of a plugin which applied, with where it came from for the description. */
+export interface AppliedModifier {
+  plugin: string;
+  kind: 'ability' | 'item' | 'move' | 'mechanic';
+  source: string;
+  holder?: 'attacker' | 'defender';
+  value: number;
+}
+
+// Plugins registered for a generation number apply to every Generation of that number, while the
+// ones registered for a Generation only apply to that object
+const byNum: {[num: number]: Plugin[]} = {};
+const byGen: Array<{gen: Generation; plugins: Plugin[]}> = [];
+
+function getScope(gen: Generation | GenerationNum, create = false) {
+  if (typeof gen === 'number') {
+    if (!byNum[gen] && create) byNum[gen] = [];
+    return byNum[gen];
+  }
+  for (const scope of byGen) {
+    if (scope.gen === gen) return scope.plugins;
+  }
+  if (!create) return undefined;
+  const plugins: Plugin[] = [];
+  byGen.push({gen, plugins});
+  return plugins;
+}
+
+/**
+ * Registers `plugin` for `gen`, either a generation number to apply it to every calculation in
+ * that generation or a Generation to apply it to only the calculations using that object. A
+ * plugin registered under the same name for the same `gen` is replaced.
+ */
+export function registerPlugin(gen: Generation | GenerationNum, plugin: Plugin) {
+  const plugins = getScope(gen, true)!;
+  for (let i = 0; i < plugins.length; i++) {
+    if (plugins[i].name === plugin.name) {
+      plugins[i] = plugin;
+      return;
+    }
+  }
+  plugins.push(plugin);
+}
+
+/** Removes the plugin named `name` from `gen`, returning whether there was one. */
+export function unregisterPlugin(gen: Generation | GenerationNum, name: string) {
+  const plugins = getScope(gen);
+  if (!plugins) return false;
+  for (let i = 0; i < plugins.length; i++) {
+    if (plugins[i].name === name) {
+      plugins.splice(i, 1);
+      return true;
+    }
+  }
+  return false;
+}
+
+/** The plugins applying to `gen`, the ones registered for its number first. */
+export function getPlugins(gen: Generation | GenerationNum): Plugin[] {
+  const plugins = (typeof gen === 'number' ? [] : getScope(gen.num) || []).slice();
+  return plugins.concat(getScope(gen) || []);
+}
+
+/**
+ * Applies the modifiers of `kind` from every plugin for `context.gen` whose ability, item and move
+ * match. The effectiveness of 'effectiveness' modifiers is passed on from one to the next.
+ */
+export function getModifiers(kind: ModifierKind, context: ModifierContext) {
+  const applied: AppliedModifier[] = [];
+  const plugins = getPlugins(context.gen);
+  for (const plugin of plugins) {
+    for (const modifier of plugin.modifiers || []) {
+      if (modifier.kind !== kind) continue;
+      const holder = kind === 'speed' ? undefined
+        : modifier.holder || (kind === 'defense' ? 'defender' : 'attacker');
+      const pokemon = holder ? context[holder] : context.pokemon;
+      if (modifier.ability && !pokemon?.hasAbility(modifier.ability)) continue;
+      if (modifier.item && !pokemon?.hasItem(modifier.item)) continue;
+      if (modifier.move && !context.move?.named(modifier.move)) continue;
+
+      context.pokemon = pokemon;
+      const value = modifier.apply(context);
+      if (value === undefined) continue;
+      if (kind === 'effectiveness') context.effectiveness = value;
+      applied.push({
+        plugin: plugin.name,
+        kind: modifier.ability ? 'ability' : modifier.item ? 'item'
+        : modifier.move ? 'move' : 'mechanic',
+        source: modifier.ability || modifier.item || modifier.move || plugin.name,
+        holder,
+        value,
+      });
+    }
+  }
+  return applied;
+}
+
+/**
+ * The effectiveness of `attacking` against `defending` from the type chart of the last plugin for
+ * `gen` which overrides it, along with the plugin's name, or undefined if none do.
+ */
+export function getTypeChartOverride(gen: Generation, attacking: TypeName, defending: TypeName) {
+  for (const plugin of getPlugins(gen).reverse()) {
+    const effectiveness = plugin.typeChart?.[attacking]?.[defending];
+    if (effectiveness !== undefined) return {plugin: plugin.name, effectiveness};
+  }
+  return undefined;
+}
@@ -1,11 +1,17 @@
 import * as I from './data/interface';
 import {Stats} from './stats';
-import {toID, extend, assignWithout} from './util';
+import {JSON_VERSION, toID, extend, assignWithout, checkJSONVersion} from './util';
 import {State} from './state';
+import {normalizeStats, validatePokemon} from './validate';
 
 const STATS = ['hp', 'atk', 'def', 'spa', 'spd', 'spe'] as I.StatID[];
 const SPC = new Set(['spc']);
 
+/** A Pokémon as JSON, see Pokemon#toJSON. */
+export interface PokemonJSON extends State.Pokemon {
+  version: number;
+  gen: I.GenerationNum;
+}
 
 export class Pokemon implements State.Pokemon {
   gen: I.Generation;
@@ -29,6 +35,8 @@ export class Pokemon implements State.Pokemon {
   ivs: I.StatsTable;
   evs: I.StatsTable;
   boosts: I.StatsTable;
+  accuracyBoost: number;
+  evasionBoost: number;
   rawStats: I.StatsTable;
   stats: I.StatsTable;
 
@@ -46,8 +54,11 @@ export class Pokemon implements State.Pokemon {
       ivs?: Partial<I.StatsTable> & {spc?: number};
       evs?: Partial<I.StatsTable> & {spc?: number};
       boosts?: Partial<I.StatsTable> & {spc?: number};
+      /** Throw a ValidationError for any name or stat which isn't exactly right. */
+      strict?: boolean;
     } = {}
   ) {
+    if (options.strict) validatePokemon(gen, name, options);
     this.species = extend(true, {}, gen.species.get(toID(name)), options.overrides);
 
     this.gen = gen;
@@ -69,6 +80,8 @@ export class Pokemon implements State.Pokemon {
     this.ivs = Pokemon.withDefault(gen, options.ivs, 31);
     this.evs = Pokemon.withDefault(gen, options.evs, gen.num >= 3 ? 0 : 252);
     this.boosts = Pokemon.withDefault(gen, options.boosts, 0, false);
+    this.accuracyBoost = options.accuracyBoost || 0;
+    this.evasionBoost = options.evasionBoost || 0;
 
     // Gigantamax 'forms' inherit weight from their base species when not dynamaxed
     // TODO: clean this up with proper Gigantamax support
@@ -161,6 +174,8 @@ export class Pokemon implements State.Pokemon {
       ivs: extend(true, {}, this.ivs),
       evs: extend(true, {}, this.evs),
       boosts: extend(true, {}, this.boosts),
+      accuracyBoost: this.accuracyBoost,
+      evasionBoost: this.evasionBoost,
       originalCurHP: this.originalCurHP,
       status: this.status,
       teraType: this.teraType,
@@ -170,6 +185,45 @@ export class Pokemon implements State.Pokemon {
     });
   }
 
+  /**
+   * The Pokémon's set and current state as versioned JSON, which `fromJSON` turns back into the
+   * same Pokémon. The species is only kept if it was changed with overrides.
+   */
+  toJSON(): PokemonJSON {
+    const species = this.gen.species.get(toID(this.name));
+    const overridden = !species || JSON.stringify(species) !== JSON.stringify(this.species);
+    return {
+      version: JSON_VERSION,
+      gen: this.gen.num,
+      name: this.name,
+      level: this.level,
+      ability: this.ability,
+      abilityOn: this.abilityOn,
+      isDynamaxed: this.isDynamaxed,
+      isSaltCure: this.isSaltCure,
+      alliesFainted: this.alliesFainted,
+      item: this.item,
+      gender: this.gender,
+      nature: this.nature,
+      ivs: extend(true, {}, this.ivs),
+      evs: extend(true, {}, this.evs),
+      boosts: extend(true, {}, this.boosts),
+      accuracyBoost: this.accuracyBoost,
+      evasionBoost: this.evasionBoost,
+      originalCurHP: this.originalCurHP,
+      status: this.status,
+      teraType: this.teraType,
+      toxicCounter: this.toxicCounter,
+      moves: this.moves.slice(),
+      overrides: overridden ? extend(true, {}, this.species) : undefined,
+    };
+  }
+
+  static fromJSON(gen: I.Generation, json: PokemonJSON) {
+    checkJSONVersion('Pokemon', json);
+    return new Pokemon(gen, json.name, json);
+  }
+
   private calcStat(gen: I.Generation, stat: I.StatID) {
     return Stats.calcStat(
       gen,
@@ -218,6 +272,8 @@ export class Pokemon implements State.Pokemon {
   ) {
     const cur: Partial<I.StatsTable> = {};
     if (current) {
+      // Sets from the UI and the trainer data use the short forms of the stats
+      current = normalizeStats(current) as Partial<I.StatsTable> & {spc?: number};
       assignWithout(cur, current, SPC);
       if (current.spc) {
         cur.spa = current.spc;
@@ -1,11 +1,45 @@
-import {RawDesc, display, displayMove, getRecovery, getRecoil, getKOChance} from './desc';
-import {Generation} from './data/interface';
-import {Field} from './field';
-import {Move} from './move';
-import {Pokemon} from './pokemon';
+import {
+  RawDesc,
+  TraceStep,
+  Distribution,
+  display,
+  displayMove,
+  getRecovery,
+  getRecoil,
+  getKOChance,
+  getHitKOChance,
+  getSurvivalHP,
+  getDamageDistribution,
+} from './desc';
+import {Generation, GenerationNum} from './data/interface';
+import {Field, FieldJSON} from './field';
+import {Move, MoveJSON} from './move';
+import {Pokemon, PokemonJSON} from './pokemon';
+import {JSON_VERSION, checkJSONVersion} from './util';
 
 export type Damage = number | number[] | [number, number] | [number[], number[]];
 
+/**
+ * A calculation as JSON, see Result#toJSON. Along with what's needed to replay it, this has what
+ * it came out to (with percentages for the description, recoil and recovery) so that it can be
+ * shown without the calc.
+ */
+export interface ResultJSON {
+  version: number;
+  gen: GenerationNum;
+  attacker: PokemonJSON;
+  defender: PokemonJSON;
+  move: MoveJSON;
+  field: FieldJSON;
+  damage: number | number[] | [number[], number[]];
+  rawDesc: RawDesc;
+  range: [number, number];
+  desc: string;
+  kochance: ReturnType<typeof getKOChance>;
+  recoil: ReturnType<typeof getRecoil>;
+  recovery: ReturnType<typeof getRecovery>;
+}
+
 export class Result {
   gen: Generation;
   attacker: Pokemon;
@@ -70,7 +104,8 @@ export class Result {
     return getRecoil(this.gen, this.attacker, this.defender, this.move, this.damage, notation);
   }
 
-  kochance(err = true) {
+  // Passing the Result of the same move as a critical hit weighs in the chance of landing crits
+  kochance(err = true, crit?: Result) {
     return getKOChance(
       this.gen,
       this.attacker,
@@ -78,9 +113,152 @@ export class Result {
       this.move,
       this.field,
       this.damage,
-      err
+      err,
+      crit?.damage
+    );
+  }
+
+  // The chance to both hit and KO within the given number of turns (by default, the number of
+  // turns from kochance), taking the move's accuracy into account
+  hitkochance(turns?: number, err = true, crit?: Result) {
+    return getHitKOChance(
+      this.gen,
+      this.attacker,
+      this.defender,
+      this.move,
+      this.field,
+      this.damage,
+      turns,
+      err,
+      crit?.damage
+    );
+  }
+
+  // The least current HP at which the defender survives the move with at least the given chance
+  survivalHP(chance = 1, crit?: Result) {
+    return getSurvivalHP(
+      this.gen,
+      this.attacker,
+      this.defender,
+      this.move,
+      this.field,
+      this.damage,
+      chance,
+      crit?.damage
     );
   }
+
+  // The distribution of the total damage dealt over the given number of uses of the move
+  distribution(uses = 1, crit?: Result) {
+    return new DamageDistribution(
+      getDamageDistribution(
+        this.gen,
+        this.attacker,
+        this.defender,
+        this.move,
+        this.field,
+        this.damage,
+        crit?.damage,
+        uses
+      ),
+      this.defender.maxHP()
+    );
+  }
+
+  // Every step of the calculation, if it was traced (see calculate)
+  trace(): TraceStep[] {
+    return this.rawDesc.trace || [];
+  }
+
+  // The steps of a traced calculation as text, one per line
+  explain() {
+    return this.trace().map(step => {
+      const modifier = step.modifier === undefined
+        ? '' : ` x${Math.round(step.modifier * 100) / 100}/4096`;
+      return `${step.stage}: ${step.source} (${step.kind})${modifier} = ${step.value}`;
+    }).join('\n');
+  }
+
+  /**
+   * The calculation as versioned JSON rather than the whole object graph (which includes the
+   * Generation). `fromJSON` turns it back into a Result without calculating it again.
+   */
+  toJSON(): ResultJSON {
+    const range = this.range();
+    return {
+      version: JSON_VERSION,
+      gen: this.gen.num,
+      attacker: this.attacker.toJSON(),
+      defender: this.defender.toJSON(),
+      move: this.move.toJSON(),
+      field: this.field.toJSON(),
+      damage: this.damage,
+      rawDesc: this.rawDesc,
+      range,
+      desc: this.fullDesc('%', false),
+      // Without any damage there's no KO chance, which kochance would log about
+      kochance: range[1] ? this.kochance(false) : {chance: 0, n: 0, text: ''},
+      recoil: this.recoil(),
+      recovery: this.recovery(),
+    };
+  }
+
+  static fromJSON(gen: Generation, json: ResultJSON) {
+    checkJSONVersion('Result', json);
+    return new Result(
+      gen,
+      Pokemon.fromJSON(gen, json.attacker),
+      Pokemon.fromJSON(gen, json.defender),
+      Move.fromJSON(gen, json.move),
+      Field.fromJSON(json.field),
+      json.damage,
+      json.rawDesc
+    );
+  }
+}
+
+export class DamageDistribution {
+  // Every distinct total in ascending order along with the chance of dealing it
+  damage: number[];
+  chances: number[];
+  maxHP: number;
+
+  constructor(distribution: Distribution, maxHP: number) {
+    this.damage = distribution.damage;
+    this.chances = distribution.weights.map(w => w / distribution.total);
+    this.maxHP = maxHP;
+  }
+
+  // The chance of dealing at least the given amount of damage
+  chance(atLeast: number) {
+    let chance = 0;
+    for (let i = this.damage.length - 1; i >= 0 && this.damage[i] >= atLeast; i--) {
+      chance += this.chances[i];
+    }
+    return Math.min(chance, 1);
+  }
+
+  // The chance of dealing at least the given percentage of the defender's max HP
+  chancePercent(atLeast: number) {
+    return this.chance(Math.ceil((atLeast * this.maxHP) / 100));
+  }
+
+  // The least damage which at least the given percent of outcomes don't exceed, eg. the median
+  // is percentile(50)
+  percentile(percent: number) {
+    let cumulative = 0;
+    for (let i = 0; i < this.damage.length; i++) {
+      cumulative += this.chances[i];
+      if (cumulative >= percent / 100 - 1e-9) return this.damage[i];
+    }
+    return this.damage[this.damage.length - 1];
+  }
+
+  mean() {
+    let mean = 0;
+    for (let i = 0; i < this.damage.length; i++) mean += this.damage[i] * this.chances[i];
+    return mean;
+  }
 }
 
 export function damageRange(
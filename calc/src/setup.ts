@@ -0,0 +1,142 @@
+import {Generation, StatsTable} from './data/interface';
+import {Field} from './field';
+import {Move} from './move';
+import {Pokemon} from './pokemon';
+import {calculate} from './calc';
+import {getTurnOrder} from './mechanics/util';
+import {STATUS_MOVES, highestDamage} from './simulate';
+import {error} from './util';
+
+export interface SetupOptions {
+  /** Within how many hits the move has to KO: 1 (the default) for an OHKO, 2 for a 2HKO... */
+  hits?: number;
+  /** The chance of KOing which has to be reached, 1 (a guaranteed KO) by default. */
+  chance?: number;
+  /** The most turns to consider spending on setting up, 6 by default. */
+  maxTurns?: number;
+  /** The move the first defender hits back with, by default its most damaging one. */
+  defenderMove?: Move;
+}
+
+export interface SetupTarget {
+  defender: Pokemon;
+  /** The fewest turns of setting up after which the move KOs the defender, if any do. */
+  turns?: number;
+  /** The chance of the move KOing the defender after that many turns (or the most considered). */
+  chance: number;
+  text: string;
+}
+
+export interface SetupPlan {
+  /** The fewest turns of setting up after which the move KOs every one of the defenders. */
+  turns?: number;
+  /** The attacker's boosts after that many turns (or the most considered). */
+  boosts: StatsTable;
+  defenders: SetupTarget[];
+  /**
+   * The least and most damage the attacker takes from the first of the defenders, which it sets
+   * up against, over those turns.
+   */
+  damageTaken: [number, number];
+}
+
+/**
+ * Works out how many times `attacker` needs to use `setup` before `move` reaches the KO threshold
+ * set by `options` against every one of `defenders`. The attacker is assumed to set up in front of
+ * the first of the defenders, which hits it once a turn.
+ */
+export function planSetup(
+  gen: Generation,
+  attacker: Pokemon,
+  move: Move,
+  defenders: Pokemon[],
+  setup: Move,
+  field: Field = new Field(),
+  options: SetupOptions = {}
+): SetupPlan {
+  const boosts = STATUS_MOVES[setup.name]?.boosts;
+  if (!boosts) error(true, `${setup.name} is not a move which boosts the user's stats`);
+  const hits = options.hits || 1;
+  const required = options.chance === undefined ? 1 : options.chance;
+  const maxTurns = options.maxTurns === undefined ? 6 : options.maxTurns;
+
+  // The attacker after each number of turns spent setting up, stopping once it can't boost further
+  const stages = [attacker];
+  while (stages.length <= maxTurns) {
+    const boosted = applySetupBoosts(stages[stages.length - 1], boosts!);
+    if (!boosted) break;
+    stages.push(boosted);
+  }
+
+  const targets = defenders.map(defender => {
+    let target: SetupTarget = {defender, chance: 0, text: ''};
+    for (let turns = 0; turns < stages.length; turns++) {
+      const result = calculate(gen, stages[turns], defender, move, field);
+      // A move which does no damage, eg. to an immune defender, has no KO chance to speak of
+      if (!result.range()[1]) {
+        target = {defender, chance: 0, text: 'no damage'};
+        continue;
+      }
+      const ko = result.kochance(false);
+      const chance = ko.chance || 0;
+      target = {defender, chance: ko.n && ko.n < hits ? 1 : chance, text: ko.text};
+      if (ko.n && (ko.n < hits || (ko.n === hits && chance >= required))) {
+        target.turns = turns;
+        break;
+      }
+    }
+    return target;
+  });
+
+  const needed = targets.map(t => t.turns);
+  const turns = needed.every(t => t !== undefined)
+    ? Math.max(...(needed as number[]))
+    : undefined;
+  const reached = turns === undefined ? stages.length - 1 : turns;
+  return {
+    turns,
+    boosts: stages[reached].boosts,
+    defenders: targets,
+    damageTaken: getDamageTaken(
+      gen, stages.slice(0, reached + 1), defenders[0], setup, field, options.defenderMove
+    ),
+  };
+}
+
+// The attacker after one more use of the setup move, if that changes anything
+function applySetupBoosts(pokemon: Pokemon, boosts: Partial<StatsTable>) {
+  const multiplier = pokemon.hasAbility('Contrary') ? -1 : pokemon.hasAbility('Simple') ? 2 : 1;
+  const boosted = pokemon.clone();
+  let changed = false;
+  for (const stat of ['atk', 'def', 'spa', 'spd', 'spe'] as const) {
+    const stage = pokemon.boosts[stat] + (boosts[stat] || 0) * multiplier;
+    boosted.boosts[stat] = Math.max(-6, Math.min(6, stage));
+    if (boosted.boosts[stat] !== pokemon.boosts[stat]) changed = true;
+  }
+  return changed ? boosted : undefined;
+}
+
+// Over the turns spent setting up the defender gets a hit in every turn, either before or after
+// the attacker boosts depending on who moves first
+function getDamageTaken(
+  gen: Generation,
+  stages: Pokemon[],
+  defender: Pokemon | undefined,
+  setup: Move,
+  field: Field,
+  defenderMove?: Move
+): [number, number] {
+  const damage: [number, number] = [0, 0];
+  if (!defender || (!defenderMove && !defender.moves.length)) return damage;
+  const swapped = field.clone().swap();
+  for (let turn = 1; turn < stages.length; turn++) {
+    const before = stages[turn - 1];
+    const move = defenderMove || highestDamage(gen, defender, before, swapped);
+    const order = getTurnOrder(gen, before, defender, setup, move, field);
+    const target = order.chance >= 0.5 ? stages[turn] : before;
+    const range = calculate(gen, defender, target, move, swapped).range();
+    damage[0] += range[0] * move.hits;
+    damage[1] += range[1] * move.hits;
+  }
+  return damage;
+}
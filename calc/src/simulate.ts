@@ -0,0 +1,906 @@
+import {Generation, ItemName, StatID, StatsTable, StatusName} from './data/interface';
+import {Field} from './field';
+import {Move} from './move';
+import {Pokemon} from './pokemon';
+import {Result} from './result';
+import {calculate} from './calc';
+import {getBerry, getEndOfTurn, getRecoil, getRecovery} from './desc';
+import {
+  HP_MOVES, SpeedTie, getCritChance, getHitChance, getTurnOrder, isGrounded,
+} from './mechanics/util';
+import {toID} from './util';
+
+/** Picks the move the attacker uses on the given turn (counting from 1). */
+export type ChoicePolicy =
+  (gen: Generation, attacker: Pokemon, defender: Pokemon, field: Field, turn: number) => Move;
+
+/**
+ * How a Pokémon picks its moves: one move used every turn, a sequence of moves used one per turn
+ * (repeating the last one once it runs out) or a choice policy.
+ */
+export type Choice = Move | Move[] | ChoicePolicy;
+
+export interface SimulationOptions {
+  /** The number of turns after which the battle is given up on, 50 by default. */
+  maxTurns?: number;
+  /** How speed ties are settled, see getTurnOrder. */
+  speedTie?: SpeedTie;
+  /**
+   * The number of ways the battle could be going which simulate follows from one turn to the
+   * next, 1000 by default. Past that the ones with close enough HP are merged into the most likely
+   * of them, which trades some accuracy for time.
+   */
+  maxBranches?: number;
+}
+
+export interface BattleTurn {
+  turn: number;
+  /** Everything that happened over the turn, in order. */
+  events: string[];
+  /** The HP the attacker and defender are left with at the end of the turn. */
+  hp: [number, number];
+}
+
+export interface BattleOutcome {
+  /** The chance of the defender fainting while the attacker is still standing. */
+  attacker: number;
+  /** The chance of the attacker fainting while the defender is still standing. */
+  defender: number;
+  /** The chance of both Pokémon fainting on the same turn. */
+  draw: number;
+  /** The chance of both Pokémon still standing after the last turn simulated. */
+  unresolved: number;
+}
+
+export interface EstimateOptions extends SimulationOptions {
+  /** The seed of the random number generator, so that estimates can be reproduced. */
+  seed?: number;
+  /** The number of battles to sample, 1000 by default. */
+  samples?: number;
+  /** The confidence level of the interval around the win chance, 0.95 by default. */
+  confidence?: number;
+}
+
+export interface Estimate {
+  samples: number;
+  /** The share of the sampled battles which ended each way. */
+  outcome: BattleOutcome;
+  /** The estimated chance of the attacker winning, the same as `outcome.attacker`. */
+  win: number;
+  /** The Wilson score interval around `win` at the requested confidence level. */
+  interval: [number, number];
+}
+
+export interface Simulation {
+  /** The battle as it plays out when every damage roll and every chance goes the median way. */
+  turns: BattleTurn[];
+  /** Who won that battle, if anybody did. */
+  winner?: 'attacker' | 'defender' | 'draw';
+  /** The chance of every outcome out of all the ways the battle could play out. */
+  outcome: BattleOutcome;
+}
+
+// The state of a Pokémon which changes over the course of the battle
+interface Combatant {
+  hp: number;
+  boosts: StatsTable;
+  status: StatusName | '';
+  item?: ItemName;
+  toxicCounter: number;
+  // The number of turns the Pokémon has been asleep for
+  sleepTurns: number;
+  // Whether the Pokémon flinched this turn
+  flinched?: boolean;
+}
+
+interface Branch {
+  chance: number;
+  sides: [Combatant, Combatant];
+  events?: string[];
+  // The order the Pokémon move in this turn and the moves they use
+  order?: number[];
+  moves?: Move[];
+}
+
+interface Outcome<T> {
+  value: T;
+  chance: number;
+}
+
+// Follows every outcome, only the median one or one picked at random
+type Follow = <T>(outcomes: Array<Outcome<T>>) => Array<Outcome<T>>;
+
+interface Battle {
+  gen: Generation;
+  pokemon: [Pokemon, Pokemon];
+  fields: [Field, Field];
+  choices: [Choice, Choice];
+  speedTie: SpeedTie;
+  follow: Follow;
+  // Whether moves can miss, crit and have secondary effects
+  luck: boolean;
+  cache: {[key: string]: Pokemon | Move | Calculation};
+}
+
+interface Calculation {
+  result: Result;
+  hits: Array<Outcome<number>>;
+}
+
+export interface StatusMove {
+  boosts?: Partial<StatsTable>;
+  status?: StatusName;
+  heal?: number;
+}
+
+// The effects of the status moves which the move data doesn't describe
+export const STATUS_MOVES: {[name: string]: StatusMove} = {
+  'Acid Armor': {boosts: {def: 2}},
+  Agility: {boosts: {spe: 2}},
+  Amnesia: {boosts: {spd: 2}},
+  Barrier: {boosts: {def: 2}},
+  'Bulk Up': {boosts: {atk: 1, def: 1}},
+  'Calm Mind': {boosts: {spa: 1, spd: 1}},
+  Coil: {boosts: {atk: 1, def: 1}},
+  'Cosmic Power': {boosts: {def: 1, spd: 1}},
+  'Cotton Guard': {boosts: {def: 3}},
+  Curse: {boosts: {atk: 1, def: 1, spe: -1}},
+  'Defense Curl': {boosts: {def: 1}},
+  'Dragon Dance': {boosts: {atk: 1, spe: 1}},
+  Glare: {status: 'par'},
+  Growth: {boosts: {atk: 1, spa: 1}},
+  'Heal Order': {heal: 1 / 2},
+  Howl: {boosts: {atk: 1}},
+  'Iron Defense': {boosts: {def: 2}},
+  'Milk Drink': {heal: 1 / 2},
+  Moonlight: {heal: 1 / 2},
+  'Morning Sun': {heal: 1 / 2},
+  'Nasty Plot': {boosts: {spa: 2}},
+  'Poison Gas': {status: 'psn'},
+  'Poison Powder': {status: 'psn'},
+  'Quiver Dance': {boosts: {spa: 1, spd: 1, spe: 1}},
+  Recover: {heal: 1 / 2},
+  'Rock Polish': {boosts: {spe: 2}},
+  Roost: {heal: 1 / 2},
+  'Shell Smash': {boosts: {atk: 2, def: -1, spa: 2, spd: -1, spe: 2}},
+  'Shift Gear': {boosts: {atk: 1, spe: 2}},
+  'Shore Up': {heal: 1 / 2},
+  'Slack Off': {heal: 1 / 2},
+  'Soft-Boiled': {heal: 1 / 2},
+  'Stun Spore': {status: 'par'},
+  'Swords Dance': {boosts: {atk: 2}},
+  Synthesis: {heal: 1 / 2},
+  'Tail Glow': {boosts: {spa: 3}},
+  'Thunder Wave': {status: 'par'},
+  Toxic: {status: 'tox'},
+  'Victory Dance': {boosts: {atk: 1, def: 1, spe: 1}},
+  'Will-O-Wisp': {status: 'brn'},
+  'Work Up': {boosts: {atk: 1, spa: 1}},
+};
+
+interface SecondaryEffect {
+  chance: number;
+  status?: StatusName;
+  boosts?: Partial<StatsTable>;
+  self?: Partial<StatsTable>;
+  flinch?: boolean;
+}
+
+// The secondary effects of damaging moves, which the move data only flags the existence of
+const SECONDARY_EFFECTS: {[name: string]: SecondaryEffect} = {
+  'Acid Spray': {chance: 100, boosts: {spd: -2}},
+  'Air Slash': {chance: 30, flinch: true},
+  Bite: {chance: 30, flinch: true},
+  Blizzard: {chance: 10, status: 'frz'},
+  'Body Slam': {chance: 30, status: 'par'},
+  'Bug Buzz': {chance: 10, boosts: {spd: -1}},
+  Bulldoze: {chance: 100, boosts: {spe: -1}},
+  Crunch: {chance: 20, boosts: {def: -1}},
+  'Dark Pulse': {chance: 20, flinch: true},
+  Discharge: {chance: 30, status: 'par'},
+  'Earth Power': {chance: 10, boosts: {spd: -1}},
+  Electroweb: {chance: 100, boosts: {spe: -1}},
+  'Energy Ball': {chance: 10, boosts: {spd: -1}},
+  'Fire Blast': {chance: 10, status: 'brn'},
+  'Fire Fang': {chance: 10, status: 'brn'},
+  'Fire Punch': {chance: 10, status: 'brn'},
+  'Flame Charge': {chance: 100, self: {spe: 1}},
+  Flamethrower: {chance: 10, status: 'brn'},
+  'Flare Blitz': {chance: 10, status: 'brn'},
+  'Flash Cannon': {chance: 10, boosts: {spd: -1}},
+  'Focus Blast': {chance: 10, boosts: {spd: -1}},
+  'Freeze-Dry': {chance: 10, status: 'frz'},
+  'Gunk Shot': {chance: 30, status: 'psn'},
+  Headbutt: {chance: 30, flinch: true},
+  'Heat Wave': {chance: 10, status: 'brn'},
+  'Ice Beam': {chance: 10, status: 'frz'},
+  'Ice Fang': {chance: 10, status: 'frz'},
+  'Ice Punch': {chance: 10, status: 'frz'},
+  'Icicle Crash': {chance: 30, flinch: true},
+  'Icy Wind': {chance: 100, boosts: {spe: -1}},
+  'Iron Head': {chance: 30, flinch: true},
+  'Iron Tail': {chance: 30, boosts: {def: -1}},
+  'Lava Plume': {chance: 30, status: 'brn'},
+  'Lunge': {chance: 100, boosts: {atk: -1}},
+  'Metal Claw': {chance: 10, self: {atk: 1}},
+  'Meteor Mash': {chance: 20, self: {atk: 1}},
+  Moonblast: {chance: 30, boosts: {spa: -1}},
+  'Mud Shot': {chance: 100, boosts: {spe: -1}},
+  'Mystical Fire': {chance: 100, boosts: {spa: -1}},
+  Nuzzle: {chance: 100, status: 'par'},
+  'Play Rough': {chance: 10, boosts: {atk: -1}},
+  'Poison Fang': {chance: 50, status: 'tox'},
+  'Poison Jab': {chance: 30, status: 'psn'},
+  'Power-Up Punch': {chance: 100, self: {atk: 1}},
+  Psychic: {chance: 10, boosts: {spd: -1}},
+  'Rock Slide': {chance: 30, flinch: true},
+  'Rock Tomb': {chance: 100, boosts: {spe: -1}},
+  'Sacred Fire': {chance: 50, status: 'brn'},
+  Scald: {chance: 30, status: 'brn'},
+  'Shadow Ball': {chance: 20, boosts: {spd: -1}},
+  'Sludge Bomb': {chance: 30, status: 'psn'},
+  'Sludge Wave': {chance: 10, status: 'psn'},
+  Snarl: {chance: 100, boosts: {spa: -1}},
+  Stomp: {chance: 30, flinch: true},
+  'Thunder Fang': {chance: 10, status: 'par'},
+  'Thunder Punch': {chance: 10, status: 'par'},
+  Thunder: {chance: 30, status: 'par'},
+  Thunderbolt: {chance: 10, status: 'par'},
+  'Trop Kick': {chance: 100, boosts: {atk: -1}},
+  Waterfall: {chance: 20, flinch: true},
+  'Zen Headbutt': {chance: 20, flinch: true},
+};
+
+const BOOSTS: StatID[] = ['atk', 'def', 'spa', 'spd', 'spe'];
+
+/**
+ * A choice policy which always uses whichever of the attacker's moves can deal the most damage,
+ * the way the UI picks the move to show.
+ */
+export function highestDamage(gen: Generation, attacker: Pokemon, defender: Pokemon, field: Field) {
+  let best: Move | undefined;
+  let most = -1;
+  for (const name of attacker.moves) {
+    const move = new Move(gen, name, {
+      ability: attacker.ability, item: attacker.item, species: attacker.name,
+    });
+    const damage = calculate(gen, attacker, defender, move, field).range()[1] * move.hits;
+    if (damage > most) {
+      best = move;
+      most = damage;
+    }
+  }
+  return best || new Move(gen, 'Struggle');
+}
+
+/**
+ * Plays out a 1v1 between `attacker` and `defender` turn by turn, with each Pokémon picking its
+ * moves as per `choices`. Damage, recoil, drain, end of turn effects, boosts, status and consumed
+ * items are all tracked. Moves never miss, never crit and their secondary effects never happen
+ * (see estimate for that), but every damage roll, turn order, full paralysis, waking up and
+ * thawing out is weighed in the outcome, as far as `options.maxBranches` allows. A Pokémon which
+ * starts out asleep is taken to have just fallen asleep. `field` is seen from the attacker's side
+ * and doesn't change over the battle.
+ */
+export function simulate(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  choices: [Choice, Choice],
+  field: Field = new Field(),
+  options: SimulationOptions = {}
+): Simulation {
+  const maxTurns = options.maxTurns || 50;
+  const maxBranches = options.maxBranches || 1000;
+  const battle: Battle = {
+    gen,
+    pokemon: [attacker, defender],
+    fields: [field, field.clone().swap()],
+    choices,
+    speedTie: options.speedTie || 'random',
+    follow: median,
+    luck: false,
+    cache: {},
+  };
+  const start: Branch = {chance: 1, sides: [getCombatant(attacker), getCombatant(defender)]};
+
+  const turns: BattleTurn[] = [];
+  let branch = start;
+  let winner: Simulation['winner'];
+  for (let turn = 1; turn <= maxTurns && !winner; turn++) {
+    branch = playTurn(battle, [{chance: 1, sides: branch.sides, events: []}], turn)[0];
+    turns.push({turn, events: branch.events!, hp: [branch.sides[0].hp, branch.sides[1].hp]});
+    winner = getWinner(branch);
+  }
+
+  battle.follow = every;
+  const outcome: BattleOutcome = {attacker: 0, defender: 0, draw: 0, unresolved: 0};
+  let branches = [start];
+  for (let turn = 1; turn <= maxTurns && branches.length; turn++) {
+    const next = [];
+    for (const played of playTurn(battle, branches, turn)) {
+      const won = getWinner(played);
+      if (won) {
+        outcome[won] += played.chance;
+      } else {
+        next.push(played);
+      }
+    }
+    branches = prune(next, maxBranches);
+  }
+  for (const b of branches) outcome.unresolved += b.chance;
+
+  return {turns, winner, outcome};
+}
+
+/**
+ * Estimates the chance of `attacker` winning a 1v1 against `defender` by sampling battles played
+ * out as by simulate, except that moves can miss, crit and have their secondary effects. Every
+ * chance is settled by a random number generator seeded with
+ * `options.seed`, so the same options always give the same estimate.
+ */
+export function estimate(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  choices: [Choice, Choice],
+  field: Field = new Field(),
+  options: EstimateOptions = {}
+): Estimate {
+  const maxTurns = options.maxTurns || 50;
+  const samples = options.samples || 1000;
+  const battle: Battle = {
+    gen,
+    pokemon: [attacker, defender],
+    fields: [field, field.clone().swap()],
+    choices,
+    speedTie: options.speedTie || 'random',
+    follow: sample(getRandom(options.seed || 0)),
+    luck: true,
+    cache: {},
+  };
+  const start: Branch = {chance: 1, sides: [getCombatant(attacker), getCombatant(defender)]};
+
+  const counts: BattleOutcome = {attacker: 0, defender: 0, draw: 0, unresolved: 0};
+  for (let n = 0; n < samples; n++) {
+    let branch = start;
+    let winner: Simulation['winner'];
+    for (let turn = 1; turn <= maxTurns && !winner; turn++) {
+      branch = playTurn(battle, [branch], turn)[0];
+      winner = getWinner(branch);
+    }
+    counts[winner || 'unresolved']++;
+  }
+
+  const outcome: BattleOutcome = {
+    attacker: counts.attacker / samples,
+    defender: counts.defender / samples,
+    draw: counts.draw / samples,
+    unresolved: counts.unresolved / samples,
+  };
+  const z = getZScore(options.confidence || 0.95);
+  return {
+    samples,
+    outcome,
+    win: outcome.attacker,
+    interval: getWilsonInterval(outcome.attacker, samples, z),
+  };
+}
+
+// Mulberry32, which is small, fast and random enough for sampling battles
+function getRandom(seed: number) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// The z-score for a two-sided interval at the given confidence level, using the rational
+// approximation of the normal quantile from Abramowitz and Stegun (26.2.23)
+function getZScore(confidence: number) {
+  const t = Math.sqrt(-2 * Math.log((1 - confidence) / 2));
+  return t - (2.515517 + 0.802853 * t + 0.010328 * t * t) /
+    (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+}
+
+function getWilsonInterval(p: number, n: number, z: number): [number, number] {
+  const center = (p + z * z / (2 * n)) / (1 + z * z / n);
+  const margin = z / (1 + z * z / n) * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n));
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+function median<T>(outcomes: Array<Outcome<T>>) {
+  let cumulative = 0;
+  for (const outcome of outcomes) {
+    cumulative += outcome.chance;
+    if (cumulative >= 1 / 2) return [{value: outcome.value, chance: 1}];
+  }
+  return [{value: outcomes[outcomes.length - 1].value, chance: 1}];
+}
+
+function sample(random: () => number) {
+  return <T>(outcomes: Array<Outcome<T>>) => {
+    const possible = every(outcomes);
+    const r = random();
+    let cumulative = 0;
+    for (const outcome of possible) {
+      cumulative += outcome.chance;
+      if (r < cumulative) return [{value: outcome.value, chance: 1}];
+    }
+    return [{value: possible[possible.length - 1].value, chance: 1}];
+  };
+}
+
+function every<T>(outcomes: Array<Outcome<T>>) {
+  return outcomes.filter(outcome => outcome.chance > 0);
+}
+
+function getCombatant(pokemon: Pokemon): Combatant {
+  return {
+    hp: pokemon.curHP(),
+    boosts: {...pokemon.boosts},
+    status: pokemon.status,
+    item: pokemon.item,
+    toxicCounter: pokemon.toxicCounter,
+    sleepTurns: 0,
+  };
+}
+
+function getKey(c: Combatant, hp: number | string = c.hp) {
+  const b = c.boosts;
+  const boosts = `${b.atk},${b.def},${b.spa},${b.spd},${b.spe}`;
+  return `${hp}|${boosts}|${c.status}|${c.item}|${c.toxicCounter}|${c.sleepTurns}|${!!c.flinched}`;
+}
+
+// Unless it needs to be `exact` a Pokémon's HP only matters as far as the thresholds which
+// calculations care about go: being at full HP, or at or below half, a third or a quarter of it
+function getStateKey(battle: Battle, branch: Branch, i: number, exact = false) {
+  const hp = branch.sides[i].hp;
+  const max = battle.pokemon[i].maxHP();
+  const band = exact ? hp
+    : hp === max ? 'full'
+    : hp * 4 <= max ? 'quarter'
+    : hp * 3 <= max ? 'third'
+    : hp * 2 <= max ? 'half'
+    : 'hurt';
+  return `${i}/${getKey(branch.sides[i], band)}`;
+}
+
+function getWinner(branch: Branch) {
+  const [attacker, defender] = branch.sides;
+  if (!attacker.hp && !defender.hp) return 'draw';
+  if (!defender.hp) return 'attacker';
+  if (!attacker.hp) return 'defender';
+  return undefined;
+}
+
+function fork(branch: Branch, chance: number): Branch {
+  const copy = (c: Combatant) => ({...c, boosts: {...c.boosts}});
+  return {
+    chance: branch.chance * chance,
+    sides: [copy(branch.sides[0]), copy(branch.sides[1])],
+    events: branch.events?.slice(),
+    order: branch.order,
+    moves: branch.moves,
+  };
+}
+
+function log(branch: Branch, event: string) {
+  if (branch.events) branch.events.push(event);
+}
+
+// The Pokémon on side `i` as of the branch, which mustn't be modified. Unless it is `exact` its
+// HP is only right to within the thresholds which calculations care about (see getStateKey).
+function getPokemon(battle: Battle, branch: Branch, i: number, exact = false) {
+  const c = branch.sides[i];
+  const key = `pokemon/${getStateKey(battle, branch, i, exact)}`;
+  let pokemon = battle.cache[key] as Pokemon | undefined;
+  if (!pokemon) {
+    pokemon = battle.pokemon[i].clone();
+    pokemon.originalCurHP = c.hp;
+    pokemon.boosts = {...c.boosts};
+    pokemon.status = c.status;
+    pokemon.item = c.item;
+    pokemon.toxicCounter = c.toxicCounter;
+    battle.cache[key] = pokemon;
+  }
+  return pokemon;
+}
+
+function getMove(battle: Battle, branch: Branch, i: number, turn: number) {
+  const choice = battle.choices[i];
+  if (typeof choice !== 'function') {
+    return Array.isArray(choice) ? choice[Math.min(turn, choice.length) - 1] : choice;
+  }
+  const state = `${getStateKey(battle, branch, i)}/${getStateKey(battle, branch, 1 - i)}`;
+  const key = `move/${turn}/${state}`;
+  let move = battle.cache[key] as Move | undefined;
+  if (!move) {
+    const pokemon = getPokemon(battle, branch, i);
+    const opponent = getPokemon(battle, branch, 1 - i);
+    move = choice(battle.gen, pokemon, opponent, battle.fields[i], turn);
+    battle.cache[key] = move;
+  }
+  return move;
+}
+
+// The result of using `move` against the other side along with the damage it could deal, which
+// includes the chance of critical hits if the battle is played out with luck
+function getResult(battle: Battle, branch: Branch, i: number, move: Move) {
+  const exact = move.named(...HP_MOVES);
+  const attacker = getStateKey(battle, branch, i, exact);
+  const defender = getStateKey(battle, branch, 1 - i, exact);
+  const key = `result/${move.name}/${attacker}/${defender}`;
+  let cached = battle.cache[key] as Calculation | undefined;
+  if (!cached) {
+    const pokemon = getPokemon(battle, branch, i, exact);
+    const target = getPokemon(battle, branch, 1 - i, exact);
+    const result = calculate(battle.gen, pokemon, target, move, battle.fields[i]);
+    let crit: Result | undefined;
+    if (battle.luck && !move.isCrit) {
+      const critMove = move.clone();
+      critMove.isCrit = true;
+      crit = calculate(battle.gen, pokemon, target, critMove, battle.fields[i]);
+    }
+    const distribution = result.distribution(1, crit);
+    const hits = distribution.damage.map((value, j) => ({value, chance: distribution.chances[j]}));
+    cached = {result, hits};
+    battle.cache[key] = cached;
+  }
+  return cached;
+}
+
+// Plays out a turn from every one of the branches, merging the branches which end up the same
+function playTurn(battle: Battle, branches: Branch[], turn: number) {
+  let played: Branch[] = [];
+  for (const branch of branches) {
+    const moves = [getMove(battle, branch, 0, turn), getMove(battle, branch, 1, turn)];
+    const order = getTurnOrder(
+      battle.gen,
+      getPokemon(battle, branch, 0),
+      getPokemon(battle, branch, 1),
+      moves[0],
+      moves[1],
+      battle.fields[0],
+      battle.speedTie
+    );
+    for (const {value, chance} of battle.follow([
+      {value: [0, 1], chance: order.chance},
+      {value: [1, 0], chance: 1 - order.chance},
+    ])) {
+      const b = fork(branch, chance);
+      b.order = value;
+      b.moves = moves;
+      played.push(b);
+    }
+  }
+
+  for (const step of [0, 1]) {
+    const next: Branch[] = [];
+    for (const b of played) {
+      const i = b.order![step];
+      next.push(...useMove(battle, b, i, b.moves![i]));
+    }
+    played = merge(next);
+  }
+  for (const b of played) {
+    if (!getWinner(b)) {
+      for (const i of b.order!) endOfTurn(battle, b, i, b.moves![1 - i]);
+    }
+    b.order = b.moves = undefined;
+    b.sides[0].flinched = b.sides[1].flinched = false;
+  }
+  return merge(played);
+}
+
+function merge(branches: Branch[]) {
+  // Every branch of a logged battle is kept apart, but there only ever is the one
+  if (branches.length < 2 || branches[0].events) return branches;
+  const merged: {[key: string]: Branch} = {};
+  for (const b of branches) {
+    const plan = b.order ? `${b.order}/${b.moves![0].name}/${b.moves![1].name}` : '';
+    const key = `${plan}/${getKey(b.sides[0])}/${getKey(b.sides[1])}`;
+    if (merged[key]) {
+      merged[key].chance += b.chance;
+    } else {
+      merged[key] = b;
+    }
+  }
+  return Object.keys(merged).map(key => merged[key]);
+}
+
+// The damage rolls spread the branches over more and more HP every turn, so past `max` of them
+// the ones within an ever larger band of HP of each other are merged into the most likely of them
+function prune(branches: Branch[], max: number) {
+  if (branches.length <= max) return branches;
+  branches.sort((a, b) => b.chance - a.chance);
+  for (let band = 2; branches.length > max; band *= 2) {
+    const merged: {[key: string]: Branch} = {};
+    for (const b of branches) {
+      const [attacker, defender] = b.sides;
+      const key = `${getKey(attacker, Math.floor(attacker.hp / band))}/` +
+        `${getKey(defender, Math.floor(defender.hp / band))}`;
+      const into = merged[key];
+      if (into) {
+        // Keeping the average HP of the merged branches
+        for (const i of [0, 1]) {
+          const hp = into.sides[i].hp * into.chance + b.sides[i].hp * b.chance;
+          into.sides[i].hp = hp / (into.chance + b.chance);
+        }
+        into.chance += b.chance;
+      } else {
+        merged[key] = b;
+      }
+    }
+    branches = Object.keys(merged).map(key => merged[key]);
+  }
+  for (const b of branches) {
+    for (const side of b.sides) side.hp = Math.round(side.hp);
+  }
+  return branches;
+}
+
+function useMove(battle: Battle, branch: Branch, i: number, move: Move): Branch[] {
+  if (getWinner(branch)) return [branch];
+  const pokemon = getPokemon(battle, branch, i);
+  if (branch.sides[i].flinched) {
+    log(branch, `${pokemon.name} flinched`);
+    return [branch];
+  }
+  if (pokemon.hasStatus('slp', 'frz')) {
+    const asleep = pokemon.hasStatus('slp');
+    // Frozen Pokémon never thaw out on their own in Gen 1
+    const recovers = asleep ? getWakeChance(battle.gen, branch.sides[i].sleepTurns)
+      : battle.gen.num >= 2 ? 1 / 5 : 0;
+    const branches = [];
+    for (const {value, chance} of battle.follow([
+      {value: true, chance: recovers},
+      {value: false, chance: 1 - recovers},
+    ])) {
+      const b = chance === 1 ? branch : fork(branch, chance);
+      if (value) {
+        b.sides[i].status = '';
+        b.sides[i].sleepTurns = 0;
+        log(b, `${pokemon.name} ${asleep ? 'woke up' : 'thawed out'}`);
+        // Waking up takes the Pokémon's turn in Gen 1
+        if (asleep && battle.gen.num === 1) {
+          branches.push(b);
+        } else {
+          branches.push(...useMove(battle, b, i, move));
+        }
+      } else {
+        if (asleep) b.sides[i].sleepTurns++;
+        log(b, `${pokemon.name} is ${asleep ? 'fast asleep' : 'frozen solid'}`);
+        branches.push(b);
+      }
+    }
+    return branches;
+  }
+
+  const moves = pokemon.hasStatus('par') ? 3 / 4 : 1;
+  const target = getPokemon(battle, branch, 1 - i);
+  const hits = battle.luck ? getHitChance(battle.gen, pokemon, target, move, battle.fields[i]) : 1;
+  const branches = [];
+  for (const {value, chance} of battle.follow([
+    {value: 'paralyzed', chance: 1 - moves},
+    {value: 'missed', chance: moves * (1 - hits)},
+    {value: 'hit', chance: moves * hits},
+  ])) {
+    const b = chance === 1 ? branch : fork(branch, chance);
+    if (value === 'paralyzed') {
+      log(b, `${pokemon.name} is fully paralyzed`);
+      branches.push(b);
+    } else if (value === 'missed') {
+      log(b, `${pokemon.name} used ${move.name} but it missed`);
+      branches.push(b);
+    } else if (move.category === 'Status') {
+      branches.push(useStatusMove(battle, b, i, move));
+    } else {
+      const {result, hits: damage} = getResult(battle, b, i, move);
+      for (const hit of battle.follow(damage)) {
+        const hitBranch = hit.chance === 1 ? b : fork(b, hit.chance);
+        applyHit(battle, hitBranch, i, move, result, hit.value);
+        if (battle.luck && hit.value) {
+          branches.push(...applySecondary(battle, hitBranch, i, move));
+        } else {
+          branches.push(hitBranch);
+        }
+      }
+    }
+  }
+  return branches;
+}
+
+// The chance of a Pokémon which has been asleep for `slept` turns waking up as it tries to move,
+// with sleep lasting for a number of turns picked at random from 1 up to a maximum which depends
+// on the gen. From Gen 2 on the Pokémon moves on the turn it wakes up, while in Gen 1 that turn
+// counts as one of the turns it sleeps for.
+function getWakeChance(gen: Generation, slept: number) {
+  const max = gen.num === 1 ? 7 : gen.num === 2 ? 6 : gen.num <= 4 ? 4 : 3;
+  const turns = gen.num === 1 ? slept + 1 : slept;
+  return turns ? 1 / (max - turns + 1) : 0;
+}
+
+function applySecondary(battle: Battle, branch: Branch, i: number, move: Move): Branch[] {
+  const pokemon = getPokemon(battle, branch, i);
+  const target = getPokemon(battle, branch, 1 - i);
+  const effect = SECONDARY_EFFECTS[move.name];
+  if (!effect || !branch.sides[1 - i].hp || pokemon.hasAbility('Sheer Force') ||
+      target.hasAbility('Shield Dust') || (battle.gen.num >= 9 && target.hasItem('Covert Cloak'))) {
+    return [branch];
+  }
+  const chance = Math.min(1, effect.chance / 100 * (pokemon.hasAbility('Serene Grace') ? 2 : 1));
+  const branches = [];
+  for (const {value, chance: c} of battle.follow([
+    {value: true, chance},
+    {value: false, chance: 1 - chance},
+  ])) {
+    const b = c === 1 ? branch : fork(branch, c);
+    if (value) {
+      const foe = b.sides[1 - i];
+      if (effect.status && canInflict(battle.gen, target, effect.status, move, battle.fields[i])) {
+        foe.status = effect.status;
+        foe.toxicCounter = 0;
+        log(b, `${target.name} was inflicted with ${effect.status}`);
+      }
+      if (effect.boosts) boost(foe, effect.boosts);
+      if (effect.self) boost(b.sides[i], effect.self);
+      // Only a Pokémon which has yet to move this turn can flinch
+      if (effect.flinch && b.order![0] === i && !target.hasAbility('Inner Focus')) {
+        foe.flinched = true;
+      }
+    }
+    branches.push(b);
+  }
+  return branches;
+}
+
+function useStatusMove(battle: Battle, branch: Branch, i: number, move: Move) {
+  const pokemon = getPokemon(battle, branch, i);
+  const target = getPokemon(battle, branch, 1 - i);
+  const effect = STATUS_MOVES[move.name];
+  log(branch, `${pokemon.name} used ${move.name}`);
+  if (!effect) return branch;
+
+  const user = branch.sides[i];
+  if (effect.boosts) boost(user, effect.boosts);
+  if (effect.heal) {
+    user.hp = Math.min(pokemon.maxHP(), user.hp + Math.floor(pokemon.maxHP() * effect.heal));
+  }
+  if (effect.status && canInflict(battle.gen, target, effect.status, move, battle.fields[i])) {
+    branch.sides[1 - i].status = effect.status;
+    branch.sides[1 - i].toxicCounter = 0;
+    log(branch, `${target.name} was inflicted with ${effect.status}`);
+  }
+  return branch;
+}
+
+function applyHit(
+  battle: Battle,
+  branch: Branch,
+  i: number,
+  move: Move,
+  result: Result,
+  damage: number
+) {
+  const gen = battle.gen;
+  const pokemon = getPokemon(battle, branch, i);
+  const target = getPokemon(battle, branch, 1 - i);
+  const user = branch.sides[i];
+  const foe = branch.sides[1 - i];
+
+  let dealt = Math.min(damage, foe.hp);
+  let endured = '';
+  if (dealt && dealt === foe.hp && foe.hp === target.maxHP() && move.hits === 1) {
+    if (gen.num >= 5 && target.hasAbility('Sturdy')) {
+      endured = 'Sturdy';
+    } else if (gen.num >= 4 && target.hasItem('Focus Sash')) {
+      endured = 'its Focus Sash';
+      foe.item = undefined;
+    }
+    if (endured) dealt--;
+  }
+  const percent = Math.floor(dealt * 1000 / target.maxHP()) / 10;
+  log(branch, `${pokemon.name} used ${move.name} for ${dealt} damage (${percent}%)`);
+  if (endured) log(branch, `${target.name} endured the hit with ${endured}`);
+  if (!dealt) return branch;
+
+  // Recovery and recoil are worked out for each hit of a multi-hit move
+  const once = move.hits > 1 ? move.clone() : move;
+  once.hits = 1;
+  const perHit = Math.round(dealt / move.hits);
+  const recovery = getRecovery(gen, pokemon, target, once, perHit).recovery[0] * move.hits;
+  // Recoil is capped by how much HP the target had left
+  const hit = move.recoil ? getPokemon(battle, branch, 1 - i, true) : target;
+  const recoil = getRecoil(gen, pokemon, hit, once, perHit).hp[0] * move.hits;
+  foe.hp -= dealt;
+
+  const self = gen.moves.get(toID(move.name))?.self;
+  if (self?.boosts) boost(user, self.boosts);
+  if (result.rawDesc.attackerItem && pokemon.item?.endsWith(' Gem')) user.item = undefined;
+  if (result.rawDesc.defenderItem && target.item?.endsWith(' Berry')) foe.item = undefined;
+  if (target.hasItem('Air Balloon')) foe.item = undefined;
+  eatBerry(gen, branch, foe, target, pokemon, move);
+  if (move.named('Knock Off') && !target.hasAbility('Sticky Hold')) foe.item = undefined;
+
+  if (recovery) {
+    user.hp = Math.min(pokemon.maxHP(), user.hp + recovery);
+    log(branch, `${pokemon.name} recovered ${recovery} HP`);
+  }
+  if (recoil) {
+    user.hp = Math.max(0, user.hp - recoil);
+    log(branch, `${pokemon.name} took ${recoil} recoil damage`);
+    eatBerry(gen, branch, user, pokemon, target, move);
+  }
+  return branch;
+}
+
+function endOfTurn(battle: Battle, branch: Branch, i: number, opponentMove: Move) {
+  const side = branch.sides[i];
+  if (!side.hp || !branch.sides[1 - i].hp) return;
+  const pokemon = getPokemon(battle, branch, i);
+  const opponent = getPokemon(battle, branch, 1 - i);
+  const eot = getEndOfTurn(battle.gen, opponent, pokemon, opponentMove, battle.fields[1 - i]);
+  let damage = eot.damage;
+  if (pokemon.hasStatus('tox') && !pokemon.hasAbility('Magic Guard', 'Poison Heal')) {
+    side.toxicCounter++;
+    damage -= Math.floor(pokemon.maxHP() * side.toxicCounter / 16);
+  }
+  if (!damage) return;
+  side.hp = Math.max(0, Math.min(pokemon.maxHP(), side.hp + damage));
+  log(branch, `${pokemon.name} ${damage > 0 ? 'recovered' : 'lost'} ${Math.abs(damage)} HP ` +
+    `(${eot.texts.join(', ')})`);
+  eatBerry(battle.gen, branch, side, pokemon, opponent, opponentMove);
+}
+
+function eatBerry(
+  gen: Generation,
+  branch: Branch,
+  holder: Combatant,
+  pokemon: Pokemon,
+  opponent: Pokemon,
+  move: Move
+) {
+  if (!holder.hp || holder.item !== pokemon.item) return;
+  const berry = getBerry(gen, opponent, pokemon, move);
+  if (berry && holder.hp <= berry.threshold) {
+    holder.hp = Math.min(pokemon.maxHP(), holder.hp + berry.recovery);
+    holder.item = undefined;
+    log(branch, `${pokemon.name} restored ${berry.recovery} HP with its ${pokemon.item}`);
+  }
+}
+
+function boost(combatant: Combatant, boosts: Partial<StatsTable>) {
+  for (const stat of BOOSTS) {
+    const boosted = combatant.boosts[stat] + (boosts[stat] || 0);
+    combatant.boosts[stat] = Math.max(-6, Math.min(6, boosted));
+  }
+}
+
+function canInflict(
+  gen: Generation,
+  target: Pokemon,
+  status: StatusName,
+  move: Move,
+  field: Field
+) {
+  if (target.status || (field.hasTerrain('Misty') && isGrounded(target, field))) return false;
+  switch (status) {
+  case 'brn':
+    return !target.hasType('Fire') && !target.hasAbility('Water Veil', 'Water Bubble');
+  case 'par':
+    return !(gen.num >= 6 && target.hasType('Electric')) && !target.hasAbility('Limber') &&
+      !(move.hasType('Electric') && target.hasType('Ground'));
+  case 'frz':
+    return !target.hasType('Ice') && !target.hasAbility('Magma Armor') &&
+      !field.hasWeather('Sun', 'Harsh Sunshine');
+  case 'psn': case 'tox':
+    return !target.hasType('Poison', 'Steel') && !target.hasAbility('Immunity');
+  default:
+    return true;
+  }
+}
@@ -15,6 +15,8 @@ export namespace State {
     ivs?: Partial<I.StatsTable>;
     evs?: Partial<I.StatsTable>;
     boosts?: Partial<I.StatsTable>;
+    accuracyBoost?: number;
+    evasionBoost?: number;
     originalCurHP?: number;
     status?: I.StatusName | '';
     teraType?: I.TypeName;
@@ -29,6 +31,7 @@ export namespace State {
     useMax?: boolean;
     isCrit?: boolean;
     hits?: number;
+    variableHits?: boolean;
     timesUsed?: number;
     timesUsedWithMetronome?: number;
     overrides?: Partial<I.Move>;
@@ -41,6 +44,8 @@ export namespace State {
     isMagicRoom?: boolean;
     isWonderRoom?: boolean;
     isGravity?: boolean;
+    isTrickRoom?: boolean;
+    isInverse?: boolean;
     isAuraBreak?: boolean;
     isFairyAura?: boolean;
     isDarkAura?: boolean;
@@ -67,6 +72,7 @@ export namespace State {
     isForesight?: boolean;
     isTailwind?: boolean;
     isHelpingHand?: boolean;
+    isFocusEnergy?: boolean;
     isFlowerGift?: boolean;
     isFriendGuard?: boolean;
     isAuroraVeil?: boolean;
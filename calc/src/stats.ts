@@ -16,6 +16,13 @@ export const STATS: Array<Array<StatID | 'spc'> | StatID[]> =
 
 type HPTypeName = Exclude<TypeName, 'Normal' | 'Fairy' | '???'>;
 
+/** The stats shown on a Pokémon's summary screen at some level, along with its EVs at the time. */
+export interface StatReading {
+  level: number;
+  stats: Partial<StatsTable>;
+  evs?: Partial<StatsTable>;
+}
+
 const HP_TYPES = [
   'Fighting', 'Flying', 'Poison', 'Ground', 'Rock', 'Bug', 'Ghost', 'Steel',
   'Fire', 'Water', 'Grass', 'Electric', 'Psychic', 'Ice', 'Dragon', 'Dark',
@@ -165,6 +172,52 @@ export const Stats = new (class {
     }
   }
 
+  /**
+   * Works out the range of IVs which could give the species each of the stats read, narrowing it
+   * down with every reading. The Hidden Power is included once the readings pin down every IV.
+   */
+  calcIVs(gen: Generation, species: string, readings: StatReading[], nature?: string) {
+    const specie = gen.species.get(toID(species));
+    if (!specie) throw new Error(`Invalid species ${species}`);
+    const ivs: Partial<StatsTable<[number, number]>> = {};
+    readings.forEach(({level, stats, evs}) => {
+      let stat: StatID;
+      for (stat in stats) {
+        const fits: number[] = [];
+        for (let iv = 0; iv <= 31; iv++) {
+          const ev = evs?.[stat] || 0;
+          const val = this.calcStat(gen, stat, specie.baseStats[stat], iv, ev, level, nature);
+          if (val === stats[stat]) fits.push(iv);
+        }
+        const range = ivs[stat] || [0, 31];
+        const min = Math.max(range[0], fits[0]);
+        const max = Math.min(range[1], fits[fits.length - 1]);
+        if (!fits.length || min > max) {
+          throw new Error(
+            `No IV gives ${specie.name} ${stats[stat]} ${this.displayStat(stat)} at level ${level}`
+          );
+        }
+        ivs[stat] = [min, max];
+      }
+    });
+
+    // Before Gen 3 IVs are really DVs, so they only need to be known to within 2, while from
+    // Gen 3 on every IV counts towards the Hidden Power and has to be known exactly
+    const known = (stat: StatID) => ivs[stat] && (gen.num >= 3
+      ? ivs[stat]![0] === ivs[stat]![1]
+      : this.IVToDV(ivs[stat]![0]) === this.IVToDV(ivs[stat]![1]));
+    const stats = gen.num >= 3 ? GSC : ['atk', 'def', 'spa', 'spe'] as StatID[];
+    let hiddenPower: {type: TypeName; power: number} | undefined;
+    if (stats.every(known)) {
+      const exact = {} as StatsTable;
+      GSC.forEach(stat => {
+        exact[stat] = ivs[stat] ? ivs[stat]![0] : 31;
+      });
+      hiddenPower = this.getHiddenPower(gen, exact);
+    }
+    return {ivs, hiddenPower};
+  }
+
   getHiddenPowerIVs(gen: Generation, hpType: HPTypeName) {
     const hp = HP[hpType];
     if (!hp) return undefined;
@@ -0,0 +1,158 @@
+import {
+  AbilityName,
+  Generation,
+  ItemName,
+  NatureName,
+  StatID,
+  StatsTable,
+} from './data/interface';
+import {Field} from './field';
+import {Move} from './move';
+import {Pokemon} from './pokemon';
+import {Result} from './result';
+import {Stats} from './stats';
+import {calculate} from './calc';
+import {getCombinations, getStats, withSet} from './infer';
+
+export interface Unknowns {
+  /** The natures to try, by default only the Pokémon's own. */
+  natures?: NatureName[];
+  /**
+   * The IVs to try for each stat. By default the stats the damage depends on (and the defender's
+   * HP) are tried at 0 and 31, which as the damage only goes one way with a stat covers the rest.
+   */
+  ivs?: Partial<StatsTable<number[]>>;
+  /** The items to try, by default only the Pokémon's own. */
+  items?: Array<ItemName | undefined>;
+  /** The abilities to try, by default only the Pokémon's own. */
+  abilities?: Array<AbilityName | undefined>;
+  /** Whether to try the ability both on and off, as with Intimidate or Flash Fire. */
+  abilityOn?: boolean;
+}
+
+export interface SweepCase {
+  /** What was tried in this case, eg. "Adamant 31 Atk IV, Intimidate off". */
+  label: string;
+  result: Result;
+  range: [number, number];
+  percent: [number, number];
+  ko: {chance?: number; n: number; text: string};
+}
+
+export interface Sweep {
+  /** The least and most damage over every case. */
+  range: [number, number];
+  percent: [number, number];
+  /** The cases which are the best and worst for the side which isn't unknown. */
+  best: SweepCase;
+  worst: SweepCase;
+  cases: number;
+  text: string;
+}
+
+/**
+ * Calculates `move` for every combination of the unknown attributes of the attacker or defender
+ * (`side`), for when the nature, IVs, item or ability of a wild Pokémon or an opponent's set
+ * aren't known. The best and worst cases are from the point of view of the other Pokémon.
+ */
+export function sweep(
+  gen: Generation,
+  attacker: Pokemon,
+  defender: Pokemon,
+  move: Move,
+  field: Field = new Field(),
+  side: 'attacker' | 'defender' = 'defender',
+  unknowns: Unknowns = {}
+): Sweep {
+  const template = side === 'attacker' ? attacker : defender;
+  // Natures don't exist before Gen 3
+  const natures = gen.num >= 3 && unknowns.natures || [template.nature];
+  const items = unknowns.items || [template.item];
+  const abilities = unknowns.abilities || [template.ability];
+  const abilityOn = unknowns.abilityOn ? [true, false] : [template.abilityOn];
+  const ivs = unknowns.ivs || getDefaultIVs(gen, move, side);
+  const stats = Object.keys(ivs) as StatID[];
+
+  const cases: SweepCase[] = [];
+  for (const nature of natures) {
+    for (const item of items) {
+      for (const ability of abilities) {
+        for (const on of abilityOn) {
+          for (const combination of getCombinations(stats.map(stat => ivs[stat]!))) {
+            const set: Partial<StatsTable> = {};
+            stats.forEach((stat, i) => {
+              set[stat] = combination[i];
+            });
+            const pokemon =
+              withSet(gen, template, {nature, item, ability, abilityOn: on, ivs: set});
+            const result = side === 'attacker'
+              ? calculate(gen, pokemon, defender, move, field)
+              : calculate(gen, attacker, pokemon, move, field);
+
+            const label = [];
+            if (natures.length > 1) label.push(nature);
+            stats.forEach((stat, i) => {
+              const iv = `${combination[i]} ${Stats.displayStat(stat)} IV`;
+              if (ivs[stat]!.length > 1) label.push(iv);
+            });
+            if (items.length > 1) label.push(item || 'no item');
+            if (abilityOn.length > 1) {
+              label.push(`${ability} ${on ? 'on' : 'off'}`);
+            } else if (abilities.length > 1) {
+              label.push(ability || 'no ability');
+            }
+            cases.push(toCase(result, label.join(', ') || 'as set'));
+          }
+        }
+      }
+    }
+  }
+
+  const sorted = cases.slice().sort(compareSweepCases);
+  // The strongest hit is the worst case for the defender and vice versa
+  const [best, worst] = side === 'attacker'
+    ? [sorted[sorted.length - 1], sorted[0]]
+    : [sorted[0], sorted[sorted.length - 1]];
+  const range: [number, number] = [
+    Math.min(...cases.map(c => c.range[0])),
+    Math.max(...cases.map(c => c.range[1])),
+  ];
+  const percent: [number, number] = [
+    Math.min(...cases.map(c => c.percent[0])),
+    Math.max(...cases.map(c => c.percent[1])),
+  ];
+  const text = `${percent[0]} - ${percent[1]}% over ${cases.length} cases -- ` +
+    `best case: ${best.label} (${best.ko.text || 'no KO'}), ` +
+    `worst case: ${worst.label} (${worst.ko.text || 'no KO'})`;
+  return {range, percent, best, worst, cases: cases.length, text};
+}
+
+function getDefaultIVs(gen: Generation, move: Move, side: 'attacker' | 'defender') {
+  const ivs: Partial<StatsTable<number[]>> = {};
+  const stats = getStats(gen, move, side);
+  if (side === 'defender' && stats.length) stats.unshift('hp');
+  for (const stat of stats) ivs[stat] = [0, 31];
+  return ivs;
+}
+
+function toCase(result: Result, label: string): SweepCase {
+  const range = result.range();
+  const maxHP = result.defender.maxHP();
+  const percent: [number, number] = [
+    Math.floor((range[0] * 1000) / maxHP) / 10,
+    Math.floor((range[1] * 1000) / maxHP) / 10,
+  ];
+  // A case without any damage has no KO chance, which kochance would log about
+  const {chance, n, text} = range[1] ? result.kochance(false) : {chance: 0, n: 0, text: ''};
+  return {label, result, range, percent, ko: {chance, n, text}};
+}
+
+// Orders the cases from the strongest hit to the weakest: the fewer hits it takes to KO the
+// better, then the more likely the KO is and then the more of the defender's HP it takes
+function compareSweepCases(a: SweepCase, b: SweepCase) {
+  const an = a.ko.n || Infinity;
+  const bn = b.ko.n || Infinity;
+  if (an !== bn) return an - bn;
+  if ((a.ko.chance || 0) !== (b.ko.chance || 0)) return (b.ko.chance || 0) - (a.ko.chance || 0);
+  return b.percent[1] - a.percent[1];
+}
@@ -0,0 +1,98 @@
+import {Pokemon, predictMove, predictSwitchIn} from '../index';
+
+describe('predictMove', () => {
+  const garchomp = new Pokemon(8, 'Garchomp', {
+    level: 50, moves: ['Earthquake', 'Dragon Claw', 'Swords Dance', 'Fire Fang'],
+  });
+
+  test('damage and kills', () => {
+    const pikachu = new Pokemon(8, 'Pikachu', {level: 50, moves: ['Thunderbolt']});
+    const prediction = predictMove(8, garchomp, pikachu);
+    expect(prediction.choice.move.name).toBe('Earthquake');
+    expect(prediction.text).toBe('Earthquake 100%');
+    const [earthquake, dragonClaw, swordsDance] = prediction.moves;
+    expect(earthquake.reasons).toEqual(['highest damage', 'fast kill']);
+    expect(earthquake.scores.map(s => s.score)).toEqual([14, 12]);
+    expect(earthquake.scores[0].chance).toBeCloseTo(0.2);
+    expect(dragonClaw.scores).toEqual([{score: 6, chance: 1}]);
+    expect(swordsDance.reasons).toEqual(['status move']);
+
+    // Empty move slots are never chosen
+    const slots = new Pokemon(8, 'Pikachu', {level: 50, moves: ['Growl', '(No Move)']});
+    const growl = predictMove(8, slots, garchomp);
+    expect(growl.text).toBe('Growl 100%');
+    expect(growl.moves[1].scores).toEqual([]);
+  });
+
+  test('ties and immunities', () => {
+    const skarmory = new Pokemon(8, 'Skarmory', {level: 50, moves: ['Brave Bird']});
+    const prediction = predictMove(8, garchomp, skarmory);
+    const [earthquake, , swordsDance, fireFang] = prediction.moves;
+    expect(earthquake.reasons).toEqual(['no damage']);
+    expect(earthquake.chance).toBe(0);
+    // Swords Dance ties with the highest damage move unless that gets the higher score
+    expect(fireFang.chance).toBeCloseTo(0.6);
+    expect(swordsDance.chance).toBeCloseTo(0.4);
+    expect(prediction.text).toBe('Fire Fang 60%, Swords Dance 40%');
+  });
+
+  test('threatened', () => {
+    const scizor = new Pokemon(8, 'Scizor', {
+      level: 50, curHP: 40, moves: ['Bullet Punch', 'X-Scissor', 'Swords Dance'],
+    });
+    const arcanine =
+      new Pokemon(8, 'Arcanine', {level: 50, nature: 'Jolly', moves: ['Flare Blitz']});
+    const prediction = predictMove(8, scizor, arcanine);
+    expect(prediction.threatened).toBe(true);
+    expect(prediction.choice.move.name).toBe('Bullet Punch');
+    expect(prediction.choice.reasons).toEqual(['priority while threatened']);
+    expect(prediction.moves[2].scores).toEqual([{score: 0, chance: 1}]);
+
+    expect(() => predictMove(8, new Pokemon(8, 'Scizor'), arcanine)).toThrow('no moves');
+  });
+});
+
+describe('predictSwitchIn', () => {
+  // Leader Roxanne's party, in the order it's in
+  const party = [
+    new Pokemon(8, 'Aurorus', {
+      level: 24, ability: 'Refrigerate', nature: 'Hasty', item: 'Lum Berry',
+      moves: ['Body Slam', 'Power Gem', 'Discharge', 'Earth Power'],
+    }),
+    new Pokemon(8, 'Carracosta', {
+      level: 24, ability: 'Solid Rock', nature: 'Quiet', item: 'Rindo Berry',
+      moves: ['Razor Shell', 'Ancient Power', 'Aqua Jet', 'Zen Headbutt'],
+    }),
+    new Pokemon(8, 'Lunatone', {
+      level: 25, ability: 'Levitate', nature: 'Timid', item: 'Weakness Policy',
+      moves: ['Stored Power', 'Ancient Power', 'Icy Wind', 'Hypnosis'],
+    }),
+    new Pokemon(8, 'Solrock', {
+      level: 25, ability: 'Levitate', nature: 'Jolly', item: 'Lum Berry',
+      moves: ['Rock Slide', 'Psycho Cut', 'Stomping Tantrum', 'Morning Sun'],
+    }),
+  ];
+
+  test('matchups', () => {
+    const breloom = new Pokemon(8, 'Breloom', {level: 24, moves: ['Mach Punch', 'Seed Bomb']});
+    const prediction = predictSwitchIn(8, party, breloom);
+    expect(prediction.choice.pokemon.name).toBe('Solrock');
+    expect(prediction.ranking.map(s => [s.pokemon.name, s.score])).toEqual([
+      ['Solrock', 3], ['Carracosta', 2], ['Lunatone', 1], ['Aurorus', -1],
+    ]);
+    expect(prediction.choice.reasons).toEqual([
+      'outspeeds and deals more damage than it takes', 'super effective Psycho Cut',
+    ]);
+    expect(prediction.ranking[3].reasons).toEqual(['is outsped and OHKOed']);
+    expect(prediction.text).toMatch(/^Solrock \(\+3, outspeeds .*, then Aurorus \(-1, .*\)$/);
+  });
+
+  test('party order', () => {
+    const marshtomp =
+      new Pokemon(8, 'Marshtomp', {level: 24, moves: ['Mud Shot', 'Water Pulse', 'Rock Tomb']});
+    // Lunatone and Solrock both only outspeed, so the one first in the party comes in first
+    const prediction = predictSwitchIn(8, party.slice(2), marshtomp);
+    expect(prediction.ranking.map(s => [s.slot, s.score])).toEqual([[0, 1], [1, 1]]);
+    expect(() => predictSwitchIn(8, [], marshtomp)).toThrow('no Pokémon left');
+  });
+});
@@ -0,0 +1,67 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as vm from 'vm';
+
+import {Move, Pokemon, calculate, calculateCombo, simulate, sweep} from '../index';
+
+// The UI loads every compiled module as a classic script, all of them sharing one scope and one
+// exports object, so two modules declaring the same top level name clash there even though they
+// don't under Node. This loads dist the way the page does, and so needs a build beforehand. The
+// `void 0` export declarations are stripped the same way the root build script strips them when
+// copying dist for the UI, since they would otherwise clear the exports of the earlier scripts.
+function load() {
+  const root = path.resolve(__dirname, '../../..');
+  const template = fs.readFileSync(path.join(root, 'src/index.template.html'), 'utf8');
+  const context = vm.createContext({console});
+  vm.runInContext(
+    'this.__createBinding = function(o, m, k) { o[k] = m[k]; };' +
+    'var calc = exports = {};' +
+    'function require() { return exports };',
+    context
+  );
+  const script = /src="\.\/calc\/([^"?]+)\??"/g;
+  let match;
+  while ((match = script.exec(template))) {
+    const file = path.join(root, 'calc/dist', match[1]);
+    const code = fs.readFileSync(file, 'utf8').replace(/^exports.* = void 0;$/gm, '');
+    vm.runInContext(code, context, {filename: file});
+  }
+  return context.calc;
+}
+
+describe('browser', () => {
+  const calc = load();
+  const options = {nature: 'Adamant', evs: {atk: 252}, moves: ['Close Combat', 'Earthquake']};
+  const setup = (c: any) => [
+    new c.Pokemon(9, 'Lucario', options),
+    new c.Pokemon(9, 'Snorlax', {moves: ['Body Slam']}),
+    new c.Move(9, 'Close Combat'),
+  ];
+
+  test('calculate and Result.fromJSON', () => {
+    const [attacker, defender, move] = setup(calc);
+    const result = calc.calculate(9, attacker, defender, move);
+    const expected = calculate(9, ...(setup({Move, Pokemon}) as [Pokemon, Pokemon, Move])).desc();
+    expect(result.desc()).toBe(expected);
+
+    const json = JSON.parse(JSON.stringify(result));
+    expect(calc.Result.fromJSON(calc.Generations.get(9), json).desc()).toBe(expected);
+  });
+
+  test('simulate, calculateCombo and sweep', () => {
+    const run = (c: any, fns: any) => {
+      const [lucario, snorlax, closeCombat] = setup(c);
+      return {
+        simulation: fns.simulate(
+          9, lucario, snorlax, [closeCombat, new c.Move(9, 'Body Slam')]
+        ).outcome.attacker,
+        combo: fns.calculateCombo(
+          9, [{attacker: lucario, move: closeCombat}, {attacker: lucario, move: closeCombat}],
+          snorlax
+        ).text,
+        sweep: fns.sweep(9, lucario, snorlax, closeCombat).text,
+      };
+    };
+    expect(run(calc, calc)).toEqual(run({Move, Pokemon}, {simulate, calculateCombo, sweep}));
+  });
+});
@@ -1,6 +1,7 @@
 /* eslint-disable max-len */
 
 import {AbilityName, Weather} from '../data/interface';
+import {getTurnOrder} from '../index';
 import {inGen, inGens, tests} from './helper';
 
 describe('calc', () => {
@@ -44,9 +45,9 @@ describe('calc', () => {
 
     tests('Comet Punch', ({gen, calculate, Pokemon, Move}) => {
       expect(calculate(Pokemon('Snorlax'), Pokemon('Vulpix'), Move('Comet Punch'))).toMatch(gen, {
-        1: {range: [36, 43], desc: 'Snorlax Comet Punch (3 hits) vs. Vulpix', result: '(38.7 - 46.2%) -- approx. 3HKO'},
-        3: {range: [44, 52], desc: '0 Atk Snorlax Comet Punch (3 hits) vs. 0 HP / 0 Def Vulpix', result: '(60.8 - 71.8%) -- approx. 2HKO'},
-        4: {range: [43, 52], result: '(59.4 - 71.8%) -- approx. 2HKO'},
+        1: {range: [36, 43], desc: 'Snorlax Comet Punch (3 hits) vs. Vulpix', result: '(38.7 - 46.2%) -- guaranteed 3HKO'},
+        3: {range: [44, 52], desc: '0 Atk Snorlax Comet Punch (3 hits) vs. 0 HP / 0 Def Vulpix', result: '(60.8 - 71.8%) -- guaranteed 2HKO'},
+        4: {range: [43, 52], result: '(59.4 - 71.8%) -- guaranteed 2HKO'},
       });
     });
 
@@ -129,6 +130,28 @@ describe('calc', () => {
       });
     });
 
+    inGens(1, 9, ({gen, calculate, Pokemon, Move}) => {
+      test(`Trace (gen ${gen})`, () => {
+        const snorlax = Pokemon('Snorlax');
+        const vulpix = Pokemon('Vulpix');
+        expect(calculate(snorlax, vulpix, Move('Hyper Beam')).trace()).toEqual([]);
+
+        const result = calculate(snorlax, vulpix, Move('Hyper Beam'), undefined, true);
+        const trace = result.trace();
+        expect(trace[0])
+          .toEqual({stage: 'Base Power', kind: 'move', source: 'Hyper Beam', value: 150});
+        const rolls = trace.filter(step => step.stage.startsWith('Damage roll'));
+        const lowest = rolls.filter(step => step.stage === rolls[0].stage);
+        const highest = rolls.filter(step => step.stage === rolls[rolls.length - 1].stage);
+        expect([lowest[lowest.length - 1].value, highest[highest.length - 1].value])
+          .toEqual(result.range());
+
+        const lines = result.explain().split('\n');
+        expect(lines).toHaveLength(trace.length);
+        expect(lines[0]).toBe('Base Power: Hyper Beam (move) = 150');
+      });
+    });
+
     inGens(3, 9, ({gen, calculate, Pokemon, Move, Field}) => {
       test(`Weather Ball should change type depending on the weather (gen ${gen})`, () => {
         const weathers = [
@@ -292,7 +315,7 @@ describe('calc', () => {
             [76, 76, 78, 78, 79, 81, 81, 82, 82, 84, 85, 85, 87, 87, 88, 90],
           ]);
           expect(result.desc()).toBe(
-            '152 Atk Parental Bond Kangaskhan-Mega Frustration vs. 252 HP / 152+ Def Amoonguss: 229-270 (53 - 62.5%) -- approx. 2HKO'
+            '152 Atk Parental Bond Kangaskhan-Mega Frustration vs. 252 HP / 152+ Def Amoonguss: 229-270 (53 - 62.5%) -- guaranteed 2HKO'
           );
         } else {
           expect(result.damage).toEqual([
@@ -300,7 +323,7 @@ describe('calc', () => {
             [37, 37, 39, 39, 39, 40, 40, 40, 40, 42, 42, 42, 43, 43, 43, 45],
           ]);
           expect(result.desc()).toBe(
-            '152 Atk Parental Bond Kangaskhan-Mega Frustration vs. 252 HP / 152+ Def Amoonguss: 190-225 (43.9 - 52%) -- approx. 6.6% chance to 2HKO'
+            '152 Atk Parental Bond Kangaskhan-Mega Frustration vs. 252 HP / 152+ Def Amoonguss: 190-225 (43.9 - 52%) -- 6.6% chance to 2HKO'
           );
         }
 
@@ -342,7 +365,7 @@ describe('calc', () => {
           [92, 96, 96, 96, 96, 100, 100, 100, 104, 104, 104, 104, 108, 108, 108, 112],
         ]);
         expect(result.desc()).toBe(
-          '252 Atk Parental Bond Kangaskhan-Mega Crunch vs. 0 HP / 0 Def Shadow Shield Lunala: 280-334 (67.4 - 80.4%) -- approx. 2HKO'
+          '252 Atk Parental Bond Kangaskhan-Mega Crunch vs. 0 HP / 0 Def Shadow Shield Lunala: 280-334 (67.4 - 80.4%) -- guaranteed 2HKO'
         );
       });
     });
@@ -546,6 +569,15 @@ describe('calc', () => {
         result = calculate(pinsir, gengar, earthquake);
         expect(result.range()).toEqual([1054, 1240]);
       });
+      test('Accuracy stages', () => {
+        const gengar = (accuracyBoost: number) => Pokemon('Gengar', {accuracyBoost});
+        const chansey = Pokemon('Chansey');
+        // Gens 3 and 4 have their own multipliers, eg. 43/100 at -4 where later gens use 3/7
+        let result = calculate(gengar(-4), chansey, Move('Sludge Bomb'));
+        expect(result.hitkochance().hitChance).toBeCloseTo(0.43, 4);
+        result = calculate(gengar(1), chansey, Move('Focus Blast'));
+        expect(result.hitkochance().hitChance).toBeCloseTo(0.931, 4);
+      });
     });
   });
 
@@ -652,6 +684,181 @@ describe('calc', () => {
         );
       });
 
+      test('KO chance including crits', () => {
+        const gengar = Pokemon('Gengar', {
+          item: 'Life Orb',
+          nature: 'Modest',
+          evs: {spa: 252},
+          boosts: {spa: 3},
+        });
+        const chansey = Pokemon('Chansey', {
+          item: 'Eviolite',
+          nature: 'Bold',
+          evs: {hp: 100, spd: 100},
+          boosts: {spd: 1},
+        });
+        const kochance = (field?: ReturnType<typeof Field>, defender = chansey) =>
+          calculate(gengar, defender, Move('Sludge Bomb'), field).kochance(
+            true, calculate(gengar, defender, Move('Sludge Bomb', {isCrit: true}), field)
+          );
+
+        // The KO is described by the fewest hits it takes without crits, a 52.9% chance to 3HKO,
+        // with the chance of crits making it take fewer after it
+        let chance = kochance();
+        expect(chance.n).toBe(3);
+        expect(chance.chance).toBeCloseTo(0.585, 3);
+        expect(chance.text)
+          .toBe('58.5% chance to 3HKO including crits (8.1% chance to 2HKO with crits)');
+
+        chance = kochance(Field({attackerSide: {isFocusEnergy: true}}));
+        expect(chance.chance).toBeCloseTo(0.941, 3);
+        expect(chance.text)
+          .toBe('94.1% chance to 3HKO including crits (74.6% chance to 2HKO with crits)');
+
+        const armored = Pokemon('Chansey', {
+          ability: 'Shell Armor',
+          item: 'Eviolite',
+          nature: 'Bold',
+          evs: {hp: 100, spd: 100},
+          boosts: {spd: 1},
+        });
+        expect(kochance(undefined, armored).text).toBe('52.9% chance to 3HKO');
+      });
+
+      test('KO chance including accuracy', () => {
+        const gengar = (options = {}) => Pokemon('Gengar', {
+          item: 'Life Orb',
+          nature: 'Modest',
+          evs: {spa: 252},
+          boosts: {spa: 3},
+          ...options,
+        });
+        const chansey = Pokemon('Chansey', {
+          item: 'Eviolite',
+          nature: 'Bold',
+          evs: {hp: 100, spd: 100},
+          boosts: {spd: 1},
+        });
+
+        let result = calculate(gengar(), chansey, Move('Focus Blast'));
+        expect(result.kochance().text).toBe('guaranteed 2HKO');
+        const chance = result.hitkochance();
+        expect(chance.hitChance).toBe(0.7);
+        expect(chance.chance).toBeCloseTo(0.49);
+        expect(chance.text).toBe('49% chance to hit and KO within 2 turns');
+        expect(result.hitkochance(4).text).toBe('91.6% chance to hit and KO within 4 turns');
+
+        result = calculate(gengar({accuracyBoost: 1}), chansey, Move('Focus Blast'));
+        expect(result.hitkochance().text).toBe('87.1% chance to hit and KO within 2 turns');
+
+        result = calculate(gengar({ability: 'No Guard'}), chansey, Move('Focus Blast'));
+        expect(result.hitkochance().text).toBe('guaranteed 2HKO');
+
+        result = calculate(gengar(), chansey, Move('Thunder'));
+        expect(result.hitkochance().text).toBe('24% chance to hit and KO within 4 turns');
+        result = calculate(gengar(), chansey, Move('Thunder'), Field({weather: 'Rain'}));
+        expect(result.hitkochance().hitChance).toBe(1);
+      });
+
+      test('Damage distribution', () => {
+        const gengar = Pokemon('Gengar', {
+          item: 'Life Orb',
+          nature: 'Modest',
+          evs: {spa: 252},
+          boosts: {spa: 3},
+        });
+        const chansey = Pokemon('Chansey', {
+          item: 'Eviolite',
+          nature: 'Bold',
+          evs: {hp: 100, spd: 100},
+          boosts: {spd: 1},
+        });
+        const result = calculate(gengar, chansey, Move('Sludge Bomb'));
+        let distribution = result.distribution();
+        expect(distribution.damage).toEqual(result.damage);
+        expect(distribution.chance(212)).toBe(13 / 16);
+        expect(distribution.chance(243)).toBe(0);
+        expect(distribution.chancePercent(31)).toBe(15 / 16);
+        expect(distribution.percentile(50)).toBe(222);
+        expect(distribution.mean()).toBeCloseTo(222.375);
+
+        distribution = result.distribution(3);
+        expect(distribution.percentile(0)).toBe(612);
+        expect(distribution.percentile(100)).toBe(726);
+        expect(distribution.chance(chansey.maxHP())).toBeCloseTo(result.kochance().chance!);
+
+        // Both of Parental Bond's hits are rolled separately
+        const kangaskhan = Pokemon('Kangaskhan-Mega', {evs: {atk: 152}});
+        const amoonguss = Pokemon('Amoonguss', {nature: 'Bold', evs: {hp: 252, def: 152}});
+        const parentalBond = calculate(kangaskhan, amoonguss, Move('Frustration'));
+        distribution = parentalBond.distribution();
+        expect(distribution.damage[0]).toBe(190);
+        expect(distribution.damage[distribution.damage.length - 1]).toBe(225);
+        expect(distribution.chance(190)).toBe(1);
+        expect(parentalBond.distribution(2).chance(amoonguss.maxHP()))
+          .toBeCloseTo(parentalBond.kochance().chance!);
+      });
+
+      test('KO chance with berries, Focus Sash, Sturdy and Disguise', () => {
+        const garchomp = Pokemon('Garchomp', {nature: 'Adamant', evs: {atk: 252}});
+        const snorlax = (item?: string) => Pokemon('Snorlax', {item, evs: {hp: 252}});
+        const kochance = (defender: ReturnType<typeof Pokemon>, move = 'Earthquake') =>
+          calculate(garchomp, defender, Move(move)).kochance().text;
+
+        expect(kochance(snorlax())).toBe('94.1% chance to 2HKO');
+        expect(kochance(snorlax('Sitrus Berry')))
+          .toBe('14.1% chance to 2HKO after Sitrus Berry recovery');
+        // Figy Berry only activates at 25% HP in Gen 7, which the first hit never reaches
+        expect(kochance(snorlax('Figy Berry')))
+          .toBe('94.1% chance to 2HKO after Figy Berry recovery');
+        expect(kochance(snorlax('Sitrus Berry'), 'Knock Off')).toBe('83.4% chance to 3HKO');
+
+        expect(kochance(Pokemon('Pikachu'))).toBe('guaranteed OHKO');
+        expect(kochance(Pokemon('Pikachu', {item: 'Focus Sash'})))
+          .toBe('guaranteed 2HKO after Focus Sash');
+        expect(kochance(Pokemon('Magnezone', {ability: 'Sturdy'})))
+          .toBe('guaranteed 2HKO after Sturdy');
+
+        expect(kochance(Pokemon('Mimikyu', {ability: 'Disguise'})))
+          .toBe('12.5% chance to 2HKO after Disguise');
+        expect(kochance(Pokemon('Mimikyu-Busted', {ability: 'Disguise'})))
+          .toBe('12.5% chance to OHKO');
+      });
+
+      test('KO chance with Multiscale', () => {
+        const garchomp = Pokemon('Garchomp', {nature: 'Adamant', evs: {atk: 252}});
+        const dragonite = Pokemon('Dragonite', {ability: 'Multiscale', evs: {hp: 252}});
+        const result = calculate(garchomp, dragonite, Move('Dragon Claw'));
+        expect(result.range()).toEqual([151, 178]);
+        // Only the first hit is taken at full HP
+        expect(result.kochance().text).toBe('guaranteed 2HKO');
+      });
+
+      test('HP needed to survive', () => {
+        const garchomp = Pokemon('Garchomp', {nature: 'Adamant', evs: {atk: 252}});
+        const snorlax = Pokemon('Snorlax', {evs: {hp: 252}});
+        const result = calculate(garchomp, snorlax, Move('Earthquake'));
+        expect(result.range()).toEqual([255, 301]);
+        expect(result.survivalHP()).toEqual({
+          hp: 302, percent: 57.6, chance: 1, text: 'survives from 302 HP (57.6%)',
+        });
+        expect(result.survivalHP(0.5).text).toBe('survives from 277 HP (52.9%) (50% chance)');
+        const field = Field({defenderSide: {isSR: true}});
+        expect(calculate(garchomp, snorlax, Move('Earthquake'), field).survivalHP().text)
+          .toBe('survives from 367 HP (70%) after Stealth Rock');
+
+        // Focus Sash only helps at full HP
+        const pikachu = Pokemon('Pikachu', {item: 'Focus Sash'});
+        expect(calculate(garchomp, pikachu, Move('Earthquake')).survivalHP())
+          .toMatchObject({hp: pikachu.maxHP(), percent: 100, chance: 1});
+        expect(calculate(garchomp, pikachu, Move('Earthquake'), field).survivalHP())
+          .toEqual({chance: 0, text: '0% chance to survive at full HP after Stealth Rock'});
+
+        // Below full HP Multiscale no longer halves the damage
+        const dragonite = Pokemon('Dragonite', {ability: 'Multiscale', evs: {hp: 252}});
+        expect(calculate(garchomp, dragonite, Move('Dragon Claw')).survivalHP().hp).toBe(357);
+      });
+
       test('Z-Move critical hits', () => {
         const zMove = Move('Wood Hammer', {useZ: true, isCrit: true});
         const result = calculate(abomasnow, hoopa, zMove);
@@ -785,6 +992,31 @@ describe('calc', () => {
 
   describe('Gen 8', () => {
     inGen(8, ({calculate, Pokemon, Move, Field}) => {
+      test('KO chance with a variable number of hits', () => {
+        const cloyster = (ability?: string) =>
+          Pokemon('Cloyster', {ability, nature: 'Adamant', evs: {atk: 252}});
+        const garchomp = Pokemon('Garchomp', {evs: {hp: 252}});
+        const kochance = (attacker: ReturnType<typeof Pokemon>, move: ReturnType<typeof Move>) =>
+          calculate(attacker, garchomp, move).kochance();
+
+        expect(kochance(cloyster(), Move('Icicle Spear', {hits: 2})).text).toBe('guaranteed 2HKO');
+        expect(kochance(cloyster(), Move('Icicle Spear', {hits: 3})).text).toBe('guaranteed OHKO');
+        // Only hitting twice (35%) fails to OHKO
+        const chance = kochance(cloyster(), Move('Icicle Spear', {variableHits: true}));
+        expect(chance.chance).toBeCloseTo(0.65);
+        expect(chance.text).toBe('65% chance to OHKO');
+        expect(kochance(
+          cloyster('Skill Link'),
+          Move('Icicle Spear', {variableHits: true, ability: 'Skill Link' as AbilityName})
+        ).text).toBe('guaranteed OHKO');
+
+        // Every hit has its own chance to crit
+        const icicleSpear = Move('Icicle Spear', {variableHits: true});
+        const crit = calculate(cloyster(), garchomp, Move('Icicle Spear', {isCrit: true}));
+        expect(calculate(cloyster(), garchomp, icicleSpear).kochance(true, crit).text)
+          .toBe('66.6% chance to OHKO including crits');
+      });
+
       test('Basic: Gengar vs. Chansey', () => {
         const result = calculate(
           Pokemon('Gengar', {
@@ -898,6 +1130,95 @@ describe('calc', () => {
           );
         });
       });
+
+      inGen(9, ({calculate, Pokemon, Move, Field}) => {
+        test('Trace of chained modifiers', () => {
+          const scizor = Pokemon('Scizor', {
+            ability: 'Technician',
+            item: 'Choice Band',
+            nature: 'Adamant',
+            evs: {atk: 252},
+          });
+          const cresselia = Pokemon('Cresselia', {nature: 'Bold', evs: {hp: 252, def: 252}});
+          const field = Field({defenderSide: {isReflect: true}});
+          const result = calculate(scizor, cresselia, Move('Bullet Punch'), field, true);
+          expect(result.range()).toEqual([54, 65]);
+          expect(result.explain().split('\n')).toEqual([
+            'Base Power: Bullet Punch (move) = 40',
+            'Base Power: Technician (ability) x6144/4096 = 6144',
+            'Base Power: Chained modifiers (mechanic) x6144/4096 = 60',
+            'Attack: Scizor atk (stat) = 394',
+            'Attack: Choice Band (item) x6144/4096 = 6144',
+            'Attack: Chained modifiers (mechanic) x6144/4096 = 591',
+            'Defense: Cresselia def (stat) = 350',
+            'Defense: Chained modifiers (mechanic) x4096/4096 = 350',
+            'Base Damage: Damage formula (mechanic) = 87',
+            'Final Modifier: Reflect (field) x2048/4096 = 2048',
+            'Final Modifier: Chained modifiers (mechanic) x2048/4096 = 2048',
+            'Damage roll 85%: Random factor (mechanic) = 73',
+            'Damage roll 85%: STAB (mechanic) x6144/4096 = 109.5',
+            'Damage roll 85%: Type effectiveness (mechanic) x4096/4096 = 109',
+            'Damage roll 85%: Final modifier (mechanic) x2048/4096 = 54',
+            'Damage roll 100%: Random factor (mechanic) = 87',
+            'Damage roll 100%: STAB (mechanic) x6144/4096 = 130.5',
+            'Damage roll 100%: Type effectiveness (mechanic) x4096/4096 = 130',
+            'Damage roll 100%: Final modifier (mechanic) x2048/4096 = 65',
+          ]);
+        });
+      });
+    });
+  });
+
+  describe('Turn order', () => {
+    inGen(9, ({gen, Pokemon, Move, Field}) => {
+      test('Speed and Trick Room', () => {
+        const garchomp = Pokemon('Garchomp', {evs: {spe: 252}});
+        const ferrothorn = Pokemon('Ferrothorn');
+        const [earthquake, gyroBall] = [Move('Earthquake'), Move('Gyro Ball')];
+        let order = getTurnOrder(gen, garchomp, ferrothorn, earthquake, gyroBall);
+        expect(order.chance).toBe(1);
+        expect(order.priority).toEqual([0, 0]);
+        expect(order.speed[0]).toBeGreaterThan(order.speed[1]);
+        order = getTurnOrder(gen, garchomp, ferrothorn, earthquake, gyroBall, Field({isTrickRoom: true}));
+        expect(order.chance).toBe(0);
+        order = getTurnOrder(gen, garchomp, ferrothorn, Move('Earthquake'), Move('Protect'), Field({isTrickRoom: true}));
+        expect(order.chance).toBe(0);
+        order = getTurnOrder(gen, garchomp, ferrothorn, Move('Protect'), gyroBall, Field({isTrickRoom: true}));
+        expect(order.chance).toBe(1);
+      });
+
+      test('Priority', () => {
+        const weavile = Pokemon('Weavile', {evs: {spe: 252}});
+        const iceShard = Move('Ice Shard');
+        const whimsicott = Pokemon('Whimsicott', {ability: 'Prankster'});
+        expect(getTurnOrder(gen, whimsicott, weavile, Move('Tailwind'), iceShard).chance).toBe(0);
+        expect(getTurnOrder(gen, whimsicott, weavile, Move('Tailwind'), Move('Knock Off')).chance).toBe(1);
+        expect(getTurnOrder(gen, whimsicott, weavile, Move('Moonblast'), Move('Knock Off')).chance).toBe(0);
+
+        const comfey = Pokemon('Comfey', {ability: 'Triage'});
+        const order = getTurnOrder(gen, comfey, weavile, Move('Draining Kiss'), iceShard);
+        expect(order.priority).toEqual([3, 1]);
+        expect(order.chance).toBe(1);
+
+        const talonflame = Pokemon('Talonflame', {ability: 'Gale Wings'});
+        expect(getTurnOrder(gen, talonflame, weavile, Move('Brave Bird'), iceShard).priority).toEqual([1, 1]);
+        talonflame.originalCurHP = 1;
+        expect(getTurnOrder(gen, talonflame, weavile, Move('Brave Bird'), iceShard).priority).toEqual([0, 1]);
+      });
+
+      test('Quick Claw, Lagging Tail and speed ties', () => {
+        const snorlax = Pokemon('Snorlax', {item: 'Quick Claw'});
+        const weavile = Pokemon('Weavile');
+        expect(getTurnOrder(gen, snorlax, weavile, Move('Body Slam'), Move('Knock Off')).chance).toBeCloseTo(0.2);
+        const lagging = Pokemon('Weavile', {item: 'Lagging Tail'});
+        expect(getTurnOrder(gen, lagging, snorlax, Move('Knock Off'), Move('Body Slam')).chance).toBe(0);
+        expect(getTurnOrder(gen, Pokemon('Snorlax'), lagging, Move('Body Slam'), Move('Knock Off')).chance).toBe(1);
+
+        const tie = [Pokemon('Garchomp'), Pokemon('Garchomp'), Move('Earthquake'), Move('Earthquake')] as const;
+        expect(getTurnOrder(gen, ...tie).chance).toBe(0.5);
+        expect(getTurnOrder(gen, ...tie, Field(), 'attacker').chance).toBe(1);
+        expect(getTurnOrder(gen, ...tie, Field(), 'defender').chance).toBe(0);
+      });
     });
   });
 });
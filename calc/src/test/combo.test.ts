@@ -0,0 +1,93 @@
+import {Field, Move, Pokemon, calculate, calculateCombo, getComboSurvivalHP} from '../index';
+
+describe('calculateCombo', () => {
+  const garchomp = new Pokemon(9, 'Garchomp', {nature: 'Jolly', evs: {atk: 252}});
+  const earthquake = new Move(9, 'Earthquake');
+
+  test('a single move', () => {
+    const gholdengo = new Pokemon(9, 'Gholdengo', {item: 'Leftovers', evs: {hp: 252}});
+    const combo = calculateCombo(9, [{attacker: garchomp, move: earthquake}], gholdengo);
+    expect(combo).toEqual({chance: 0.4375, turns: 1, text: '43.8% chance to KO'});
+    expect(combo.chance).toBe(calculate(9, garchomp, gholdengo, earthquake).kochance().chance);
+  });
+
+  test('items', () => {
+    // Knock Off only deals extra damage the first time, which also gets rid of the Leftovers
+    const weavile = new Pokemon(9, 'Weavile', {nature: 'Jolly'});
+    const knockOff = {attacker: weavile, move: new Move(9, 'Knock Off')};
+    const slowbro = new Pokemon(9, 'Slowbro', {item: 'Leftovers', evs: {hp: 252}});
+    expect(calculateCombo(9, [knockOff, knockOff], slowbro))
+      .toEqual({chance: 0.84765625, turns: 2, text: '84.8% chance to KO'});
+    expect(calculate(9, weavile, slowbro, knockOff.move).kochance().text)
+      .toBe('guaranteed 2HKO');
+
+    const mimikyu = new Pokemon(9, 'Mimikyu', {ability: 'Disguise'});
+    expect(calculateCombo(9, [{attacker: garchomp, move: earthquake}], mimikyu).chance).toBe(0);
+    expect(calculateCombo(9, [
+      {attacker: garchomp, move: earthquake},
+      {attacker: garchomp, move: earthquake},
+    ], mimikyu)).toEqual({chance: 0.375, turns: 2, text: '37.5% chance to KO after Disguise'});
+  });
+
+  test('stat drops', () => {
+    const latios = new Pokemon(9, 'Latios', {nature: 'Modest'});
+    const dracoMeteor = {attacker: latios, move: new Move(9, 'Draco Meteor')};
+    const defender = new Pokemon(9, 'Garchomp', {
+      nature: 'Careful',
+      evs: {hp: 252, spd: 252},
+      item: 'Sitrus Berry',
+    });
+    expect(calculateCombo(9, [dracoMeteor, dracoMeteor], defender)).toEqual({
+      chance: 0.1484375,
+      turns: 2,
+      text: '14.8% chance to KO after Sitrus Berry recovery',
+    });
+    expect(calculate(9, latios, defender, dracoMeteor.move).kochance().text)
+      .toBe('guaranteed 2HKO after Sitrus Berry recovery');
+  });
+
+  test('hazards and end of turn effects', () => {
+    const attacker = new Pokemon(9, 'Garchomp', {nature: 'Adamant', evs: {atk: 252}});
+    const dragonClaw = {attacker, move: new Move(9, 'Dragon Claw')};
+    const rotom = new Pokemon(9, 'Rotom-Wash', {item: 'Leftovers', evs: {hp: 252}});
+    expect(calculateCombo(9, [dragonClaw, dragonClaw], rotom).text).toBe('not a KO');
+    // Partners in doubles can both hit before Leftovers kicks in
+    const partner = {attacker: attacker.clone(), move: dragonClaw.move, sameTurn: true};
+    expect(calculateCombo(9, [dragonClaw, partner], rotom))
+      .toEqual({chance: expect.closeTo(0.223, 3), turns: 1, text: '22.3% chance to KO'});
+    expect(calculateCombo(
+      9, [dragonClaw, dragonClaw], rotom, new Field({defenderSide: {isSR: true}})
+    )).toEqual({
+      chance: expect.closeTo(0.84, 2),
+      turns: 2,
+      text: '84% chance to KO after Stealth Rock and Leftovers recovery',
+    });
+  });
+});
+
+describe('getComboSurvivalHP', () => {
+  const garchomp = new Pokemon(9, 'Garchomp', {nature: 'Adamant', evs: {atk: 252}});
+  const dragonClaw = {attacker: garchomp, move: new Move(9, 'Dragon Claw')};
+  const rotom = new Pokemon(9, 'Rotom-Wash', {item: 'Leftovers', evs: {hp: 252}});
+
+  test('the least HP to survive', () => {
+    expect(getComboSurvivalHP(9, [dragonClaw, dragonClaw], rotom)).toEqual({
+      hp: 302,
+      percent: 99.3,
+      chance: 1,
+      text: 'survives from 302 HP (99.3%) after Leftovers recovery',
+    });
+    const field = new Field({defenderSide: {isSR: true}});
+    expect(getComboSurvivalHP(9, [dragonClaw], rotom, field)).toMatchObject({
+      hp: 199,
+      text: 'survives from 199 HP (65.5%) after Stealth Rock and Leftovers recovery',
+    });
+  });
+
+  test('partners in doubles', () => {
+    const partner = {attacker: garchomp.clone(), move: dragonClaw.move, sameTurn: true};
+    const survival = getComboSurvivalHP(9, [dragonClaw, partner], rotom);
+    expect(survival.hp).toBeUndefined();
+    expect(survival.chance).toBeCloseTo(1 - calculateCombo(9, [dragonClaw, partner], rotom).chance);
+  });
+});
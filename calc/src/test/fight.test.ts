@@ -0,0 +1,57 @@
+import {Pokemon, planFight} from '../index';
+
+describe('planFight', () => {
+  const aurorus = new Pokemon(8, 'Aurorus', {
+    level: 24, ability: 'Refrigerate', nature: 'Hasty', item: 'Lum Berry',
+    moves: ['Body Slam', 'Power Gem', 'Discharge', 'Earth Power'],
+  });
+  const carracosta = new Pokemon(8, 'Carracosta', {
+    level: 24, ability: 'Solid Rock', nature: 'Quiet', item: 'Rindo Berry',
+    moves: ['Razor Shell', 'Ancient Power', 'Aqua Jet', 'Zen Headbutt'],
+  });
+  const breloom = new Pokemon(8, 'Breloom', {
+    level: 26, nature: 'Adamant', moves: ['Mach Punch', 'Seed Bomb', 'Spore'],
+  });
+  const pikachu = new Pokemon(8, 'Pikachu', {level: 26, moves: ['Thunderbolt']});
+
+  test('win', () => {
+    const plan = planFight(8, [pikachu, breloom], [aurorus, carracosta]);
+    expect(plan.win).toBe(true);
+    expect(plan.fainted).toEqual([]);
+    expect(plan.steps.map(s => [s.action, s.pokemon.name, s.move?.name])).toEqual([
+      ['lead', 'Breloom', undefined],
+      ['move', 'Breloom', 'Mach Punch'],
+      ['move', 'Breloom', 'Seed Bomb'],
+      ['move', 'Breloom', 'Seed Bomb'],
+    ]);
+    // Mach Punch KOs Aurorus before it can move and Carracosta comes in next
+    expect(plan.steps[1].opponentMove).toBeUndefined();
+    expect(plan.steps[1].hp).toEqual([breloom.maxHP(), 0]);
+    expect(plan.steps[2].opponent.name).toBe('Carracosta');
+    expect(plan.steps[2].opponentMove!.name).toBe('Zen Headbutt');
+    expect(plan.chance).toBe(1);
+    expect(plan.text.split('\n')[1]).toBe(
+      'Turn 1: Breloom uses Mach Punch -- Breloom 75/75 HP, Aurorus 0/100 HP'
+    );
+  });
+
+  test('risk', () => {
+    const plan = planFight(8, [pikachu], [aurorus]);
+    expect(plan.win).toBe(false);
+    expect(plan.fainted.map(p => p.name)).toEqual(['Pikachu']);
+    // Pikachu is planned to survive Earth Power, unless it crits or rolls high
+    const {risk, hp} = plan.steps[1];
+    expect(hp[0]).toBeGreaterThan(0);
+    expect(risk.crit).toBeCloseTo(1 / 24);
+    expect(risk.highRoll).toBeGreaterThan(0);
+    expect(risk.total).toBeCloseTo(risk.crit + risk.highRoll);
+    expect(plan.chance).toBeCloseTo(1 - risk.total);
+    expect(plan.text).toMatch(/-- 10.2% risk\n/);
+    expect(plan.steps[2].hp[0]).toBe(0);
+  });
+
+  test('errors', () => {
+    expect(() => planFight(8, [], [aurorus])).toThrow('no Pokémon to fight with');
+    expect(() => planFight(8, [pikachu], [])).toThrow('no Pokémon to fight');
+  });
+});
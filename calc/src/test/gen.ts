@@ -153,6 +153,7 @@ class Move implements I.Move {
   readonly basePower: number;
   readonly type: I.TypeName;
   readonly category?: I.MoveCategory;
+  readonly accuracy?: number | true;
   readonly flags: I.MoveFlags;
   readonly secondaries?: any;
   readonly target?: I.MoveTarget;
@@ -161,6 +162,7 @@ class Move implements I.Move {
   readonly mindBlownRecoil?: boolean;
   readonly struggleRecoil?: boolean;
   readonly willCrit?: boolean;
+  readonly critRatio?: number;
   readonly drain?: [number, number];
   readonly priority?: number;
   readonly self?: I.SelfOrSecondaryEffect | null;
@@ -195,6 +197,7 @@ class Move implements I.Move {
       this.category = move.category;
     }
 
+    if (move.accuracy !== 100) this.accuracy = move.accuracy;
     if (move.recoil) this.recoil = move.recoil;
     if (move.hasCrashDamage) this.hasCrashDamage = move.hasCrashDamage;
     if (move.mindBlownRecoil) this.mindBlownRecoil = move.mindBlownRecoil;
@@ -208,6 +211,7 @@ class Move implements I.Move {
     if (move.multihit) this.multihit = move.multihit;
     if (move.drain) this.drain = move.drain;
     if (move.willCrit) this.willCrit = move.willCrit;
+    if (move.critRatio && move.critRatio > 1) this.critRatio = move.critRatio;
     if (move.priority > 0) this.priority = move.priority;
 
     this.flags = {};
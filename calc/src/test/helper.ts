@@ -9,8 +9,9 @@ const calc = (gen: I.GenerationNum) => (
   attacker: Pokemon,
   defender: Pokemon,
   move: Move,
-  field?: Field
-) => calculate(gen, attacker, defender, move, field);
+  field?: Field,
+  trace?: boolean
+) => calculate(gen, attacker, defender, move, field, trace);
 
 const move = (gen: I.GenerationNum) => (
   name: string,
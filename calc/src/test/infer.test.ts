@@ -0,0 +1,46 @@
+import {Move, Pokemon, calculate, infer} from '../index';
+
+describe('infer', () => {
+  const snorlax = new Pokemon(9, 'Snorlax', {level: 30});
+  const closeCombat = new Move(9, 'Close Combat');
+
+  test('the attacker', () => {
+    const lucario = new Pokemon(9, 'Lucario', {level: 30, nature: 'Adamant', ivs: {atk: 20}});
+    const damage = calculate(9, lucario, snorlax, closeCombat).damage as number[];
+    expect([damage[0], damage[15]]).toEqual([138, 164]);
+
+    const unknown = new Pokemon(9, 'Lucario', {level: 30});
+    const observations = [
+      {attacker: unknown, defender: snorlax, move: closeCombat, damage: 138},
+      {attacker: unknown, defender: snorlax, move: closeCombat, damage: 164},
+    ];
+    const inferred = infer(9, 'attacker', observations, {levels: [28, 32]});
+    expect(inferred.levels).toEqual([30, 32]);
+    expect(inferred.natures).not.toContain('Modest');
+    expect(inferred.ivs).toEqual({atk: [5, 31]});
+    expect(inferred.sets.filter(s => s.nature === 'Adamant').map(s => [s.level, s.ivs.atk]))
+      .toEqual([
+        [30, [20, 21, 22, 23, 24, 25, 26]],
+        [31, [13, 14, 15, 16, 17, 18]],
+        [32, [5, 6, 7, 8, 9, 10, 11]],
+      ]);
+
+    const known = infer(9, 'attacker', observations, {natures: ['Adamant'], ivs: {atk: 31}});
+    expect(known.sets).toEqual([]);
+    expect(known.levels).toBeUndefined();
+  });
+
+  test('the defender', () => {
+    const lucario = new Pokemon(9, 'Lucario', {level: 30, nature: 'Adamant'});
+    const auraSphere = new Move(9, 'Aura Sphere');
+    const damage = calculate(9, lucario, snorlax, auraSphere).damage as number[];
+    const inferred = infer(
+      9, 'defender', [{attacker: lucario, defender: snorlax, move: auraSphere, damage: damage[0]}],
+      {natures: ['Serious'], items: [undefined, 'Assault Vest'], abilities: ['Thick Fat']}
+    );
+    // The special hit only says something about Special Defense, which Assault Vest boosts
+    expect(inferred.items).toEqual([undefined]);
+    expect(Object.keys(inferred.ivs)).toEqual(['spd']);
+    expect(inferred.sets[0].ivs.spd).toContain(31);
+  });
+});
@@ -0,0 +1,76 @@
+import {Generations} from '../data';
+import {Field, Move, Pokemon, Result, Side, JSON_VERSION, calculate} from '../index';
+
+describe('JSON', () => {
+  const gen = Generations.get(8);
+
+  test('round trip', () => {
+    const garchomp = new Pokemon(8, 'Garchomp', {
+      item: 'Choice Band', nature: 'Jolly', evs: {atk: 252, spe: 252}, boosts: {atk: 1},
+      curHP: 100, status: 'brn', moves: ['Earthquake', 'Outrage'],
+    });
+    const json = JSON.parse(JSON.stringify(garchomp));
+    expect(json.version).toBe(JSON_VERSION);
+    expect(json.gen).toBe(8);
+    expect(json.overrides).toBeUndefined();
+    expect(Pokemon.fromJSON(8, json)).toEqual(garchomp);
+
+    const custom = new Pokemon(8, 'Pikachu', {overrides: {baseStats: {spe: 200} as any}});
+    const pikachu = Pokemon.fromJSON(gen, JSON.parse(JSON.stringify(custom)));
+    expect(pikachu.species.baseStats.spe).toBe(200);
+    expect(pikachu.stats.spe).toBe(custom.stats.spe);
+
+    const move = new Move(8, 'Close Combat', {useMax: true, isCrit: true});
+    expect(JSON.parse(JSON.stringify(move)).name).toBe('Close Combat');
+    expect(Move.fromJSON(8, JSON.parse(JSON.stringify(move)))).toEqual(move);
+
+    const field = new Field({
+      weather: 'Rain', isInverse: true, defenderSide: new Side({isReflect: true, spikes: 2}),
+    });
+    expect(Field.fromJSON(JSON.parse(JSON.stringify(field)))).toEqual(field);
+  });
+
+  test('results', () => {
+    const result = calculate(
+      8,
+      new Pokemon(8, 'Conkeldurr', {item: 'Life Orb'}),
+      new Pokemon(8, 'Tyranitar'),
+      new Move(8, 'Drain Punch'),
+      new Field({weather: 'Sand'})
+    );
+    const string = JSON.stringify(result);
+    expect(string).not.toContain('"species":{');
+    const json = JSON.parse(string);
+    expect(json.damage).toEqual(result.damage);
+    expect(json.range).toEqual(result.range());
+    expect(json.desc).toBe(result.desc());
+    expect(json.kochance).toEqual(result.kochance());
+    expect(json.recovery.text).toBe(result.recovery().text);
+    expect(json.recoil).toEqual(result.recoil());
+
+    const replayed = Result.fromJSON(Generations.get(json.gen), json);
+    expect(replayed.desc()).toBe(result.desc());
+    expect(replayed.kochance()).toEqual(result.kochance());
+    expect(calculate(8, replayed.attacker, replayed.defender, replayed.move, replayed.field).damage)
+      .toEqual(result.damage);
+  });
+
+  test('results without damage', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = calculate(
+      8, new Pokemon(8, 'Snorlax'), new Pokemon(8, 'Gengar'), new Move(8, 'Body Slam')
+    );
+    const json = result.toJSON();
+    expect(json.kochance).toEqual({chance: 0, n: 0, text: ''});
+    expect(json.desc).toBe('Snorlax Body Slam vs. Gengar: 0-0 (0 - 0%)');
+    expect(log).not.toHaveBeenCalled();
+    log.mockRestore();
+  });
+
+  test('versions', () => {
+    const json = new Pokemon(8, 'Garchomp').toJSON();
+    expect(() => Pokemon.fromJSON(8, {...json, version: JSON_VERSION + 1}))
+      .toThrow(`Unsupported Pokemon JSON version ${JSON_VERSION + 1}`);
+    expect(() => Field.fromJSON({} as any)).toThrow('Unsupported Field JSON version undefined');
+  });
+});
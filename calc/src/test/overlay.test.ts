@@ -0,0 +1,92 @@
+import * as I from '../data/interface';
+import {
+  Generations,
+  Move,
+  Pokemon,
+  calculate,
+  overlayData,
+  overlayGeneration,
+  setOverlay,
+  toID,
+} from '../index';
+
+describe('overlay', () => {
+  const overlay = {
+    species: {
+      Pikachu: {types: ['Electric', 'Fairy'], bs: {at: 90}, abilities: {0: 'Galvanize'}},
+      Pikachoo: {types: ['Electric'], bs: {hp: 50, at: 50, df: 50, sa: 50, sd: 50, sp: 50}},
+      Raichu: null,
+    },
+    moves: {
+      'Thunder Punch': {bp: 90},
+      'Volt Smash': {bp: 70, type: 'Electric', category: 'Physical', makesContact: true},
+    },
+    items: {'Weird Orb': true, 'Leftovers': null},
+    abilities: {'Galvanize': null},
+    types: {Electric: {Ground: 1}},
+  } as const;
+
+  afterEach(() => {
+    setOverlay(8);
+  });
+
+  test('overlayGeneration', () => {
+    const base = Generations.get(8);
+    const gen = overlayGeneration(base, overlay as any);
+    expect(gen.num).toBe(8);
+
+    const pikachu = gen.species.get('pikachu' as I.ID)!;
+    expect(pikachu.types).toEqual(['Electric', 'Fairy']);
+    expect(pikachu.baseStats).toEqual({...base.species.get('pikachu' as I.ID)!.baseStats, atk: 90});
+    expect(pikachu.abilities).toEqual({0: 'Galvanize'});
+    expect(gen.species.get('pikachoo' as I.ID)!.baseStats.spe).toBe(50);
+    expect(gen.species.get('raichu' as I.ID)).toBeUndefined();
+    expect(gen.species.get('pichu' as I.ID)).toBe(base.species.get('pichu' as I.ID));
+    const names = [];
+    for (const specie of gen.species) names.push(specie.name);
+    expect(names).toContain('Pikachoo');
+    expect(names).not.toContain('Raichu');
+
+    expect(gen.moves.get('thunderpunch' as I.ID)).toMatchObject({basePower: 90, flags: {punch: 1}});
+    expect(gen.moves.get('voltsmash' as I.ID))
+      .toMatchObject({basePower: 70, category: 'Physical', flags: {contact: 1}});
+    expect(gen.items.get('weirdorb' as I.ID)!.name).toBe('Weird Orb');
+    expect(gen.items.get('leftovers' as I.ID)).toBeUndefined();
+    expect(gen.abilities.get('galvanize' as I.ID)).toBeUndefined();
+    expect(gen.types.get('electric' as I.ID)!.effectiveness.Ground).toBe(1);
+    expect(gen.types.get('electric' as I.ID)!.effectiveness.Water).toBe(2);
+    // The base generation is left alone
+    expect(base.types.get('electric' as I.ID)!.effectiveness.Ground).toBe(0);
+  });
+
+  test('setOverlay', () => {
+    setOverlay(8, overlay as any);
+    expect(Generations.get(8).moves.get(toID('Thunder Punch'))!.basePower).toBe(90);
+    expect(Generations.get(7).moves.get(toID('Thunder Punch'))!.basePower).toBe(75);
+
+    const pikachu = new Pokemon(8, 'Pikachu', {level: 50});
+    expect(pikachu.types).toEqual(['Electric', 'Fairy']);
+    const groudon = new Pokemon(8, 'Groudon', {level: 50});
+    const result = calculate(8, pikachu, groudon, new Move(8, 'Thunder Punch'));
+    expect(result.range()[0]).toBeGreaterThan(0);
+
+    setOverlay(8);
+    expect(Generations.get(8).moves.get(toID('Thunder Punch'))!.basePower).toBe(75);
+    expect(calculate(8, new Pokemon(8, 'Pikachu'), groudon, new Move(8, 'Thunder Punch'))
+      .range()).toEqual([0, 0]);
+  });
+
+  test('overlayData', () => {
+    const data = overlayData(8, overlay as any);
+    expect(data.species.Pikachu.types).toEqual(['Electric', 'Fairy']);
+    expect(data.species.Pikachu.bs.at).toBe(90);
+    expect(data.species.Pikachu.bs.sp).toBe(90);
+    expect(data.species.Raichu).toBeUndefined();
+    expect(data.moves['Volt Smash'].bp).toBe(70);
+    expect(data.items).toContain('Weird Orb');
+    expect(data.items).not.toContain('Leftovers');
+    expect(data.abilities).not.toContain('Galvanize');
+    expect(data.types.Electric!.Ground).toBe(1);
+    expect(overlayData(8).types.Electric!.Ground).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+import {Generations} from '../data';
+import {
+  Field,
+  Move,
+  Pokemon,
+  calculate,
+  getPlugins,
+  registerPlugin,
+  unregisterPlugin,
+} from '../index';
+import {getFinalSpeed} from '../mechanics/util';
+
+describe('plugins', () => {
+  const lucario = new Pokemon(9, 'Lucario', {level: 50, ability: 'Inner Focus'});
+  const snorlax = new Pokemon(9, 'Snorlax', {level: 50, ability: 'Thick Fat'});
+  const closeCombat = new Move(9, 'Close Combat');
+
+  afterEach(() => {
+    unregisterPlugin(9, 'test');
+  });
+
+  test('base power, attack, defense and final damage', () => {
+    const before = calculate(9, lucario, snorlax, closeCombat).range();
+    registerPlugin(9, {name: 'test', modifiers: [
+      {kind: 'attack', ability: 'Inner Focus', apply: () => 6144},
+      {kind: 'defense', ability: 'Thick Fat', apply: () => 6144},
+    ]});
+    const result = calculate(9, lucario, snorlax, closeCombat);
+    // The two boosts cancel out but for the rounding of the stats
+    expect(before).toEqual([206, 246]);
+    expect(result.range()).toEqual([210, 248]);
+    expect(result.desc()).toContain('Inner Focus Lucario');
+    expect(result.desc()).toContain('Thick Fat Snorlax');
+
+    registerPlugin(9, {name: 'test', modifiers: [
+      {kind: 'basePower', move: 'Close Combat', apply: () => 8192},
+      // Only applies to the attacker's item by default
+      {kind: 'finalDamage', item: 'Leftovers', apply: () => 0},
+      {kind: 'finalDamage', item: 'Leftovers', holder: 'defender', apply: () => 2048},
+    ]});
+    expect(getPlugins(9)).toHaveLength(1);
+    const leftovers = snorlax.clone();
+    leftovers.item = 'Leftovers' as Pokemon['item'];
+    const boosted = calculate(9, lucario, leftovers, closeCombat, new Field(), true);
+    const range = boosted.range();
+    expect(range[0]).toBeGreaterThanOrEqual(before[0] - 1);
+    expect(range[1]).toBeLessThanOrEqual(before[1] + 1);
+    expect(boosted.rawDesc.trace!.filter(s => s.modifier !== undefined && s.kind !== 'mechanic')
+      .map(s => [s.stage, s.kind, s.source, s.modifier])).toEqual([
+      ['Base Power', 'move', 'Close Combat', 8192],
+      ['Final Modifier', 'item', 'Leftovers', 2048],
+    ]);
+
+    expect(unregisterPlugin(9, 'test')).toBe(true);
+    expect(unregisterPlugin(9, 'test')).toBe(false);
+    expect(calculate(9, lucario, leftovers, closeCombat).range()).toEqual(before);
+  });
+
+  test('speed and type effectiveness', () => {
+    const gen = Generations.get(9);
+    const field = new Field();
+    const speed = getFinalSpeed(gen, lucario, field, field.attackerSide);
+    const thunderbolt = new Move(9, 'Thunderbolt');
+    const garchomp = new Pokemon(9, 'Garchomp', {level: 50});
+    expect(calculate(9, lucario, garchomp, thunderbolt).damage).toBe(0);
+
+    registerPlugin(9, {name: 'test', modifiers: [
+      {kind: 'speed', ability: 'Inner Focus', apply: () => 8192},
+      {
+        kind: 'effectiveness',
+        move: 'Thunderbolt',
+        apply: context => context.type === 'Ground' ? 1 : undefined,
+      },
+    ]});
+    expect(getFinalSpeed(gen, lucario, field, field.attackerSide)).toBe(speed * 2);
+    expect(calculate(9, lucario, garchomp, thunderbolt).range()[0]).toBeGreaterThan(0);
+  });
+
+  test('scoped per generation', () => {
+    const gen = Generations.get(9);
+    const before = calculate(gen, lucario, snorlax, closeCombat).range();
+    registerPlugin(gen, {name: 'test', modifiers: [{kind: 'finalDamage', apply: () => 8192}]});
+    expect(getPlugins(gen).map(p => p.name)).toEqual(['test']);
+    expect(getPlugins(9)).toEqual([]);
+    expect(calculate(gen, lucario, snorlax, closeCombat).range()[0]).toBeGreaterThan(before[1]);
+    // Another Generation of the same number isn't affected
+    expect(calculate(9, lucario, snorlax, closeCombat).range()).toEqual(before);
+    unregisterPlugin(gen, 'test');
+    expect(calculate(gen, lucario, snorlax, closeCombat).range()).toEqual(before);
+  });
+});
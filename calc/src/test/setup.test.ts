@@ -0,0 +1,54 @@
+import {Field, Move, Pokemon, planSetup} from '../index';
+
+describe('planSetup', () => {
+  const lucario = new Pokemon(9, 'Lucario', {level: 30, nature: 'Adamant'});
+  const closeCombat = new Move(9, 'Close Combat');
+  const team = [
+    new Pokemon(9, 'Slaking', {level: 26, moves: ['Facade', 'Yawn']}),
+    new Pokemon(9, 'Snorlax', {level: 33}),
+  ];
+
+  test('turns spent setting up', () => {
+    const plan = planSetup(9, lucario, closeCombat, team, new Move(9, 'Swords Dance'));
+    expect(plan.turns).toBe(1);
+    expect(plan.boosts.atk).toBe(2);
+    expect(plan.damageTaken).toEqual([18, 22]);
+    expect(plan.defenders.map(d => [d.defender.name, d.turns, d.text])).toEqual([
+      ['Slaking', 1, 'guaranteed OHKO'],
+      ['Snorlax', 1, 'guaranteed OHKO'],
+    ]);
+
+    // Lucario outspeeds Slaking, so it only takes hits after boosting its Defense
+    const bulkUp = planSetup(9, lucario, closeCombat, team, new Move(9, 'Bulk Up'));
+    expect(bulkUp.turns).toBe(1);
+    expect(bulkUp.damageTaken).toEqual([12, 15]);
+  });
+
+  test('KO thresholds', () => {
+    const howl = new Move(9, 'Howl');
+    const likely = planSetup(9, lucario, closeCombat, team, howl, new Field(), {chance: 0.5});
+    expect(likely.turns).toBe(1);
+    expect(likely.defenders[0]).toMatchObject({turns: 0, chance: 0.8125});
+
+    const never = planSetup(9, lucario, closeCombat, team, howl, new Field(), {maxTurns: 0});
+    expect(never.turns).toBeUndefined();
+    expect(never.damageTaken).toEqual([0, 0]);
+    expect(never.defenders[0]).toMatchObject({chance: 0.8125, text: '81.3% chance to OHKO'});
+
+    const twoHits = planSetup(9, lucario, closeCombat, team, howl, new Field(), {hits: 2});
+    expect(twoHits.turns).toBe(0);
+
+    expect(() => planSetup(9, lucario, closeCombat, team, closeCombat)).toThrow();
+  });
+
+  test('immune defenders', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const snorlax = new Pokemon(9, 'Snorlax');
+    const gengar = new Pokemon(9, 'Gengar');
+    const plan = planSetup(9, snorlax, new Move(9, 'Body Slam'), [gengar], new Move(9, 'Curse'));
+    expect(plan.turns).toBeUndefined();
+    expect(plan.defenders[0]).toMatchObject({chance: 0, text: 'no damage'});
+    expect(log).not.toHaveBeenCalled();
+    log.mockRestore();
+  });
+});
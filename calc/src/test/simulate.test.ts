@@ -0,0 +1,156 @@
+import {
+  ChoicePolicy, Field, Move, Pokemon, estimate, highestDamage, simulate,
+} from '../index';
+
+describe('simulate', () => {
+  test('speed ties', () => {
+    const garchomp = new Pokemon(9, 'Garchomp', {nature: 'Jolly', evs: {atk: 252, spe: 252}});
+    const battle =
+      simulate(9, garchomp, garchomp.clone(), [new Move(9, 'Outrage'), new Move(9, 'Outrage')]);
+    expect(battle.turns).toHaveLength(1);
+    expect(battle.winner).toBe('attacker');
+    expect(battle.outcome).toEqual({attacker: 0.5, defender: 0.5, draw: 0, unresolved: 0});
+
+    const tied = simulate(
+      9, garchomp, garchomp.clone(), [new Move(9, 'Outrage'), new Move(9, 'Outrage')],
+      new Field(), {speedTie: 'defender'}
+    );
+    expect(tied.winner).toBe('defender');
+    expect(tied.outcome.defender).toBe(1);
+  });
+
+  test('recoil, Focus Sash and end of turn effects', () => {
+    const staraptor = new Pokemon(9, 'Staraptor', {item: 'Leftovers'});
+    const breloom = new Pokemon(9, 'Breloom', {item: 'Focus Sash', level: 30});
+    const battle = simulate(
+      9, staraptor, breloom, [new Move(9, 'Brave Bird'), new Move(9, 'Tackle')]
+    );
+    expect(battle.turns).toEqual([{
+      turn: 1,
+      events: [
+        'Staraptor used Brave Bird for 84 damage (98.8%)',
+        'Breloom endured the hit with its Focus Sash',
+        'Staraptor took 28 recoil damage',
+        'Breloom used Tackle for 6 damage (1.9%)',
+        'Staraptor recovered 19 HP (Leftovers recovery)',
+      ],
+      hp: [296, 1],
+    }, {
+      turn: 2,
+      events: ['Staraptor used Brave Bird for 1 damage (1.1%)', 'Staraptor took 1 recoil damage'],
+      hp: [295, 0],
+    }]);
+    expect(battle.winner).toBe('attacker');
+    expect(battle.outcome.attacker).toBe(1);
+  });
+
+  test('status, boosts and move sequences', () => {
+    const blissey = new Pokemon(9, 'Blissey');
+    const chansey = new Pokemon(9, 'Chansey', {item: 'Eviolite'});
+    const battle = simulate(
+      9, blissey, chansey,
+      [[new Move(9, 'Toxic'), new Move(9, 'Calm Mind'), new Move(9, 'Seismic Toss')],
+        new Move(9, 'Seismic Toss')],
+      new Field(), {maxTurns: 3}
+    );
+    expect(battle.turns.map(turn => turn.events)).toEqual([
+      ['Blissey used Toxic', 'Chansey was inflicted with tox',
+        'Chansey used Seismic Toss for 100 damage (15.3%)',
+        `Chansey lost ${Math.floor(chansey.maxHP() / 16)} HP (toxic damage)`],
+      ['Blissey used Calm Mind',
+        'Chansey used Seismic Toss for 100 damage (15.3%)',
+        `Chansey lost ${Math.floor(chansey.maxHP() * 2 / 16)} HP (toxic damage)`],
+      ['Blissey used Seismic Toss for 100 damage (15.6%)',
+        'Chansey used Seismic Toss for 100 damage (15.3%)',
+        `Chansey lost ${Math.floor(chansey.maxHP() * 3 / 16)} HP (toxic damage)`],
+    ]);
+    expect(battle.winner).toBeUndefined();
+    expect(battle.outcome.unresolved).toBe(1);
+  });
+
+  test('choice policies and damage rolls', () => {
+    const gyarados = new Pokemon(9, 'Gyarados', {
+      item: 'Sitrus Berry',
+      moves: ['Waterfall', 'Dragon Claw'],
+    });
+    const dragonite = new Pokemon(9, 'Dragonite', {moves: ['Stone Edge', 'Dragon Claw']});
+    const battle = simulate(9, gyarados, dragonite, [highestDamage, highestDamage]);
+    expect(battle.turns[0].events).toEqual([
+      'Gyarados used Dragon Claw for 160 damage (49.5%)',
+      'Dragonite used Stone Edge for 244 damage (73.7%)',
+      'Gyarados restored 82 HP with its Sitrus Berry',
+    ]);
+    expect(battle.turns).toHaveLength(2);
+
+    const {attacker, defender, draw, unresolved} = battle.outcome;
+    expect(attacker).toBeCloseTo(0.402);
+    expect(defender).toBeCloseTo(0.598);
+    expect(draw + unresolved).toBe(0);
+  });
+
+  test('sleep and freeze', () => {
+    const moves: [Move, Move] = [new Move(9, 'Body Slam'), new Move(9, 'Body Slam')];
+    const asleep = new Pokemon(9, 'Snorlax', {status: 'slp'});
+    const battle = simulate(9, asleep, new Pokemon(9, 'Snorlax'), moves);
+    expect(battle.turns.slice(0, 3).map(turn => turn.events[0]))
+      .toEqual(['Snorlax is fast asleep', 'Snorlax is fast asleep', 'Snorlax woke up']);
+    expect(battle.outcome.attacker).toBeCloseTo(0.041);
+
+    const frozen = new Pokemon(9, 'Snorlax', {status: 'frz'});
+    expect(simulate(9, frozen, new Pokemon(9, 'Snorlax'), moves).outcome.attacker)
+      .toBeCloseTo(0.119);
+    // Frozen Pokémon never thaw out on their own in Gen 1
+    const gen1: [Move, Move] = [new Move(1, 'Body Slam'), new Move(1, 'Body Slam')];
+    const frozen1 = new Pokemon(1, 'Snorlax', {status: 'frz'});
+    expect(simulate(1, frozen1, new Pokemon(1, 'Snorlax'), gen1).outcome.attacker).toBe(0);
+  });
+
+  test('merges branches past maxBranches', () => {
+    const moves: [Move, Move] = [new Move(9, 'Tackle'), new Move(9, 'Tackle')];
+    const blissey = new Pokemon(9, 'Blissey');
+    const chansey = new Pokemon(9, 'Chansey', {item: 'Eviolite'});
+    const {outcome} = simulate(9, blissey, chansey, moves, new Field(), {maxBranches: 250});
+    expect(outcome.attacker).toBeGreaterThan(0.99);
+    expect(outcome.attacker + outcome.defender).toBeCloseTo(1);
+  });
+
+  describe('estimate', () => {
+    const gyarados = new Pokemon(9, 'Gyarados', {
+      item: 'Sitrus Berry',
+      moves: ['Waterfall', 'Dragon Claw'],
+    });
+    const dragonite = new Pokemon(9, 'Dragonite', {moves: ['Stone Edge', 'Dragon Claw']});
+
+    test('is reproducible from a seed', () => {
+      const choices: [ChoicePolicy, ChoicePolicy] = [highestDamage, highestDamage];
+      const options = {seed: 42, samples: 200};
+      const estimated = estimate(9, gyarados, dragonite, choices, new Field(), options);
+      expect(estimated).toEqual({
+        samples: 200,
+        outcome: {attacker: 0.635, defender: 0.365, draw: 0, unresolved: 0},
+        win: 0.635,
+        interval: [expect.closeTo(0.566, 3), expect.closeTo(0.699, 3)],
+      });
+      expect(estimate(9, gyarados, dragonite, choices, new Field(), options))
+        .toEqual(estimated);
+
+      const wider = estimate(
+        9, gyarados, dragonite, choices, new Field(),
+        {seed: 42, samples: 200, confidence: 0.99}
+      );
+      expect(wider.win).toBe(estimated.win);
+      expect(wider.interval[0]).toBeLessThan(estimated.interval[0]);
+      expect(wider.interval[1]).toBeGreaterThan(estimated.interval[1]);
+    });
+
+    test('samples secondary effects', () => {
+      const snorlax = new Pokemon(9, 'Snorlax');
+      const machamp = new Pokemon(9, 'Machamp', {ability: 'No Guard'});
+      const moves: [Move, Move] = [new Move(9, 'Body Slam'), new Move(9, 'Dynamic Punch')];
+      expect(simulate(9, snorlax, machamp, moves).outcome.attacker).toBe(0);
+      // Only paralysis from Body Slam gives Snorlax a chance
+      const {outcome} = estimate(9, snorlax, machamp, moves, new Field(), {seed: 42, samples: 200});
+      expect(outcome).toEqual({attacker: 0.105, defender: 0.895, draw: 0, unresolved: 0});
+    });
+  });
+});
@@ -81,4 +81,37 @@ describe('Stats', () => {
     expect(getModifiedStat(158, -1, Generations.get(2))).toBe(104); // Snorlax after Curse
     expect(getModifiedStat(238, -1, Generations.get(2))).toBe(157); // Skarmory after Curse
   });
+
+  test('calcIVs', () => {
+    const gen = Generations.get(9);
+    // Lucario with 12/25/3/30/17/8 IVs
+    const level20 = {level: 20, stats: {hp: 60, atk: 59, def: 33, spa: 51, spd: 36, spe: 42}};
+    const level60 = {level: 60, stats: {hp: 161, atk: 167, def: 90, spa: 144, spd: 99, spe: 117}};
+    const level100 =
+      {level: 100, stats: {hp: 262, atk: 275, def: 148, spa: 238, spd: 162, spe: 193}};
+
+    expect(Stats.calcIVs(gen, 'Lucario', [level20], 'Adamant')).toEqual({
+      ivs: {hp: [10, 14], atk: [25, 29], def: [0, 4], spa: [30, 31], spd: [15, 19], spe: [5, 9]},
+      hiddenPower: undefined,
+    });
+    expect(Stats.calcIVs(gen, 'Lucario', [level20, level60], 'Adamant').ivs).toEqual({
+      hp: [12, 13], atk: [25, 26], def: [2, 3], spa: [30, 31], spd: [17, 18], spe: [7, 8],
+    });
+    expect(Stats.calcIVs(gen, 'Lucario', [level20, level100], 'Adamant')).toEqual({
+      ivs: {hp: [12, 12], atk: [25, 25], def: [3, 3], spa: [30, 30], spd: [17, 17], spe: [8, 8]},
+      hiddenPower: {type: 'Water', power: 60},
+    });
+
+    // Each IV is narrowed down to a pair, which doesn't settle the Hidden Power from Gen 3 on: it
+    // would be Fighting with the lower IVs of each but is Dark with 13/25/3/31/17/9
+    const level50 = {level: 50, stats: {hp: 136, atk: 139, def: 76, spa: 121, spd: 83, spe: 99}};
+    expect(Stats.calcIVs(gen, 'Lucario', [level50], 'Adamant')).toEqual({
+      ivs: {hp: [12, 13], atk: [24, 25], def: [2, 3], spa: [30, 31], spd: [16, 17], spe: [8, 9]},
+      hiddenPower: undefined,
+    });
+
+    const evs = {level: 20, stats: {atk: 59}, evs: {atk: 40}};
+    expect(Stats.calcIVs(gen, 'Lucario', [evs], 'Adamant').ivs).toEqual({atk: [15, 19]});
+    expect(() => Stats.calcIVs(gen, 'Lucario', [{level: 20, stats: {atk: 5}}])).toThrow();
+  });
 });
@@ -0,0 +1,41 @@
+import {Move, NATURES, Pokemon, sweep} from '../index';
+
+describe('sweep', () => {
+  const lucario = new Pokemon(9, 'Lucario', {level: 30, nature: 'Adamant'});
+  const gyarados = new Pokemon(9, 'Gyarados', {level: 28, ability: 'Intimidate'});
+
+  test('an unknown defender', () => {
+    const closeCombat = new Move(9, 'Close Combat');
+    const swept = sweep(9, lucario, gyarados, closeCombat);
+    expect(swept).toMatchObject({
+      cases: 4,
+      best: {label: '0 HP IV, 0 Def IV', ko: {text: '2.7% chance to 2HKO'}},
+      worst: {label: '31 HP IV, 31 Def IV', ko: {text: 'guaranteed 3HKO'}},
+      percent: [33.3, 50.5],
+    });
+    expect(swept.text).toBe(
+      '33.3 - 50.5% over 4 cases -- best case: 0 HP IV, 0 Def IV (2.7% chance to 2HKO), ' +
+      'worst case: 31 HP IV, 31 Def IV (guaranteed 3HKO)'
+    );
+
+    const natures = sweep(
+      9, lucario, gyarados, closeCombat, undefined, 'defender', {natures: Object.keys(NATURES)}
+    );
+    expect(natures.cases).toBe(100);
+    expect(natures.best.label).toBe('Gentle, 0 HP IV, 0 Def IV');
+    expect(natures.worst.label).toBe('Relaxed, 31 HP IV, 31 Def IV');
+  });
+
+  test('an unknown attacker', () => {
+    const swept = sweep(9, gyarados, lucario, new Move(9, 'Waterfall'), undefined, 'attacker', {
+      natures: ['Adamant', 'Modest'],
+      ivs: {atk: [31]},
+      abilities: ['Intimidate', 'Moxie'],
+    });
+    expect(swept.cases).toBe(4);
+    // The worst case for the defender is the strongest hit
+    expect(swept.worst.label).toBe('Adamant, Intimidate');
+    expect(swept.best.label).toBe('Modest, Moxie');
+    expect(swept.range).toEqual([swept.best.range[0], swept.worst.range[1]]);
+  });
+});
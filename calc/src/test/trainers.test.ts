@@ -0,0 +1,114 @@
+import {SetDex, TrainerDB, TrainerFilter} from '../index';
+
+describe('TrainerDB', () => {
+  const setdex: SetDex = {
+    'Aurorus': {'Leader Roxanne': {level: 24, index: 4}},
+    'Magikarp': {
+      'Fisherman Darian': {level: 12, index: 2},
+      ' Fisherman Darian': {level: 13, index: 3},
+    },
+    'Nosepass': {'Leader Roxanne': {level: 23, index: 5}},
+    'Poochyena': {'Youngster Calvin': {level: 5, index: 0}},
+    'Lillipup': {'Youngster Calvin': {level: 5, index: 1}},
+    'Sharpedo': {
+      'Elite Four Sidney': {level: 80, index: 6},
+      'Elite Four SidneyDouble': {level: 90, index: 7},
+    },
+  };
+  const db = new TrainerDB(setdex);
+
+  test('trainers', () => {
+    expect(db.trainers.map(t => [t.id, t.index])).toEqual([
+      ['youngstercalvin', 0],
+      ['fishermandarian', 1],
+      ['leaderroxanne', 2],
+      ['elitefoursidney', 3],
+      ['elitefoursidneydouble', 4],
+    ]);
+    const darian = db.trainers[1];
+    expect(darian.team.map(p => [p.species, p.setName, p.set.level])).toEqual([
+      ['Magikarp', 'Fisherman Darian', 12], ['Magikarp', ' Fisherman Darian', 13],
+    ]);
+    expect(db.trainers[0].team.map(p => p.species)).toEqual(['Poochyena', 'Lillipup']);
+    const double = db.trainers[4];
+    expect(double.isDouble).toBe(true);
+    expect(double.name).toBe('Elite Four SidneyDouble');
+    expect(double.displayName).toBe('Elite Four Sidney (Double)');
+    expect(db.trainers[3].isDouble).toBe(false);
+  });
+
+  test('lookup', () => {
+    expect(db.get('Leader Roxanne')!.index).toBe(2);
+    expect(db.get('leaderroxanne')!.index).toBe(2);
+    expect(db.get(' Fisherman Darian')!.index).toBe(1);
+    expect(db.get('Roxanne')).toBeUndefined();
+
+    const names = (query: string) => db.find(query).map(t => t.displayName);
+    expect(names('Leader Roxanne')).toEqual(['Leader Roxanne']);
+    expect(names('roxanne')).toEqual(['Leader Roxanne']);
+    expect(names('Sidney')).toEqual(['Elite Four Sidney', 'Elite Four Sidney (Double)']);
+    expect(names('Sidney Double')).toEqual(['Elite Four Sidney (Double)']);
+    expect(names('Youngster Calv')).toEqual(['Youngster Calvin']);
+    expect(names('Roxane')).toEqual(['Leader Roxanne']);
+    expect(names('Zzzzzz')).toEqual([]);
+
+    const found = db.findSet('Roxanne', 'Nosepass')!;
+    expect(found.trainer.name).toBe('Leader Roxanne');
+    expect(found.pokemon.set.level).toBe(23);
+    expect(db.findSet('Roxanne', 'Magikarp')).toBeUndefined();
+  });
+
+  test('navigation', () => {
+    const roxanne = db.get('Leader Roxanne')!;
+    expect(db.next(roxanne)!.name).toBe('Elite Four Sidney');
+    expect(db.previous(roxanne)!.name).toBe('Fisherman Darian');
+    expect(db.previous(db.trainers[0])).toBeUndefined();
+    expect(db.next(db.trainers[4])).toBeUndefined();
+  });
+
+  test('metadata', () => {
+    const data = new TrainerDB(setdex, {
+      'Youngster Calvin': {location: 'Route 102', split: 1, levelCap: 15},
+      'Fisherman Darian': {split: 1, levelCap: 15},
+      'Leader Roxanne': {location: 'Rustboro City', split: 1, levelCap: 15, mandatory: true},
+      'Elite Four Sidney': {location: 'Ever Grande City', split: 2, levelCap: 100, mandatory: true},
+      'Elite Four SidneyDouble': {location: 'Ever Grande City', split: 2, levelCap: 100},
+    });
+    const roxanne = data.get('Leader Roxanne')!;
+    expect(roxanne.location).toBe('Rustboro City');
+    expect(roxanne.mandatory).toBe(true);
+    expect(roxanne.battleType).toBe('Singles');
+    expect(data.get('Elite Four SidneyDouble')!.battleType).toBe('Doubles');
+    expect(data.get('Fisherman Darian')!.location).toBeUndefined();
+
+    const names = (filter: TrainerFilter) => data.filter(filter).map(t => t.name);
+    expect(names({split: 1})).toEqual(['Youngster Calvin', 'Fisherman Darian', 'Leader Roxanne']);
+    expect(names({mandatory: true})).toEqual(['Leader Roxanne', 'Elite Four Sidney']);
+    expect(names({location: 'ever grande city', battleType: 'Doubles'}))
+      .toEqual(['Elite Four SidneyDouble']);
+    expect(names({levelCap: 20})).toEqual(names({split: 1}));
+
+    const calvin = data.trainers[0];
+    expect(data.next(calvin, {mandatory: true})!.name).toBe('Leader Roxanne');
+    expect(data.previous(data.trainers[4], {split: 1})!.name).toBe('Leader Roxanne');
+    expect(data.next(roxanne, {split: 1})).toBeUndefined();
+
+    expect(() => new TrainerDB(setdex, {'Leader Roxane': {split: 1}}))
+      .toThrow("Unknown trainer 'Leader Roxane' in the trainer metadata, did you mean " +
+        "'Leader Roxanne'?");
+    expect(() => new TrainerDB(setdex, {'Leader Roxanne': {battleType: 'Triples' as any}}))
+      .toThrow("Invalid battle type 'Triples' for Leader Roxanne");
+  });
+
+  test('sets without an index', () => {
+    const usage = new TrainerDB({
+      Garchomp: {'OU Showdown Usage': {level: 100}},
+      Gliscor: {'UU Showdown Usage': {level: 100}},
+      Heatran: {'OU Showdown Usage': {level: 100}},
+    });
+    expect(usage.trainers.map(t => [t.name, t.team.map(p => p.species)])).toEqual([
+      ['OU Showdown Usage', ['Garchomp', 'Heatran']],
+      ['UU Showdown Usage', ['Gliscor']],
+    ]);
+  });
+});
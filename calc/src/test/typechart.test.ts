@@ -0,0 +1,54 @@
+import {Generations} from '../data';
+import {Field, Move, Pokemon, Side, calculate, registerPlugin, unregisterPlugin} from '../index';
+import {getHazards} from '../desc';
+
+describe('type chart', () => {
+  const gen = Generations.get(9);
+  const pikachu = new Pokemon(9, 'Pikachu', {level: 50});
+  const garchomp = new Pokemon(9, 'Garchomp', {level: 50});
+  const thunderbolt = new Move(9, 'Thunderbolt');
+
+  afterEach(() => {
+    unregisterPlugin(9, 'Fairy Rework');
+  });
+
+  test('inverse battles', () => {
+    const field = new Field({isInverse: true});
+    expect(calculate(9, pikachu, garchomp, thunderbolt).damage).toBe(0);
+    const result = calculate(9, pikachu, garchomp, thunderbolt, field);
+    expect(result.range()[0]).toBeGreaterThan(0);
+    expect(result.desc()).toContain('Garchomp in an Inverse Battle:');
+    expect(result.kochance().text).toMatch(/in an Inverse Battle$/);
+    // Super effective is now not very effective
+    const dragon = new Move(9, 'Dragon Claw');
+    expect(calculate(9, garchomp, garchomp, dragon, field).range()[1])
+      .toBeLessThan(calculate(9, garchomp, garchomp, dragon).range()[0]);
+
+    const charizard = new Pokemon(9, 'Charizard');
+    const side = new Side({isSR: true});
+    expect(getHazards(gen, charizard, side).damage).toBe(Math.floor(charizard.maxHP() / 2));
+    expect(getHazards(gen, charizard, side, true).damage)
+      .toBe(Math.floor(charizard.maxHP() / 32));
+  });
+
+  test('plugin overrides', () => {
+    const metagross = new Pokemon(9, 'Metagross', {level: 50});
+    const moonblast = new Move(9, 'Moonblast');
+    const before = calculate(9, pikachu, metagross, moonblast);
+    expect(before.desc()).not.toContain('type chart');
+
+    registerPlugin(9, {name: 'Fairy Rework', typeChart: {Fairy: {Steel: 2}}});
+    const result = calculate(9, pikachu, metagross, moonblast);
+    expect(result.range()[0]).toBeGreaterThan(before.range()[1] * 3);
+    expect(result.desc()).toContain('Metagross with the Fairy Rework type chart:');
+    expect(result.kochance().text).toMatch(/with the Fairy Rework type chart$/);
+    // Only matchups the plugin overrides are described
+    expect(calculate(9, pikachu, garchomp, moonblast).desc()).not.toContain('type chart');
+
+    // Overrides are turned around in an Inverse Battle as well, back to not very effective
+    const inverse = calculate(9, pikachu, metagross, moonblast, new Field({isInverse: true}));
+    expect(inverse.range()).toEqual(before.range());
+    expect(inverse.desc())
+      .toContain('Metagross in an Inverse Battle with the Fairy Rework type chart:');
+  });
+});
@@ -0,0 +1,50 @@
+import {Move, Pokemon, ValidationError, normalizeStats, suggest} from '../index';
+
+describe('validate', () => {
+  test('strict mode', () => {
+    expect(() => new Move(8, 'Thunderpunch', {strict: true}))
+      .toThrow("Unknown move 'Thunderpunch', did you mean 'Thunder Punch'?");
+    expect(() => new Move(8, 'Thunderpunch')).not.toThrow();
+    expect(new Move(8, 'Thunder Punch', {strict: true}).bp).toBe(75);
+
+    let error: ValidationError | undefined;
+    try {
+      expect(new Pokemon(8, 'Garchomp', {item: 'Choise Band', strict: true})).toBeUndefined();
+    } catch (e) {
+      error = e as ValidationError;
+    }
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error!.field).toBe('item');
+    expect(error!.value).toBe('Choise Band');
+    expect(error!.suggestions).toContain('Choice Band');
+
+    expect(() => new Pokemon(8, 'Garchomp', {ability: 'rough skin', strict: true}))
+      .toThrow("Unknown ability 'rough skin', did you mean 'Rough Skin'?");
+    expect(() => new Pokemon(8, 'Garchomp', {nature: 'Jolly', moves: ['Earthquak'], strict: true}))
+      .toThrow("Unknown move 'Earthquak', did you mean 'Earthquake'?");
+    expect(() => new Pokemon(8, 'Qwertyuiop', {strict: true}))
+      .toThrow("Unknown species 'Qwertyuiop'");
+    expect(() => new Pokemon(8, 'Garchomp', {evs: {speed: 252} as any, strict: true}))
+      .toThrow("Unknown stat 'speed' in evs, did you mean 'spd' or 'spe'?");
+    expect(() => new Pokemon(8, 'Garchomp', {
+      ability: 'Rough Skin', item: 'Choice Band', nature: 'Jolly', moves: ['Earthquake'],
+      evs: {at: 252, sp: 252} as any, strict: true,
+    })).not.toThrow();
+  });
+
+  test('legacy stats', () => {
+    expect(normalizeStats({hp: 4, at: 252, df: 0, sa: 0, sd: 0, sp: 252}))
+      .toEqual({hp: 4, atk: 252, def: 0, spa: 0, spd: 0, spe: 252});
+    const garchomp = new Pokemon(8, 'Garchomp', {evs: {sp: 252} as any, ivs: {at: 0} as any});
+    expect(garchomp.evs.spe).toBe(252);
+    expect(garchomp.ivs.atk).toBe(0);
+    const mew = new Pokemon(1, 'Mew', {ivs: {sl: 20} as any});
+    expect(mew.ivs.spa).toBe(20);
+    expect(mew.ivs.spd).toBe(20);
+  });
+
+  test('suggest', () => {
+    expect(suggest('Garchmop', ['Garchomp', 'Gabite', 'Gible'])).toEqual(['Garchomp']);
+    expect(suggest('Zzzzzz', ['Garchomp', 'Gabite', 'Gible'])).toEqual([]);
+  });
+});
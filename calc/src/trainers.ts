@@ -0,0 +1,251 @@
+import {toID} from './util';
+import {suggest} from './validate';
+
+/** A set from the UI's set data, eg. `SETDEX_SS['Aurorus']['Leader Roxanne']`. */
+export interface TrainerSet {
+  level?: number;
+  ability?: string;
+  item?: string;
+  nature?: string;
+  ivs?: {[stat: string]: number};
+  evs?: {[stat: string]: number};
+  moves?: string[];
+  /** Where the set comes in the game's order of trainers and their teams. */
+  index?: number;
+  [key: string]: any;
+}
+
+/** The UI's set data: the sets of each species, by the name of the trainer they belong to. */
+export interface SetDex {
+  [species: string]: {[setName: string]: TrainerSet};
+}
+
+/** Whether the trainer fights alone in a single or double battle or with a partner in a tag one. */
+export type BattleType = 'Singles' | 'Doubles' | 'Tag';
+
+/** What the set data doesn't say about a trainer, from a trainer metadata file. */
+export interface TrainerMetadata {
+  /** Where the trainer is, eg. 'Rustboro City'. */
+  location?: string;
+  /**
+   * The badge the trainer comes before: 1 for the trainers up to and including the first gym
+   * leader, 2 for the ones up to the second and so on.
+   */
+  split?: number;
+  /** The highest level the player's Pokémon can be when fighting the trainer. */
+  levelCap?: number;
+  /** Whether the trainer has to be fought to get through the game. */
+  mandatory?: boolean;
+  battleType?: BattleType;
+}
+
+/**
+ * A trainer metadata file, eg. `TRAINER_DATA_SS`: the metadata of each trainer by its name as it
+ * is in the set data.
+ */
+export interface TrainerData {
+  [name: string]: TrainerMetadata;
+}
+
+/**
+ * What to look for in TrainerDB.filter, where every field given has to match. Locations are
+ * compared the way ids are and a level cap matches the trainers with that level cap or a lower one.
+ */
+export interface TrainerFilter {
+  location?: string;
+  split?: number;
+  levelCap?: number;
+  mandatory?: boolean;
+  battleType?: BattleType;
+}
+
+const BATTLE_TYPES = ['Singles', 'Doubles', 'Tag'];
+
+export interface TrainerPokemon {
+  species: string;
+  /**
+   * The set's key in the set data. Trainers with the same species twice have it under the
+   * trainer's name with spaces in front, eg. ' Fisherman Darian'.
+   */
+  setName: string;
+  set: TrainerSet;
+}
+
+export interface Trainer extends TrainerMetadata {
+  /** A stable id made from the trainer's name, eg. 'leaderroxanne'. */
+  id: string;
+  /** Where the trainer comes in the game's order of trainers, counting from 0. */
+  index: number;
+  /** The trainer's name as it is in the set data, eg. 'Elite Four SidneyDouble'. */
+  name: string;
+  /** The trainer's name for display, eg. 'Elite Four Sidney (Double)'. */
+  displayName: string;
+  /** The trainer's team, in the order it sends its Pokémon in. */
+  team: TrainerPokemon[];
+  /** Whether it's the double battle rematch of a trainer, the ones with names ending in Double. */
+  isDouble: boolean;
+  mandatory: boolean;
+  /** From the metadata, or else Doubles for the Double rematches and Singles for the rest. */
+  battleType: BattleType;
+}
+
+/**
+ * The trainers of a set data like `SETDEX_SS`, with the sets grouped by trainer and the trainers
+ * in the game's order (the order of the sets' `index`, or the order the sets are in for set data
+ * without one). The trainers get the metadata of `data`, which throws for the names of trainers
+ * the set data doesn't have.
+ */
+export class TrainerDB {
+  trainers: Trainer[];
+  private byID: {[id: string]: Trainer};
+
+  constructor(setdex: SetDex, data: TrainerData = {}) {
+    this.trainers = [];
+    this.byID = {};
+    // Where each set is in the set data, for the ones without an index
+    let position = 0;
+    const positions: {[id: string]: number} = {};
+    for (const species in setdex) {
+      for (const setName in setdex[species]) {
+        const name = setName.trim().replace(/\s+/g, ' ');
+        const id = toID(name);
+        let trainer = this.byID[id];
+        if (!trainer) {
+          const isDouble = /Double$/.test(name);
+          const displayName = isDouble ? `${name.slice(0, -6).trim()} (Double)` : name;
+          trainer = {
+            id, index: 0, name, displayName, team: [], isDouble,
+            mandatory: false, battleType: isDouble ? 'Doubles' : 'Singles',
+          };
+          this.byID[id] = trainer;
+          this.trainers.push(trainer);
+        }
+        const set = setdex[species][setName];
+        positions[`${species}|${setName}`] = position++;
+        trainer.team.push({species, setName, set});
+      }
+    }
+
+    const order = (p: TrainerPokemon) => {
+      const index = p.set.index;
+      return typeof index === 'number' ? index : positions[`${p.species}|${p.setName}`];
+    };
+    for (const trainer of this.trainers) trainer.team.sort((a, b) => order(a) - order(b));
+    this.trainers.sort((a, b) => order(a.team[0]) - order(b.team[0]));
+    this.trainers.forEach((trainer, i) => {
+      trainer.index = i;
+    });
+
+    for (const name in data) {
+      const trainer = this.get(name);
+      if (!trainer) {
+        const names = suggest(name, this.trainers.map(t => t.name));
+        throw new Error(`Unknown trainer '${name}' in the trainer metadata` +
+          (names.length ? `, did you mean ${names.map(n => `'${n}'`).join(' or ')}?` : ''));
+      }
+      const metadata = data[name];
+      if (metadata.battleType && !BATTLE_TYPES.includes(metadata.battleType)) {
+        throw new Error(`Invalid battle type '${metadata.battleType as string}' for ${name} ` +
+          `in the trainer metadata, expected ${BATTLE_TYPES.join(', ')}`);
+      }
+      Object.assign(trainer, metadata);
+    }
+  }
+
+  /**
+   * The trainer with exactly the given id or name, where names are compared the way ids are (eg.
+   * 'Leader Roxanne', 'leaderroxanne' or the set name ' Fisherman Darian').
+   */
+  get(name: string): Trainer | undefined {
+    return this.byID[toID(name)];
+  }
+
+  /**
+   * The trainers matching `query`, in the game's order: the one with exactly that name, or else
+   * the ones with every word of it in their name (eg. 'Roxanne' or 'Sidney', which matches both
+   * of Sidney's battles), or else the ones with names containing it, or else the ones with the
+   * closest names or words of names to it.
+   */
+  find(query: string): Trainer[] {
+    const exact = this.get(query);
+    if (exact) return [exact];
+
+    const words = getWords(query);
+    if (!words.length) return [];
+    let matches = this.trainers.filter(trainer => {
+      const names = getWords(trainer.displayName);
+      return words.every(word => names.includes(word));
+    });
+    if (!matches.length) {
+      const id = toID(query);
+      matches = this.trainers.filter(trainer => trainer.id.includes(id));
+    }
+    if (!matches.length) {
+      // Misspellings of either a trainer's whole name or one of the words of it, eg. 'Roxane'
+      const names: {[name: string]: Trainer[]} = {};
+      for (const trainer of this.trainers) {
+        for (const name of [trainer.name].concat(getWords(trainer.displayName))) {
+          (names[name] = names[name] || []).push(trainer);
+        }
+      }
+      for (const name of suggest(query, Object.keys(names))) {
+        for (const trainer of names[name]) {
+          if (!matches.includes(trainer)) matches.push(trainer);
+        }
+      }
+      matches.sort((a, b) => a.index - b.index);
+    }
+    return matches;
+  }
+
+  /**
+   * The set of `species` on the first of the trainers matching `trainer` (see find) that has one,
+   * with that trainer.
+   */
+  findSet(trainer: string, species: string) {
+    for (const t of this.find(trainer)) {
+      for (const pokemon of t.team) {
+        if (pokemon.species === species) return {trainer: t, pokemon};
+      }
+    }
+    return undefined;
+  }
+
+  /** The trainers matching `filter`, in the game's order. */
+  filter(filter: TrainerFilter): Trainer[] {
+    return this.trainers.filter(trainer => isMatch(trainer, filter));
+  }
+
+  /** The next trainer after `trainer` in the game's order matching `filter`, if there is one. */
+  next(trainer: Trainer, filter: TrainerFilter = {}): Trainer | undefined {
+    for (let i = trainer.index + 1; i < this.trainers.length; i++) {
+      if (isMatch(this.trainers[i], filter)) return this.trainers[i];
+    }
+    return undefined;
+  }
+
+  /** The last trainer before `trainer` in the game's order matching `filter`, if there is one. */
+  previous(trainer: Trainer, filter: TrainerFilter = {}): Trainer | undefined {
+    for (let i = trainer.index - 1; i >= 0; i--) {
+      if (isMatch(this.trainers[i], filter)) return this.trainers[i];
+    }
+    return undefined;
+  }
+}
+
+function isMatch(trainer: Trainer, filter: TrainerFilter) {
+  if (filter.location !== undefined && toID(trainer.location) !== toID(filter.location)) {
+    return false;
+  }
+  if (filter.split !== undefined && trainer.split !== filter.split) return false;
+  if (filter.levelCap !== undefined &&
+      !(trainer.levelCap !== undefined && trainer.levelCap <= filter.levelCap)) {
+    return false;
+  }
+  if (filter.mandatory !== undefined && trainer.mandatory !== filter.mandatory) return false;
+  return filter.battleType === undefined || trainer.battleType === filter.battleType;
+}
+
+function getWords(name: string) {
+  return name.toLowerCase().split(/[^a-z0-9]+/).filter(word => word);
+}
@@ -13,6 +13,18 @@ export function error(err: boolean, msg: string) {
   }
 }
 
+/**
+ * The version of the JSON which Pokemon, Move, Field, Side and Result serialize to with `toJSON`,
+ * to be bumped on any change which older JSON can't be read with.
+ */
+export const JSON_VERSION = 1;
+
+export function checkJSONVersion(kind: string, json: {version?: number}) {
+  if (json.version !== JSON_VERSION) {
+    throw new Error(`Unsupported ${kind} JSON version ${json.version} (expected ${JSON_VERSION})`);
+  }
+}
+
 export function assignWithout(
   a: {[key: string]: any}, b: {[key: string]: any}, exclude: Set<string>
 ) {
@@ -0,0 +1,148 @@
+import * as I from './data/interface';
+import {toID} from './util';
+
+/** What was wrong in a set passed in strict mode: a name or one of the keys of its stats. */
+export type ValidationField =
+  'species' | 'move' | 'item' | 'ability' | 'nature' | 'ivs' | 'evs' | 'boosts';
+
+/**
+ * Thrown in strict mode for a name the generation doesn't know, with the closest names it does
+ * know (eg. "Unknown move 'Thunderpunch', did you mean 'Thunder Punch'?").
+ */
+export class ValidationError extends Error {
+  field: ValidationField;
+  value: string;
+  suggestions: string[];
+
+  constructor(field: ValidationField, value: string, suggestions: string[]) {
+    const what = field === 'ivs' || field === 'evs' || field === 'boosts'
+      ? `stat '${value}' in ${field}`
+      : `${field} '${value}'`;
+    super(`Unknown ${what}` + (suggestions.length
+      ? `, did you mean ${suggestions.map(s => `'${s}'`).join(' or ')}?`
+      : ''));
+    // Extending Error loses the prototype when compiled down to ES5
+    Object.setPrototypeOf(this, ValidationError.prototype);
+    this.name = 'ValidationError';
+    this.field = field;
+    this.value = value;
+    this.suggestions = suggestions;
+  }
+}
+
+const VALID_STAT_KEYS = ['hp', 'atk', 'def', 'spa', 'spd', 'spe', 'spc'];
+
+// The short forms of the stats used by the sets and the UI, see Stats.shortForm
+const LEGACY_STATS: {[key: string]: string} = {
+  at: 'atk',
+  df: 'def',
+  sa: 'spa',
+  sd: 'spd',
+  sp: 'spe',
+  sl: 'spc',
+};
+
+/**
+ * Copies `table` with the short forms of the stats (`at`, `df`, `sa`, `sd`, `sp` and `sl` for
+ * Special) replaced by their IDs. Any other keys are kept as they are.
+ */
+export function normalizeStats<T>(table: {[key: string]: T}) {
+  const stats: {[stat: string]: T} = {};
+  for (const key in table) {
+    if (Object.prototype.hasOwnProperty.call(table, key)) {
+      stats[LEGACY_STATS[key] || key] = table[key];
+    }
+  }
+  return stats;
+}
+
+/**
+ * Throws a ValidationError for the first name in `options` (or the species `name`) which `gen`
+ * doesn't have under exactly that name, or the first key of the stats which isn't a stat.
+ */
+export function validatePokemon(
+  gen: I.Generation,
+  name: string,
+  options: {
+    name?: string;
+    ability?: string;
+    item?: string;
+    nature?: string;
+    moves?: string[];
+    ivs?: {[key: string]: number | undefined};
+    evs?: {[key: string]: number | undefined};
+    boosts?: {[key: string]: number | undefined};
+    overrides?: Partial<I.Specie>;
+  }
+) {
+  // A species made up with overrides doesn't need to exist
+  if (!options.overrides) check('species', options.name || name, gen.species);
+  if (options.ability) check('ability', options.ability, gen.abilities);
+  if (options.item) check('item', options.item, gen.items);
+  if (options.nature) check('nature', options.nature, gen.natures);
+  for (const move of options.moves || []) check('move', move, gen.moves);
+  for (const field of ['ivs', 'evs', 'boosts'] as const) {
+    for (const key in normalizeStats(options[field] || {})) {
+      if (!VALID_STAT_KEYS.includes(key)) {
+        throw new ValidationError(field, key, suggest(key, VALID_STAT_KEYS));
+      }
+    }
+  }
+}
+
+/** As validatePokemon, for the name of a move and the Pokémon's ability and item it's given. */
+export function validateMove(
+  gen: I.Generation,
+  name: string,
+  options: {name?: string; ability?: string; item?: string; overrides?: Partial<I.Move>}
+) {
+  if (!options.overrides) check('move', options.name || name, gen.moves);
+  if (options.ability) check('ability', options.ability, gen.abilities);
+  if (options.item) check('item', options.item, gen.items);
+}
+
+function check(
+  field: ValidationField,
+  name: string,
+  table: {get(id: I.ID): I.Data<string> | undefined; [Symbol.iterator](): Iterator<I.Data<string>>}
+) {
+  const data = table.get(toID(name));
+  // The rest of the calc compares names, so eg. 'choice band' would never count as Choice Band
+  if (data && data.name === name) return;
+  const names: string[] = [];
+  for (const d of table as Iterable<I.Data<string>>) names.push(d.name);
+  throw new ValidationError(field, name, data ? [data.name] : suggest(name, names));
+}
+
+/**
+ * The names closest to `name` by edit distance ignoring case, spaces and punctuation, at most
+ * three of them and only those close enough to plausibly be a typo.
+ */
+export function suggest(name: string, names: string[]) {
+  const id = toID(name);
+  const max = Math.max(2, Math.floor(id.length / 3));
+  return names
+    .map(n => ({name: n, distance: getDistance(id, toID(n))}))
+    .filter(n => n.distance <= max)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(n => n.name);
+}
+
+// Levenshtein distance between a and b, keeping only the previous row of the table
+function getDistance(a: string, b: string) {
+  let previous: number[] = [];
+  for (let j = 0; j <= b.length; j++) previous.push(j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current.push(Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      ));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -8,6 +8,11 @@ const {
 	Move,
 	Field,
 	calculate,
+	sweep,
+	overlayGeneration,
+	ValidationError,
+	TrainerDB,
+	NATURES,
 } = require("@smogon/calc");
 
 // Node.js built-in modules for file system operations and path manipulation
@@ -70,6 +75,68 @@ const SETDEX_BY_GEN = {
 	9: loadSetdex(9, "SETDEX_SV"),
 };
 
+/**
+ * Helper to load a trainer metadata file (e.g., src/js/data/trainers/gen8.js), which defines a global
+ * variable (like `var TRAINER_DATA_SS = {...}`) with the location, split, level cap, whether they're
+ * mandatory and the battle type of each trainer, by their name as it is in the sets.
+ * @param {number} genNum - The generation number (e.g., 8 for gen8.js).
+ * @param {string} varName - The name of the global variable to extract (e.g., 'TRAINER_DATA_SS').
+ * @returns {object|undefined} The trainer metadata, or undefined if the generation has no metadata file.
+ * @throws {Error} If the file can't be evaluated or doesn't define the variable.
+ */
+function loadTrainerData(genNum, varName) {
+	const filePath = path.join(__dirname, `src/js/data/trainers/gen${genNum}.js`);
+	if (!fs.existsSync(filePath)) return undefined;
+
+	const sandbox = {};
+	try {
+		new vm.Script(fs.readFileSync(filePath, "utf8")).runInNewContext(sandbox);
+	} catch (evalError) {
+		throw new Error(
+			`Error evaluating trainer metadata file ${filePath}: ${evalError.message}`,
+		);
+	}
+	if (!sandbox[varName]) {
+		throw new Error(`Variable '${varName}' not found in ${filePath} after evaluation.`);
+	}
+	return sandbox[varName];
+}
+
+// The metadata of the trainers of each generation's sets, for the generations that have any
+const TRAINER_DATA_BY_GEN = {
+	8: loadTrainerData(8, "TRAINER_DATA_SS"),
+};
+
+// The trainers of each generation's sets, for looking up a trainer's Pokémon by the trainer's name
+const TRAINERS_BY_GEN = {};
+for (const genNum in SETDEX_BY_GEN) {
+	TRAINERS_BY_GEN[genNum] = new TrainerDB(
+		SETDEX_BY_GEN[genNum],
+		TRAINER_DATA_BY_GEN[genNum],
+	);
+}
+
+/**
+ * Helper function to load the data overlay of a ROM hack, the changes it makes to the species, moves, items, abilities and types of a generation.
+ * @param {string|object} overlay - The path of a JSON patch file, or the patch itself.
+ * @returns {object} The patch, in the form `overlayGeneration` expects.
+ * @throws {Error} If the file is not found or isn't valid JSON.
+ */
+function loadOverlay(overlay) {
+	if (typeof overlay !== "string") return overlay;
+	const filePath = path.resolve(overlay);
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`Data overlay file not found at ${filePath}.`);
+	}
+	try {
+		return JSON.parse(fs.readFileSync(filePath, "utf8"));
+	} catch (parseError) {
+		throw new Error(
+			`Error parsing data overlay file ${filePath}: ${parseError.message}`,
+		);
+	}
+}
+
 /**
  * Helper function to build a Pokémon options object, optionally loading from a trainer set.
  * @param {number} genNum - The Pokémon generation number.
@@ -112,34 +179,10 @@ function getPokemonOptions(genNum, rawPokemonOptions, defaultIVs, defaultEVs) {
 			);
 		}
 
-		let trainerSet = null;
-		// Some set names include trainer names, others might be just the trainer's name.
-		// Iterate through all sets for the species to find the one by trainerName.
-		// Prioritize exact match or inclusion, then try by first word of trainer name.
-		for (const setName in speciesSets) {
-			const currentSet = speciesSets[setName];
-			const trainerNameRegex = new RegExp(`\\b${trainerName}\\b`, "i");
-			// Check if the set's name contains the full trainerName or if currentSet.trainer property matches
-			if (
-				trainerNameRegex.test(setName) ||
-				(currentSet.trainer && trainerNameRegex.test(currentSet.trainer))
-			) {
-				trainerSet = currentSet;
-				break; // Found a strong match, use this one
-			}
-			// Fallback: if no direct match, check if the first word of the set name matches the trainer's first name
-			// This is a weaker match, only consider if no stronger match is found later.
-			const setNameFirstWord = setName.split(" ")[0];
-			const trainerNameFirstWord = trainerName.split(" ")[0];
-			if (!trainerSet && setNameFirstWord === trainerNameFirstWord) {
-				trainerSet = currentSet; // This is a candidate, but continue searching for better match
-			}
-		}
-
-		// Final fallback: sometimes the trainerName itself is the key directly
-		if (!trainerSet && speciesSets[trainerName]) {
-			trainerSet = speciesSets[trainerName];
-		}
+		// Matches the trainer's exact name first, then the trainers with every word of it in their
+		// name (e.g. "Elliot" for "Fisherman Elliot"), then the closest names to it
+		const found = TRAINERS_BY_GEN[genNum].findSet(trainerName, speciesName);
+		const trainerSet = found?.pokemon.set;
 
 		if (!trainerSet) {
 			throw new Error(
@@ -264,12 +307,138 @@ const getFormattedResult = (
 	};
 };
 
+/**
+ * Helper function to describe the distribution of the damage dealt by one use of a move, weighing in the chance of critical hits.
+ * @param {Generation} gen - The current generation object.
+ * @param {Pokemon} attacker - The attacking Pokémon instance.
+ * @param {Pokemon} defender - The defending Pokémon instance.
+ * @param {string} moveName - The name of the move.
+ * @param {Field} field - The battle field instance.
+ * @returns {{damage: number[], chances: number[], mean: number, percentiles: object} | null} Every possible
+ * amount of damage with the chance of dealing it, the mean damage and the 5th/25th/50th/75th/95th percentiles,
+ * or null if the move deals no damage.
+ */
+const getDamageDistributionSummary = (gen, attacker, defender, moveName, field) => {
+	const move = new Move(gen, moveName);
+	if (move.bp === 0) {
+		return null;
+	}
+	try {
+		const normalResult = calculate(gen, attacker, defender, move, field);
+		if (normalResult.range()[1] === 0) {
+			return null;
+		}
+		const critResult = calculate(
+			gen,
+			attacker,
+			defender,
+			new Move(gen, moveName, { isCrit: true }),
+			field,
+		);
+		const distribution = normalResult.distribution(1, critResult);
+		const percentiles = {};
+		for (const percent of [5, 25, 50, 75, 95]) {
+			percentiles[percent] = distribution.percentile(percent);
+		}
+		return {
+			damage: distribution.damage,
+			chances: distribution.chances,
+			mean: distribution.mean(),
+			percentiles,
+		};
+	} catch (calcError) {
+		return null;
+	}
+};
+
+/**
+ * Helper function to calculate the chance to KO with a move, weighing in the chance of critical hits.
+ * @param {Generation} gen - The current generation object.
+ * @param {Pokemon} attacker - The attacking Pokémon instance.
+ * @param {Pokemon} defender - The defending Pokémon instance.
+ * @param {string} moveName - The name of the move.
+ * @param {Field} field - The battle field instance.
+ * @returns {{chance: number, text: string}} The combined KO chance and its description.
+ */
+const getCritWeightedKOChance = (gen, attacker, defender, moveName, field) => {
+	const move = new Move(gen, moveName);
+	if (move.bp === 0) {
+		return { chance: 0, text: "No damaging effect" };
+	}
+	try {
+		const normalResult = calculate(gen, attacker, defender, move, field);
+		if (normalResult.range()[1] === 0) {
+			return { chance: 0, text: "Immune / No damaging effect" };
+		}
+		const critResult = calculate(
+			gen,
+			attacker,
+			defender,
+			new Move(gen, moveName, { isCrit: true }),
+			field,
+		);
+		const { chance, text } = normalResult.kochance(true, critResult);
+		return { chance: chance || 0, text };
+	} catch (calcError) {
+		return { chance: 0, text: "Calculation Error / No effect" };
+	}
+};
+
+/**
+ * Helper function to sweep over the unknown attributes of one of the Pokémon, giving the envelope of the damage a move deals.
+ * @param {Generation} gen - The current generation object.
+ * @param {Pokemon} attacker - The attacking Pokémon instance.
+ * @param {Pokemon} defender - The defending Pokémon instance.
+ * @param {string} moveName - The name of the move.
+ * @param {Field} field - The battle field instance.
+ * @param {string} side - Which of the Pokémon is unknown, 'attacker' or 'defender'.
+ * @param {object} unknowns - The unknown attributes, as given in `options.unknowns`.
+ * @returns {object | null} The least and most damage over every case along with the best and worst cases,
+ * or null if the move deals no damage.
+ */
+const getUncertaintySummary = (gen, attacker, defender, moveName, field, side, unknowns) => {
+	const move = new Move(gen, moveName);
+	if (move.bp === 0) {
+		return null;
+	}
+	try {
+		if (calculate(gen, attacker, defender, move, field).range()[1] === 0) {
+			return null;
+		}
+		const result = sweep(gen, attacker, defender, move, field, side, {
+			natures: unknowns.natures === "all" ? Object.keys(NATURES) : unknowns.natures,
+			ivs: unknowns.ivs,
+			items: unknowns.items,
+			abilities: unknowns.abilities,
+			abilityOn: unknowns.abilityOn,
+		});
+		const summarizeCase = (c) => ({
+			label: c.label,
+			damageRange: c.range,
+			percentageRange: c.percent,
+			koChance: c.ko.text || "No KO",
+		});
+		return {
+			damageRange: result.range,
+			percentageRange: result.percent,
+			cases: result.cases,
+			bestCase: summarizeCase(result.best),
+			worstCase: summarizeCase(result.worst),
+		};
+	} catch (calcError) {
+		return null;
+	}
+};
+
 /**
  * Performs Pokémon damage calculations between two Pokémon in both directions (Pokemon 1 attacking Pokemon 2, and vice-versa).
- * Output results in JSON format, including both normal and critical hit calculations for each move.
+ * Output results in JSON format, including both normal and critical hit calculations for each move,
+ * as well as the chance to KO with each move when the chance of critical hits is weighed in.
  *
  * @param {object} options - Options for the calculation.
  * @param {number} options.generation - The Pokémon generation number (e.g., 9 for Scarlet/Violet).
+ * @param {string|object} [options.overlay] - A data overlay to apply on top of the generation's data, either the path of a JSON patch file or the patch itself.
+ * @param {boolean} [options.strict=false] - Whether to reject any misspelled species, move, item, ability, nature or stat with the closest matches instead of guessing.
  * @param {object} options.pokemon1 - Details for the first Pokémon.
  * @param {string} [options.pokemon1.name] - Pokémon 1 species name. Required unless `trainerPokemon` is used.
  * @param {number} [options.pokemon1.level=100] - Pokémon 1's level.
@@ -310,6 +479,8 @@ const getFormattedResult = (
  * @param {boolean} [options.field.isGravity=false] - Whether Gravity is active.
  * @param {boolean} [options.field.isMagicRoom=false] - Whether Magic Room is active.
  * @param {boolean} [options.field.isWonderRoom=false] - Whether Wonder Room is active.
+ * @param {boolean} [options.field.isTrickRoom=false] - Whether Trick Room is active.
+ * @param {boolean} [options.field.isInverse=false] - Whether it's an Inverse Battle, with the type chart turned around.
  * @param {boolean} [options.field.isBeadsOfRuin=false] - Whether Beads of Ruin is active.
  * @param {boolean} [options.field.isTabletsOfRuin=false] - Whether Tablets of Ruin is active.
  * @param {boolean} [options.field.isSwordOfRuin=false] - Whether Sword of Ruin is active.
@@ -319,20 +490,33 @@ const getFormattedResult = (
  * @param {number} [options.field.pokemon1Side.spikes=0] - Spikes layers on Pokémon 1's side.
  * @param {boolean} [options.field.pokemon1Side.isReflect=false] - Reflect on Pokémon 1's side.
  * @param {boolean} [options.field.pokemon1Side.isLightScreen=false] - Light Screen on Pokémon 1's side.
+ * @param {boolean} [options.field.pokemon1Side.isFocusEnergy=false] - Whether Pokémon 1 used Focus Energy.
  * @param {object} [options.field.pokemon2Side={}] - Side conditions for Pokémon 2.
  * @param {boolean} [options.field.pokemon2Side.isSR=false] - Stealth Rock on Pokémon 2's side.
  * @param {number} [options.field.pokemon2Side.spikes=0] - Spikes layers on Pokémon 2's side.
  * @param {boolean} [options.field.pokemon2Side.isReflect=false] - Reflect on Pokémon 2's side.
  * @param {boolean} [options.field.pokemon2Side.isLightScreen=false] - Light Screen on Pokémon 2's side.
+ * @param {boolean} [options.field.pokemon2Side.isFocusEnergy=false] - Whether Pokémon 2 used Focus Energy.
+ *
+ * @param {object} [options.unknowns] - Attributes of one of the Pokémon which aren't known, to sweep over for every move.
+ * @param {number} [options.unknowns.pokemon=2] - Which of the Pokémon is unknown, 1 or 2.
+ * @param {string[]|string} [options.unknowns.natures] - The natures to try, or 'all' for every nature. Defaults to its own.
+ * @param {object} [options.unknowns.ivs] - The IVs to try for each stat, e.g. {atk: [0, 31]}. Defaults to 0 and 31 for the stats each move depends on.
+ * @param {string[]} [options.unknowns.items] - The items to try. Defaults to its own.
+ * @param {string[]} [options.unknowns.abilities] - The abilities to try. Defaults to its own.
+ * @param {boolean} [options.unknowns.abilityOn=false] - Whether to try its ability both on and off.
  */
 function calculateDamageCLI(options) {
-	const gen = Generations.get(options.generation || 9); // Default to Gen 9
-
 	// Ensure IVs and EVs are properly defaulted for all 6 stats if not provided
 	const defaultIVs = { hp: 31, atk: 31, def: 31, spa: 31, spd: 31, spe: 31 };
 	const defaultEVs = { hp: 0, atk: 0, def: 0, spa: 0, spd: 0, spe: 0 };
 
 	try {
+		let gen = Generations.get(options.generation || 9); // Default to Gen 9
+		if (options.overlay) {
+			gen = overlayGeneration(gen, loadOverlay(options.overlay));
+		}
+
 		// Prepare options for pokemon1 and pokemon2 using the helper
 		const pokemon1Options = getPokemonOptions(
 			gen.num,
@@ -348,8 +532,14 @@ function calculateDamageCLI(options) {
 		);
 
 		// Create Pokemon instances
-		const pokemon1 = new Pokemon(gen, pokemon1Options.name, pokemon1Options);
-		const pokemon2 = new Pokemon(gen, pokemon2Options.name, pokemon2Options);
+		const pokemon1 = new Pokemon(gen, pokemon1Options.name, {
+			...pokemon1Options,
+			strict: options.strict,
+		});
+		const pokemon2 = new Pokemon(gen, pokemon2Options.name, {
+			...pokemon2Options,
+			strict: options.strict,
+		});
 
 		// Construct field options, using pokemon1Side and pokemon2Side from input
 		const fieldOptions = {
@@ -358,6 +548,8 @@ function calculateDamageCLI(options) {
 			isGravity: options.field?.isGravity || false,
 			isMagicRoom: options.field?.isMagicRoom || false,
 			isWonderRoom: options.field?.isWonderRoom || false,
+			isTrickRoom: options.field?.isTrickRoom || false,
+			isInverse: options.field?.isInverse || false,
 			isBeadsOfRuin: options.field?.isBeadsOfRuin || false,
 			isTabletsOfRuin: options.field?.isTabletsOfRuin || false,
 			isSwordOfRuin: options.field?.isSwordOfRuin || false,
@@ -397,7 +589,32 @@ function calculateDamageCLI(options) {
 						currentField,
 						true,
 					),
+					koChanceIncludingCrits: getCritWeightedKOChance(
+						gen,
+						pokemon1,
+						pokemon2,
+						moveName,
+						currentField,
+					),
+					damageDistribution: getDamageDistributionSummary(
+						gen,
+						pokemon1,
+						pokemon2,
+						moveName,
+						currentField,
+					),
 				});
+				if (options.unknowns) {
+					moveCalculations[moveCalculations.length - 1].uncertainty = getUncertaintySummary(
+						gen,
+						pokemon1,
+						pokemon2,
+						moveName,
+						currentField,
+						(options.unknowns.pokemon || 2) === 1 ? "attacker" : "defender",
+						options.unknowns,
+					);
+				}
 			}
 			results.pokemon1AttackingPokemon2 = {
 				attacker: {
@@ -460,7 +677,32 @@ function calculateDamageCLI(options) {
 						currentField,
 						true,
 					),
+					koChanceIncludingCrits: getCritWeightedKOChance(
+						gen,
+						pokemon2,
+						pokemon1,
+						moveName,
+						currentField,
+					),
+					damageDistribution: getDamageDistributionSummary(
+						gen,
+						pokemon2,
+						pokemon1,
+						moveName,
+						currentField,
+					),
 				});
+				if (options.unknowns) {
+					moveCalculations[moveCalculations.length - 1].uncertainty = getUncertaintySummary(
+						gen,
+						pokemon2,
+						pokemon1,
+						moveName,
+						currentField,
+						(options.unknowns.pokemon || 2) === 2 ? "attacker" : "defender",
+						options.unknowns,
+					);
+				}
 			}
 			results.pokemon2AttackingPokemon1 = {
 				attacker: {
@@ -498,9 +740,60 @@ function calculateDamageCLI(options) {
 		console.log(JSON.stringify(results, null, 2));
 	} catch (error) {
 		console.error("Error during calculation:", error.message);
-		console.error(
-			"Please ensure Pokémon names, move names, trainer/species combinations, and other parameters are correct for the specified generation.",
-		);
+		// Validation errors already say what was wrong and what was meant
+		if (!(error instanceof ValidationError)) {
+			console.error(
+				"Please ensure Pokémon names, move names, trainer/species combinations, and other parameters are correct for the specified generation.",
+			);
+		}
+	}
+}
+
+/**
+ * Lists the trainers of a generation's sets in the game's order with their metadata, filtered by it, and prints them as JSON.
+ * @param {object} options - The options for the listing.
+ * @param {number} [options.generation=8] - The generation of the sets.
+ * @param {string} [options.name] - Only the trainers matching the name, exactly or by every word of it (e.g., "Sidney").
+ * @param {string} [options.location] - Only the trainers at the location (e.g., "Mossdeep City").
+ * @param {number} [options.split] - Only the trainers of the split, the badge they come before.
+ * @param {number} [options.levelCap] - Only the trainers with this level cap or a lower one.
+ * @param {boolean} [options.mandatory] - Only the trainers that are (true) or aren't (false) mandatory.
+ * @param {string} [options.battleType] - Only the trainers with the battle type: 'Singles', 'Doubles' or 'Tag'.
+ */
+function listTrainersCLI(options = {}) {
+	try {
+		const generation = options.generation || 8;
+		const trainers = TRAINERS_BY_GEN[generation];
+		if (!trainers) {
+			throw new Error(`Pokémon set data not found for Generation ${generation}.`);
+		}
+		const filter = {
+			location: options.location,
+			split: options.split,
+			levelCap: options.levelCap,
+			mandatory: options.mandatory,
+			battleType: options.battleType,
+		};
+		const named = options.name === undefined ? undefined : trainers.find(options.name);
+		const results = trainers
+			.filter(filter)
+			.filter((trainer) => !named || named.includes(trainer))
+			.map((trainer) => ({
+				id: trainer.id,
+				index: trainer.index,
+				name: trainer.name,
+				displayName: trainer.displayName,
+				isDouble: trainer.isDouble,
+				location: trainer.location,
+				split: trainer.split,
+				levelCap: trainer.levelCap,
+				mandatory: trainer.mandatory,
+				battleType: trainer.battleType,
+				team: trainer.team.map((pokemon) => pokemon.species),
+			}));
+		console.log(JSON.stringify(results, null, 2));
+	} catch (error) {
+		console.error("Error listing trainers:", error.message);
 	}
 }
 
@@ -595,4 +888,4 @@ calculateDamageCLI({
 
 // For a more robust CLI, you would add argument parsing logic here.
 // For now, exporting the function for potential direct calls or testing.
-module.exports = { calculateDamageCLI };
+module.exports = { calculateDamageCLI, listTrainersCLI };
@@ -1,5 +1,6 @@
 const { ApolloServer } = require("@apollo/server");
 const { startStandaloneServer } = require("@apollo/server/standalone");
+const { GraphQLError } = require("graphql");
 const { gql } = require("graphql-tag");
 
 // Import necessary calculation classes from @smogon/calc
@@ -9,6 +10,11 @@ const {
 	Move,
 	Field,
 	calculate,
+	predictMove,
+	setOverlay,
+	ValidationError,
+	TrainerDB,
+	normalizeStats,
 } = require("@smogon/calc");
 
 // Node.js built-in modules for file system operations and path manipulation
@@ -72,6 +78,78 @@ const SETDEX_BY_GEN = {
 	9: loadSetdex(9, "SETDEX_SV"),
 };
 
+/**
+ * Helper to load a trainer metadata file (e.g., src/js/data/trainers/gen8.js), which defines a global
+ * variable (like `var TRAINER_DATA_SS = {...}`) with the location, split, level cap, whether they're
+ * mandatory and the battle type of each trainer, by their name as it is in the sets.
+ * @param {number} genNum - The generation number (e.g., 8 for gen8.js).
+ * @param {string} varName - The name of the global variable to extract (e.g., 'TRAINER_DATA_SS').
+ * @returns {object|undefined} The trainer metadata, or undefined if the generation has no metadata file.
+ * @throws {Error} If the file can't be evaluated or doesn't define the variable.
+ */
+function loadTrainerData(genNum, varName) {
+	const filePath = path.join(__dirname, `src/js/data/trainers/gen${genNum}.js`);
+	if (!fs.existsSync(filePath)) return undefined;
+
+	const sandbox = {};
+	try {
+		new vm.Script(fs.readFileSync(filePath, "utf8")).runInNewContext(sandbox);
+	} catch (evalError) {
+		throw new Error(
+			`Error evaluating trainer metadata file ${filePath}: ${evalError.message}`,
+		);
+	}
+	if (!sandbox[varName]) {
+		throw new Error(`Variable '${varName}' not found in ${filePath} after evaluation.`);
+	}
+	return sandbox[varName];
+}
+
+// The metadata of the trainers of each generation's sets, for the generations that have any
+const TRAINER_DATA_BY_GEN = {
+	8: loadTrainerData(8, "TRAINER_DATA_SS"),
+};
+
+// The trainers of each generation's sets, for looking up a trainer's Pokémon by the trainer's name
+const TRAINERS_BY_GEN = {};
+for (const genNum in SETDEX_BY_GEN) {
+	TRAINERS_BY_GEN[genNum] = new TrainerDB(
+		SETDEX_BY_GEN[genNum],
+		TRAINER_DATA_BY_GEN[genNum],
+	);
+}
+
+/**
+ * Helper to load the data overlay of a ROM hack from a JSON patch file, the changes it makes to the
+ * species, moves, items, abilities and types of a generation.
+ * @param {string} filePath - The path of the JSON patch file.
+ * @returns {object} The patch, in the form `setOverlay` expects.
+ * @throws {Error} If the file is not found or isn't valid JSON.
+ */
+function loadOverlay(filePath) {
+	const resolvedPath = path.resolve(filePath);
+	if (!fs.existsSync(resolvedPath)) {
+		throw new Error(`Data overlay file not found at ${resolvedPath}.`);
+	}
+	try {
+		return JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+	} catch (parseError) {
+		throw new Error(
+			`Error parsing data overlay file ${resolvedPath}: ${parseError.message}`,
+		);
+	}
+}
+
+// Apply the data overlay given by the DATA_OVERLAY environment variable, if any, to the
+// generation given by DATA_OVERLAY_GEN (Gen 8 by default). Every query for that generation then
+// uses the overlaid data.
+if (process.env.DATA_OVERLAY) {
+	setOverlay(
+		Number(process.env.DATA_OVERLAY_GEN) || 8,
+		loadOverlay(process.env.DATA_OVERLAY),
+	);
+}
+
 // Default IVs and EVs for convenience
 const defaultIVs = { hp: 31, atk: 31, def: 31, spa: 31, spd: 31, spe: 31 };
 const defaultEVs = { hp: 0, atk: 0, def: 0, spa: 0, spd: 0, spe: 0 };
@@ -116,27 +194,10 @@ function getPokemonOptions(genNum, rawPokemonConfig) {
 			);
 		}
 
-		let trainerSet = null;
-		for (const setName in speciesSets) {
-			const currentSet = speciesSets[setName];
-			const trainerNameRegex = new RegExp(`\\b${trainerName}\\b`, "i");
-			if (
-				trainerNameRegex.test(setName) ||
-				(currentSet.trainer && trainerNameRegex.test(currentSet.trainer))
-			) {
-				trainerSet = currentSet;
-				break;
-			}
-			const setNameFirstWord = setName.split(" ")[0];
-			const trainerNameFirstWord = trainerName.split(" ")[0];
-			if (!trainerSet && setNameFirstWord === trainerNameFirstWord) {
-				trainerSet = currentSet;
-			}
-		}
-
-		if (!trainerSet && speciesSets[trainerName]) {
-			trainerSet = speciesSets[trainerName];
-		}
+		// Matches the trainer's exact name first, then the trainers with every word of it in their
+		// name (e.g. "Elliot" for "Fisherman Elliot"), then the closest names to it
+		const found = TRAINERS_BY_GEN[genNum].findSet(trainerName, speciesName);
+		const trainerSet = found?.pokemon.set;
 
 		if (!trainerSet) {
 			throw new Error(
@@ -178,6 +239,31 @@ function getPokemonOptions(genNum, rawPokemonConfig) {
 	return pokemonOptions;
 }
 
+/**
+ * Helper to create a Pokémon, reporting a misspelled name in strict mode as a GraphQL error
+ * with the offending field and the closest matches in its extensions.
+ * @param {Generation} gen - The current generation object.
+ * @param {object} pokemonOptions - The options from `getPokemonOptions`.
+ * @param {boolean} [strict=false] - Whether to reject names which aren't exactly right.
+ * @returns {Pokemon} The Pokémon instance.
+ * @throws {GraphQLError} If a name or stat isn't known in strict mode.
+ */
+function createPokemon(gen, pokemonOptions, strict = false) {
+	try {
+		return new Pokemon(gen, pokemonOptions.name, { ...pokemonOptions, strict });
+	} catch (error) {
+		if (!(error instanceof ValidationError)) throw error;
+		throw new GraphQLError(error.message, {
+			extensions: {
+				code: "BAD_USER_INPUT",
+				field: error.field,
+				value: error.value,
+				suggestions: error.suggestions,
+			},
+		});
+	}
+}
+
 /**
  * Helper function to calculate and format results for a given critical hit status.
  * @param {Generation} gen - The current generation object.
@@ -262,6 +348,39 @@ const getFormattedResult = (
 	};
 };
 
+/**
+ * Helper function to calculate the chance to KO with a move, weighing in the chance of critical hits.
+ * @param {Generation} gen - The current generation object.
+ * @param {Pokemon} attacker - The attacking Pokémon instance.
+ * @param {Pokemon} defender - The defending Pokémon instance.
+ * @param {string} moveName - The name of the move.
+ * @param {Field} field - The battle field instance.
+ * @returns {{chance: number, text: string}} The combined KO chance and its description.
+ */
+const getCritWeightedKOChance = (gen, attacker, defender, moveName, field) => {
+	const move = new Move(gen, moveName);
+	if (move.bp === 0) {
+		return { chance: 0, text: "No damaging effect" };
+	}
+	try {
+		const normalResult = calculate(gen, attacker, defender, move, field);
+		if (normalResult.range()[1] === 0) {
+			return { chance: 0, text: "Immune / No damaging effect" };
+		}
+		const critResult = calculate(
+			gen,
+			attacker,
+			defender,
+			new Move(gen, moveName, { isCrit: true }),
+			field,
+		);
+		const { chance, text } = normalResult.kochance(true, critResult);
+		return { chance: chance || 0, text };
+	} catch (calcError) {
+		return { chance: 0, text: "Calculation Error / No effect" };
+	}
+};
+
 // Define your GraphQL schema using GraphQL SDL (Schema Definition Language)
 const typeDefs = gql`
 	# Input type for Pokemon stats (IVs, EVs, Boosts)
@@ -313,6 +432,7 @@ const typeDefs = gql`
 		spikes: Int
 		isReflect: Boolean
 		isLightScreen: Boolean
+		isFocusEnergy: Boolean
 	}
 
 	# Input type for global battlefield conditions
@@ -322,6 +442,8 @@ const typeDefs = gql`
 		isGravity: Boolean
 		isMagicRoom: Boolean
 		isWonderRoom: Boolean
+		isTrickRoom: Boolean
+		isInverse: Boolean
 		isBeadsOfRuin: Boolean
 		isTabletsOfRuin: Boolean
 		isSwordOfRuin: Boolean
@@ -336,6 +458,17 @@ const typeDefs = gql`
 		pokemon1: PokemonConfigInput!
 		pokemon2: PokemonConfigInput!
 		field: FieldInput
+		# Reject any misspelled species, move, item, ability or nature instead of guessing
+		strict: Boolean
+	}
+
+	# Input type for the predictTrainerMove query, with the trainer's Pokémon as pokemon2
+	input PredictTrainerMoveInput {
+		generation: Int!
+		pokemon1: PokemonConfigInput!
+		pokemon2: PokemonConfigInput!
+		field: FieldInput
+		strict: Boolean
 	}
 
 	# Output types
@@ -353,10 +486,17 @@ const typeDefs = gql`
 		description: String!
 	}
 
+	# Chance to KO with a move, weighing in the chance of critical hits
+	type KOChanceResult {
+		chance: Float!
+		text: String!
+	}
+
 	type MoveCalculationResult {
 		moveName: String!
 		normalHit: HitResult!
 		criticalHit: HitResult!
+		koChanceIncludingCrits: KOChanceResult!
 	}
 
 	type AttackDirectionResult {
@@ -387,16 +527,107 @@ const typeDefs = gql`
 		moves: [String!]!
 	}
 
+	# How a trainer battles: alone in a single or double battle, or with a partner in a tag battle
+	enum BattleType {
+		Singles
+		Doubles
+		Tag
+	}
+
+	# A trainer of a generation's sets, with its metadata
+	type Trainer {
+		# A stable id made from the trainer's name, e.g. "leaderroxanne"
+		id: String!
+		# Where the trainer comes in the game's order, counting from 0
+		index: Int!
+		# The trainer's name as it is in the sets, e.g. "Elite Four SidneyDouble"
+		name: String!
+		displayName: String!
+		# Whether it's the double battle rematch of a trainer, the ones with names ending in Double
+		isDouble: Boolean!
+		location: String
+		# The badge the trainer comes before, 1 for the trainers up to and including the first gym leader
+		split: Int
+		# The highest level the player's Pokémon can be when fighting the trainer
+		levelCap: Int
+		mandatory: Boolean!
+		battleType: BattleType!
+		team: [TrainerPokemonSet!]!
+	}
+
+	# What to filter the trainers by, where every field given has to match
+	input TrainerFilterInput {
+		# The trainers matching the name exactly or by every word of it, e.g. "Sidney"
+		name: String
+		location: String
+		split: Int
+		# The trainers with this level cap or a lower one
+		levelCap: Int
+		mandatory: Boolean
+		battleType: BattleType
+	}
+
+	# A score the trainer AI can give a move, with the chance of it giving that score
+	type AIScore {
+		score: Int!
+		chance: Float!
+	}
+
+	type AIMoveScore {
+		moveName: String!
+		# The chance of the AI choosing the move
+		chance: Float!
+		scores: [AIScore!]!
+		# Why the move scores the way it does, e.g. "highest damage" or "fast kill"
+		reasons: [String!]!
+		damageRange: [Int!]!
+	}
+
+	type TrainerMovePrediction {
+		attacker: PokemonSummary!
+		defender: PokemonSummary!
+		moves: [AIMoveScore!]!
+		# The move the AI is the most likely to choose
+		likelyMove: String!
+		# Whether pokemon1 is faster and can KO the trainer's Pokémon
+		threatened: Boolean!
+		text: String!
+	}
+
 	type Query {
 		calculateDamage(options: CalculateDamageInput!): CalculationResult!
+		# Predict which of the trainer's Pokémon's (pokemon2) moves the trainer AI uses on pokemon1
+		predictTrainerMove(options: PredictTrainerMoveInput!): TrainerMovePrediction!
 		# NEW QUERY: Get a list of Pokémon sets for a given trainer in a specific generation
 		getTrainerPokemonSets(
 			generation: Int!
 			trainerName: String!
 		): [TrainerPokemonSet!]!
+		# Get the trainers of a specific generation in the game's order, with their metadata
+		getTrainers(generation: Int!, filter: TrainerFilterInput): [Trainer!]!
 	}
 `;
 
+/**
+ * Helper to turn a Pokémon of a trainer's team from the trainer database into a TrainerPokemonSet.
+ * @param {object} pokemon - The Pokémon, with its species, the name of its set and the set.
+ * @returns {object} The TrainerPokemonSet.
+ */
+function getTrainerPokemonSet({ species, setName, set }) {
+	return {
+		speciesName: species,
+		setName: setName,
+		level: set.level,
+		ability: set.ability || "N/A", // Default if not present
+		item: set.item || "N/A", // Default if not present
+		nature: set.nature || "Serious", // Default if not present
+		// Sets use the short forms of the stats (e.g. 'sp' for Speed)
+		ivs: { ...defaultIVs, ...normalizeStats(set.ivs || {}) },
+		evs: { ...defaultEVs, ...normalizeStats(set.evs || {}) },
+		moves: set.moves || [], // Default to empty array if no moves
+	};
+}
+
 // Resolvers define how to fetch the types defined in your schema
 const resolvers = {
 	Query: {
@@ -408,16 +639,8 @@ const resolvers = {
 			const pokemon2Options = getPokemonOptions(gen.num, options.pokemon2);
 
 			// Create Pokemon instances
-			const pokemon1 = new Pokemon(
-				gen,
-				pokemon1Options.name,
-				pokemon1Options,
-			);
-			const pokemon2 = new Pokemon(
-				gen,
-				pokemon2Options.name,
-				pokemon2Options,
-			);
+			const pokemon1 = createPokemon(gen, pokemon1Options, options.strict);
+			const pokemon2 = createPokemon(gen, pokemon2Options, options.strict);
 
 			const results = {
 				generation: gen.num,
@@ -465,6 +688,13 @@ const resolvers = {
 							fieldP1toP2,
 							true,
 						),
+						koChanceIncludingCrits: getCritWeightedKOChance(
+							gen,
+							pokemon1,
+							pokemon2,
+							moveName,
+							fieldP1toP2,
+						),
 					});
 				}
 				results.pokemon1AttackingPokemon2 = {
@@ -509,6 +739,13 @@ const resolvers = {
 							fieldP2toP1,
 							true,
 						),
+						koChanceIncludingCrits: getCritWeightedKOChance(
+							gen,
+							pokemon2,
+							pokemon1,
+							moveName,
+							fieldP2toP1,
+						),
 					});
 				}
 				results.pokemon2AttackingPokemon1 = {
@@ -528,6 +765,47 @@ const resolvers = {
 			return results;
 		},
 
+		predictTrainerMove: (parent, { options }) => {
+			const gen = Generations.get(options.generation || 8);
+			const pokemon1 = createPokemon(gen, getPokemonOptions(gen.num, options.pokemon1), options.strict);
+			const pokemon2 = createPokemon(gen, getPokemonOptions(gen.num, options.pokemon2), options.strict);
+			// The trainer's Pokémon is the one attacking
+			const field = new Field({
+				...options.field,
+				attackerSide: options.field?.pokemon2Side || {},
+				defenderSide: options.field?.pokemon1Side || {},
+			});
+			const summarize = (pokemon) => ({
+				name: pokemon.name,
+				level: pokemon.level,
+				ability: pokemon.ability || "N/A",
+				item: pokemon.item || "N/A",
+			});
+
+			let prediction;
+			try {
+				prediction = predictMove(gen, pokemon2, pokemon1, field);
+			} catch (error) {
+				throw new GraphQLError(error.message, {
+					extensions: { code: "BAD_USER_INPUT" },
+				});
+			}
+			return {
+				attacker: summarize(pokemon2),
+				defender: summarize(pokemon1),
+				moves: prediction.moves.map((move) => ({
+					moveName: move.move.name,
+					chance: move.chance,
+					scores: move.scores,
+					reasons: move.reasons,
+					damageRange: move.result.range(),
+				})),
+				likelyMove: prediction.choice.move.name,
+				threatened: prediction.threatened,
+				text: prediction.text,
+			};
+		},
+
 		// NEW RESOLVER: getTrainerPokemonSets
 		getTrainerPokemonSets: (parent, { generation, trainerName }) => {
 			const setdex = SETDEX_BY_GEN[generation];
@@ -537,43 +815,38 @@ const resolvers = {
 				);
 			}
 
+			// The teams of every trainer matching the name, e.g. both of Sidney's battles for "Sidney"
 			const trainerPokemonList = [];
-			// Use a more flexible regex for trainer name to match various forms (e.g., "Fisherman Elliot" matches "Fisherman Elliot", "Elliot")
-			const trainerNameRegex = new RegExp(
-				`\\b${trainerName.replace(/[-\/\\^$*+?.()|[\]{}]/g, "\\$&")}\\b`,
-				"i",
-			);
-
-			for (const speciesName in setdex) {
-				const speciesSets = setdex[speciesName];
-				for (const setName in speciesSets) {
-					const currentSet = speciesSets[setName];
-
-					// Check if the set name or an explicit 'trainer' field contains the trainerName
-					// The 'trainer' field is not consistently present, so we prioritize matching in setName
-					if (
-						trainerNameRegex.test(setName) ||
-						(currentSet.trainer &&
-							trainerNameRegex.test(currentSet.trainer))
-					) {
-						trainerPokemonList.push({
-							speciesName: speciesName,
-							setName: setName,
-							level: currentSet.level,
-							ability: currentSet.ability || "N/A", // Default if not present
-							item: currentSet.item || "N/A", // Default if not present
-							nature: currentSet.nature || "Serious", // Default if not present
-							ivs: currentSet.ivs || defaultIVs, // Default if not present
-							evs: currentSet.evs || defaultEVs, // Default if not present
-							moves: currentSet.moves || [], // Default to empty array if no moves
-						});
-					}
-				}
+			for (const trainer of TRAINERS_BY_GEN[generation].find(trainerName)) {
+				trainerPokemonList.push(...trainer.team.map(getTrainerPokemonSet));
 			}
 
 			// Return the list (can be empty if no sets found, which is GraphQL idiomatic for lists)
 			return trainerPokemonList;
 		},
+
+		getTrainers: (parent, { generation, filter = {} }) => {
+			const trainers = TRAINERS_BY_GEN[generation];
+			if (!trainers) {
+				throw new Error(
+					`Pokémon set data not found for Generation ${generation}.`,
+				);
+			}
+
+			// GraphQL passes the fields left out of the filter as null
+			const { name, ...metadata } = filter || {};
+			for (const key in metadata) {
+				if (metadata[key] === null) delete metadata[key];
+			}
+			const named = name == null ? undefined : trainers.find(name);
+			return trainers
+				.filter(metadata)
+				.filter((trainer) => !named || named.includes(trainer))
+				.map((trainer) => ({
+					...trainer,
+					team: trainer.team.map(getTrainerPokemonSet),
+				}));
+		},
 	},
 };
 
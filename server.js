@@ -24,7 +24,8 @@ app.get("/calculate",(req, res, next) => {
 		new calc.Move(gen, req.body.moveName),
 		new calc.Field((typeof req.body.field === 'undefined') ? undefined : req.body.field)
 	);
-	res.json(result);
+	// The versioned JSON of the result rather than its whole object graph
+	res.json(result.toJSON());
 })
 
 app.use(express.static('dist'))
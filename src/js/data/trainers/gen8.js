@@ -0,0 +1,364 @@
+var TRAINER_DATA_SS = {
+"Youngster Calvin":{"split": 1, "levelCap": 21},
+"Bug Catcher Rick":{"split": 1, "levelCap": 21},
+"Youngster Allen":{"split": 1, "levelCap": 21},
+"Lass Tiana":{"split": 1, "levelCap": 21},
+"Triathlete Mikey":{"split": 1, "levelCap": 21},
+"Fisherman Darian":{"split": 1, "levelCap": 21},
+"Lady Cindy":{"split": 1, "levelCap": 21},
+"Team Aqua Grunt Petalburg Woods":{"location": "Petalburg Woods", "split": 1, "levelCap": 21},
+"Fisherman Elliot":{"split": 1, "levelCap": 21},
+"Ruin Maniac Georgie":{"split": 1, "levelCap": 21},
+"Tuber Chandler":{"split": 1, "levelCap": 21},
+"Tuber Lola":{"split": 1, "levelCap": 21},
+"Sailor Edmond":{"split": 1, "levelCap": 21},
+"Fisherman Bill":{"split": 1, "levelCap": 21},
+"Tuber Ricky":{"split": 1, "levelCap": 21},
+"Tuber Hailey":{"split": 1, "levelCap": 21},
+"Camper Gavi":{"split": 1, "levelCap": 21},
+"Team Aqua Grunt Museum #1":{"location": "Oceanic Museum", "split": 1, "levelCap": 21},
+"Team Aqua Grunt Museum #2":{"location": "Oceanic Museum", "split": 1, "levelCap": 21},
+"Battle Girl Laura":{"split": 1, "levelCap": 21},
+"Sailor Brenden":{"split": 1, "levelCap": 21},
+"Battle Girl Lilith":{"split": 1, "levelCap": 21},
+"Black Belt Cristian":{"split": 1, "levelCap": 21},
+"Black Belt Takao":{"split": 1, "levelCap": 21},
+"Battle Girl Jocelyn":{"split": 1, "levelCap": 21},
+"Leader Brawly":{"location": "Dewford Town", "split": 1, "levelCap": 21, "mandatory": true},
+"Bug Catcher Lyle":{"split": 2, "levelCap": 25},
+"Bug Maniac James":{"split": 2, "levelCap": 25},
+"Rich Boy Winston":{"split": 2, "levelCap": 25},
+"Fisherman Ivan":{"split": 2, "levelCap": 25},
+"Twins Gina And Mia":{"split": 2, "levelCap": 25, "battleType": "Doubles"},
+"Lass Haley":{"split": 2, "levelCap": 25},
+"Youngster Joey":{"split": 2, "levelCap": 25},
+"Lass Janice":{"split": 2, "levelCap": 25},
+"Rich Boy Dawson":{"split": 2, "levelCap": 25},
+"School Kid Jerry & Johnson":{"split": 2, "levelCap": 25, "battleType": "Doubles"},
+"Bug Catcher Jose":{"split": 2, "levelCap": 25},
+"Lady Sarah":{"split": 2, "levelCap": 25},
+"School Kid Karen":{"split": 2, "levelCap": 25},
+"Hiker Clark":{"split": 2, "levelCap": 25},
+"Hiker Devan":{"split": 2, "levelCap": 25},
+"Youngster Josh":{"split": 2, "levelCap": 25},
+"Youngster Tommy":{"split": 2, "levelCap": 25},
+"Hiker Marc":{"split": 2, "levelCap": 25},
+"Leader Roxanne":{"location": "Rustboro City", "split": 2, "levelCap": 25, "mandatory": true},
+"Hiker Mike":{"split": 3, "levelCap": 35},
+"Breeder Lydia":{"split": 3, "levelCap": 35},
+"Breeder Corgi":{"split": 3, "levelCap": 35},
+"Psychic Brandi & Aisha":{"split": 3, "levelCap": 35, "battleType": "Doubles"},
+"Battle Girl Luna":{"split": 3, "levelCap": 35},
+"Triathlete Dylan":{"split": 3, "levelCap": 35},
+"Triathlete Maria":{"split": 3, "levelCap": 35},
+"Breeder Isaac":{"split": 3, "levelCap": 35},
+"Sr. And Jr. Anna And Meg":{"split": 3, "levelCap": 35, "battleType": "Doubles"},
+"Trainer Chelle Daycare":{"split": 3, "levelCap": 35},
+"Camper Tyron & Celina":{"split": 3, "levelCap": 35, "battleType": "Doubles"},
+"Picnicker Bianca":{"split": 3, "levelCap": 35},
+"Kindler Hayden":{"split": 3, "levelCap": 35},
+"Fisherman Dale":{"split": 3, "levelCap": 35},
+"Psychic Edward":{"split": 3, "levelCap": 35},
+"Guitarist Kirk":{"split": 3, "levelCap": 35},
+"Battle Girl Vivian":{"split": 3, "levelCap": 35},
+"Youngster Ben":{"split": 3, "levelCap": 35},
+"Guitarist Shawn & Angelo":{"split": 3, "levelCap": 35, "battleType": "Doubles"},
+"Leader Wattson":{"location": "Mauville City", "split": 3, "levelCap": 35, "mandatory": true},
+"Psychic Jaclyn":{"split": 4, "levelCap": 42},
+"Triathlete Abigail":{"split": 4, "levelCap": 42},
+"Triathlete Anthony":{"split": 4, "levelCap": 42},
+"Triathlete Alyssa":{"split": 4, "levelCap": 42},
+"Triathlete Benjamin":{"split": 4, "levelCap": 42},
+"Triathlete Jacob":{"split": 4, "levelCap": 42},
+"Triathlete Jasmine":{"split": 4, "levelCap": 42},
+"Trainer Rival Cycling Road Sceptile":{"location": "Cycling Road", "split": 4, "levelCap": 42, "mandatory": true},
+"Trainer Rival Cycling Road Blaziken":{"location": "Cycling Road", "split": 4, "levelCap": 42, "mandatory": true},
+"Trainer Rival Cycling Road Swampert":{"location": "Cycling Road", "split": 4, "levelCap": 42, "mandatory": true},
+"Pokéfan Isabel & Kaleb":{"split": 4, "levelCap": 42, "battleType": "Doubles"},
+"Guitarist Brian":{"split": 4, "levelCap": 42},
+"Collector Edwin":{"split": 4, "levelCap": 42},
+"Black Belt Rhett & Marcos":{"split": 4, "levelCap": 42, "battleType": "Doubles"},
+"Pokéfan Miguel":{"split": 4, "levelCap": 42},
+"Aroma Lady Daisy":{"split": 4, "levelCap": 42},
+"Twins Amy And Liv":{"split": 4, "levelCap": 42, "battleType": "Doubles"},
+"Fisherman Andrew":{"split": 4, "levelCap": 42},
+"Cool Trainer Mary":{"split": 4, "levelCap": 42},
+"Cool Trainer Randall":{"split": 4, "levelCap": 42},
+"Cool Trainer George":{"split": 4, "levelCap": 42},
+"Cool Trainer Alexia":{"split": 4, "levelCap": 42},
+"Cool Trainer Parker":{"split": 4, "levelCap": 42},
+"Cool Trainer Berke":{"split": 4, "levelCap": 42},
+"Cool Trainer Jody":{"split": 4, "levelCap": 42},
+"Leader Norman":{"location": "Petalburg City", "split": 4, "levelCap": 42, "mandatory": true},
+"Winstrate Victor":{"split": 5, "levelCap": 58},
+"Winstrate Victoria":{"split": 5, "levelCap": 58},
+"Winstrate Vivi":{"split": 5, "levelCap": 58},
+"Winstrate Vicky":{"split": 5, "levelCap": 58},
+"Picnicker Irene":{"split": 5, "levelCap": 58},
+"Camper Travis":{"split": 5, "levelCap": 58},
+"Ruin Maniac Bryan & Celia":{"split": 5, "levelCap": 58, "battleType": "Doubles"},
+"Camper Branden":{"split": 5, "levelCap": 58},
+"Collector John":{"split": 5, "levelCap": 58},
+"Camper Beau":{"split": 5, "levelCap": 58},
+"Ninja Boy Jinra":{"split": 5, "levelCap": 58},
+"Ruin Maniac Rigger":{"split": 5, "levelCap": 58},
+"Camper Drew":{"split": 5, "levelCap": 58},
+"Cool Trainer Wilton":{"split": 5, "levelCap": 58},
+"Black Belt Daisuke":{"split": 5, "levelCap": 58},
+"Cool Trainer Brooke":{"split": 5, "levelCap": 58},
+"Pokémaniac Wyatt":{"split": 5, "levelCap": 58},
+"Ninja Boy Lao":{"split": 5, "levelCap": 58},
+"Picnicker Sophie":{"split": 5, "levelCap": 58},
+"Ninja Boy Lung":{"split": 5, "levelCap": 58},
+"Rich Boy Santos":{"split": 5, "levelCap": 58},
+"Twins Tori And Tia":{"split": 5, "levelCap": 58, "battleType": "Doubles"},
+"Youngster Jaylen":{"split": 5, "levelCap": 58},
+"Bird Keeper Coby":{"split": 5, "levelCap": 58},
+"Parasol Lady Madeline":{"split": 5, "levelCap": 58},
+"Camper Lawrence":{"split": 5, "levelCap": 58},
+"Winstrate Vito Fallarbor":{"location": "Fallarbor Town", "split": 5, "levelCap": 58},
+"Picnicker Charlotte":{"split": 5, "levelCap": 58},
+"Rich Boy Braw":{"split": 5, "levelCap": 58},
+"Fisherman Nolan":{"split": 5, "levelCap": 58},
+"Fisherman Kai":{"split": 5, "levelCap": 58},
+"Fisherman Claude":{"split": 5, "levelCap": 58},
+"Kindler Bernie":{"split": 5, "levelCap": 58},
+"Picnicker Angelina":{"split": 5, "levelCap": 58},
+"Expert Nancy":{"split": 5, "levelCap": 58},
+"Sr. And Jr. Tyra And Ivy":{"split": 5, "levelCap": 58, "battleType": "Doubles"},
+"Pokémaniac Steve":{"split": 5, "levelCap": 58},
+"Hiker Lucas":{"split": 5, "levelCap": 58},
+"Hiker Lenny":{"split": 5, "levelCap": 58},
+"Black Belt Nob":{"split": 5, "levelCap": 58},
+"Battle Girl Cyndy":{"split": 5, "levelCap": 58},
+"Psychic Marlene":{"split": 5, "levelCap": 58},
+"Collector Hector":{"split": 5, "levelCap": 58},
+"Kindler Bryant & Shayla":{"split": 5, "levelCap": 58, "battleType": "Doubles"},
+"Camper Merc":{"split": 5, "levelCap": 58},
+"Hiker Trent":{"split": 5, "levelCap": 58},
+"Hiker Brice":{"split": 5, "levelCap": 58},
+"Picnicker Carol":{"split": 5, "levelCap": 58},
+"Magma Grunt Mt Chimney #2 & Grunt One":{"location": "Mt. Chimney", "split": 5, "levelCap": 58, "battleType": "Doubles"},
+"Magma Admin Tabitha Mt Chimney":{"location": "Mt. Chimney", "split": 5, "levelCap": 58, "mandatory": true},
+"Magma Leader Maxie Mt Chimney":{"location": "Mt. Chimney", "split": 5, "levelCap": 58, "mandatory": true},
+"Hiker Eric & Autumn":{"split": 5, "levelCap": 58, "battleType": "Doubles"},
+"Triathlete Julio":{"split": 5, "levelCap": 58},
+"Camper Ethan":{"split": 5, "levelCap": 58},
+"Picnicker Diana":{"split": 5, "levelCap": 58},
+"Kindler Jace":{"split": 5, "levelCap": 58},
+"Kindler Cole":{"split": 5, "levelCap": 58},
+"Cool Trainer Gerald":{"split": 5, "levelCap": 58},
+"Kindler Keegan":{"split": 5, "levelCap": 58},
+"Kindler Axle":{"split": 5, "levelCap": 58},
+"Kindler Jeff":{"split": 5, "levelCap": 58},
+"Battle Girl Danielle":{"split": 5, "levelCap": 58},
+"Hiker Eli":{"split": 5, "levelCap": 58},
+"Leader Flannery":{"location": "Lavaridge Town", "split": 5, "levelCap": 58, "mandatory": true},
+"Tuber Simon":{"split": 6, "levelCap": 70},
+"Beauty Johanna":{"split": 6, "levelCap": 70},
+"Sailor Dwayne":{"split": 6, "levelCap": 70},
+"Bird Keeper Josue & Andres":{"split": 6, "levelCap": 70, "battleType": "Doubles"},
+"Cool Trainer Carolina & Cory":{"split": 6, "levelCap": 70, "battleType": "Doubles"},
+"Ruin Maniac Garrison & Jani":{"split": 6, "levelCap": 70, "battleType": "Doubles"},
+"Swimmer♀ Rose & Deandre":{"split": 6, "levelCap": 70, "battleType": "Doubles"},
+"Fisherman Wade":{"split": 6, "levelCap": 70},
+"Fisherman Barny":{"split": 6, "levelCap": 70},
+"Guitarist Dalton":{"split": 6, "levelCap": 70},
+"Bird Keeper Perry & Chester":{"split": 6, "levelCap": 70, "battleType": "Doubles"},
+"Bug Maniac Taylor":{"split": 6, "levelCap": 70},
+"Bug Catcher Doug":{"split": 6, "levelCap": 70},
+"Fisherman Phil":{"split": 6, "levelCap": 70},
+"Ranger Lydian":{"split": 6, "levelCap": 70},
+"Bug Catcher Greg":{"split": 6, "levelCap": 70},
+"Bug Maniac Brent":{"split": 6, "levelCap": 70},
+"Expert Donald":{"split": 6, "levelCap": 70},
+"Ranger Catherine":{"split": 6, "levelCap": 70},
+"Ranger Jackson":{"split": 6, "levelCap": 70},
+"Bug Catcher Kent":{"split": 6, "levelCap": 70},
+"Ninja Boy Takashi & Dayton":{"split": 6, "levelCap": 70, "battleType": "Doubles"},
+"Bird Keeper Hugh":{"split": 6, "levelCap": 70},
+"Parasol Lady Koko":{"split": 6, "levelCap": 70},
+"Team Aqua Grunt Weather Inst #1":{"location": "Weather Institute", "split": 6, "levelCap": 70},
+"Team Aqua Grunt Weather Inst #2":{"location": "Weather Institute", "split": 6, "levelCap": 70},
+"Team Aqua Grunt Weather Inst #3":{"location": "Weather Institute", "split": 6, "levelCap": 70},
+"Aqua Grunt Weather Inst #4 & Grunt 5":{"location": "Weather Institute", "split": 6, "levelCap": 70, "battleType": "Doubles"},
+"Aqua Admin Shelly Weather Institute":{"location": "Weather Institute", "split": 6, "levelCap": 70, "mandatory": true},
+"Trainer Rival Bridge Sceptile":{"split": 6, "levelCap": 70, "mandatory": true},
+"Trainer Rival Bridge Blaziken":{"split": 6, "levelCap": 70, "mandatory": true},
+"Trainer Rival Bridge Swampert":{"split": 6, "levelCap": 70, "mandatory": true},
+"Ninja Boy Yasu & Fabian":{"split": 6, "levelCap": 70, "battleType": "Doubles"},
+"Ninja Boy Gren":{"split": 6, "levelCap": 70},
+"Parasol Lady Clarissa":{"split": 6, "levelCap": 70},
+"Bird Keeper Robert":{"split": 6, "levelCap": 70},
+"Expert Kevin":{"split": 6, "levelCap": 70},
+"Picnicker Ashley":{"split": 6, "levelCap": 70},
+"Camper Flint & Edwardo":{"split": 6, "levelCap": 70, "battleType": "Doubles"},
+"Bird Keeper Darius":{"split": 6, "levelCap": 70},
+"Bird Keeper Jared":{"split": 6, "levelCap": 70},
+"Leader Winona":{"location": "Fortree City", "split": 6, "levelCap": 70, "mandatory": true},
+"Bird Keeper Colin":{"split": 7, "levelCap": 86},
+"Cool Trainer Gian":{"split": 7, "levelCap": 86},
+"Cool Trainer Jennifer & Callie":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Parasol Lady Angelica":{"split": 7, "levelCap": 86},
+"Ranger Jenna":{"split": 7, "levelCap": 86},
+"Ranger Lorenzo":{"split": 7, "levelCap": 86},
+"Bug Maniac Jeffrey":{"split": 7, "levelCap": 86},
+"Ruin Maniac Chip":{"split": 7, "levelCap": 86},
+"Ninja Boy Keigo":{"split": 7, "levelCap": 86},
+"Ninja Boy Riley":{"split": 7, "levelCap": 86},
+"Cool Trainer Tammy & Cale":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Beauty Jessica":{"split": 7, "levelCap": 86},
+"Breeder Pat":{"split": 7, "levelCap": 86},
+"Breeder Myles":{"split": 7, "levelCap": 86},
+"Cool Trainer Gustavo":{"split": 7, "levelCap": 86},
+"Cool Trainer Cristin":{"split": 7, "levelCap": 86},
+"Young Couple Brian And Casey":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Gentleman Walter":{"split": 7, "levelCap": 86},
+"Pokéfan Vanessa":{"split": 7, "levelCap": 86},
+"Trainer Rival Lilycove Sceptile":{"location": "Lilycove City", "split": 7, "levelCap": 86, "mandatory": true},
+"Trainer Rival Lilycove Blaziken":{"location": "Lilycove City", "split": 7, "levelCap": 86, "mandatory": true},
+"Trainer Rival Lilycove Swampert":{"location": "Lilycove City", "split": 7, "levelCap": 86, "mandatory": true},
+"Young Couple Dez And Luke":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Hex Maniac Leah":{"split": 7, "levelCap": 86},
+"Pokémaniac Mark":{"split": 7, "levelCap": 86},
+"Psychic William":{"split": 7, "levelCap": 86},
+"Breeder Gabrielle":{"split": 7, "levelCap": 86},
+"Hex Maniac Tasha":{"split": 7, "levelCap": 86},
+"Black Belt Atsushi":{"split": 7, "levelCap": 86},
+"Hex Maniac Valerie":{"split": 7, "levelCap": 86},
+"Psychic Cedric":{"split": 7, "levelCap": 86},
+"Psychic Kayla":{"split": 7, "levelCap": 86},
+"Black Belt Zander":{"split": 7, "levelCap": 86},
+"Team Aqua Grunt Mt Pyre #1":{"location": "Mt. Pyre", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Mt Pyre #2":{"location": "Mt. Pyre", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Mt Pyre #3":{"location": "Mt. Pyre", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Mt Pyre #4":{"location": "Mt. Pyre", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Mt Pyre #5 & GruntMtPyre6":{"location": "Mt. Pyre", "split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Aqua Leader Archie Mt Pyre":{"location": "Mt. Pyre", "split": 7, "levelCap": 86, "mandatory": true},
+"Trainer Chelle Mt Pyre":{"location": "Mt. Pyre", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #1":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #2":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #3":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #4":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #5":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #6":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Magma Grunt Magma Hideout #7 & Grunt 8":{"location": "Magma Hideout", "split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Team Magma Grunt Magma Hideout #9":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #10":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #11":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #12":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #13":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout #4teen":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Team Magma Grunt Magma Hideout#15":{"location": "Magma Hideout", "split": 7, "levelCap": 86},
+"Magma Admin Tabitha Magma Hideout":{"location": "Magma Hideout", "split": 7, "levelCap": 86, "mandatory": true},
+"Magma Leader Maxie Magma Hideout":{"location": "Magma Hideout", "split": 7, "levelCap": 86, "mandatory": true},
+"Team Aqua Grunt Aqua Hideout #1":{"location": "Aqua Hideout", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Aqua Hideout #2":{"location": "Aqua Hideout", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Aqua Hideout #3":{"location": "Aqua Hideout", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Aqua Hideout #4":{"location": "Aqua Hideout", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Aqua Hideout #5":{"location": "Aqua Hideout", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Aqua Hideout #6":{"location": "Aqua Hideout", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Aqua Hideout #7":{"location": "Aqua Hideout", "split": 7, "levelCap": 86},
+"Team Aqua Grunt Aqua Hideout #8":{"location": "Aqua Hideout", "split": 7, "levelCap": 86},
+"Aqua Admin Matt Aqua Hideout":{"location": "Aqua Hideout", "split": 7, "levelCap": 86, "mandatory": true},
+"Swimmer♀ Grace & Declan":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Swimmer♂ Cranberry":{"split": 7, "levelCap": 86},
+"Triathlete Aubrey":{"split": 7, "levelCap": 86},
+"Bird Keeper Presley & Auron":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Sr. And Jr. Kim And Iris":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Psychic Preston & Maura":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Psychic Blake & Samantha":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Psychic Virgil & Nate":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Psychic Hannah & Sylvia":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Hex Maniac Kathleen & Nicholas":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Gentleman Clifford & Macey":{"split": 7, "levelCap": 86, "battleType": "Doubles"},
+"Leader Tate":{"location": "Mossdeep City", "split": 7, "levelCap": 86, "mandatory": true, "battleType": "Doubles"},
+"Leader Liza":{"location": "Mossdeep City", "split": 7, "levelCap": 86, "mandatory": true, "battleType": "Doubles"},
+"Team Magma Grunt Space Center #1":{"location": "Mossdeep Space Center", "split": 8, "levelCap": 93},
+"Team Magma Grunt Space Center #2":{"location": "Mossdeep Space Center", "split": 8, "levelCap": 93},
+"Team Magma Grunt Space Center #3":{"location": "Mossdeep Space Center", "split": 8, "levelCap": 93},
+"Magma Admin Courtney Space center":{"location": "Mossdeep Space Center", "split": 8, "levelCap": 93, "mandatory": true},
+"Team Magma Grunt Space Center #5":{"location": "Mossdeep Space Center", "split": 8, "levelCap": 93},
+"Team Magma Grunt Space Center #6":{"location": "Mossdeep Space Center", "split": 8, "levelCap": 93},
+"Team Magma Grunt Space Center #7":{"location": "Mossdeep Space Center", "split": 8, "levelCap": 93},
+"Magma Leader Maxie Space Center":{"location": "Mossdeep Space Center", "split": 8, "levelCap": 93, "mandatory": true, "battleType": "Tag"},
+"Magma Admin Tabitha Space Center":{"location": "Mossdeep Space Center", "split": 8, "levelCap": 93, "mandatory": true, "battleType": "Tag"},
+"Trainer Steven Space Center":{"location": "Mossdeep Space Center", "split": 8, "levelCap": 93, "mandatory": true, "battleType": "Tag"},
+"Sis And Bro Lila And Roy":{"split": 8, "levelCap": 93, "battleType": "Doubles"},
+"Swimmer♂ Dean":{"split": 8, "levelCap": 93},
+"Triathlete Pablo":{"split": 8, "levelCap": 93},
+"Bird Keeper Camden & Donny":{"split": 8, "levelCap": 93, "battleType": "Doubles"},
+"Bird Keeper Aidan & Athena":{"split": 8, "levelCap": 93, "battleType": "Doubles"},
+"Fisherman Roger & Koji":{"split": 8, "levelCap": 93, "battleType": "Doubles"},
+"Swimmer♀ Carlee & Harrison":{"split": 8, "levelCap": 93, "battleType": "Doubles"},
+"Team Aqua Grunt Seafloor Cavern #1":{"location": "Seafloor Cavern", "split": 8, "levelCap": 93},
+"Team Aqua Grunt Seafloor Cavern #2":{"location": "Seafloor Cavern", "split": 8, "levelCap": 93},
+"Team Aqua Grunt Seafloor Cavern #3":{"location": "Seafloor Cavern", "split": 8, "levelCap": 93},
+"Team Aqua Grunt Seafloor Cavern #4":{"location": "Seafloor Cavern", "split": 8, "levelCap": 93},
+"Team Aqua Grunt Seafloor Cavern #5":{"location": "Seafloor Cavern", "split": 8, "levelCap": 93},
+"Aqua Admin ShellySeafloorCavern":{"location": "Seafloor Cavern", "split": 8, "levelCap": 93, "mandatory": true},
+"Aqua Leader Archie Seafloor Cavern":{"location": "Seafloor Cavern", "split": 8, "levelCap": 93, "mandatory": true},
+"Swimmer♂ Reed":{"split": 8, "levelCap": 93},
+"Triathlete Chase & Allison":{"split": 8, "levelCap": 93, "battleType": "Doubles"},
+"Swimmer♀ Tisha":{"split": 8, "levelCap": 93},
+"Swimmer♂ Clarence":{"split": 8, "levelCap": 93},
+"Swimmer♂ Rodney":{"split": 8, "levelCap": 93},
+"Swimmer♀ Katie":{"split": 8, "levelCap": 93},
+"Swimmer♂ Zappator":{"split": 8, "levelCap": 93},
+"Triathlete Xayah":{"split": 8, "levelCap": 93},
+"Sis And Bro Reli And Ian":{"split": 8, "levelCap": 93, "battleType": "Doubles"},
+"Swimmer♂ Herman":{"split": 8, "levelCap": 93},
+"Expert Mollie & Conor":{"split": 8, "levelCap": 93, "battleType": "Doubles"},
+"Lass Andrea & Connie":{"split": 8, "levelCap": 93, "battleType": "Doubles"},
+"Beauty Bridget":{"split": 8, "levelCap": 93},
+"Lady Daphne":{"split": 8, "levelCap": 93},
+"Pokéfan Bethany":{"split": 8, "levelCap": 93},
+"Lass Crissy":{"split": 8, "levelCap": 93},
+"Lady Brianna":{"split": 8, "levelCap": 93},
+"Lass Pearl":{"split": 8, "levelCap": 93},
+"Beauty Tiffany & Olivia":{"split": 8, "levelCap": 93, "battleType": "Doubles"},
+"Leader Juan":{"location": "Sootopolis City", "split": 8, "levelCap": 93, "mandatory": true},
+"Trainer Wally VR":{"location": "Victory Road", "split": 9, "levelCap": 100, "mandatory": true},
+"Cool Trainer Hope & Albert":{"split": 9, "levelCap": 100, "battleType": "Doubles"},
+"Cool Trainer Katelynn":{"split": 9, "levelCap": 100},
+"Cool Trainer Quincy":{"split": 9, "levelCap": 100},
+"Cool Trainer Felix":{"split": 9, "levelCap": 100},
+"Cool Trainer Julie & Dianne":{"split": 9, "levelCap": 100, "battleType": "Doubles"},
+"Cool Trainer Samuel":{"split": 9, "levelCap": 100},
+"Cool Trainer Shannon":{"split": 9, "levelCap": 100},
+"Cool Trainer Caroline":{"split": 9, "levelCap": 100},
+"Cool Trainer Michelle":{"split": 9, "levelCap": 100},
+"Cool Trainer Specter":{"split": 9, "levelCap": 100},
+"Cool Trainer Edgar":{"split": 9, "levelCap": 100},
+"Triathlete Darren":{"split": 9, "levelCap": 100},
+"Cool Trainer Halle":{"split": 9, "levelCap": 100},
+"Winstrate Vito VR":{"location": "Victory Road", "split": 9, "levelCap": 100},
+"Pokémaniac Hambino":{"split": 9, "levelCap": 100},
+"Cool Trainer Wendy & Braxton":{"split": 9, "levelCap": 100, "battleType": "Doubles"},
+"Ninja Boy Jonas & Fredrick":{"split": 9, "levelCap": 100, "battleType": "Doubles"},
+"Hex Maniac Gongas":{"split": 9, "levelCap": 100},
+"Twins Miu And Yuki":{"split": 9, "levelCap": 100, "battleType": "Doubles"},
+"Bug Catcher Davis":{"split": 9, "levelCap": 100},
+"Psychic Jacki & Alberto":{"split": 9, "levelCap": 100, "battleType": "Doubles"},
+"Black Belt Hawk":{"split": 9, "levelCap": 100},
+"Guitarist Fernando & Jazmyn":{"split": 9, "levelCap": 100, "battleType": "Doubles"},
+"Psychic Cameron & Kindra":{"split": 9, "levelCap": 100, "battleType": "Doubles"},
+"Old Couple John And Jay":{"split": 9, "levelCap": 100, "battleType": "Doubles"},
+"Dragon Tamer Nicolas":{"split": 9, "levelCap": 100},
+"Triathlete Kyra":{"split": 9, "levelCap": 100},
+"Battle Girl Helene":{"split": 9, "levelCap": 100},
+"Ninja Boy Jack":{"split": 9, "levelCap": 100},
+"Psychic Alix":{"split": 9, "levelCap": 100},
+"Black Belt Koichi":{"split": 9, "levelCap": 100},
+"Expert Timothy":{"split": 9, "levelCap": 100},
+"Dumbass Soupercell":{"split": 9, "levelCap": 100},
+"Elite Four Sidney":{"location": "Ever Grande City", "split": 9, "levelCap": 100, "mandatory": true},
+"Elite Four SidneyDouble":{"location": "Ever Grande City", "split": 9, "levelCap": 100},
+"Elite Four Phoebe":{"location": "Ever Grande City", "split": 9, "levelCap": 100, "mandatory": true},
+"Elite Four PhoebeDouble":{"location": "Ever Grande City", "split": 9, "levelCap": 100},
+"Elite Four Glacia":{"location": "Ever Grande City", "split": 9, "levelCap": 100, "mandatory": true},
+"Elite Four GlaciaDouble":{"location": "Ever Grande City", "split": 9, "levelCap": 100},
+"Elite Four Drake":{"location": "Ever Grande City", "split": 9, "levelCap": 100, "mandatory": true},
+"Elite Four DrakeDouble":{"location": "Ever Grande City", "split": 9, "levelCap": 100},
+"Champion Wallace":{"location": "Ever Grande City", "split": 9, "levelCap": 100, "mandatory": true},
+};
@@ -18,7 +18,8 @@ for (var i = 0; i < 4; i++) {
 	});
 	resultLocations[1].push({
 		"move": "#resultMoveR" + (i + 1),
-		"damage": "#resultDamageR" + (i + 1)
+		"damage": "#resultDamageR" + (i + 1),
+		"ai": "#resultAIR" + (i + 1)
 	});
 	resultLocations[2].push({
 		"move": "#resultMove2L" + (i + 1),
@@ -26,10 +27,15 @@ for (var i = 0; i < 4; i++) {
 	});
 	resultLocations[3].push({
 		"move": "#resultMove2R" + (i + 1),
-		"damage": "#resultDamage2R" + (i + 1)
+		"damage": "#resultDamage2R" + (i + 1),
+		"ai": "#resultAI2R" + (i + 1)
 	});
 }
 
+// Technically the order should be random in a speed tie, but this non-determinism makes manual testing more difficult.
+// Following some demands, the speed tie will be shown in favor of the adversary
+var speedTie = "defender";
+
 var damageResults;
 /*
 	@pP2 potential player 2
@@ -56,7 +62,6 @@ function performCalculations(pP2, double) {
 	} catch (e) {
 
 	}
-	var fastestSide = p1.stats.spe > p2.stats.spe ? 0 : p1.stats.spe === p2.stats.spe ? "tie" : 1;
 
 	var result, maxDamage;
 	var bestResult;
@@ -89,21 +94,22 @@ function performCalculations(pP2, double) {
 		});
 		$(resultLocations[1 + double][i].move + " + label").text(p2.moves[i].name.replace("Hidden Power", "HP"));
 		$(resultLocations[1 + double][i].damage).text(result.moveDesc(notation));
-
-		// BOTH
-		var bestMove;
-		if (fastestSide === "tie") {
-			// Technically the order should be random in a speed tie, but this non-determinism makes manual testing more difficult.
-			// battling.sort(function () { return 0.5 - Math.random(); });
-			// Following some demands, the speed tie will be shown in favor of the adversary
-			bestMove = battling[0].maxDamages[0].moveOrder;
-			var chosenPokemon = battling[0] === p2 ? 0 : 1;
-			bestResult = $(resultLocations[chosenPokemon + double][bestMove].move);
-		} else {
-			bestMove = battling[fastestSide].maxDamages[0].moveOrder;
-			bestResult = $(resultLocations[fastestSide + double][bestMove].move);
-		}
 	}
+	showTrainerAI(p2, p1, p2field, resultLocations[1 + double]);
+	if (!double) showSwitchIn(p1, p2field);
+	// BOTH
+	var p1Move = p1.moves[p1.maxDamages[0].moveOrder];
+	var p2Move = p2.moves[p2.maxDamages[0].moveOrder];
+	// How much HP each side needs to survive the other's strongest move
+	var p1Survival = damageResults[1 + double][p2.maxDamages[0].moveOrder].survivalHP();
+	var p2Survival = damageResults[0 + double][p1.maxDamages[0].moveOrder].survivalHP();
+	p1info.find(".survival-hp").text(p2Move.name + ": " + p1Survival.text);
+	p2info.find(".survival-hp").text(p1Move.name + ": " + p2Survival.text);
+	var turnOrder = calc.getTurnOrder(gen, p1, p2, p1Move, p2Move, p1field, speedTie);
+	// Show the move of whoever is more likely to move first
+	var fastestSide = turnOrder.chance > 0.5 ? 0 : 1;
+	var bestMove = battling[fastestSide].maxDamages[0].moveOrder;
+	bestResult = $(resultLocations[fastestSide + double][bestMove].move);
 	if ($('.locked-move').length) {
 		bestResult = $('.locked-move');
 	} else {
@@ -120,6 +126,89 @@ function performCalculations(pP2, double) {
 	bestResult.change();
 }
 
+// Shows how likely the trainer AI is to choose each of Pokémon 2's moves against Pokémon 1
+function showTrainerAI(p2, p1, p2field, locations) {
+	var prediction;
+	try {
+		prediction = calc.predictMove(gen, withMoveNames(p2), withMoveNames(p1), p2field);
+	} catch (e) {
+		$(locations.map(function (location) { return location.ai; }).join(", ")).text("").attr("title", "");
+		return;
+	}
+	for (var i = 0; i < locations.length; i++) {
+		var move = prediction.moves[i];
+		$(locations[i].ai)
+			.text("AI " + Math.round(move.chance * 100) + "%")
+			.attr("title", "The chance of the trainer AI choosing " + move.move.name +
+				(move.reasons.length ? " (" + move.reasons.join(", ") + ")" : ""));
+	}
+}
+
+// Ranks the rest of the opposing team by which of them the trainer AI sends in if Pokémon 2 faints
+function showSwitchIn(p1, p2field) {
+	var output = $("#switch-in-prediction");
+	if (!output.length) return;
+	var active = $("#p2").find("input.set-selector").val();
+	var party = [];
+	$("#trainer-pok-list-opposing").children().each(function () {
+		var set = $(this).attr("data-id");
+		if (set !== active) party.push(withMoveNames(createPokemon(set)));
+	});
+	if (!party.length) {
+		output.text("");
+		return;
+	}
+	var prediction;
+	try {
+		prediction = calc.predictSwitchIn(gen, party, withMoveNames(p1), p2field);
+	} catch (e) {
+		output.text("");
+		return;
+	}
+	output.text("Next in if it faints: " + prediction.text);
+}
+
+// Plans a line for the Team against the whole opposing team, step by step with the risk of each
+function showFightPlan() {
+	var output = $("#fight-plan");
+	var party = [];
+	$("#team-poke-list").children().each(function () {
+		party.push(withMoveNames(createPokemon($(this).attr("data-id"))));
+	});
+	var team = [];
+	$("#trainer-pok-list-opposing").children().each(function () {
+		team.push(withMoveNames(createPokemon($(this).attr("data-id"))));
+	});
+	if (!party.length || !team.length) {
+		output.text("Drag your Pokémon into the Team and pick a trainer to plan a fight.");
+		return;
+	}
+	var plan;
+	try {
+		plan = calc.planFight(gen, party, team, createField());
+	} catch (e) {
+		output.text("Couldn't plan the fight: " + e.message);
+		return;
+	}
+	var summary = plan.win ? "Win" : "Loss";
+	if (plan.fainted.length) {
+		summary += ", losing " + plan.fainted.map(function (pokemon) {
+			return pokemon.name;
+		}).join(", ");
+	}
+	summary += " (" + Math.round(plan.chance * 1000) / 10 + "% chance of going to plan)";
+	output.text(summary + "\n" + plan.text);
+}
+
+// The calc's Pokémon take the names of their moves, where the UI gives them the moves themselves
+function withMoveNames(pokemon) {
+	var copy = pokemon.clone();
+	copy.moves = pokemon.moves.map(function (move) {
+		return move.originalName;
+	});
+	return copy;
+}
+
 function calculationsColors(p1info, p2) {
 	if (!p2) {
 		var p2info = $("#p2");
@@ -134,15 +223,12 @@ function calculationsColors(p1info, p2) {
 	p2 = damageResults[1][0].attacker;
 	p1.maxDamages = [];
 	p2.maxDamages = [];
-	var p1s = p1.stats.spe;
-	var p2s = p2.stats.spe;
-	//Faster Tied Slower
-	var fastest = p1s > p2s ? "F" : p1s < p2s ? "S" : p1s === p2s ? "T" : undefined;
 	var result, highestRoll, lowestRoll, damage = 0;
 	//goes from the most optimist to the least optimist
 	var p1KO = 0, p2KO = 0;
 	//Highest damage
 	var p1HD = 0, p2HD = 0;
+	var p1Best = 0, p2Best = 0;
 	for (var i = 0; i < 4; i++) {
 		// P1
 		result = damageResults[0][i];
@@ -153,6 +239,7 @@ function calculationsColors(p1info, p2) {
 		highestRoll = damage * p1.moves[i].hits / p2.stats.hp * 100;
 		if (highestRoll > p1HD) {
 			p1HD = highestRoll;
+			p1Best = i;
 		}
 		if (lowestRoll >= 100) {
 			p1KO = 1;
@@ -174,6 +261,7 @@ function calculationsColors(p1info, p2) {
 		highestRoll = damage * p2.moves[i].hits / p1.stats.hp * 100;
 		if (highestRoll > p2HD) {
 			p2HD = highestRoll;
+			p2Best = i;
 		}
 		if (lowestRoll >= 100) {
 			p2KO = 4;
@@ -185,6 +273,9 @@ function calculationsColors(p1info, p2) {
 			}
 		}
 	}
+	//Faster Tied Slower, where a tie is any order that isn't certain
+	var turnOrder = calc.getTurnOrder(gen, p1, p2, p1.moves[p1Best], p2.moves[p2Best], p1field);
+	var fastest = turnOrder.chance === 1 ? "F" : turnOrder.chance === 0 ? "S" : "T";
 	// Checks if the pokemon walls it
 	// i wouldn't mind change this algo for a smarter one.
 
@@ -214,6 +305,7 @@ $(".result-move").change(function (ev) {
 			if (desc.indexOf('--') === -1) desc += ' -- possibly the worst move ever';
 			$("#mainResult").text(desc);
 			$("#damageValues").text("Possible damage amounts: (" + displayDamageHits(result.damage) + ")");
+			$("#sweepResult").text($("#sweepUnknowns").prop("checked") ? sweepUnknowns(ev.target, result) : "");
 		}
 	}
 });
@@ -229,6 +321,16 @@ $(".result-move2").change(function (ev) {
 		}
 	}
 });
+// Pokémon 2 is the one whose set isn't known, whichever way the move goes
+function sweepUnknowns(resultMoveObj, result) {
+	var side = resultMoveObj.getAttribute("id").indexOf("R") !== -1 ? "attacker" : "defender";
+	var natures = $("#p2 .nature option").map(function () {
+		return $(this).val();
+	}).get();
+	var sweep = calc.sweep(gen, result.attacker, result.defender, result.move, result.field, side, {natures: natures});
+	return "Unknown set: " + sweep.text;
+}
+
 function displayDamageHits(damage) {
 	// Fixed Damage
 	if (typeof damage === 'number') return damage;
@@ -432,6 +534,7 @@ $(document).ready(function () {
 	$(".save-trigger").bind("change keyup", saveTrigger);
 	$(".ic").click(calcTrigger);
 	$(".ic").click(saveTrigger);
+	$("#plan-fight").click(showFightPlan);
 	//performCalculations(); i think it's no longer usefull
 });
 
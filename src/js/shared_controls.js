@@ -463,14 +463,10 @@ function isMonFromCurrentTrainer(current, neew) {
 		return false
 	}
 }
-var nextTrainerId = 1;
-var previousTrainerId = 1;
 // auto-update set details on select top bar pokemon
 $(".set-selector").change(function () {
 	window.NO_CALC = true;
 	var fullSetName = $(this).val();
-	var nextTrainer = "";
-	var monNumbers = 0
 	if ($(this).hasClass('opposing')) {
 		topPokemonIcon(fullSetName, $("#p2mon")[0])
 		var currentTrainerMon = document.getElementsByClassName('opposite-pok')[0]
@@ -480,7 +476,6 @@ $(".set-selector").change(function () {
 		}else{
 			CURRENT_TRAINER_POKS = get_trainer_poks(fullSetName)
 			var next_poks = CURRENT_TRAINER_POKS.sort(sortmons)
-			monNumbers = next_poks.length;
 			var frag = new DocumentFragment();
 			$('.trainer-pok-list-opposing').html('');
 			for (i in next_poks) {
@@ -495,18 +490,10 @@ $(".set-selector").change(function () {
 				newPoke.className = "opposite-pok right-side";
 				newPoke.src = `https://raw.githubusercontent.com/May8th1995/sprites/master/${pok_name}.png`;
 				newPoke.title = `${next_poks[i]}, ${next_poks[i]} BP`;
-				nextTrainer=`${next_poks[i]}`
 				newPoke.dataset.id = `${CURRENT_TRAINER_POKS[i].split("]")[1]}`;
 				frag.append(newPoke);
 			}
 		}
-		if (nextTrainer){
-			let trainerId = nextTrainer.match(/^\[\d+/)[0].substring(1);
-			nextTrainerId = parseInt(trainerId) + 1;
-			previousTrainerId = nextTrainerId- monNumbers - 1 ;
-		}
-		
-		
 	} else {
 		topPokemonIcon(fullSetName, $("#p1mon")[0])
 	}
@@ -965,6 +952,8 @@ function createField() {
 	var isMagicRoom = $("#magicroom").prop("checked");
 	var isWonderRoom = $("#wonderroom").prop("checked");
 	var isGravity = $("#gravity").prop("checked");
+	var isTrickRoom = $("#trickroom").prop("checked");
+	var isInverse = $("#inverse").prop("checked");
 	var isSR = [$("#srL").prop("checked"), $("#srR").prop("checked")];
 	var weather;
 	var spikes;
@@ -1008,7 +997,7 @@ function createField() {
 	};
 	return new calc.Field({
 		gameType: gameType, weather: weather, terrain: terrain,
-		isMagicRoom: isMagicRoom, isWonderRoom: isWonderRoom, isGravity: isGravity,
+		isMagicRoom: isMagicRoom, isWonderRoom: isWonderRoom, isGravity: isGravity, isTrickRoom: isTrickRoom, isInverse: isInverse,
 		isBeadsOfRuin: isBeadsOfRuin, isTabletsOfRuin: isTabletsOfRuin,
 		isSwordOfRuin: isSwordOfRuin, isVesselOfRuin: isVesselOfRuin,
 		attackerSide: createSide(0), defenderSide: createSide(1)
@@ -1093,11 +1082,18 @@ var RANDDEX = [
 ];
 var gen, genWasChanged, notation, pokedex, setdex, randdex, typeChart, moves, abilities, items, calcHP, calcStat, GENERATION;
 
-TR_NAMES = get_trainer_names()
+// The trainers of the sets, in the game's order, with their location, split, level cap and so on
+var TRAINERS = new calc.TrainerDB(
+	typeof SETDEX_SS === 'undefined' ? {} : SETDEX_SS,
+	typeof TRAINER_DATA_SS === 'undefined' ? undefined : TRAINER_DATA_SS
+);
 
 $(".gen").change(function () {
 	/*eslint-disable */
 	gen = ~~$(this).val() || 8;
+	// A ROM hack's changes to the data of the generation, if a script defines any
+	var overlay = typeof DATA_OVERLAYS === 'undefined' ? undefined : DATA_OVERLAYS[gen];
+	calc.setOverlay(gen, overlay);
 	GENERATION = calc.Generations.get(gen);
 	var params = new URLSearchParams(window.location.search);
 	if (gen === 8) {
@@ -1118,13 +1114,14 @@ $(".gen").change(function () {
 	genWasChanged = true;
 	/* eslint-enable */
 	// declaring these variables with var here makes z moves not work; TODO
-	pokedex = calc.SPECIES[gen];
+	var data = calc.overlayData(gen, overlay);
+	pokedex = data.species;
 	setdex = SETDEX[gen];
 	randdex = RANDDEX[gen];
-	typeChart = calc.TYPE_CHART[gen];
-	moves = calc.MOVES[gen];
-	items = calc.ITEMS[gen];
-	abilities = calc.ABILITIES[gen];
+	typeChart = data.types;
+	moves = data.moves;
+	items = data.items;
+	abilities = data.abilities;
 	clearField();
 	$("#importedSets").prop("checked", false);
 	loadDefaultLists();
@@ -1163,6 +1160,8 @@ function clearField() {
 	$("#clear").prop("checked", true);
 	$("#gscClear").prop("checked", true);
 	$("#gravity").prop("checked", false);
+	$("#trickroom").prop("checked", false);
+	$("#inverse").prop("checked", false);
 	$("#srL").prop("checked", false);
 	$("#srR").prop("checked", false);
 	$("#spikesL0").prop("checked", true);
@@ -1440,20 +1439,6 @@ function loadCustomList(id) {
 	});
 }
 
-function get_trainer_names() {
-	var all_poks = SETDEX_SS
-	var trainer_names = []
-
-	for (const [pok_name, poks] of Object.entries(all_poks)) {
-		var pok_tr_names = Object.keys(poks)
-		for (i in pok_tr_names) {
-			var index = (poks[pok_tr_names[i]]["index"])
-			var trainer_name = pok_tr_names[i]
-			trainer_names.push(`[${index}]${pok_name} (${trainer_name})`)
-		}
-	}
-	return trainer_names
-}
 function addBoxed(poke, box) {
 	if (document.getElementById(`${poke.name}${poke.nameProp}`)) {
 		//nothing to do it already exist
@@ -1484,16 +1469,18 @@ function getSrcImgPokemon(poke) {
 	}
 }
 
+// The team of the trainer of a set, as "[index]Species (Trainer)"
 function get_trainer_poks(trainer_name) {
 	var true_name = trainer_name.split("(")[1].split("\n")[0].trim()
-	window.CURRENT_TRAINER = true_name.substring(0, true_name.length -1);
-	var matches = []
-	for (i in TR_NAMES) {
-		if (TR_NAMES[i].includes(true_name)) {
-			matches.push(TR_NAMES[i])
-		}
+	var trainer = TRAINERS.get(true_name.substring(0, true_name.length -1));
+	if (!trainer) {
+		return []
 	}
-	return matches
+	window.CURRENT_TRAINER = trainer.name;
+	showTrainerInfo(trainer);
+	return trainer.team.map(function (pok) {
+		return `[${pok.set.index}]${pok.species} (${pok.setName})`
+	})
 }
 
 function topPokemonIcon(fullname, node) {
@@ -1546,57 +1533,73 @@ function selectFirstMon() {
 	$('.player .select2-chosen').text(set);
 }
 
-function selectTrainer(value) {
+// Selects the lead of a trainer from TRAINERS as the opposing Pokémon, loading its team
+function selectTrainer(trainer) {
+	if (!trainer) {
+		return false
+	}
 	document.getElementById("trainer-pok-list-opposing2").textContent="";
 	document.getElementById("trainer-pok-list-opposing").textContent="";
-	if(value >= 1620){
-		value = 1620;
-	}else if(value<=0){
-		value=1;
-	}
-	localStorage.setItem("lasttimetrainer", value);
-	all_poks = SETDEX_SS
-	for (const [pok_name, poks] of Object.entries(all_poks)) {
-		var pok_tr_names = Object.keys(poks)
-		for (i in pok_tr_names) {
-			var index = (poks[pok_tr_names[i]]["index"])
-			if (index == value) {
-				if (window.CURRENT_TRAINER == pok_tr_names[0]){
-					return false
-				}
-				window.CURRENT_TRAINER = pok_tr_names[0]
-				var set = `${pok_name} (${pok_tr_names[i]})`;
-				$('.opposing').val(set);
-				$('.opposing').change();
-				$('.opposing .select2-chosen').text(set);
-			}
+	localStorage.setItem("lasttimetrainer", trainer.id);
+	window.CURRENT_TRAINER = trainer.name
+	var set = `${trainer.team[0].species} (${trainer.team[0].setName})`;
+	$('.opposing').val(set);
+	$('.opposing').change();
+	$('.opposing .select2-chosen').text(set);
+}
 
-		}
-	}
+function currentTrainer() {
+	return TRAINERS.get(window.CURRENT_TRAINER || "") || TRAINERS.trainers[0]
 }
 
 function nextTrainer() {
-	if (selectTrainer(nextTrainerId) == false) {
-		if(value >= 1620){
-			return
-		}
-		nextTrainerId++
-		previousTrainer()
-	}
+	selectTrainer(TRAINERS.next(currentTrainer(), trainerFilter()));
 }
 
 function previousTrainer() {
-	if (selectTrainer(previousTrainerId) == false) {
-		if(value<=0){
-			return
-		}
-		previousTrainerId--
-		previousTrainer()
+	selectTrainer(TRAINERS.previous(currentTrainer(), trainerFilter()));
+}
+
+// The trainers to go through with Previous Trainer and Next Trainer
+function trainerFilter() {
+	var filter = {};
+	if ($("#trainer-split").val()) filter.split = +$("#trainer-split").val();
+	if ($("#trainer-battle-type").val()) filter.battleType = $("#trainer-battle-type").val();
+	if ($("#trainer-mandatory").prop("checked")) filter.mandatory = true;
+	return filter;
+}
+
+// Moves on to the closest trainer matching the filter, unless the current one does
+function changeTrainerFilter() {
+	var trainer = currentTrainer();
+	var filter = trainerFilter();
+	if (TRAINERS.filter(filter).indexOf(trainer) < 0) {
+		selectTrainer(TRAINERS.next(trainer, filter) || TRAINERS.previous(trainer, filter));
+	}
+}
+
+function showTrainerInfo(trainer) {
+	var info = [trainer.displayName];
+	if (trainer.location) info.push(trainer.location);
+	if (trainer.split !== undefined) info.push("Split " + trainer.split);
+	if (trainer.levelCap !== undefined) info.push("Level cap " + trainer.levelCap);
+	info.push(trainer.battleType);
+	if (trainer.mandatory) info.push("Mandatory");
+	$("#trainer-info").text(info.join(" · "));
+}
+
+function loadTrainerSplits() {
+	var splits = [];
+	for (var trainer of TRAINERS.trainers) {
+		if (trainer.split !== undefined && splits.indexOf(trainer.split) < 0) splits.push(trainer.split);
+	}
+	for (var split of splits) {
+		$("#trainer-split").append($("<option>").val(split).text("Split " + split));
 	}
 }
 function resetTrainer() {
 	if (confirm(truckMessage())){
-		selectTrainer(1);
+		selectTrainer(TRAINERS.trainers[0]);
 		localStorage.removeItem("customsets");
 		$(allPokemon("#importedSetsOptions")).hide();
 		loadDefaultLists();
@@ -2070,6 +2073,8 @@ $(document).ready(function () {
 	$("#previous-trainer").click(previousTrainer);
 	$("#next-trainer").click(nextTrainer);
 	$("#reset-trainer").click(resetTrainer);
+	loadTrainerSplits();
+	$(".trainer-filter").change(changeTrainerFilter);
 	$('#show-cc').click(showColorCodes);
 	$('#hide-cc').click(hideColorCodes);
 	$('#refr-cc').click(refreshColorCode);
@@ -2097,12 +2102,12 @@ $(document).ready(function () {
 		dropzone.ondragover=allowDrop;
 	}
 	//select last trainer
-	var last = parseInt(localStorage.getItem("lasttimetrainer"),10);
-	if (isNaN(last)) {
-		selectTrainer(1);
-	}else{
-		selectTrainer(last);
-	}
+	var last = localStorage.getItem("lasttimetrainer") || "";
+	// Older versions kept the index of one of the trainer's sets rather than its id
+	var lastTrainer = TRAINERS.get(last) || TRAINERS.trainers.filter(function (trainer) {
+		return trainer.team.some(function (pok) { return pok.set.index == last; });
+	})[0];
+	selectTrainer(lastTrainer || TRAINERS.trainers[0]);
 	//to indicate some features
 	var isNotNew = JSON.parse(localStorage.getItem("isNotNew"))
 	if (!isNotNew){//first time loading the page